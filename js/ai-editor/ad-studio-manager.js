@@ -94,6 +94,7 @@ class AdStudioManager {
             // Actions
             generateBtn: null,
             sendToCanvasBtn: null,
+            exportPdfBtn: null,
             statusDiv: null
         };
 
@@ -173,6 +174,7 @@ class AdStudioManager {
         // Actions
         this.elements.generateBtn = document.getElementById('generateAdsBtn');
         this.elements.sendToCanvasBtn = document.getElementById('sendToCanvasBtn');
+        this.elements.exportPdfBtn = document.getElementById('exportAdsPdfBtn');
         this.elements.statusDiv = document.getElementById('adStudioStatus');
     }
 
@@ -290,6 +292,11 @@ class AdStudioManager {
         if (this.elements.sendToCanvasBtn) {
             this.elements.sendToCanvasBtn.addEventListener('click', () => this.sendToCanvas());
         }
+
+        // Export PDF Button (one variation per page)
+        if (this.elements.exportPdfBtn) {
+            this.elements.exportPdfBtn.addEventListener('click', () => this.exportAdsAsPDF());
+        }
     }
 
     /**
@@ -597,6 +604,7 @@ class AdStudioManager {
         this.state.isGenerating = true;
         this.elements.generateBtn.disabled = true;
         this.showStatus('Generating ads...', 'loading');
+        this.app.showLoading('Generating Ads...', 'Variations run in parallel through the request queue', { cancellable: true });
 
         try {
             // Show loading placeholders
@@ -619,11 +627,17 @@ class AdStudioManager {
             this.showStatus(`Successfully generated ${ads.length} ad variations!`, 'success');
 
         } catch (error) {
-            console.error('❌ [AD STUDIO] Generation failed:', error);
-            this.showStatus(`Generation failed: ${error.message}`, 'error');
+            if (this.app.modules.gemini.isCancelled(error)) {
+                console.log('🛑 [AD STUDIO] Generation cancelled');
+                this.showStatus('Generation cancelled', 'info');
+            } else {
+                console.error('❌ [AD STUDIO] Generation failed:', error);
+                this.showStatus(`Generation failed: ${error.message}`, 'error');
+            }
             this.showPlaceholders();
         } finally {
             this.state.isGenerating = false;
+            this.app.hideLoading();
             this.updateGenerateButtonState();
         }
     }
@@ -655,36 +669,41 @@ Ensure clean edges and professional quality.`;
             throw new Error('Gemini API key not configured');
         }
 
-        const ads = [];
-
         // Generate N variations based on UI selection
+        // All variations are queued at once; GeminiAPI's queue limits how many run concurrently
         const count = this.state.variationCount || 4;
-        for (let i = 0; i < count; i++) {
-            try {
-                let imageUrl;
-
-                if (this.state.adType === 'product' && productImage) {
-                    // Product showcase: use the uploaded product image and create ad composition
-                    const scenePrompt = this.buildProductScenePrompt(i);
-                    // Use editImage with preserveOriginal=false to transform the product into a full ad
-                    imageUrl = await this.app.modules.gemini.editImage(productImage, scenePrompt, false);
-                } else {
-                    // Concept/Service: generate from scratch
-                    const conceptPrompt = this.buildConceptPrompt(i);
-                    imageUrl = await this.app.modules.gemini.generateImage(conceptPrompt, this.getAspectRatioForApi());
-                }
+        const results = await Promise.allSettled(Array.from({ length: count }, (_, i) => {
+            if (this.state.adType === 'product' && productImage) {
+                // Product showcase: use the uploaded product image and create ad composition
+                const scenePrompt = this.buildProductScenePrompt(i);
+                // Use editImage with preserveOriginal=false to transform the product into a full ad
+                return this.app.modules.gemini.editImage(productImage, scenePrompt, false);
+            }
+
+            // Concept/Service: generate from scratch
+            const conceptPrompt = this.buildConceptPrompt(i);
+            return this.app.modules.gemini.generateImage(conceptPrompt, this.getAspectRatioForApi());
+        }));
 
+        const ads = [];
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
                 ads.push({
-                    imageUrl,
+                    imageUrl: result.value,
                     headline: this.state.headline,
                     cta: this.state.cta,
                     variation: i + 1
                 });
-
-            } catch (error) {
-                console.error(`❌ [AD STUDIO] Failed to generate variation ${i + 1}:`, error);
+            } else {
+                console.error(`❌ [AD STUDIO] Failed to generate variation ${i + 1}:`, result.reason);
                 // Continue with other variations
             }
+        });
+
+        // If the user cancelled, surface that instead of a partial result
+        const cancelled = results.find(result => result.status === 'rejected' && this.app.modules.gemini.isCancelled(result.reason));
+        if (cancelled) {
+            throw cancelled.reason;
         }
 
         if (ads.length === 0) {
@@ -789,6 +808,30 @@ Ensure clean edges and professional quality.`;
         if (this.elements.sendToCanvasBtn) {
             this.elements.sendToCanvasBtn.disabled = false;
         }
+
+        if (this.elements.exportPdfBtn) {
+            this.elements.exportPdfBtn.disabled = ads.length === 0;
+        }
+    }
+
+    /**
+     * Export the generated variations as a PDF, one variation per page
+     */
+    async exportAdsAsPDF() {
+        const ads = this.state.generatedAds;
+        if (ads.length === 0) {
+            this.showStatus('Generate ads first', 'error');
+            return;
+        }
+
+        const platform = this.state.platform ? `${this.state.platform}-` : '';
+        await this.app.exportImagesAsPDF(ads.map(ad => ({
+            source: ad.imageUrl,
+            title: `Variation ${ad.variation}${ad.headline ? ` - ${ad.headline}` : ''}`
+        })), {
+            name: `ad-variations-${platform}${new Date().toISOString().slice(0, 10)}`,
+            title: this.state.brandName ? `${this.state.brandName} ad variations` : 'Ad variations'
+        });
     }
 
     /**
@@ -934,7 +977,7 @@ Ensure clean edges and professional quality.`;
             console.log(`🔍 [AD STUDIO DEBUG] App object exists:`, !!this.app);
             console.log(`🔍 [AD STUDIO DEBUG] loadImageToCanvas function exists:`, typeof this.app.loadImageToCanvas);
             
-            await this.app.loadImageToCanvas(imageUrlToLoad);
+            await this.app.loadImageToCanvas(imageUrlToLoad, { label: 'Ad Studio', icon: 'fas fa-bullhorn' });
             console.log(`✅ [AD STUDIO DEBUG] app.loadImageToCanvas completed successfully`);
 
             // NOTE: We no longer add separate Konva text layers here.
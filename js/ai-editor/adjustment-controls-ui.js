@@ -0,0 +1,438 @@
+/**
+ * AdjustmentControlsUI - Settings of the active adjustment layer, shown in the Layers panel
+ * Controls preview while they are dragged and record one history step when released
+ */
+
+class AdjustmentControlsUI {
+    /**
+     * @param {LayerManager} layerManager - Layer manager holding the adjustment layers
+     */
+    constructor(layerManager) {
+        this.layerManager = layerManager;
+
+        // View state that is not part of the settings, per layer
+        this.curveChannels = new Map(); // layerId -> 'rgb' | 'red' | 'green' | 'blue'
+        this.balanceTones = new Map(); // layerId -> 'shadows' | 'midtones' | 'highlights'
+    }
+
+    /**
+     * Create the controls for an adjustment layer
+     * @param {object} layer - Adjustment layer object
+     * @param {boolean} locked - Whether the layer is locked
+     * @returns {HTMLElement} Controls element
+     */
+    render(layer, locked) {
+        const container = document.createElement('div');
+        container.className = 'layer-adjustment-control';
+        // Clicks inside the controls must not re-select (and re-render) the layer
+        container.onclick = (e) => e.stopPropagation();
+
+        const { type, settings } = layer.adjustment;
+        const context = { container, layer, settings, locked };
+
+        switch (type) {
+            case 'levels':
+                this._renderLevels(context);
+                break;
+            case 'curves':
+                this._renderCurves(context);
+                break;
+            case 'hsl':
+                this._renderHSL(context);
+                break;
+            case 'colorBalance':
+                this._renderColorBalance(context);
+                break;
+            case 'lut':
+                this._renderLUT(context);
+                break;
+        }
+
+        const resetButton = document.createElement('button');
+        resetButton.className = 'layer-action-btn layer-adjustment-reset';
+        resetButton.innerHTML = '<i class="fas fa-undo"></i> Reset';
+        resetButton.title = locked ? 'Layer is locked' : 'Reset to neutral settings';
+        resetButton.disabled = locked;
+        resetButton.onclick = () => this.layerManager.setAdjustment(layer.id, Adjustments.getDefaults(type));
+        container.appendChild(resetButton);
+
+        return container;
+    }
+
+    /**
+     * Levels: input black/white point, gamma, output black/white point
+     * @private
+     */
+    _renderLevels({ container, layer, settings, locked }) {
+        const slider = (label, key, min, max, step = 1, format = value => value) => {
+            this._addSlider(container, layer, locked, {
+                label,
+                min,
+                max,
+                step,
+                value: settings[key],
+                format,
+                toSettings: (value) => {
+                    // The input black point stays below the white point
+                    if (key === 'inputBlack') value = Math.min(value, settings.inputWhite - 1);
+                    if (key === 'inputWhite') value = Math.max(value, settings.inputBlack + 1);
+                    return { ...settings, [key]: value };
+                }
+            });
+        };
+
+        slider('Input black', 'inputBlack', 0, 254);
+        slider('Input white', 'inputWhite', 1, 255);
+        slider('Gamma', 'gamma', 0.1, 3, 0.01, value => value.toFixed(2));
+        slider('Output black', 'outputBlack', 0, 255);
+        slider('Output white', 'outputWhite', 0, 255);
+    }
+
+    /**
+     * Hue/Saturation: hue shift and saturation/lightness amounts
+     * @private
+     */
+    _renderHSL({ container, layer, settings, locked }) {
+        const slider = (label, key, min, max, format) => {
+            this._addSlider(container, layer, locked, {
+                label,
+                min,
+                max,
+                value: settings[key],
+                format,
+                toSettings: (value) => ({ ...settings, [key]: value })
+            });
+        };
+
+        slider('Hue', 'hue', -180, 180, value => `${value}°`);
+        slider('Saturation', 'saturation', -100, 100, value => `${value}`);
+        slider('Lightness', 'lightness', -100, 100, value => `${value}`);
+    }
+
+    /**
+     * Color Balance: three color shifts for the chosen tonal range
+     * @private
+     */
+    _renderColorBalance({ container, layer, settings, locked }) {
+        const tone = this.balanceTones.get(layer.id) || 'midtones';
+
+        this._addSelect(container, 'Tones:', [
+            { value: 'shadows', label: 'Shadows' },
+            { value: 'midtones', label: 'Midtones' },
+            { value: 'highlights', label: 'Highlights' }
+        ], tone, (value) => {
+            this.balanceTones.set(layer.id, value);
+            container.replaceWith(this.render(layer, locked));
+        });
+
+        ['Cyan / Red', 'Magenta / Green', 'Yellow / Blue'].forEach((label, channel) => {
+            this._addSlider(container, layer, locked, {
+                label,
+                min: -100,
+                max: 100,
+                value: settings[tone][channel],
+                toSettings: (value) => {
+                    const shifts = [...settings[tone]];
+                    shifts[channel] = value;
+                    return { ...settings, [tone]: shifts };
+                }
+            });
+        });
+
+        const row = document.createElement('label');
+        row.className = 'layer-adjustment-check';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings.preserveLuminosity;
+        checkbox.disabled = locked;
+        checkbox.onchange = () => this.layerManager.setAdjustment(layer.id, {
+            ...settings,
+            preserveLuminosity: checkbox.checked
+        });
+        row.appendChild(checkbox);
+        row.appendChild(document.createTextNode(' Preserve luminosity'));
+        container.appendChild(row);
+    }
+
+    /**
+     * Curves: a curve per channel, edited by dragging points
+     * @private
+     */
+    _renderCurves({ container, layer, settings, locked }) {
+        const channel = this.curveChannels.get(layer.id) || 'rgb';
+
+        this._addSelect(container, 'Channel:', [
+            { value: 'rgb', label: 'RGB' },
+            { value: 'red', label: 'Red' },
+            { value: 'green', label: 'Green' },
+            { value: 'blue', label: 'Blue' }
+        ], channel, (value) => {
+            this.curveChannels.set(layer.id, value);
+            container.replaceWith(this.render(layer, locked));
+        });
+
+        container.appendChild(this._createCurveEditor(layer, settings, channel, locked));
+
+        const hint = document.createElement('div');
+        hint.className = 'layer-adjustment-hint';
+        hint.textContent = 'Drag to add or move points, double-click a point to remove it';
+        container.appendChild(hint);
+    }
+
+    /**
+     * Color Lookup: load a .cube file
+     * @private
+     */
+    _renderLUT({ container, layer, settings, locked }) {
+        const info = document.createElement('div');
+        info.className = 'layer-adjustment-hint';
+        info.textContent = settings.table
+            ? `${settings.name} (${settings.dimension}D, ${settings.size} points)`
+            : 'No LUT loaded - the image is unchanged';
+        container.appendChild(info);
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.cube';
+        input.style.display = 'none';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                const lut = Adjustments.parseCubeLUT(await file.text(), file.name.replace(/\.cube$/i, ''));
+                this.layerManager.setAdjustment(layer.id, lut);
+                console.log(`✅ [ADJUSTMENTS] Loaded LUT "${lut.name}" (${lut.size} points)`);
+            } catch (error) {
+                console.error('❌ [ADJUSTMENTS] Failed to load LUT:', error);
+                alert(`Could not load LUT: ${error.message}`);
+            }
+        };
+
+        const loadButton = document.createElement('button');
+        loadButton.className = 'layer-action-btn layer-adjustment-reset';
+        loadButton.innerHTML = '<i class="fas fa-file-import"></i> Load .cube';
+        loadButton.title = locked ? 'Layer is locked' : 'Load a 1D or 3D .cube LUT';
+        loadButton.disabled = locked;
+        loadButton.onclick = () => input.click();
+
+        container.appendChild(input);
+        container.appendChild(loadButton);
+    }
+
+    /**
+     * Add a labelled slider that previews on input and records on change
+     * @private
+     * @param {HTMLElement} container - Parent element
+     * @param {object} layer - Adjustment layer object
+     * @param {boolean} locked - Whether the layer is locked
+     * @param {object} options - { label, min, max, step, value, format, toSettings(value) }
+     */
+    _addSlider(container, layer, locked, options) {
+        const { label, min, max, step = 1, value, format = v => v, toSettings } = options;
+
+        const row = document.createElement('div');
+        row.className = 'layer-adjustment-row';
+
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'layer-opacity-slider';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.value = value;
+        slider.disabled = locked;
+
+        const valueDisplay = document.createElement('span');
+        valueDisplay.className = 'opacity-value';
+        valueDisplay.textContent = format(value);
+
+        slider.oninput = () => {
+            const current = parseFloat(slider.value);
+            valueDisplay.textContent = format(current);
+            this.layerManager.previewAdjustment(layer.id, toSettings(current));
+        };
+        slider.onchange = () => this.layerManager.setAdjustment(layer.id, toSettings(parseFloat(slider.value)));
+
+        row.appendChild(labelElement);
+        row.appendChild(slider);
+        row.appendChild(valueDisplay);
+        container.appendChild(row);
+    }
+
+    /**
+     * Add a labelled dropdown
+     * @private
+     */
+    _addSelect(container, label, options, value, onchange) {
+        const row = document.createElement('div');
+        row.className = 'layer-blend-control';
+
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+
+        const select = document.createElement('select');
+        select.className = 'layer-blend-select';
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = value;
+        select.onchange = () => onchange(select.value);
+
+        row.appendChild(labelElement);
+        row.appendChild(select);
+        container.appendChild(row);
+    }
+
+    /**
+     * Create the curve editor for one channel
+     * @private
+     * @returns {HTMLCanvasElement} Editor canvas
+     */
+    _createCurveEditor(layer, settings, channel, locked) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'adjustment-curve-editor';
+        canvas.width = 200;
+        canvas.height = 200;
+        canvas.classList.toggle('locked', locked);
+
+        const points = settings[channel].map(point => [...point]);
+        const color = AdjustmentControlsUI.curveColors[channel];
+        const withPoints = () => ({ ...settings, [channel]: points.map(point => [...point]) });
+
+        const draw = () => {
+            const ctx = canvas.getContext('2d');
+            const size = canvas.width;
+            const scale = size / 255;
+
+            ctx.clearRect(0, 0, size, size);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            ctx.fillRect(0, 0, size, size);
+
+            // Quarter grid and the identity line
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.lineWidth = 1;
+            for (let i = 1; i < 4; i++) {
+                const position = Math.round(size * i / 4) + 0.5;
+                ctx.beginPath();
+                ctx.moveTo(position, 0);
+                ctx.lineTo(position, size);
+                ctx.moveTo(0, position);
+                ctx.lineTo(size, position);
+                ctx.stroke();
+            }
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, size);
+            ctx.lineTo(size, 0);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const table = Adjustments.curveTable(points);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            table.forEach((output, input) => {
+                const x = input * scale;
+                const y = size - output * scale;
+                if (input === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            points.forEach(([x, y]) => {
+                ctx.fillRect(x * scale - 4, size - y * scale - 4, 8, 8);
+            });
+        };
+
+        // Pointer position in curve values (0-255)
+        const toCurve = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const clamp = (value) => Math.max(0, Math.min(255, Math.round(value)));
+            return [
+                clamp((e.clientX - rect.left) / rect.width * 255),
+                clamp((1 - (e.clientY - rect.top) / rect.height) * 255)
+            ];
+        };
+        const findPoint = ([x, y]) => points.findIndex(([px, py]) => Math.abs(px - x) <= 8 && Math.abs(py - y) <= 8);
+
+        let dragIndex = -1;
+
+        canvas.onpointerdown = (e) => {
+            if (locked) return;
+            e.preventDefault();
+
+            const position = toCurve(e);
+            dragIndex = findPoint(position);
+            if (dragIndex === -1) {
+                // A point at the same input value is moved instead of adding a second one
+                dragIndex = points.findIndex(([px]) => px === position[0]);
+                if (dragIndex === -1) {
+                    points.push(position);
+                    points.sort((a, b) => a[0] - b[0]);
+                    dragIndex = points.indexOf(position);
+                } else {
+                    points[dragIndex] = position;
+                }
+            }
+
+            canvas.setPointerCapture(e.pointerId);
+            draw();
+            this.layerManager.previewAdjustment(layer.id, withPoints());
+        };
+
+        canvas.onpointermove = (e) => {
+            if (dragIndex === -1) return;
+
+            // Points keep their order along the input axis
+            const [x, y] = toCurve(e);
+            const previous = points[dragIndex - 1];
+            const next = points[dragIndex + 1];
+            points[dragIndex] = [
+                Math.max(previous ? previous[0] + 1 : 0, Math.min(next ? next[0] - 1 : 255, x)),
+                y
+            ];
+
+            draw();
+            this.layerManager.previewAdjustment(layer.id, withPoints());
+        };
+
+        canvas.onpointerup = canvas.onpointercancel = () => {
+            if (dragIndex === -1) return;
+            dragIndex = -1;
+
+            // A click that changed nothing is not recorded (and keeps this editor for a double-click)
+            if (JSON.stringify(points) !== JSON.stringify(settings[channel])) {
+                this.layerManager.setAdjustment(layer.id, withPoints());
+            }
+        };
+
+        canvas.ondblclick = (e) => {
+            const index = findPoint(toCurve(e));
+            if (locked || index === -1 || points.length <= 2) return;
+
+            points.splice(index, 1);
+            this.layerManager.setAdjustment(layer.id, withPoints());
+        };
+
+        draw();
+        return canvas;
+    }
+}
+
+/**
+ * Curve colors per channel in the curve editor
+ */
+AdjustmentControlsUI.curveColors = {
+    rgb: '#e0e0e0',
+    red: '#ff5c5c',
+    green: '#4cd964',
+    blue: '#4da3ff'
+};
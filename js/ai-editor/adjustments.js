@@ -0,0 +1,466 @@
+/**
+ * Adjustments - Pixel math for adjustment layers (levels, curves, hue/saturation, color balance, LUT)
+ * An adjustment is { type, settings }; settings are plain JSON so they can be saved with a project
+ * The LayerManager runs an adjustment over everything composited beneath the adjustment layer
+ */
+
+class Adjustments {
+    /**
+     * Get the type definition of an adjustment
+     * @param {string} type - Adjustment type
+     * @returns {object|null} { value, label, icon }
+     */
+    static getType(type) {
+        return Adjustments.types.find(definition => definition.value === type) || null;
+    }
+
+    /**
+     * Get neutral settings for an adjustment type (the image is unchanged)
+     * @param {string} type - Adjustment type
+     * @returns {object} Settings
+     */
+    static getDefaults(type) {
+        const identity = () => [[0, 0], [255, 255]];
+
+        switch (type) {
+            case 'levels':
+                return { inputBlack: 0, inputWhite: 255, gamma: 1, outputBlack: 0, outputWhite: 255 };
+            case 'curves':
+                return { rgb: identity(), red: identity(), green: identity(), blue: identity() };
+            case 'hsl':
+                return { hue: 0, saturation: 0, lightness: 0 };
+            case 'colorBalance':
+                return { shadows: [0, 0, 0], midtones: [0, 0, 0], highlights: [0, 0, 0], preserveLuminosity: true };
+            case 'lut':
+                return { name: null, dimension: 3, size: 0, domainMin: [0, 0, 0], domainMax: [1, 1, 1], table: null };
+            default:
+                throw new Error(`Unknown adjustment type: ${type}`);
+        }
+    }
+
+    /**
+     * Deep copy of adjustment settings
+     * @param {object} settings - Settings
+     * @returns {object} Copy
+     */
+    static cloneSettings(settings) {
+        return JSON.parse(JSON.stringify(settings));
+    }
+
+    /**
+     * Apply an adjustment to a canvas
+     * @param {HTMLCanvasElement} source - Pixels to adjust (left unchanged)
+     * @param {object} adjustment - { type, settings }
+     * @param {HTMLCanvasElement|null} target - Canvas to reuse for the result
+     * @returns {HTMLCanvasElement} Adjusted copy of the source
+     */
+    static apply(source, adjustment, target = null) {
+        const width = source.width;
+        const height = source.height;
+
+        const canvas = target || document.createElement('canvas');
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(source, 0, 0);
+
+        const process = Adjustments.createProcessor(adjustment);
+        if (process && width > 0 && height > 0) {
+            const imageData = ctx.getImageData(0, 0, width, height);
+            process(imageData.data);
+            ctx.putImageData(imageData, 0, 0);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Build a function that adjusts RGBA pixel data in place
+     * @param {object} adjustment - { type, settings }
+     * @returns {Function|null} (data: Uint8ClampedArray) => void, or null when there is nothing to do
+     */
+    static createProcessor({ type, settings }) {
+        switch (type) {
+            case 'levels':
+                return Adjustments.tableProcessor(Adjustments.levelsTable(settings));
+            case 'curves': {
+                const master = Adjustments.curveTable(settings.rgb);
+                const channel = (points) => {
+                    const table = Adjustments.curveTable(points);
+                    return table.map(value => master[value]);
+                };
+                return Adjustments.tableProcessor(channel(settings.red), channel(settings.green), channel(settings.blue));
+            }
+            case 'hsl':
+                return Adjustments.hslProcessor(settings);
+            case 'colorBalance':
+                return Adjustments.colorBalanceProcessor(settings);
+            case 'lut':
+                return Adjustments.lutProcessor(settings);
+            default:
+                console.warn('Unknown adjustment type:', type);
+                return null;
+        }
+    }
+
+    /**
+     * Processor mapping each channel through a 256-entry lookup table
+     * @param {Uint8Array} red - Table for red (also used for green and blue when they are omitted)
+     * @param {Uint8Array} green - Table for green
+     * @param {Uint8Array} blue - Table for blue
+     * @returns {Function|null} Processor, or null if every table is the identity
+     */
+    static tableProcessor(red, green = red, blue = red) {
+        const isIdentity = (table) => table.every((value, index) => value === index);
+        if (isIdentity(red) && isIdentity(green) && isIdentity(blue)) {
+            return null;
+        }
+
+        return (data) => {
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) continue;
+                data[i] = red[data[i]];
+                data[i + 1] = green[data[i + 1]];
+                data[i + 2] = blue[data[i + 2]];
+            }
+        };
+    }
+
+    /**
+     * Lookup table for levels: input black/white point, gamma, output black/white point
+     * @param {object} settings - Levels settings
+     * @returns {Uint8Array} 256 entries
+     */
+    static levelsTable({ inputBlack, inputWhite, gamma, outputBlack, outputWhite }) {
+        const table = new Uint8Array(256);
+        const range = Math.max(1, inputWhite - inputBlack);
+        const exponent = 1 / Math.max(0.01, gamma);
+
+        for (let value = 0; value < 256; value++) {
+            const normalized = Math.min(1, Math.max(0, (value - inputBlack) / range));
+            table[value] = Math.round(outputBlack + Math.pow(normalized, exponent) * (outputWhite - outputBlack));
+        }
+        return table;
+    }
+
+    /**
+     * Lookup table for a curve through control points, using monotone cubic interpolation
+     * so the curve never overshoots between points
+     * @param {number[][]} points - [[input, output], ...] in 0-255
+     * @returns {Uint8Array} 256 entries
+     */
+    static curveTable(points) {
+        const table = new Uint8Array(256);
+        const sorted = [...points]
+            .map(([x, y]) => [Math.min(255, Math.max(0, x)), Math.min(255, Math.max(0, y))])
+            .sort((a, b) => a[0] - b[0])
+            .filter((point, index, all) => index === 0 || point[0] !== all[index - 1][0]);
+
+        if (sorted.length === 0) {
+            return table.map((_, index) => index);
+        }
+        if (sorted.length === 1) {
+            return table.fill(Math.round(sorted[0][1]));
+        }
+
+        const xs = sorted.map(point => point[0]);
+        const ys = sorted.map(point => point[1]);
+        const n = sorted.length;
+
+        // Secant slopes, then tangents limited so each segment stays monotone (Fritsch-Carlson)
+        const secants = [];
+        for (let i = 0; i < n - 1; i++) {
+            secants.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+        }
+
+        const tangents = [secants[0]];
+        for (let i = 1; i < n - 1; i++) {
+            tangents.push(secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2);
+        }
+        tangents.push(secants[n - 2]);
+
+        for (let i = 0; i < n - 1; i++) {
+            if (secants[i] === 0) {
+                tangents[i] = tangents[i + 1] = 0;
+                continue;
+            }
+            const a = tangents[i] / secants[i];
+            const b = tangents[i + 1] / secants[i];
+            const length = a * a + b * b;
+            if (length > 9) {
+                const scale = 3 / Math.sqrt(length);
+                tangents[i] = scale * a * secants[i];
+                tangents[i + 1] = scale * b * secants[i];
+            }
+        }
+
+        let segment = 0;
+        for (let x = 0; x < 256; x++) {
+            let y;
+            if (x <= xs[0]) {
+                y = ys[0];
+            } else if (x >= xs[n - 1]) {
+                y = ys[n - 1];
+            } else {
+                while (x > xs[segment + 1]) segment++;
+                const h = xs[segment + 1] - xs[segment];
+                const t = (x - xs[segment]) / h;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                y = (2 * t3 - 3 * t2 + 1) * ys[segment] +
+                    (t3 - 2 * t2 + t) * h * tangents[segment] +
+                    (-2 * t3 + 3 * t2) * ys[segment + 1] +
+                    (t3 - t2) * h * tangents[segment + 1];
+            }
+            table[x] = Math.round(Math.min(255, Math.max(0, y)));
+        }
+        return table;
+    }
+
+    /**
+     * Processor shifting hue (degrees) and scaling saturation and lightness (-100..100)
+     * @param {object} settings - { hue, saturation, lightness }
+     * @returns {Function|null} Processor
+     */
+    static hslProcessor({ hue, saturation, lightness }) {
+        if (!hue && !saturation && !lightness) {
+            return null;
+        }
+
+        const hueShift = hue / 360;
+        const saturationAmount = saturation / 100;
+        const lightnessAmount = lightness / 100;
+        const toward = (value, amount) => amount > 0 ? value + (1 - value) * amount : value * (1 + amount);
+
+        const hueToChannel = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+
+        return (data) => {
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) continue;
+
+                const r = data[i] / 255;
+                const g = data[i + 1] / 255;
+                const b = data[i + 2] / 255;
+                const max = Math.max(r, g, b);
+                const min = Math.min(r, g, b);
+                let h = 0;
+                let s = 0;
+                let l = (max + min) / 2;
+
+                if (max !== min) {
+                    const d = max - min;
+                    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+                    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+                    else if (max === g) h = (b - r) / d + 2;
+                    else h = (r - g) / d + 4;
+                    h /= 6;
+                }
+
+                h = (h + hueShift + 1) % 1;
+                s = toward(s, saturationAmount);
+                l = toward(l, lightnessAmount);
+
+                if (s === 0) {
+                    data[i] = data[i + 1] = data[i + 2] = l * 255;
+                } else {
+                    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+                    const p = 2 * l - q;
+                    data[i] = hueToChannel(p, q, h + 1 / 3) * 255;
+                    data[i + 1] = hueToChannel(p, q, h) * 255;
+                    data[i + 2] = hueToChannel(p, q, h - 1 / 3) * 255;
+                }
+            }
+        };
+    }
+
+    /**
+     * Processor for color balance: cyan-red, magenta-green and yellow-blue shifts (-100..100)
+     * for shadows, midtones and highlights, weighted by each pixel's lightness
+     * @param {object} settings - { shadows, midtones, highlights, preserveLuminosity }
+     * @returns {Function|null} Processor
+     */
+    static colorBalanceProcessor({ shadows, midtones, highlights, preserveLuminosity }) {
+        const ranges = [shadows, midtones, highlights];
+        if (ranges.every(range => range.every(value => value === 0))) {
+            return null;
+        }
+
+        // Per-lightness channel offsets; a full slider moves a channel by about a quarter of its range
+        const offsets = [new Float32Array(256), new Float32Array(256), new Float32Array(256)];
+        for (let value = 0; value < 256; value++) {
+            const l = value / 255;
+            const weights = [(1 - l) * (1 - l), 4 * l * (1 - l), l * l];
+            for (let channel = 0; channel < 3; channel++) {
+                offsets[channel][value] = ranges.reduce((sum, range, index) => {
+                    return sum + range[channel] * weights[index];
+                }, 0) * 0.64;
+            }
+        }
+
+        return (data) => {
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) continue;
+
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                const lightness = (Math.max(r, g, b) + Math.min(r, g, b)) >> 1;
+
+                let nr = r + offsets[0][lightness];
+                let ng = g + offsets[1][lightness];
+                let nb = b + offsets[2][lightness];
+
+                if (preserveLuminosity) {
+                    const shift = (0.299 * r + 0.587 * g + 0.114 * b) - (0.299 * nr + 0.587 * ng + 0.114 * nb);
+                    nr += shift;
+                    ng += shift;
+                    nb += shift;
+                }
+
+                data[i] = nr;
+                data[i + 1] = ng;
+                data[i + 2] = nb;
+            }
+        };
+    }
+
+    /**
+     * Processor for a color lookup table loaded from a .cube file
+     * 3D tables are sampled with trilinear interpolation
+     * @param {object} settings - Output of parseCubeLUT
+     * @returns {Function|null} Processor, or null before a table is loaded
+     */
+    static lutProcessor({ dimension, size, domainMin, domainMax, table }) {
+        if (!table || size < 2) {
+            return null;
+        }
+
+        const values = Float32Array.from(table);
+        const toIndex = (value, channel) => {
+            const normalized = (value / 255 - domainMin[channel]) / ((domainMax[channel] - domainMin[channel]) || 1);
+            return Math.min(1, Math.max(0, normalized)) * (size - 1);
+        };
+
+        if (dimension === 1) {
+            const channelTable = (channel) => {
+                const lookup = new Uint8Array(256);
+                for (let value = 0; value < 256; value++) {
+                    const index = toIndex(value, channel);
+                    const low = Math.floor(index);
+                    const high = Math.min(size - 1, low + 1);
+                    const t = index - low;
+                    const output = values[low * 3 + channel] * (1 - t) + values[high * 3 + channel] * t;
+                    lookup[value] = Math.round(Math.min(1, Math.max(0, output)) * 255);
+                }
+                return lookup;
+            };
+            return Adjustments.tableProcessor(channelTable(0), channelTable(1), channelTable(2));
+        }
+
+        // Red varies fastest in .cube data: index = r + g * size + b * size * size
+        const stride = [3, size * 3, size * size * 3];
+
+        return (data) => {
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] === 0) continue;
+
+                const r = toIndex(data[i], 0);
+                const g = toIndex(data[i + 1], 1);
+                const b = toIndex(data[i + 2], 2);
+                const r0 = Math.floor(r), g0 = Math.floor(g), b0 = Math.floor(b);
+                const r1 = Math.min(size - 1, r0 + 1), g1 = Math.min(size - 1, g0 + 1), b1 = Math.min(size - 1, b0 + 1);
+                const tr = r - r0, tg = g - g0, tb = b - b0;
+
+                for (let channel = 0; channel < 3; channel++) {
+                    const sample = (ri, gi, bi) => values[ri * stride[0] + gi * stride[1] + bi * stride[2] + channel];
+                    const c00 = sample(r0, g0, b0) * (1 - tr) + sample(r1, g0, b0) * tr;
+                    const c10 = sample(r0, g1, b0) * (1 - tr) + sample(r1, g1, b0) * tr;
+                    const c01 = sample(r0, g0, b1) * (1 - tr) + sample(r1, g0, b1) * tr;
+                    const c11 = sample(r0, g1, b1) * (1 - tr) + sample(r1, g1, b1) * tr;
+                    const c0 = c00 * (1 - tg) + c10 * tg;
+                    const c1 = c01 * (1 - tg) + c11 * tg;
+                    data[i + channel] = (c0 * (1 - tb) + c1 * tb) * 255;
+                }
+            }
+        };
+    }
+
+    /**
+     * Parse an Adobe/Resolve .cube LUT file (1D or 3D)
+     * @param {string} text - File contents
+     * @param {string} fallbackName - Name used when the file has no TITLE
+     * @returns {object} LUT settings { name, dimension, size, domainMin, domainMax, table }
+     */
+    static parseCubeLUT(text, fallbackName = 'LUT') {
+        let name = null;
+        let dimension = 3;
+        let size = 0;
+        let domainMin = [0, 0, 0];
+        let domainMax = [1, 1, 1];
+        const table = [];
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const parts = line.split(/\s+/);
+            const keyword = parts[0].toUpperCase();
+
+            if (keyword === 'TITLE') {
+                name = line.slice(5).trim().replace(/^"|"$/g, '');
+            } else if (keyword === 'LUT_3D_SIZE' || keyword === 'LUT_1D_SIZE') {
+                dimension = keyword === 'LUT_3D_SIZE' ? 3 : 1;
+                size = parseInt(parts[1], 10);
+            } else if (keyword === 'DOMAIN_MIN') {
+                domainMin = parts.slice(1, 4).map(Number);
+            } else if (keyword === 'DOMAIN_MAX') {
+                domainMax = parts.slice(1, 4).map(Number);
+            } else if (/^[-+.\d]/.test(parts[0])) {
+                if (parts.length < 3) {
+                    throw new Error(`Invalid LUT line: "${line}"`);
+                }
+                table.push(Number(parts[0]), Number(parts[1]), Number(parts[2]));
+            }
+        });
+
+        if (!(size >= 2)) {
+            throw new Error('Missing LUT_3D_SIZE or LUT_1D_SIZE');
+        }
+
+        const expected = (dimension === 3 ? size * size * size : size) * 3;
+        if (table.length !== expected || table.some(value => !Number.isFinite(value))) {
+            throw new Error(`Expected ${expected / 3} LUT entries, found ${Math.floor(table.length / 3)}`);
+        }
+
+        return {
+            name: name || fallbackName,
+            dimension,
+            size,
+            domainMin,
+            domainMax,
+            table
+        };
+    }
+}
+
+/**
+ * Adjustment layer types shown in the Layers panel
+ */
+Adjustments.types = [
+    { value: 'levels', label: 'Levels', icon: 'fas fa-signal' },
+    { value: 'curves', label: 'Curves', icon: 'fas fa-bezier-curve' },
+    { value: 'hsl', label: 'Hue/Saturation', icon: 'fas fa-palette' },
+    { value: 'colorBalance', label: 'Color Balance', icon: 'fas fa-balance-scale' },
+    { value: 'lut', label: 'Color Lookup (LUT)', icon: 'fas fa-table' }
+];
@@ -9,6 +9,7 @@ class BackgroundRemovalManager {
         this.app = app;
         this.isProcessing = false;
         this.imglyRemoveBackground = null;
+        this.lastCutout = null; // { layerId, imageNode, original, cutout } of the last removal
         
         console.log('✂️ [BG REMOVAL] Background Removal Manager initialized');
     }
@@ -58,6 +59,10 @@ class BackgroundRemovalManager {
                 throw new Error('No active layer found. Please select a layer first.');
             }
 
+            if (this.app.modules.editor.layerManager.isLocked(activeLayer.id)) {
+                throw new Error(`Layer "${activeLayer.name}" is locked.`);
+            }
+
             // Get the image node from the active layer
             const imageNode = activeLayer.konvaLayer.findOne('Image');
             if (!imageNode) {
@@ -123,10 +128,18 @@ class BackgroundRemovalManager {
             const resultDataURL = await this.blobToDataURL(blob);
 
             // Load the result back into Konva
-            await this.loadResultToCanvas(resultDataURL);
+            const change = await this.loadResultToCanvas(resultDataURL);
 
-            // Save to history
-            this.app.modules.editor.saveState();
+            // Record as an undoable step
+            await this.app.modules.editor.recordBitmapChange(
+                'Remove Background', change.imageNode, change.beforeImage, change.beforeAttrs, 'fas fa-cut'
+            );
+
+            // Record the cut-out in the gallery as a child of the source image
+            await this.app.saveDerivedImageToGallery(resultDataURL, 'Background removed', {
+                type: 'background-removed',
+                layerName: activeLayer.name
+            });
 
             console.log('✅ [BG REMOVAL] Result applied to canvas');
 
@@ -136,6 +149,17 @@ class BackgroundRemovalManager {
             // Show success message
             this.app.modules.ui.showStatus('Background removed successfully!', 'success');
 
+            // Offer a new background and edge refinement for the cut-out
+            this.lastCutout = {
+                layerId: activeLayer.id,
+                imageNode: change.imageNode,
+                original: change.beforeImage,
+                cutout: change.imageNode.image()
+            };
+            if (this.app.modules.backgroundReplace) {
+                this.app.modules.backgroundReplace.show(this.lastCutout);
+            }
+
         } catch (error) {
             console.error('❌ [BG REMOVAL] Error:', error);
             
@@ -171,7 +195,7 @@ class BackgroundRemovalManager {
     /**
      * Load the processed image back to Konva canvas
      * @param {string} dataURL - The processed image data URL
-     * @returns {Promise<void>}
+     * @returns {Promise<{imageNode: Konva.Image, beforeImage: CanvasImageSource, beforeAttrs: object}>} The change, for history
      */
     loadResultToCanvas(dataURL) {
         return new Promise((resolve, reject) => {
@@ -191,6 +215,9 @@ class BackgroundRemovalManager {
                         throw new Error('No image found in the active layer');
                     }
 
+                    const beforeImage = imageNode.image();
+                    const beforeAttrs = this.app.modules.editor.getImageAttrs(imageNode);
+
                     // Store current position and scale
                     const currentX = imageNode.x();
                     const currentY = imageNode.y();
@@ -221,7 +248,7 @@ class BackgroundRemovalManager {
                     this.app.modules.editor.layerManager.updateActiveLayerThumbnail();
 
                     console.log('✅ [BG REMOVAL] Image loaded to active layer:', activeLayer.name);
-                    resolve();
+                    resolve({ imageNode, beforeImage, beforeAttrs });
                 } catch (error) {
                     console.error('❌ [BG REMOVAL] Failed to load image to canvas:', error);
                     reject(error);
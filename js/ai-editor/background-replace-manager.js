@@ -0,0 +1,570 @@
+/**
+ * Background Replace Manager
+ * Follow-up to BackgroundRemovalManager: puts a new background on its own layer below the cutout
+ * (solid color, gradient, uploaded image, blurred original or an AI-generated scene) and refines the
+ * cutout's edges (feather, shift, color decontamination). Edges are always refined from the untouched
+ * cutout, so the settings can be changed and applied again.
+ */
+
+class BackgroundReplaceManager {
+    /**
+     * @param {AIImageEditor} app - Reference to main application
+     */
+    constructor(app) {
+        this.app = app;
+
+        // The last background removal: { layerId, imageNode, original, cutout, refined }
+        this.target = null;
+        this.backgroundLayerId = null; // Layer holding the background made here
+        this.backgroundType = 'color';
+        this.uploadedImage = null; // HTMLImageElement for the 'image' type
+        this.isProcessing = false;
+
+        this.elements = {
+            panel: null,
+            typeButtons: [],
+            options: [],
+            status: null
+        };
+
+        console.log('🖼️ [BG REPLACE] Background Replace Manager initialized');
+    }
+
+    /**
+     * Setup event listeners for the Replace Background panel
+     */
+    setupEventListeners() {
+        this.elements.panel = document.getElementById('backgroundReplacePanel');
+        if (!this.elements.panel) return;
+
+        this.elements.typeButtons = [...this.elements.panel.querySelectorAll('[data-bg-type]')];
+        this.elements.options = [...this.elements.panel.querySelectorAll('[data-bg-options]')];
+        this.elements.status = document.getElementById('backgroundReplaceStatus');
+
+        this.elements.typeButtons.forEach(button => {
+            button.addEventListener('click', () => this.setBackgroundType(button.dataset.bgType));
+        });
+
+        const imageInput = document.getElementById('bgImageInput');
+        if (imageInput) {
+            imageInput.addEventListener('change', (e) => this.handleImageSelect(e.target.files[0]));
+        }
+
+        // Slider readouts
+        [['bgBlurInput', 'bgBlurValue', ''], ['bgFeatherInput', 'bgFeatherValue', 'px'], ['bgShiftInput', 'bgShiftValue', 'px']]
+            .forEach(([inputId, valueId, unit]) => {
+                const input = document.getElementById(inputId);
+                const value = document.getElementById(valueId);
+                if (input && value) {
+                    input.addEventListener('input', () => {
+                        value.textContent = `${input.value}${unit}`;
+                    });
+                }
+            });
+
+        const applyBtn = document.getElementById('applyBackgroundBtn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyBackground());
+        }
+
+        const refineBtn = document.getElementById('refineEdgesBtn');
+        if (refineBtn) {
+            refineBtn.addEventListener('click', () => this.applyEdgeRefinement());
+        }
+
+        const closeBtn = document.getElementById('closeBackgroundReplace');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        this.setBackgroundType(this.backgroundType);
+    }
+
+    /**
+     * Open the panel for a cutout made by BackgroundRemovalManager
+     * @param {object} target - { layerId, imageNode, original, cutout }
+     */
+    show(target) {
+        this.target = { ...target, refined: null };
+        this.backgroundLayerId = null;
+        this.showStatus('');
+
+        if (this.elements.panel) {
+            this.elements.panel.style.display = '';
+            this.elements.panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    hide() {
+        this.target = null;
+        this.backgroundLayerId = null;
+        if (this.elements.panel) {
+            this.elements.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show the options of a background type
+     * @param {string} type - 'color', 'gradient', 'image', 'blur' or 'ai'
+     */
+    setBackgroundType(type) {
+        this.backgroundType = type;
+        this.elements.typeButtons.forEach(button => button.classList.toggle('active', button.dataset.bgType === type));
+        this.elements.options.forEach(options => {
+            options.style.display = options.dataset.bgOptions === type ? '' : 'none';
+        });
+    }
+
+    /**
+     * Load an uploaded background image
+     * @param {File} file - Image file
+     */
+    async handleImageSelect(file) {
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            this.showStatus('Please choose an image file', 'error');
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            this.uploadedImage = await BackgroundReplaceManager.loadImage(url);
+            this.showStatus(`Background image: ${file.name}`, 'info');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * The cutout the panel works on, if it is still on the canvas
+     * @returns {object} Target
+     */
+    getTarget() {
+        const target = this.target;
+        const layerManager = this.app.modules.editor && this.app.modules.editor.layerManager;
+        if (!target || !layerManager || !layerManager.getLayer(target.layerId) || !target.imageNode.getStage()) {
+            throw new Error('The cutout is no longer on the canvas - remove the background again');
+        }
+
+        const image = target.imageNode.image();
+        if (image !== target.cutout && image !== target.refined) {
+            throw new Error('The cutout layer has changed since the background was removed - remove the background again');
+        }
+
+        if (layerManager.isLocked(target.layerId)) {
+            throw new Error(`Layer "${layerManager.getLayer(target.layerId).name}" is locked`);
+        }
+
+        return target;
+    }
+
+    /**
+     * Put the chosen background on a layer below the cutout (or replace the one made before)
+     * @returns {Promise<void>}
+     */
+    async applyBackground() {
+        if (this.isProcessing) return;
+
+        let target;
+        try {
+            target = this.getTarget();
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            const canvas = await this.renderBackground(target);
+            if (!canvas) return;
+
+            await this.placeBackground(target, canvas);
+            this.showStatus('Background applied - it is on its own layer below the cutout', 'success');
+            console.log(`✅ [BG REPLACE] ${this.backgroundType} background applied`);
+        } catch (error) {
+            if (this.app.modules.gemini.isCancelled(error)) {
+                this.showStatus('Background generation cancelled', 'info');
+                return;
+            }
+
+            console.error('❌ [BG REPLACE] Failed to apply background:', error);
+            this.showStatus(`Failed to apply background: ${error.message}`, 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Draw the chosen background at the cutout's size
+     * @param {object} target - Target
+     * @returns {Promise<HTMLCanvasElement|null>} Background, or null when something is missing
+     */
+    async renderBackground(target) {
+        const width = target.imageNode.width();
+        const height = target.imageNode.height();
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const value = (id) => document.getElementById(id).value;
+
+        switch (this.backgroundType) {
+            case 'color':
+                ctx.fillStyle = value('bgColorInput');
+                ctx.fillRect(0, 0, width, height);
+                break;
+
+            case 'gradient': {
+                const style = value('bgGradientStyle');
+                const gradient = style === 'radial'
+                    ? ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2)
+                    : ctx.createLinearGradient(0, 0, style === 'vertical' ? 0 : width, style === 'horizontal' ? 0 : height);
+                gradient.addColorStop(0, value('bgGradientStart'));
+                gradient.addColorStop(1, value('bgGradientEnd'));
+                ctx.fillStyle = gradient;
+                ctx.fillRect(0, 0, width, height);
+                break;
+            }
+
+            case 'image':
+                if (!this.uploadedImage) {
+                    this.showStatus('Choose a background image first', 'error');
+                    return null;
+                }
+                BackgroundReplaceManager.drawCover(ctx, this.uploadedImage, width, height);
+                break;
+
+            case 'blur': {
+                // Drawn larger than the frame so the blur does not fade out at the edges
+                const radius = Math.max(1, Math.round(Math.max(width, height) * parseFloat(value('bgBlurInput')) / 1000));
+                ctx.filter = `blur(${radius}px)`;
+                ctx.drawImage(target.original, -radius * 2, -radius * 2, width + radius * 4, height + radius * 4);
+                ctx.filter = 'none';
+                break;
+            }
+
+            case 'ai': {
+                const scene = value('bgScenePrompt').trim();
+                if (!scene) {
+                    this.showStatus('Describe the scene to generate', 'error');
+                    return null;
+                }
+                if (!this.app.state.apiKeyValid) {
+                    this.showStatus('Please enter and validate your API key first', 'error');
+                    return null;
+                }
+
+                const scenery = await this.generateScene(target, scene);
+                BackgroundReplaceManager.drawCover(ctx, scenery, width, height);
+                break;
+            }
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Generate a scene around the subject with an AI edit of the original image
+     * The subject is later covered by the cutout, so only the scene behind it matters
+     * @param {object} target - Target
+     * @param {string} scene - Scene description
+     * @returns {Promise<HTMLImageElement>} Generated image
+     */
+    async generateScene(target, scene) {
+        const width = target.imageNode.width();
+        const height = target.imageNode.height();
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(target.original, 0, 0, width, height);
+
+        const ui = this.app.modules.ui;
+        ui.showLoading('Generating Background...', 'This may take 10-30 seconds', { cancellable: true });
+        try {
+            const prompt = `Replace the background of this image with ${scene}. Keep the main subject in exactly the same place, ` +
+                'size and pose, and match the lighting and perspective of the new scene to it.';
+            const imageUrl = await this.app.modules.gemini.editImage(canvas.toDataURL('image/png'), prompt, {
+                preserveOriginal: false,
+                parentImageId: this.app.modules.gallery.getActiveImageId()
+            });
+            if (!imageUrl) {
+                throw new Error('No image data returned from API');
+            }
+
+            return await BackgroundReplaceManager.loadImage(imageUrl);
+        } finally {
+            ui.hideLoading();
+        }
+    }
+
+    /**
+     * Add the background as a new layer right below the cutout, or swap the bitmap of the one made before
+     * @param {object} target - Target
+     * @param {HTMLCanvasElement} canvas - Background
+     * @returns {Promise<void>}
+     */
+    async placeBackground(target, canvas) {
+        const editor = this.app.modules.editor;
+        const { layerManager, history } = editor;
+        const label = 'Replace Background';
+        const icon = 'fas fa-fill-drip';
+
+        const existing = this.backgroundLayerId && layerManager.getLayer(this.backgroundLayerId);
+        const existingNode = existing && existing.konvaLayer.findOne('Image');
+        if (existingNode && !layerManager.isLocked(existing.id)) {
+            const beforeImage = existingNode.image();
+            const beforeAttrs = editor.getImageAttrs(existingNode);
+            existingNode.setAttrs({ image: canvas, width: canvas.width, height: canvas.height });
+            existing.konvaLayer.batchDraw();
+            layerManager.updateLayerThumbnail(existing.id);
+            await editor.recordBitmapChange(label, existingNode, beforeImage, beforeAttrs, icon);
+            return;
+        }
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const imageObj = await editor.loadImageElement(URL.createObjectURL(blob));
+        const cutoutNode = target.imageNode;
+
+        const added = history.group(label, () => {
+            layerManager.setActiveLayer(target.layerId);
+            const layer = layerManager.addLayer('Background');
+            if (!layer) return false;
+
+            layerManager.moveLayerNextTo(layer.id, target.layerId, 'below');
+            editor.addImageToLayer(imageObj, layer.id, { label });
+
+            // Exactly behind the cutout
+            editor.imageNode.setAttrs(editor.getTransformAttrs(cutoutNode));
+            layer.konvaLayer.batchDraw();
+            layerManager.updateLayerThumbnail(layer.id);
+
+            this.backgroundLayerId = layer.id;
+            editor.imageNode = cutoutNode;
+            layerManager.setActiveLayer(target.layerId);
+            return true;
+        }, icon);
+
+        if (!added) {
+            throw new Error('Layer memory limit reached. Merge or delete layers to add more.');
+        }
+    }
+
+    /**
+     * Refine the cutout's edges from the untouched cutout with the panel's settings
+     * @returns {Promise<void>}
+     */
+    async applyEdgeRefinement() {
+        if (this.isProcessing) return;
+
+        let target;
+        try {
+            target = this.getTarget();
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+            return;
+        }
+
+        const settings = {
+            feather: parseFloat(document.getElementById('bgFeatherInput').value) || 0,
+            shift: parseFloat(document.getElementById('bgShiftInput').value) || 0,
+            decontaminate: document.getElementById('bgDecontaminateInput').checked
+        };
+
+        this.isProcessing = true;
+        try {
+            const editor = this.app.modules.editor;
+            const node = target.imageNode;
+            const { width, height } = target.cutout;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(target.cutout, 0, 0);
+            ctx.putImageData(BackgroundReplaceManager.refineEdges(ctx.getImageData(0, 0, width, height), settings), 0, 0);
+
+            const beforeImage = node.image();
+            const beforeAttrs = editor.getImageAttrs(node);
+            node.image(canvas);
+            target.refined = canvas;
+
+            if (node.isCached()) {
+                node.cache();
+            }
+            node.getLayer().batchDraw();
+            editor.layerManager.updateLayerThumbnail(target.layerId);
+
+            await editor.recordBitmapChange('Refine Edges', node, beforeImage, beforeAttrs, 'fas fa-wand-magic');
+            this.showStatus('Edges refined', 'success');
+            console.log('✅ [BG REPLACE] Edges refined:', settings);
+        } catch (error) {
+            console.error('❌ [BG REPLACE] Failed to refine edges:', error);
+            this.showStatus(`Failed to refine edges: ${error.message}`, 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    showStatus(message, type) {
+        if (!this.elements.status) return;
+
+        this.elements.status.textContent = message;
+        this.elements.status.className = 'generation-status';
+        this.elements.status.style.display = message ? 'block' : 'none';
+
+        if (type) {
+            this.elements.status.classList.add(type);
+        }
+    }
+
+    /**
+     * Refine the alpha edge of a cutout
+     * Shift grows (positive) or shrinks (negative) the subject, feather softens the edge, and
+     * decontamination replaces the colors of edge pixels (still tinted by the old background) with
+     * colors from inside the subject. Pixels that become visible always get colors from inside.
+     * @param {ImageData} imageData - Cutout
+     * @param {object} settings - { feather, shift, decontaminate } (pixels, pixels, boolean)
+     * @returns {ImageData} Refined cutout (same object)
+     */
+    static refineEdges(imageData, { feather = 0, shift = 0, decontaminate = false }) {
+        const { width, height, data } = imageData;
+        const size = width * height;
+        const originalAlpha = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            originalAlpha[i] = data[i * 4 + 3];
+        }
+
+        let alpha = originalAlpha;
+        if (shift) {
+            alpha = BackgroundReplaceManager.morphology(alpha, width, height, Math.round(Math.abs(shift)), shift > 0);
+        }
+        if (feather) {
+            // Two box blurs come close to a gaussian
+            const radius = Math.max(1, Math.round(feather / 2));
+            alpha = BackgroundReplaceManager.boxBlur(alpha, width, height, radius);
+            alpha = BackgroundReplaceManager.boxBlur(alpha, width, height, radius);
+        }
+
+        // Interior colors averaged around each pixel, weighted by solid subject pixels
+        const solid = BackgroundReplaceManager.decontaminateThreshold;
+        const weight = new Float32Array(size);
+        const channels = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+        for (let i = 0; i < size; i++) {
+            if (originalAlpha[i] >= solid) {
+                weight[i] = 1;
+                channels[0][i] = data[i * 4];
+                channels[1][i] = data[i * 4 + 1];
+                channels[2][i] = data[i * 4 + 2];
+            }
+        }
+
+        const radius = BackgroundReplaceManager.decontaminateRadius + Math.max(0, Math.round(shift)) + Math.round(feather);
+        const weightSum = BackgroundReplaceManager.boxBlur(weight, width, height, radius);
+        const colorSums = channels.map(channel => BackgroundReplaceManager.boxBlur(channel, width, height, radius));
+
+        for (let i = 0; i < size; i++) {
+            const a = alpha[i];
+            data[i * 4 + 3] = a;
+
+            const recolor = a > 0 && originalAlpha[i] < solid && (decontaminate || originalAlpha[i] === 0);
+            if (recolor && weightSum[i] > 0) {
+                data[i * 4] = colorSums[0][i] / weightSum[i];
+                data[i * 4 + 1] = colorSums[1][i] / weightSum[i];
+                data[i * 4 + 2] = colorSums[2][i] / weightSum[i];
+            }
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Box blur (separable running sums, edges clamped)
+     * @param {Float32Array} values - One value per pixel
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} radius - Radius in pixels
+     * @returns {Float32Array} Blurred values
+     */
+    static boxBlur(values, width, height, radius) {
+        const pass = (source, length, lines, stride, step) => {
+            const target = new Float32Array(source.length);
+            const span = radius * 2 + 1;
+            for (let line = 0; line < lines; line++) {
+                const start = line * stride;
+                const at = (i) => source[start + Math.min(length - 1, Math.max(0, i)) * step];
+                let sum = 0;
+                for (let i = -radius; i <= radius; i++) sum += at(i);
+                for (let i = 0; i < length; i++) {
+                    target[start + i * step] = sum / span;
+                    sum += at(i + radius + 1) - at(i - radius);
+                }
+            }
+            return target;
+        };
+
+        return pass(pass(values, width, height, width, 1), height, width, 1, width);
+    }
+
+    /**
+     * Grow (maximum) or shrink (minimum) values within a square of the given radius
+     * @param {Float32Array} values - One value per pixel
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} radius - Radius in pixels
+     * @param {boolean} grow - Maximum if true, minimum otherwise
+     * @returns {Float32Array} Result
+     */
+    static morphology(values, width, height, radius, grow) {
+        const pick = grow ? Math.max : Math.min;
+        const pass = (source, length, lines, stride, step) => {
+            const target = new Float32Array(source.length);
+            for (let line = 0; line < lines; line++) {
+                const start = line * stride;
+                for (let i = 0; i < length; i++) {
+                    let value = source[start + i * step];
+                    for (let j = Math.max(0, i - radius); j <= Math.min(length - 1, i + radius); j++) {
+                        value = pick(value, source[start + j * step]);
+                    }
+                    target[start + i * step] = value;
+                }
+            }
+            return target;
+        };
+
+        return pass(pass(values, width, height, width, 1), height, width, 1, width);
+    }
+
+    /**
+     * Draw an image so it covers the whole area (cropping what sticks out)
+     * @param {CanvasRenderingContext2D} ctx - Context
+     * @param {CanvasImageSource} image - Image
+     * @param {number} width - Area width
+     * @param {number} height - Area height
+     */
+    static drawCover(ctx, image, width, height) {
+        const scale = Math.max(width / image.width, height / image.height);
+        const drawWidth = image.width * scale;
+        const drawHeight = image.height * scale;
+        ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    /**
+     * Load an image element
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    static loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load the background image'));
+            image.src = url;
+        });
+    }
+}
+
+BackgroundReplaceManager.decontaminateThreshold = 250; // Alpha from which a pixel counts as solid subject
+BackgroundReplaceManager.decontaminateRadius = 4; // Pixels searched for subject colors around an edge pixel
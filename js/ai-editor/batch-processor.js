@@ -0,0 +1,430 @@
+/**
+ * Batch Processor
+ * Runs a fixed pipeline over many files without touching the canvas: remove background, trim
+ * transparent edges, pad to a square and export PNG/WebP at a target size. Files go one at a time
+ * through a RequestQueue into batch-worker.js; the results are downloaded as a ZIP together with a
+ * per-file report (report.csv).
+ */
+
+class BatchProcessor {
+    constructor(app) {
+        this.app = app;
+        this.files = []; // { file, path }
+        this.results = []; // { path, output, status, width, height, seconds, error }
+        this.archive = null; // Last ZIP
+        this.isRunning = false;
+        this.cancelled = false; // Cancel was pressed during the current run
+
+        this.worker = new WorkerClient(BatchProcessor.workerUrl, { type: 'module', name: 'batch worker' });
+
+        // The model is memory hungry, so files are processed one after another
+        this.queue = new RequestQueue({ concurrency: 1 });
+
+        this.elements = {};
+
+        console.log('📦 [BATCH] Batch Processor initialized');
+    }
+
+    /**
+     * Setup event listeners for the Batch Processing panel
+     */
+    setupEventListeners() {
+        const byId = (id) => document.getElementById(id);
+        this.elements = {
+            dropZone: byId('batchDropZone'),
+            folderInput: byId('batchFolderInput'),
+            filesInput: byId('batchFilesInput'),
+            fileCount: byId('batchFileCount'),
+            clearBtn: byId('batchClearBtn'),
+            startBtn: byId('batchStartBtn'),
+            cancelBtn: byId('batchCancelBtn'),
+            downloadBtn: byId('batchDownloadBtn'),
+            progress: byId('batchProgress'),
+            progressFill: byId('batchProgressFill'),
+            progressText: byId('batchProgressText'),
+            report: byId('batchReport')
+        };
+
+        const { dropZone, folderInput, filesInput } = this.elements;
+        if (!dropZone) return;
+
+        byId('batchChooseFolderBtn').addEventListener('click', () => folderInput.click());
+        byId('batchChooseFilesBtn').addEventListener('click', () => filesInput.click());
+
+        [folderInput, filesInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.addFiles([...input.files].map(file => ({ file, path: file.webkitRelativePath || file.name })));
+                input.value = '';
+            });
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+
+        dropZone.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.addFiles(await BatchProcessor.collectDroppedFiles(e.dataTransfer));
+        });
+
+        this.elements.clearBtn.addEventListener('click', () => this.clearFiles());
+        this.elements.startBtn.addEventListener('click', () => this.run());
+        this.elements.cancelBtn.addEventListener('click', () => this.cancel());
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadArchive());
+
+        this.updateFileCount();
+    }
+
+    /**
+     * Add image files to the batch (files already added under the same path are skipped)
+     * @param {Array<{file: File, path: string}>} entries - Files with their path inside the dropped folder
+     */
+    addFiles(entries) {
+        if (this.isRunning) return;
+
+        const known = new Set(this.files.map(entry => entry.path));
+        const images = entries.filter(({ file }) => BatchProcessor.isImageFile(file));
+        const added = images.filter(entry => !known.has(entry.path));
+
+        if (this.files.length + added.length > BatchProcessor.maxFiles) {
+            this.app.modules.ui.showNotification(`A batch can hold up to ${BatchProcessor.maxFiles} files`, 'error', 4000);
+            added.length = Math.max(0, BatchProcessor.maxFiles - this.files.length);
+        }
+
+        this.files.push(...added);
+
+        const skipped = entries.length - images.length;
+        if (skipped > 0) {
+            this.app.modules.ui.showNotification(`Skipped ${skipped} file${skipped === 1 ? '' : 's'} that are not images`, 'info', 3000);
+        }
+
+        console.log(`📦 [BATCH] Added ${added.length} file(s), ${this.files.length} in the batch`);
+        this.updateFileCount();
+    }
+
+    clearFiles() {
+        if (this.isRunning) return;
+
+        this.files = [];
+        this.results = [];
+        this.archive = null;
+        this.elements.report.innerHTML = '';
+        this.elements.progress.style.display = 'none';
+        this.elements.downloadBtn.style.display = 'none';
+        this.updateFileCount();
+    }
+
+    updateFileCount() {
+        const count = this.files.length;
+        this.elements.fileCount.textContent = count
+            ? `${count} image${count === 1 ? '' : 's'} ready`
+            : 'No images added';
+        this.elements.clearBtn.disabled = count === 0 || this.isRunning;
+        this.elements.startBtn.disabled = count === 0 || this.isRunning;
+    }
+
+    /**
+     * Read the pipeline settings from the panel
+     * @returns {object} Worker options
+     */
+    getOptions() {
+        const format = document.getElementById('batchFormat').value;
+        return {
+            removeBackground: document.getElementById('batchRemoveBg').checked,
+            trim: document.getElementById('batchTrim').checked,
+            padSquare: document.getElementById('batchPadSquare').checked,
+            size: Math.max(0, Math.min(BatchProcessor.maxSize, parseInt(document.getElementById('batchSize').value, 10) || 0)),
+            format,
+            quality: format === 'image/webp' ? BatchProcessor.webpQuality : undefined,
+            trimThreshold: BatchProcessor.trimThreshold
+        };
+    }
+
+    /**
+     * Process every file in the batch, then build and download the ZIP
+     * @returns {Promise<void>}
+     */
+    async run() {
+        if (this.isRunning || this.files.length === 0) return;
+
+        const options = this.getOptions();
+        const files = [...this.files];
+        const extension = BatchProcessor.extensions[options.format];
+        const outputNames = new Set();
+
+        this.isRunning = true;
+        this.cancelled = false;
+        this.results = [];
+        this.archive = null;
+        this.elements.report.innerHTML = '';
+        this.elements.progress.style.display = '';
+        this.elements.cancelBtn.style.display = '';
+        this.elements.downloadBtn.style.display = 'none';
+        this.updateFileCount();
+        this.updateProgress(0, files.length);
+
+        console.log(`📦 [BATCH] Processing ${files.length} file(s)`, options);
+        const started = performance.now();
+
+        try {
+            const jobs = files.map(({ file, path }) => this.queue.add(async (signal) => {
+                const fileStarted = performance.now();
+                const result = { path, output: null, status: 'failed', width: null, height: null, seconds: 0, error: null };
+
+                try {
+                    this.updateProgress(this.results.length, files.length, path);
+                    const processed = await this.processFile(file, options, signal, (stage) => {
+                        this.updateProgress(this.results.length, files.length, path, stage);
+                    });
+
+                    result.output = BatchProcessor.uniqueName(path.replace(/\.[^./]+$/, '') + `.${extension}`, outputNames);
+                    result.blob = processed.blob;
+                    result.width = processed.width;
+                    result.height = processed.height;
+                    result.status = 'ok';
+                } catch (error) {
+                    result.status = RequestQueue.isAbortError(error) ? 'cancelled' : 'failed';
+                    result.error = error.message;
+                    console.warn(`⚠️ [BATCH] ${path}: ${error.message}`);
+                }
+
+                result.seconds = (performance.now() - fileStarted) / 1000;
+                this.addResult(result);
+                this.updateProgress(this.results.length, files.length);
+                return result;
+            }, path).catch(error => {
+                // Still waiting when the batch was cancelled
+                const result = { path, output: null, status: 'cancelled', width: null, height: null, seconds: 0, error: error.message };
+                this.addResult(result);
+                return result;
+            }));
+
+            await Promise.all(jobs);
+
+            const succeeded = this.results.filter(result => result.status === 'ok').length;
+            const failed = this.results.length - succeeded;
+            const seconds = ((performance.now() - started) / 1000).toFixed(1);
+            console.log(`✅ [BATCH] Done in ${seconds}s: ${succeeded} succeeded, ${failed} failed or cancelled`);
+
+            // Nothing to download: the per-file report above shows what happened
+            if (this.cancelled || succeeded === 0) {
+                this.elements.progressText.textContent = this.cancelled
+                    ? `Cancelled - ${succeeded} of ${this.results.length} processed, no ZIP created`
+                    : `No files could be processed in ${seconds}s`;
+                return;
+            }
+
+            this.elements.progressText.textContent = 'Building ZIP...';
+            this.archive = await this.buildArchive();
+            this.elements.progressText.textContent =
+                `${succeeded} of ${this.results.length} processed in ${seconds}s${failed ? ` - ${failed} failed or cancelled (see report.csv)` : ''}`;
+            this.elements.downloadBtn.style.display = '';
+            this.downloadArchive();
+
+        } catch (error) {
+            console.error('❌ [BATCH] Error:', error);
+            this.elements.progressText.textContent = `Batch failed: ${error.message}`;
+            this.app.modules.ui.showNotification(`Batch failed: ${error.message}`, 'error', 5000);
+        } finally {
+            this.isRunning = false;
+            this.elements.cancelBtn.style.display = 'none';
+            this.updateFileCount();
+        }
+    }
+
+    /**
+     * Cancel the waiting files and the one being processed
+     */
+    cancel() {
+        if (!this.isRunning) return;
+
+        this.cancelled = true;
+        this.queue.cancelAll('Batch cancelled');
+        this.elements.progressText.textContent = 'Cancelling...';
+    }
+
+    /**
+     * Run one file through the worker
+     * @param {File} file - Source image
+     * @param {object} options - Pipeline options
+     * @param {AbortSignal} signal - Cancels the file (the worker is restarted, since the model cannot be interrupted)
+     * @param {function} onProgress - Called with the current stage
+     * @returns {Promise<{blob: Blob, width: number, height: number}>} Result
+     */
+    processFile(file, options, signal, onProgress) {
+        if (signal.aborted) {
+            return Promise.reject(RequestQueue.createAbortError('Batch cancelled'));
+        }
+
+        signal.addEventListener('abort', () => {
+            this.worker.terminate(RequestQueue.createAbortError('Batch cancelled'));
+        }, { once: true });
+
+        return this.worker.request('process', { file, options }, [], (message) => onProgress(message.stage));
+    }
+
+    /**
+     * Show the progress of the batch
+     * @param {number} done - Finished files
+     * @param {number} total - Files in the batch
+     * @param {string} current - File being processed
+     * @param {string} stage - Worker stage (model download or inference)
+     */
+    updateProgress(done, total, current = null, stage = null) {
+        this.elements.progressFill.style.width = `${total ? Math.round(done / total * 100) : 0}%`;
+
+        let text = `${done} of ${total} done`;
+        if (current) {
+            const step = stage && stage.startsWith('fetch') ? 'downloading the model (first use only)' : 'processing';
+            text += ` - ${step} ${current}`;
+        }
+        this.elements.progressText.textContent = text;
+    }
+
+    /**
+     * Record a finished file and add it to the report list
+     * @param {object} result - File result
+     */
+    addResult(result) {
+        this.results.push(result);
+
+        const item = document.createElement('li');
+        item.className = `batch-report-item ${result.status}`;
+
+        const icon = document.createElement('i');
+        icon.className = result.status === 'ok' ? 'fas fa-check' : result.status === 'cancelled' ? 'fas fa-ban' : 'fas fa-times';
+
+        const name = document.createElement('span');
+        name.className = 'batch-report-name';
+        name.textContent = result.path;
+        name.title = result.error || `${result.width}×${result.height}px`;
+
+        item.append(icon, name);
+        this.elements.report.appendChild(item);
+    }
+
+    /**
+     * Build the ZIP: the processed images (same folders as the source) and report.csv
+     * @returns {Promise<Blob>} ZIP file
+     */
+    async buildArchive() {
+        const JSZip = await GalleryArchive.loadJSZip();
+        const zip = new JSZip();
+
+        this.results
+            .filter(result => result.status === 'ok')
+            .forEach(result => zip.file(result.output, result.blob));
+
+        zip.file('report.csv', BatchProcessor.createReport(this.results));
+
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' }); // Images are already compressed
+    }
+
+    downloadArchive() {
+        if (!this.archive) return;
+
+        LayeredExporter.downloadBlob(this.archive, `batch-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.zip`);
+    }
+
+    /**
+     * Per-file report as CSV
+     * @param {object[]} results - File results
+     * @returns {string} CSV
+     */
+    static createReport(results) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = results.map(result => [
+            result.path,
+            result.status,
+            result.output,
+            result.width,
+            result.height,
+            result.seconds.toFixed(2),
+            result.error
+        ].map(escape).join(','));
+
+        return ['file,status,output,width,height,seconds,error', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Make an output path unique (photo.jpg and photo.png both become photo.png)
+     * @param {string} name - Wanted path
+     * @param {Set<string>} used - Paths already used (the result is added)
+     * @returns {string} Unique path
+     */
+    static uniqueName(name, used) {
+        let unique = name;
+        for (let i = 2; used.has(unique.toLowerCase()); i++) {
+            unique = name.replace(/(\.[^./]+)$/, `-${i}$1`);
+        }
+
+        used.add(unique.toLowerCase());
+        return unique;
+    }
+
+    /**
+     * @param {File} file - File
+     * @returns {boolean} True for image files the browser can decode
+     */
+    static isImageFile(file) {
+        return /^image\/(png|jpeg|webp|gif|bmp)$/.test(file.type) || /\.(png|jpe?g|webp|gif|bmp)$/i.test(file.name);
+    }
+
+    /**
+     * Every file in a drop, walking into dropped folders
+     * @param {DataTransfer} dataTransfer - Drop data
+     * @returns {Promise<Array<{file: File, path: string}>>} Files with their path inside the drop
+     */
+    static async collectDroppedFiles(dataTransfer) {
+        const entries = [...dataTransfer.items]
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+
+        // No entry API: plain files only
+        if (entries.length === 0) {
+            return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+        }
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path: entry.fullPath.replace(/^\//, '') });
+                return;
+            }
+
+            // readEntries returns the children in chunks until it returns none
+            const reader = entry.createReader();
+            let children;
+            do {
+                children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of children) {
+                    await walk(child);
+                }
+            } while (children.length > 0);
+        };
+
+        for (const entry of entries) {
+            await walk(entry);
+        }
+
+        return files;
+    }
+}
+
+BatchProcessor.workerUrl = 'js/ai-editor/batch-worker.js';
+BatchProcessor.extensions = { 'image/png': 'png', 'image/webp': 'webp' };
+BatchProcessor.maxFiles = 500;
+BatchProcessor.maxSize = 8192; // Largest target size in pixels
+BatchProcessor.webpQuality = 0.9;
+BatchProcessor.trimThreshold = 8; // Alpha at or below which a pixel is trimmed away
@@ -0,0 +1,125 @@
+/**
+ * Batch Worker (module worker)
+ * Runs the batch pipeline for one file at a time off the main thread: @imgly/background-removal,
+ * then trimming transparent edges, padding to a square and scaling to the target size on an
+ * OffscreenCanvas, and finally encoding PNG or WebP.
+ *
+ * Messages in:  { type: 'process', id, file, options }
+ *               options: { removeBackground, trim, padSquare, size, format, quality, trimThreshold }
+ * Messages out: { type: 'progress', id, stage, done, total }
+ *               { type: 'result', id, blob, width, height }
+ *               { type: 'error', id, message }
+ */
+
+const IMGLY_URL = 'https://cdn.jsdelivr.net/npm/@imgly/background-removal@1.7.0/+esm';
+
+let removeBackgroundFn = null;
+
+/**
+ * Load the background removal library once
+ * @returns {Promise<Function>} removeBackground
+ */
+async function loadLibrary() {
+    if (!removeBackgroundFn) {
+        try {
+            const module = await import(IMGLY_URL);
+            removeBackgroundFn = module.removeBackground || module.default;
+        } catch (error) {
+            throw new Error('Failed to load background removal library. Please check your internet connection.');
+        }
+    }
+
+    return removeBackgroundFn;
+}
+
+/**
+ * Bounds of the pixels whose alpha is above the threshold
+ * @param {ImageData} imageData - Pixels
+ * @param {number} threshold - Alpha at or below which a pixel counts as transparent
+ * @returns {{x: number, y: number, width: number, height: number}|null} Bounds, or null when nothing is visible
+ */
+function getOpaqueBounds({ width, height, data }, threshold) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > threshold) {
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                bottom = y;
+            }
+        }
+    }
+
+    return right < 0 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Run the pipeline on one file
+ * @param {object} request - Process message
+ */
+async function processFile({ id, file, options }) {
+    let source = file;
+
+    if (options.removeBackground) {
+        const removeBackground = await loadLibrary();
+        source = await removeBackground(file, {
+            output: { format: 'image/png' },
+            progress: (key, current, total) => {
+                postMessage({ type: 'progress', id, stage: key, done: current, total });
+            }
+        });
+    }
+
+    const bitmap = await createImageBitmap(source);
+    let crop = { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+
+    if (options.trim) {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        crop = getOpaqueBounds(ctx.getImageData(0, 0, bitmap.width, bitmap.height), options.trimThreshold);
+        if (!crop) {
+            bitmap.close();
+            throw new Error('Nothing is left after trimming - the whole image is transparent');
+        }
+    }
+
+    let frameWidth = crop.width;
+    let frameHeight = crop.height;
+    if (options.padSquare) {
+        frameWidth = frameHeight = Math.max(crop.width, crop.height);
+    }
+
+    // Scale so the longer side matches the target size (0 keeps the size)
+    const scale = options.size > 0 ? options.size / Math.max(frameWidth, frameHeight) : 1;
+    const width = Math.max(1, Math.round(frameWidth * scale));
+    const height = Math.max(1, Math.round(frameHeight * scale));
+    const drawWidth = crop.width * scale;
+    const drawHeight = crop.height * scale;
+
+    const output = new OffscreenCanvas(width, height);
+    const ctx = output.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height,
+        (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    bitmap.close();
+
+    const blob = await output.convertToBlob({ type: options.format, quality: options.quality });
+    postMessage({ type: 'result', id, blob, width, height });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type !== 'process') return;
+
+    try {
+        await processFile(message);
+    } catch (error) {
+        postMessage({ type: 'error', id: message.id, message: error.message || String(error) });
+    }
+};
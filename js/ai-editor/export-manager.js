@@ -0,0 +1,853 @@
+/**
+ * Export Manager Module
+ * Image export presets (web, print, social sizes), resizing, target file size search,
+ * embedded metadata (DPI and an XMP packet with the prompt) and batch export to a ZIP
+ */
+
+class ExportManager {
+    constructor(app) {
+        this.app = app;
+        this.mimeTypes = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp', avif: 'image/avif' };
+        this.extensions = { png: 'png', jpeg: 'jpg', webp: 'webp', avif: 'avif' };
+        this.supportedFormats = new Set(['png', 'jpeg']);
+
+        // UI Elements
+        this.elements = {
+            presetSelect: null,
+            formatSelect: null,
+            qualitySlider: null,
+            qualityValue: null,
+            dpiInput: null,
+            targetSizeInput: null,
+            metadataCheckbox: null,
+            batchList: null,
+            batchBtn: null
+        };
+
+        console.log('📐 [EXPORT] Export Manager initialized');
+    }
+
+    /**
+     * Initialize the Export Manager
+     */
+    initialize() {
+        this.cacheElements();
+        this.renderPresetOptions();
+        this.attachEventListeners();
+
+        this.detectFormats().then(() => this.updateFormatOptions());
+        console.log('✅ [EXPORT] Export Manager ready');
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements.presetSelect = document.getElementById('exportPreset');
+        this.elements.formatSelect = document.getElementById('exportFormat');
+        this.elements.qualitySlider = document.getElementById('exportQuality');
+        this.elements.qualityValue = document.getElementById('qualityValue');
+        this.elements.dpiInput = document.getElementById('exportDpi');
+        this.elements.targetSizeInput = document.getElementById('exportTargetSize');
+        this.elements.metadataCheckbox = document.getElementById('exportMetadata');
+        this.elements.batchList = document.getElementById('exportBatchList');
+        this.elements.batchBtn = document.getElementById('exportBatchBtn');
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.addEventListener('change', () => this.applyPreset(this.elements.presetSelect.value));
+        }
+
+        if (this.elements.batchList) {
+            this.elements.batchList.addEventListener('change', () => this.updateBatchButton());
+        }
+
+        if (this.elements.batchBtn) {
+            this.elements.batchBtn.addEventListener('click', () => this.app.handleBatchExport());
+        }
+    }
+
+    /**
+     * Fill the preset dropdown and the batch checklist
+     */
+    renderPresetOptions() {
+        const presets = this.getPresets();
+        const groups = [...new Set(presets.map(preset => preset.group))];
+
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.innerHTML = groups.map(group => `
+                <optgroup label="${group}">
+                    ${presets.filter(preset => preset.group === group)
+                        .map(preset => `<option value="${preset.id}">${preset.label}</option>`).join('')}
+                </optgroup>
+            `).join('');
+        }
+
+        if (this.elements.batchList) {
+            this.elements.batchList.innerHTML = groups.map(group => `
+                <div class="export-batch-group">
+                    <span class="export-batch-group-title">${group}</span>
+                    ${presets.filter(preset => preset.group === group && preset.source !== 'view').map(preset => `
+                        <label class="export-batch-item">
+                            <input type="checkbox" value="${preset.id}">
+                            <span>${preset.label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `).join('');
+        }
+
+        this.updateBatchButton();
+    }
+
+    /**
+     * Enable the batch button when at least one size is ticked
+     */
+    updateBatchButton() {
+        if (this.elements.batchBtn) {
+            this.elements.batchBtn.disabled = this.getBatchPresetIds().length === 0;
+        }
+    }
+
+    /**
+     * Get the preset ids ticked in the batch checklist
+     * @returns {string[]} Preset ids
+     */
+    getBatchPresetIds() {
+        if (!this.elements.batchList) return [];
+        return [...this.elements.batchList.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+    }
+
+    /**
+     * All export presets: the fixed ones plus one per Ad Studio platform format
+     * @returns {object[]} Presets ({ id, group, label, source, fit, width, height, format, quality, dpi, targetKB })
+     */
+    getPresets() {
+        const adStudio = this.app.modules.adStudio;
+        const platformFormats = adStudio ? adStudio.platformFormats : {};
+
+        const social = Object.entries(platformFormats).flatMap(([platform, formats]) => formats.map(format => ({
+            id: `${platform}-${format.value}`,
+            group: 'Social',
+            label: `${platform.charAt(0).toUpperCase() + platform.slice(1)} ${format.label.replace(/\s*\(.*\)$/, '')} (${format.width}×${format.height})`,
+            source: 'image',
+            fit: 'cover',
+            width: format.width,
+            height: format.height,
+            format: 'jpeg',
+            quality: 0.9,
+            dpi: 72
+        })));
+
+        return [...ExportManager.presets, ...social];
+    }
+
+    /**
+     * Find a preset by id
+     * @param {string} id - Preset id
+     * @returns {object|null} Preset
+     */
+    getPreset(id) {
+        return this.getPresets().find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * Put a preset's format, quality, DPI and target size into the export controls
+     * @param {string} id - Preset id
+     */
+    applyPreset(id) {
+        const preset = this.getPreset(id);
+        if (!preset) return;
+
+        const { formatSelect, qualitySlider, qualityValue, dpiInput, targetSizeInput } = this.elements;
+
+        if (formatSelect && preset.format) {
+            formatSelect.value = this.resolveFormat(preset.format);
+        }
+        if (qualitySlider && preset.quality) {
+            qualitySlider.value = preset.quality;
+            if (qualityValue) qualityValue.textContent = `${Math.round(preset.quality * 100)}%`;
+        }
+        if (dpiInput) {
+            dpiInput.value = preset.dpi || 72;
+        }
+        if (targetSizeInput) {
+            targetSizeInput.value = preset.targetKB || '';
+        }
+
+        console.log('📐 [EXPORT] Preset applied:', preset.id);
+    }
+
+    /**
+     * Read the export controls into export options
+     * @returns {object} { preset, format, quality, dpi, maxBytes, metadata }
+     */
+    getOptions() {
+        const { presetSelect, formatSelect, qualitySlider, dpiInput, targetSizeInput, metadataCheckbox } = this.elements;
+        const targetKB = targetSizeInput ? parseFloat(targetSizeInput.value) : NaN;
+
+        return {
+            preset: this.getPreset(presetSelect ? presetSelect.value : 'canvas') || ExportManager.presets[0],
+            format: this.resolveFormat(formatSelect ? formatSelect.value : 'png'),
+            quality: qualitySlider ? parseFloat(qualitySlider.value) : 0.9,
+            dpi: Math.max(1, parseInt(dpiInput && dpiInput.value, 10) || 72),
+            maxBytes: targetKB > 0 ? Math.round(targetKB * 1024) : null,
+            metadata: metadataCheckbox ? metadataCheckbox.checked : true
+        };
+    }
+
+    // ==================== FORMATS ====================
+
+    /**
+     * Find out which optional formats this browser can encode: canvas.toBlob silently
+     * falls back to PNG for types it does not support
+     * @returns {Promise<Set<string>>} Supported format names
+     */
+    async detectFormats() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 2;
+
+        for (const format of ['webp', 'avif']) {
+            try {
+                const blob = await this.toBlob(canvas, this.mimeTypes[format], 0.8);
+                if (blob && blob.type === this.mimeTypes[format]) {
+                    this.supportedFormats.add(format);
+                }
+            } catch (error) {
+                console.warn(`⚠️ [EXPORT] Could not test ${format} support:`, error);
+            }
+        }
+
+        console.log('📐 [EXPORT] Supported formats:', [...this.supportedFormats].join(', '));
+        return this.supportedFormats;
+    }
+
+    /**
+     * Show only the formats this browser can encode in the format dropdown
+     */
+    updateFormatOptions() {
+        const formatSelect = this.elements.formatSelect;
+        if (!formatSelect) return;
+
+        [...formatSelect.options].forEach(option => {
+            const supported = this.supportedFormats.has(option.value);
+            option.hidden = !supported;
+            option.disabled = !supported;
+        });
+
+        formatSelect.value = this.resolveFormat(formatSelect.value);
+    }
+
+    /**
+     * Fall back to a format the browser can encode (AVIF → WebP → JPEG)
+     * @param {string} format - Requested format
+     * @returns {string} Format to use
+     */
+    resolveFormat(format) {
+        const fallbacks = { avif: 'webp', webp: 'jpeg' };
+        let resolved = format in this.mimeTypes ? format : 'png';
+        while (!this.supportedFormats.has(resolved)) {
+            resolved = fallbacks[resolved] || 'png';
+        }
+        return resolved;
+    }
+
+    /**
+     * Whether a format has a quality setting
+     * @param {string} format - Format name
+     * @returns {boolean} True for lossy formats
+     */
+    isLossy(format) {
+        return format !== 'png';
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Render the image for a preset: the canvas as shown, or the main image area at its native resolution
+     * @param {object} preset - Preset
+     * @returns {HTMLCanvasElement} Rendered canvas
+     */
+    renderSource(preset) {
+        const editor = this.app.modules.editor;
+        if (!editor) {
+            throw new Error('No image to export');
+        }
+
+        if (preset.source === 'view') {
+            return editor.renderComposite();
+        }
+
+        return editor.renderComposite(this.app.modules.layeredExport.getDocumentFrame());
+    }
+
+    /**
+     * Resize a canvas for a preset
+     * 'contain' fits inside width × height without upscaling, 'cover' fills exactly width × height
+     * and crops the overflow from the center
+     * @param {HTMLCanvasElement} source - Source canvas
+     * @param {object} preset - Preset ({ fit, width, height })
+     * @returns {HTMLCanvasElement} Resized canvas (the source itself when no resize is needed)
+     */
+    resizeForPreset(source, preset) {
+        if (!preset.fit || !preset.width || !preset.height) {
+            return source;
+        }
+
+        if (preset.fit === 'cover') {
+            const scale = Math.max(preset.width / source.width, preset.height / source.height);
+            const cropWidth = preset.width / scale;
+            const cropHeight = preset.height / scale;
+            return this.resample(source, {
+                x: (source.width - cropWidth) / 2,
+                y: (source.height - cropHeight) / 2,
+                width: cropWidth,
+                height: cropHeight
+            }, preset.width, preset.height);
+        }
+
+        const scale = Math.min(preset.width / source.width, preset.height / source.height, 1);
+        if (scale === 1) {
+            return source;
+        }
+        return this.resample(source, { x: 0, y: 0, width: source.width, height: source.height },
+            Math.round(source.width * scale), Math.round(source.height * scale));
+    }
+
+    /**
+     * Scale part of a canvas to a new size, halving step by step when shrinking a lot so
+     * the result is not aliased
+     * @param {HTMLCanvasElement} source - Source canvas
+     * @param {object} rect - Source rectangle { x, y, width, height }
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {HTMLCanvasElement} Resampled canvas
+     */
+    resample(source, rect, width, height) {
+        let current = source;
+        let area = rect;
+
+        while (area.width / 2 > width && area.height / 2 > height) {
+            const step = this.createCanvas(Math.round(area.width / 2), Math.round(area.height / 2));
+            const ctx = step.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(current, area.x, area.y, area.width, area.height, 0, 0, step.width, step.height);
+            current = step;
+            area = { x: 0, y: 0, width: step.width, height: step.height };
+        }
+
+        const output = this.createCanvas(width, height);
+        const ctx = output.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(current, area.x, area.y, area.width, area.height, 0, 0, width, height);
+        return output;
+    }
+
+    /**
+     * Create a canvas of at least 1×1 pixels
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @returns {HTMLCanvasElement} Canvas
+     */
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width));
+        canvas.height = Math.max(1, Math.round(height));
+        return canvas;
+    }
+
+    // ==================== ENCODING ====================
+
+    /**
+     * Export the current image
+     * @param {object} options - { preset, format, quality, dpi, maxBytes, metadata }
+     * @param {HTMLCanvasElement} [source] - Already rendered source (reused by batch exports)
+     * @returns {Promise<object>} { blob, width, height, format, quality, fileExtension }
+     */
+    async exportImage(options, source = null) {
+        const preset = options.preset || ExportManager.presets[0];
+        const format = this.resolveFormat(options.format);
+        const canvas = this.resizeForPreset(source || this.renderSource(preset), preset);
+
+        // Metadata is embedded into every candidate, so the byte budget covers it too
+        const prompt = this.getPrompt();
+        const finish = options.metadata === false ? null : (encodedBlob, encodedCanvas) => this.embedMetadata(encodedBlob, format, {
+            dpi: options.dpi || 72,
+            width: encodedCanvas.width,
+            height: encodedCanvas.height,
+            prompt
+        });
+
+        const encoded = await this.encodeToTarget(canvas, format, options.quality, options.maxBytes, finish);
+        const { blob } = encoded;
+
+        if (options.maxBytes && blob.size > options.maxBytes) {
+            console.warn(`⚠️ [EXPORT] ${preset.id} is ${Math.round(blob.size / 1024)} KB, over the ${Math.round(options.maxBytes / 1024)} KB target`);
+        }
+
+        console.log(`📤 [EXPORT] ${preset.id}: ${encoded.canvas.width}×${encoded.canvas.height} ${format}` +
+            `${this.isLossy(format) ? ` @ ${Math.round(encoded.quality * 100)}%` : ''}, ${Math.round(blob.size / 1024)} KB`);
+
+        return {
+            blob,
+            width: encoded.canvas.width,
+            height: encoded.canvas.height,
+            format,
+            quality: this.isLossy(format) ? encoded.quality : null,
+            fileExtension: this.extensions[format]
+        };
+    }
+
+    /**
+     * Export the current image at several presets into one ZIP
+     * @param {string[]} presetIds - Preset ids
+     * @param {object} options - { metadata, name, onProgress(done, total) }
+     * @returns {Promise<Blob>} ZIP file
+     */
+    async createBatch(presetIds, options = {}) {
+        const JSZip = await GalleryArchive.loadJSZip();
+        const zip = new JSZip();
+        const presets = presetIds.map(id => this.getPreset(id)).filter(Boolean);
+        const baseName = (options.name || 'image').replace(/[^\w.-]+/g, '-');
+
+        // Every preset except the canvas view starts from the same full-resolution render
+        const source = this.renderSource({ source: 'image' });
+        const files = [];
+
+        for (const [index, preset] of presets.entries()) {
+            const result = await this.exportImage({
+                preset,
+                format: preset.format || 'png',
+                quality: preset.quality || 0.9,
+                dpi: preset.dpi || 72,
+                maxBytes: preset.targetKB ? preset.targetKB * 1024 : null,
+                metadata: options.metadata
+            }, source);
+
+            const file = `${baseName}-${preset.id}-${result.width}x${result.height}.${result.fileExtension}`;
+            zip.file(file, result.blob);
+            files.push({
+                file,
+                preset: preset.id,
+                label: preset.label,
+                width: result.width,
+                height: result.height,
+                format: result.format,
+                quality: result.quality,
+                dpi: preset.dpi || 72,
+                bytes: result.blob.size
+            });
+
+            if (options.onProgress) options.onProgress(index + 1, presets.length);
+        }
+
+        zip.file('manifest.json', JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            source: { width: source.width, height: source.height },
+            prompt: this.getPrompt(),
+            files
+        }, null, 2));
+
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' }); // Images are already compressed
+    }
+
+    /**
+     * Encode a canvas, searching for the highest quality that fits under a byte budget
+     * Lossy formats binary-search the quality first; if even the lowest quality (or a PNG)
+     * is too large, the image is scaled down and searched again
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @param {string} format - Format name
+     * @param {number} quality - Preferred (maximum) quality, 0-1
+     * @param {number|null} maxBytes - Byte budget, or null for none
+     * @param {Function} [finish] - (blob, canvas) => Promise<Blob>, applied to every candidate before
+     *   it is measured (e.g. embedding metadata)
+     * @returns {Promise<object>} { blob, quality, canvas }
+     */
+    async encodeToTarget(canvas, format, quality, maxBytes, finish = null) {
+        const encode = async (source, sourceQuality) => {
+            const encoded = await this.encode(source, format, sourceQuality);
+            return finish ? finish(encoded, source) : encoded;
+        };
+
+        let current = canvas;
+        let blob = await encode(current, quality);
+
+        if (!maxBytes || blob.size <= maxBytes) {
+            return { blob, quality, canvas: current };
+        }
+
+        for (let pass = 0; pass < ExportManager.maxResizePasses; pass++) {
+            if (this.isLossy(format)) {
+                let low = ExportManager.minQuality;
+                let high = quality;
+                let best = null;
+                let smallest = null;
+
+                for (let step = 0; step < ExportManager.qualitySearchSteps; step++) {
+                    const mid = (low + high) / 2;
+                    const candidate = await encode(current, mid);
+                    if (candidate.size <= maxBytes) {
+                        best = { blob: candidate, quality: mid, canvas: current };
+                        low = mid;
+                    } else {
+                        smallest = candidate;
+                        high = mid;
+                    }
+                }
+
+                if (best) {
+                    return best;
+                }
+                blob = smallest || blob;
+            }
+
+            // Pixel count scales roughly with file size
+            const scale = Math.min(Math.sqrt(maxBytes / blob.size) * 0.95, 0.9);
+            current = this.resample(current, { x: 0, y: 0, width: current.width, height: current.height },
+                Math.max(1, Math.round(current.width * scale)), Math.max(1, Math.round(current.height * scale)));
+            blob = await encode(current, quality);
+
+            if (blob.size <= maxBytes) {
+                return { blob, quality, canvas: current };
+            }
+        }
+
+        return { blob, quality: this.isLossy(format) ? ExportManager.minQuality : quality, canvas: current };
+    }
+
+    /**
+     * Encode a canvas in a format (JPEG is flattened onto white instead of black)
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {string} format - Format name
+     * @param {number} quality - Quality, 0-1 (ignored for PNG)
+     * @returns {Promise<Blob>} Encoded image
+     */
+    async encode(canvas, format, quality) {
+        let source = canvas;
+        if (format === 'jpeg') {
+            source = this.createCanvas(canvas.width, canvas.height);
+            const ctx = source.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, source.width, source.height);
+            ctx.drawImage(canvas, 0, 0);
+        }
+
+        const blob = await this.toBlob(source, this.mimeTypes[format], quality);
+        if (!blob || blob.type !== this.mimeTypes[format]) {
+            throw new Error(`This browser cannot export ${format.toUpperCase()} images`);
+        }
+        return blob;
+    }
+
+    /**
+     * Promise wrapper around canvas.toBlob
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {string} type - MIME type
+     * @param {number} quality - Quality, 0-1
+     * @returns {Promise<Blob|null>} Blob
+     */
+    toBlob(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    // ==================== METADATA ====================
+
+    /**
+     * Prompt of the image being exported: the active gallery image's prompt, else the prompt box
+     * @returns {string} Prompt ('' if none)
+     */
+    getPrompt() {
+        const gallery = this.app.modules.gallery;
+        const activeId = gallery ? gallery.getActiveImageId() : null;
+        const image = activeId ? gallery.getImage(activeId) : null;
+        if (image && image.prompt) {
+            return image.prompt;
+        }
+
+        const promptInput = document.getElementById('promptInput');
+        return promptInput ? promptInput.value.trim() : '';
+    }
+
+    /**
+     * Write DPI and an XMP packet into an encoded image
+     * PNG gets pHYs + iTXt chunks, JPEG a JFIF density + APP1 segment and WebP an XMP chunk;
+     * AVIF is returned unchanged
+     * @param {Blob} blob - Encoded image
+     * @param {string} format - Format name
+     * @param {object} metadata - { dpi, width, height, prompt }
+     * @returns {Promise<Blob>} Image with metadata
+     */
+    async embedMetadata(blob, format, metadata) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const xmp = new TextEncoder().encode(this.createXMP(metadata));
+
+        let result = null;
+        try {
+            if (format === 'png') {
+                result = this.embedPNG(bytes, metadata.dpi, xmp);
+            } else if (format === 'jpeg') {
+                result = this.embedJPEG(bytes, metadata.dpi, xmp);
+            } else if (format === 'webp') {
+                result = this.embedWebP(bytes, metadata, xmp);
+            }
+        } catch (error) {
+            console.warn('⚠️ [EXPORT] Could not embed metadata:', error);
+        }
+
+        return result ? new Blob([result], { type: blob.type }) : blob;
+    }
+
+    /**
+     * Build the XMP packet: prompt as dc:description, resolution as tiff fields
+     * @param {object} metadata - { dpi, prompt }
+     * @returns {string} XMP packet
+     */
+    createXMP(metadata) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const description = metadata.prompt ? `
+   <dc:description>
+    <rdf:Alt><rdf:li xml:lang="x-default">${escape(metadata.prompt)}</rdf:li></rdf:Alt>
+   </dc:description>` : '';
+
+        return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:tiff="http://ns.adobe.com/tiff/1.0/"
+    xmp:CreatorTool="AI Image Editor"
+    xmp:CreateDate="${new Date().toISOString()}"
+    tiff:XResolution="${metadata.dpi}/1"
+    tiff:YResolution="${metadata.dpi}/1"
+    tiff:ResolutionUnit="2">${description}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+    }
+
+    /**
+     * Insert pHYs and iTXt (XML:com.adobe.xmp) chunks after IHDR, replacing existing ones
+     * @param {Uint8Array} bytes - PNG file
+     * @param {number} dpi - Resolution
+     * @param {Uint8Array} xmp - XMP packet
+     * @returns {Uint8Array} PNG file
+     */
+    embedPNG(bytes, dpi, xmp) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const end = offset + 12 + length;
+            const isXMP = type === 'iTXt' && String.fromCharCode(...bytes.subarray(offset + 8, offset + 25)) === 'XML:com.adobe.xmp';
+            if (type !== 'pHYs' && !isXMP) {
+                chunks.push({ type, bytes: bytes.subarray(offset, end) });
+            }
+            offset = end;
+        }
+
+        if (!chunks.length || chunks[0].type !== 'IHDR') {
+            throw new Error('Not a PNG file');
+        }
+
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+        const phys = new Uint8Array(9);
+        const physView = new DataView(phys.buffer);
+        physView.setUint32(0, pixelsPerMeter);
+        physView.setUint32(4, pixelsPerMeter);
+        phys[8] = 1; // Unit: meter
+
+        // Keyword, null, compression flag + method, empty language tag and translated keyword
+        const keyword = new TextEncoder().encode('XML:com.adobe.xmp');
+        const itxt = this.concatBytes([keyword, new Uint8Array([0, 0, 0, 0, 0]), xmp]);
+
+        return this.concatBytes([
+            bytes.subarray(0, 8),
+            chunks[0].bytes,
+            this.createPNGChunk('pHYs', phys),
+            this.createPNGChunk('iTXt', itxt),
+            ...chunks.slice(1).map(chunk => chunk.bytes)
+        ]);
+    }
+
+    /**
+     * Build a PNG chunk (length, type, data, CRC)
+     * @param {string} type - Chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {Uint8Array} Chunk bytes
+     */
+    createPNGChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, ExportManager.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * Set the JFIF density to the DPI and add an XMP APP1 segment
+     * @param {Uint8Array} bytes - JPEG file
+     * @param {number} dpi - Resolution
+     * @param {Uint8Array} xmp - XMP packet
+     * @returns {Uint8Array} JPEG file
+     */
+    embedJPEG(bytes, dpi, xmp) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG file');
+        }
+
+        const density = Math.min(dpi, 0xFFFF);
+        let head;
+        let rest;
+
+        const hasJFIF = bytes[2] === 0xFF && bytes[3] === 0xE0 &&
+            String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+        if (hasJFIF) {
+            const segmentEnd = 4 + ((bytes[4] << 8) | bytes[5]);
+            head = bytes.slice(0, segmentEnd);
+            rest = bytes.subarray(segmentEnd);
+        } else {
+            head = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0, 0, 0, 0, 0, 0, 0]);
+            rest = bytes.subarray(2);
+        }
+
+        head[13] = 1; // Units: dots per inch
+        head[14] = density >> 8;
+        head[15] = density & 0xFF;
+        head[16] = density >> 8;
+        head[17] = density & 0xFF;
+
+        const namespace = new TextEncoder().encode('http://ns.adobe.com/xap/1.0/\0');
+        const length = 2 + namespace.length + xmp.length;
+        if (length > 0xFFFF) {
+            console.warn('⚠️ [EXPORT] XMP packet too large for a JPEG segment, skipped');
+            return this.concatBytes([head, rest]);
+        }
+
+        const app1 = this.concatBytes([new Uint8Array([0xFF, 0xE1, length >> 8, length & 0xFF]), namespace, xmp]);
+        return this.concatBytes([head, app1, rest]);
+    }
+
+    /**
+     * Add an XMP chunk, converting a simple (VP8/VP8L) file to the extended VP8X layout
+     * WebP has no DPI field of its own, so the resolution travels in the XMP packet only
+     * @param {Uint8Array} bytes - WebP file
+     * @param {object} metadata - { width, height }
+     * @param {Uint8Array} xmp - XMP packet
+     * @returns {Uint8Array} WebP file
+     */
+    embedWebP(bytes, metadata, xmp) {
+        const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        if (tag(0) !== 'RIFF' || tag(8) !== 'WEBP') {
+            throw new Error('Not a WebP file');
+        }
+
+        let chunks = bytes.slice(12);
+        const firstChunk = tag(12);
+
+        if (firstChunk === 'VP8X') {
+            chunks[8] |= ExportManager.webpXMPFlag;
+        } else {
+            let flags = ExportManager.webpXMPFlag;
+            // VP8L carries an alpha hint bit after the 14-bit width and height
+            if (firstChunk === 'VP8L' && (bytes[24] >> 4) & 1) {
+                flags |= ExportManager.webpAlphaFlag;
+            }
+
+            const vp8x = new Uint8Array(18);
+            vp8x.set([0x56, 0x50, 0x38, 0x58, 10, 0, 0, 0, flags]);
+            const width = metadata.width - 1;
+            const height = metadata.height - 1;
+            vp8x.set([width & 0xFF, (width >> 8) & 0xFF, (width >> 16) & 0xFF], 12);
+            vp8x.set([height & 0xFF, (height >> 8) & 0xFF, (height >> 16) & 0xFF], 15);
+            chunks = this.concatBytes([vp8x, chunks]);
+        }
+
+        const padded = xmp.length % 2;
+        const xmpChunk = new Uint8Array(8 + xmp.length + padded);
+        xmpChunk.set([0x58, 0x4D, 0x50, 0x20]); // 'XMP '
+        new DataView(xmpChunk.buffer).setUint32(4, xmp.length, true);
+        xmpChunk.set(xmp, 8);
+
+        const body = this.concatBytes([chunks, xmpChunk]);
+        const header = new Uint8Array(12);
+        header.set(bytes.subarray(0, 12));
+        new DataView(header.buffer).setUint32(4, body.length + 4, true);
+
+        return this.concatBytes([header, body]);
+    }
+
+    /**
+     * Join byte arrays
+     * @param {Uint8Array[]} parts - Byte arrays
+     * @returns {Uint8Array} Joined bytes
+     */
+    concatBytes(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * CRC-32 as used by PNG chunks
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC
+     */
+    static crc32(bytes) {
+        if (!ExportManager.crcTable) {
+            ExportManager.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ExportManager.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ExportManager.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Fixed presets; social platform sizes are added from AdStudioManager.platformFormats
+ExportManager.presets = [
+    { id: 'canvas', group: 'General', label: 'Canvas as shown', source: 'view', format: 'png', dpi: 72 },
+    { id: 'original', group: 'General', label: 'Original resolution (PNG)', source: 'image', format: 'png', dpi: 72 },
+    { id: 'web', group: 'Web', label: 'Web (max 1920 px, JPEG ≤ 500 KB)', source: 'image', fit: 'contain', width: 1920, height: 1920, format: 'jpeg', quality: 0.85, dpi: 72, targetKB: 500 },
+    { id: 'web-small', group: 'Web', label: 'Web small (max 1080 px, WebP ≤ 150 KB)', source: 'image', fit: 'contain', width: 1080, height: 1080, format: 'webp', quality: 0.8, dpi: 72, targetKB: 150 },
+    { id: 'web-avif', group: 'Web', label: 'Web AVIF (max 1920 px)', source: 'image', fit: 'contain', width: 1920, height: 1920, format: 'avif', quality: 0.7, dpi: 72 },
+    { id: 'thumbnail', group: 'Web', label: 'Thumbnail (max 400 px, WebP)', source: 'image', fit: 'contain', width: 400, height: 400, format: 'webp', quality: 0.8, dpi: 72 },
+    { id: 'print-300', group: 'Print', label: 'Print 300 dpi (PNG, original resolution)', source: 'image', format: 'png', dpi: 300 },
+    { id: 'print-300-jpeg', group: 'Print', label: 'Print 300 dpi (JPEG, maximum quality)', source: 'image', format: 'jpeg', quality: 1, dpi: 300 }
+];
+
+ExportManager.minQuality = 0.05;
+ExportManager.qualitySearchSteps = 7;
+ExportManager.maxResizePasses = 4;
+ExportManager.webpXMPFlag = 0x04;
+ExportManager.webpAlphaFlag = 0x10;
+ExportManager.crcTable = null;
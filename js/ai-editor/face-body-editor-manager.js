@@ -661,7 +661,7 @@ class FaceBodyEditorManager {
             console.log('↩️ [FACE & BODY] Undoing enhancement...');
 
             // Reload the image before enhancement
-            await this.app.modules.editor.loadImage(this.imageBeforeEnhancement);
+            await this.app.modules.editor.loadImage(this.imageBeforeEnhancement, { label: 'Revert Face & Body Enhancement', icon: 'fas fa-undo' });
 
             // Clear the stored image
             this.imageBeforeEnhancement = null;
@@ -753,6 +753,9 @@ class FaceBodyEditorManager {
             return;
         }
 
+        // The enhanced image becomes a child of the image currently on the canvas
+        const parentId = this.app.modules.gallery.getActiveImageId();
+
         try {
             // Store current image for undo
             this.imageBeforeEnhancement = await this.app.modules.editor.getImageAsBase64();
@@ -760,7 +763,7 @@ class FaceBodyEditorManager {
 
             // Show loading
             if (this.app.showLoading) {
-                this.app.showLoading('Applying Face & Body Enhancements...', 'This may take 10-30 seconds');
+                this.app.showLoading('Applying Face & Body Enhancements...', 'This may take 10-30 seconds', { cancellable: true });
             }
 
             // Get current canvas image as base64
@@ -785,7 +788,7 @@ class FaceBodyEditorManager {
             }
 
             // Load enhanced image onto canvas
-            await this.app.modules.editor.loadImage(enhancedImageUrl);
+            await this.app.modules.editor.loadImage(enhancedImageUrl, { label: 'Face & Body Enhancement', icon: 'fas fa-user' });
 
             // Save to gallery
             try {
@@ -802,7 +805,8 @@ class FaceBodyEditorManager {
                         {
                             type: 'face-body-enhancement',
                             preset: this.state.selectedPreset,
-                            customChanges: this.hasCustomChanges()
+                            customChanges: this.hasCustomChanges(),
+                            parentId
                         }
                     );
 
@@ -827,13 +831,18 @@ class FaceBodyEditorManager {
             console.log('✅ [FACE & BODY] Enhancements applied successfully');
 
         } catch (error) {
-            console.error('❌ [FACE & BODY] Enhancement failed:', error);
-
             // Hide loading
             if (this.app.hideLoading) {
                 this.app.hideLoading();
             }
 
+            if (this.app.modules.gemini.isCancelled(error)) {
+                console.log('🛑 [FACE & BODY] Enhancement cancelled');
+                return;
+            }
+
+            console.error('❌ [FACE & BODY] Enhancement failed:', error);
+
             // Show error
             let errorMessage = 'Failed to apply enhancements. ';
 
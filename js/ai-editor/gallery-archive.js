@@ -0,0 +1,183 @@
+/**
+ * Gallery Archive Module
+ * Exports gallery images as a ZIP (image files + manifest.json with prompts, metadata and lineage)
+ * and imports such archives, skipping images whose content is already in the gallery
+ */
+
+class GalleryArchive {
+    constructor(app) {
+        this.app = app;
+        this.format = 'ai-image-editor-gallery';
+        this.version = 1;
+        this.extensions = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+        console.log('🗜️ [ARCHIVE] Gallery Archive initialized');
+    }
+
+    /**
+     * Load JSZip from CDN (shared by every feature that reads or writes ZIP files)
+     * @returns {Promise<Function>} JSZip constructor
+     */
+    static async loadJSZip() {
+        if (GalleryArchive.JSZip) {
+            return GalleryArchive.JSZip;
+        }
+
+        try {
+            console.log('🗜️ [ARCHIVE] Loading JSZip from CDN...');
+            const module = await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm');
+            GalleryArchive.JSZip = module.default || module.JSZip;
+            console.log('✅ [ARCHIVE] JSZip loaded');
+            return GalleryArchive.JSZip;
+        } catch (error) {
+            console.error('❌ [ARCHIVE] Failed to load JSZip:', error);
+            throw new Error('Failed to load the ZIP library. Please check your internet connection.');
+        }
+    }
+
+    /**
+     * Build a ZIP of gallery images with a manifest
+     * @param {string[]} ids - Image IDs to export
+     * @param {Object} options - { name, collection }
+     * @returns {Promise<Blob>} ZIP file
+     */
+    async createArchive(ids, options = {}) {
+        const JSZip = await GalleryArchive.loadJSZip();
+        const gallery = this.app.modules.gallery;
+        const zip = new JSZip();
+        const manifestImages = [];
+
+        for (const id of ids) {
+            const image = gallery.getImage(id);
+            const blob = image ? await gallery.getImageBlob(id) : null;
+            if (!blob) {
+                console.warn('⚠️ [ARCHIVE] Skipping missing image:', id);
+                continue;
+            }
+
+            const file = `images/${id}.${this.extensions[blob.type] || 'png'}`;
+            zip.file(file, blob);
+
+            // Everything except the in-browser thumbnail goes into the manifest
+            const { thumbnail, thumbnailUrl, ...metadata } = image;
+            manifestImages.push({
+                ...metadata,
+                file,
+                contentHash: await gallery.getContentHash(id)
+            });
+        }
+
+        const collections = [...new Set(manifestImages.flatMap(img => img.collections || []))];
+        const manifest = {
+            format: this.format,
+            version: this.version,
+            name: options.name || null,
+            collection: options.collection || null,
+            exportedAt: new Date().toISOString(),
+            collections,
+            images: manifestImages
+        };
+
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        console.log('🗜️ [ARCHIVE] Archive built with', manifestImages.length, 'images');
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' }); // Images are already compressed
+    }
+
+    /**
+     * Export images as a ZIP download
+     * @param {string[]} ids - Image IDs
+     * @param {Object} options - { name, collection }
+     * @returns {Promise<number>} Number of images exported
+     */
+    async exportImages(ids, options = {}) {
+        const archive = await this.createArchive(ids, options);
+        const baseName = (options.name || `gallery-export-${new Date().toISOString().slice(0, 10)}`)
+            .replace(/[^\w.-]+/g, '-');
+
+        LayeredExporter.downloadBlob(archive, `${baseName}.zip`);
+
+        console.log('⬇️ [ARCHIVE] Exported', ids.length, 'images to', `${baseName}.zip`);
+        return ids.length;
+    }
+
+    /**
+     * Import a gallery ZIP
+     * Images already in the gallery (same SHA-256) are skipped, but their tags and collections are merged
+     * @param {File|Blob} file - ZIP file
+     * @param {Function} onProgress - Optional (done, total) callback
+     * @returns {Promise<{imported: number, duplicates: number, failed: number}>} Import summary
+     */
+    async importArchive(file, onProgress = null) {
+        const JSZip = await GalleryArchive.loadJSZip();
+        const gallery = this.app.modules.gallery;
+        const zip = await JSZip.loadAsync(file);
+
+        const manifestFile = zip.file('manifest.json');
+        if (!manifestFile) {
+            throw new Error('This ZIP has no manifest.json - it was not exported from the gallery');
+        }
+
+        const manifest = JSON.parse(await manifestFile.async('string'));
+        if (manifest.format !== this.format) {
+            throw new Error('Unrecognized archive format');
+        }
+        if (manifest.version > this.version) {
+            throw new Error(`Archive version ${manifest.version} is newer than this editor supports`);
+        }
+
+        (manifest.collections || []).forEach(name => gallery.createCollection(name));
+
+        // Parents first, so lineage links can be remapped to the ids they get in this gallery
+        const entries = (manifest.images || []).slice().sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        const idMap = new Map();
+        const summary = { imported: 0, duplicates: 0, failed: 0 };
+
+        for (const [index, entry] of entries.entries()) {
+            try {
+                const zipEntry = zip.file(entry.file);
+                if (!zipEntry) {
+                    throw new Error(`Missing file ${entry.file}`);
+                }
+
+                const data = await zipEntry.async('blob');
+                const blob = new Blob([data], { type: entry.mimeType || 'image/png' });
+                const contentHash = await gallery.hashBlob(blob);
+
+                const existing = await gallery.findByContentHash(contentHash);
+                if (existing) {
+                    idMap.set(entry.id, existing.id);
+                    await gallery.updateImage(existing.id, {
+                        tags: gallery.normalizeTags([...(existing.tags || []), ...(entry.tags || [])]),
+                        collections: [...new Set([...(existing.collections || []), ...(entry.collections || [])])]
+                    });
+                    summary.duplicates++;
+                    continue;
+                }
+
+                const { file: _file, contentHash: _hash, size, mimeType, width, height, prompt, ...metadata } = entry;
+                const parentId = entry.parentId
+                    ? (idMap.get(entry.parentId) || (gallery.getImage(entry.parentId) ? entry.parentId : null))
+                    : null;
+
+                const newId = await gallery.addImageBlob(blob, prompt || '', {
+                    ...metadata,
+                    id: gallery.getImage(entry.id) ? gallery.generateId() : entry.id,
+                    parentId
+                });
+                idMap.set(entry.id, newId);
+                summary.imported++;
+            } catch (error) {
+                console.error('❌ [ARCHIVE] Failed to import', entry.id, error);
+                summary.failed++;
+            } finally {
+                if (onProgress) onProgress(index + 1, entries.length);
+            }
+        }
+
+        console.log('✅ [ARCHIVE] Import complete:', summary);
+        return summary;
+    }
+}
+
+GalleryArchive.JSZip = null; // Cached JSZip constructor
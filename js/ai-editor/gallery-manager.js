@@ -1,35 +1,70 @@
 /**
  * Gallery Manager Module
  * Handles storage, retrieval, and management of generated images
- * Stores images in localStorage with metadata (prompt, date, etc.)
+ * Stores full-resolution Blobs plus thumbnails in IndexedDB (see GalleryStore);
+ * nothing is evicted without the user confirming it
  */
 
 class GalleryManager {
     constructor(app) {
         this.app = app;
-        this.storageKey = 'ai-editor-gallery';
-        this.maxImages = 30; // Maximum number of images to store (reduced to allow larger images)
-        this.maxImageSize = 8 * 1024 * 1024; // 8MB per image (base64) - increased for high-res images
+        this.legacyStorageKey = 'ai-editor-gallery'; // Pre-IndexedDB localStorage gallery
+        this.collectionsKey = 'ai-editor-gallery-collections'; // Named collections (membership lives on each image)
+        this.softLimit = 200; // Ask the user to clean up past this many images
+        this.thumbnailSize = 240; // Longest side of strip thumbnails in pixels
+        this.store = new GalleryStore();
         this.images = [];
         this.activeImageId = null;
+        this.imageUrls = new Map(); // id -> object URL of the full-resolution Blob
+        this.softLimitSnoozedUntil = 0;
+        this.collections = this.loadCollections();
+
+        // Source studio for each gallery entry type (used for filtering and sorting)
+        this.sources = {
+            'generated': 'Generate & Edit',
+            'edited': 'Generate & Edit',
+            'uploaded': 'Uploads',
+            'style-transfer': 'Style Transfer',
+            'object-transfer': 'Object Transfer',
+            'face-body-enhancement': 'Face & Body',
+            'linkedin-transformed': 'LinkedIn Studio',
+            'background-removed': 'Editor Tools',
+            'cropped': 'Editor Tools'
+        };
 
-        this.loadGallery();
-        console.log('🖼️ [GALLERY] Gallery Manager initialized with', this.images.length, 'images');
+        console.log('🖼️ [GALLERY] Gallery Manager created');
     }
 
     /**
-     * Load gallery from localStorage
+     * Open the database, migrate the old localStorage gallery and load image records
      */
-    loadGallery() {
+    async initialize() {
+        if (!GalleryStore.isSupported()) {
+            console.error('❌ [GALLERY] IndexedDB is not available - gallery will not be saved');
+            return;
+        }
+
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                this.images = JSON.parse(stored);
-                console.log('✅ [GALLERY] Loaded', this.images.length, 'images from storage');
-            } else {
-                this.images = [];
-                console.log('📭 [GALLERY] No stored images found');
-            }
+            await this.store.open();
+            await this.migrateFromLocalStorage();
+            await this.loadGallery();
+            this.requestPersistentStorage();
+            console.log('🖼️ [GALLERY] Gallery Manager initialized with', this.images.length, 'images');
+        } catch (error) {
+            console.error('❌ [GALLERY] Failed to initialize gallery storage:', error);
+        }
+    }
+
+    /**
+     * Load image records from IndexedDB (newest first)
+     */
+    async loadGallery() {
+        try {
+            const records = await this.store.getAllRecords();
+            this.images = records
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .map(record => this.toEntry(record));
+            console.log('✅ [GALLERY] Loaded', this.images.length, 'images from IndexedDB');
         } catch (error) {
             console.error('❌ [GALLERY] Failed to load gallery:', error);
             this.images = [];
@@ -37,79 +72,146 @@ class GalleryManager {
     }
 
     /**
-     * Save gallery to localStorage
+     * Move images from the old single-key localStorage gallery into IndexedDB
+     * The old key is only removed once every image has been copied
      */
-    saveGallery() {
+    async migrateFromLocalStorage() {
+        let legacyImages;
         try {
-            const data = JSON.stringify(this.images);
-            localStorage.setItem(this.storageKey, data);
-            console.log('💾 [GALLERY] Saved', this.images.length, 'images to storage');
+            const stored = localStorage.getItem(this.legacyStorageKey);
+            if (!stored) return;
+            legacyImages = JSON.parse(stored);
         } catch (error) {
-            console.error('❌ [GALLERY] Failed to save gallery:', error);
-            
-            // If storage is full, try removing oldest images
-            if (error.name === 'QuotaExceededError') {
-                console.warn('⚠️ [GALLERY] Storage quota exceeded, removing oldest images...');
-                this.removeOldestImages(5);
-                this.saveGallery(); // Retry
+            console.error('❌ [GALLERY] Failed to read legacy gallery:', error);
+            return;
+        }
+
+        console.log('📦 [GALLERY] Migrating', legacyImages.length, 'images from localStorage to IndexedDB...');
+        let failed = 0;
+
+        for (const legacy of legacyImages) {
+            try {
+                const { dataUrl, ...metadata } = legacy;
+                const blob = await this.urlToBlob(dataUrl);
+                const thumbnail = await this.createThumbnail(blob);
+                await this.store.putImage({
+                    parentId: null,
+                    ...metadata,
+                    size: blob.size,
+                    mimeType: blob.type,
+                    width: thumbnail.width,
+                    height: thumbnail.height,
+                    thumbnail: thumbnail.blob
+                }, blob);
+            } catch (error) {
+                failed++;
+                console.error('❌ [GALLERY] Failed to migrate image', legacy.id, error);
             }
         }
+
+        if (failed === 0) {
+            localStorage.removeItem(this.legacyStorageKey);
+            console.log('✅ [GALLERY] Migration complete, legacy gallery removed from localStorage');
+        } else {
+            console.warn(`⚠️ [GALLERY] ${failed} image(s) could not be migrated; legacy gallery kept in localStorage`);
+        }
+    }
+
+    /**
+     * Ask the browser not to evict our storage under pressure
+     */
+    async requestPersistentStorage() {
+        if (!navigator.storage || !navigator.storage.persist) return;
+
+        try {
+            const persisted = await navigator.storage.persisted();
+            if (!persisted) {
+                const granted = await navigator.storage.persist();
+                console.log(`🗄️ [GALLERY] Persistent storage ${granted ? 'granted' : 'not granted'}`);
+            }
+        } catch (error) {
+            console.warn('⚠️ [GALLERY] Could not request persistent storage:', error);
+        }
+    }
+
+    /**
+     * Turn a stored record into an in-memory entry with a thumbnail URL
+     * @param {Object} record - IndexedDB record
+     * @returns {Object} Gallery entry
+     */
+    toEntry(record) {
+        return {
+            ...record,
+            thumbnailUrl: record.thumbnail ? URL.createObjectURL(record.thumbnail) : null
+        };
+    }
+
+    /**
+     * Strip in-memory only fields before writing an entry back to IndexedDB
+     * @param {Object} entry - Gallery entry
+     * @returns {Object} IndexedDB record
+     */
+    toRecord(entry) {
+        const { thumbnailUrl, ...record } = entry;
+        return record;
     }
 
     /**
      * Add a new image to the gallery
      * @param {string} imageUrl - Blob URL or data URL of the image
      * @param {string} prompt - The prompt used to generate the image
-     * @param {Object} metadata - Additional metadata
+     * @param {Object} metadata - Additional metadata (parentId links the image to the one it was derived from)
      * @returns {Promise<string>} The ID of the saved image
      */
     async addImage(imageUrl, prompt = '', metadata = {}) {
-        try {
-            console.log('➕ [GALLERY] Adding new image to gallery...');
+        if (!imageUrl.startsWith('blob:') && !imageUrl.startsWith('data:')) {
+            throw new Error('Invalid image URL format');
+        }
 
-            // Convert Blob URL to base64 for storage
-            let base64Data;
-            if (imageUrl.startsWith('blob:')) {
-                base64Data = await this.blobUrlToBase64(imageUrl);
-            } else if (imageUrl.startsWith('data:')) {
-                base64Data = imageUrl;
-            } else {
-                throw new Error('Invalid image URL format');
-            }
+        const blob = await this.urlToBlob(imageUrl);
+        return this.addImageBlob(blob, prompt, metadata);
+    }
 
-            const originalSize = (base64Data.length / 1024 / 1024).toFixed(2);
-            console.log(`📊 [GALLERY] Original image size: ${originalSize}MB (max allowed: ${(this.maxImageSize / 1024 / 1024).toFixed(0)}MB)`);
+    /**
+     * Add an image Blob to the gallery
+     * @param {Blob} blob - Full-resolution image
+     * @param {string} prompt - The prompt used to generate the image
+     * @param {Object} metadata - Additional metadata (may override id/timestamp/date when importing)
+     * @returns {Promise<string>} The ID of the saved image
+     */
+    async addImageBlob(blob, prompt = '', metadata = {}) {
+        try {
+            console.log('➕ [GALLERY] Adding new image to gallery...');
 
-            // Check size - only compress if exceeds max
-            if (base64Data.length > this.maxImageSize) {
-                console.warn(`⚠️ [GALLERY] Image too large (${originalSize}MB > ${(this.maxImageSize / 1024 / 1024).toFixed(0)}MB), compressing...`);
-                base64Data = await this.compressImage(base64Data);
-                console.log(`✅ [GALLERY] Compressed to: ${(base64Data.length / 1024 / 1024).toFixed(2)}MB`);
-            } else {
-                console.log(`✅ [GALLERY] Image size OK, no compression needed`);
-            }
+            const thumbnail = await this.createThumbnail(blob);
+            const contentHash = await this.hashBlob(blob);
+            console.log(`📊 [GALLERY] Image size: ${(blob.size / 1024 / 1024).toFixed(2)}MB (${thumbnail.width}x${thumbnail.height})`);
 
             // Create image entry
             const imageEntry = {
                 id: this.generateId(),
-                dataUrl: base64Data,
                 prompt: prompt,
                 timestamp: Date.now(),
                 date: new Date().toISOString(),
-                ...metadata
+                parentId: null,
+                tags: [],
+                favorite: false,
+                collections: [],
+                ...metadata,
+                size: blob.size,
+                mimeType: blob.type,
+                width: thumbnail.width,
+                height: thumbnail.height,
+                contentHash,
+                thumbnail: thumbnail.blob
             };
 
-            // Add to beginning of array (newest first)
-            this.images.unshift(imageEntry);
+            await this.checkSoftLimit();
+            await this.putWithQuotaHandling(imageEntry, blob);
 
-            // Enforce max images limit
-            if (this.images.length > this.maxImages) {
-                console.warn('⚠️ [GALLERY] Max images reached, removing oldest...');
-                this.images = this.images.slice(0, this.maxImages);
-            }
-
-            // Save to localStorage
-            this.saveGallery();
+            // Keep newest first (imported images can be older than existing ones)
+            this.images.unshift(this.toEntry(imageEntry));
+            this.images.sort((a, b) => b.timestamp - a.timestamp);
 
             console.log('✅ [GALLERY] Image added successfully, ID:', imageEntry.id);
             return imageEntry.id;
@@ -120,6 +222,90 @@ class GalleryManager {
         }
     }
 
+    /**
+     * Write an image, asking the user to free space if the browser quota is hit
+     * @param {Object} record - IndexedDB record
+     * @param {Blob} blob - Full-resolution image
+     */
+    async putWithQuotaHandling(record, blob) {
+        try {
+            await this.store.putImage(record, blob);
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError') throw error;
+
+            console.warn('⚠️ [GALLERY] Storage quota exceeded');
+
+            // Free at least twice the new image's size (thumbnail + IndexedDB overhead)
+            const candidates = this.getEvictionCandidatesForBytes(blob.size * 2);
+            const confirmed = candidates.length > 0 && await this.app.confirmGalleryEviction(candidates, 'quota');
+            if (!confirmed) {
+                const quotaError = new Error('Gallery storage is full. Delete some images to save new ones.');
+                quotaError.name = 'GalleryQuotaError';
+                throw quotaError;
+            }
+
+            await this.evictImages(candidates.map(img => img.id));
+            await this.store.putImage(record, blob);
+        }
+    }
+
+    /**
+     * Offer to clean up once the gallery grows past the soft limit
+     * Declining snoozes the prompt for another 10 images
+     */
+    async checkSoftLimit() {
+        const count = this.images.length + 1;
+        if (count <= this.softLimit || count <= this.softLimitSnoozedUntil) return;
+
+        const candidates = this.getEvictionCandidates(count - this.softLimit);
+        if (candidates.length === 0) return;
+
+        if (await this.app.confirmGalleryEviction(candidates, 'limit')) {
+            await this.evictImages(candidates.map(img => img.id));
+        } else {
+            this.softLimitSnoozedUntil = count + 10;
+        }
+    }
+
+    /**
+     * Oldest images that would be removed to make room (favorites are never evicted)
+     * @param {number} count - Number of images needed
+     * @returns {Array} Gallery entries, oldest first
+     */
+    getEvictionCandidates(count) {
+        return this.images
+            .filter(img => !img.favorite)
+            .reverse()
+            .slice(0, Math.max(0, count));
+    }
+
+    /**
+     * Oldest images whose combined size covers a number of bytes
+     * @param {number} bytes - Bytes to free
+     * @returns {Array} Gallery entries, oldest first
+     */
+    getEvictionCandidatesForBytes(bytes) {
+        const candidates = [];
+        let freed = 0;
+
+        for (const image of this.getEvictionCandidates(this.images.length)) {
+            if (freed >= bytes) break;
+            candidates.push(image);
+            freed += image.size || 0;
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Remove images the user agreed to evict
+     * @param {string[]} ids - Image IDs
+     */
+    async evictImages(ids) {
+        await this.deleteImages(ids);
+        console.log('🗑️ [GALLERY] Evicted', ids.length, 'images');
+    }
+
     /**
      * Get an image by ID
      * @param {string} id - Image ID
@@ -137,47 +323,355 @@ class GalleryManager {
         return this.images;
     }
 
+    /**
+     * Get the full-resolution Blob of an image
+     * @param {string} id - Image ID
+     * @returns {Promise<Blob|null>} Image Blob
+     */
+    async getImageBlob(id) {
+        return this.store.getBlob(id);
+    }
+
+    /**
+     * Get an object URL for the full-resolution image (cached until the image is deleted)
+     * @param {string} id - Image ID
+     * @returns {Promise<string|null>} Object URL
+     */
+    async getImageUrl(id) {
+        if (this.imageUrls.has(id)) {
+            return this.imageUrls.get(id);
+        }
+
+        const blob = await this.getImageBlob(id);
+        if (!blob) return null;
+
+        const url = URL.createObjectURL(blob);
+        this.imageUrls.set(id, url);
+        return url;
+    }
+
+    /**
+     * Get the full-resolution image as a base64 data URL (for API requests and exports)
+     * @param {string} id - Image ID
+     * @returns {Promise<string|null>} Data URL
+     */
+    async getImageDataUrl(id) {
+        const blob = await this.getImageBlob(id);
+        if (!blob) return null;
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Update an image's metadata and persist it
+     * @param {string} id - Image ID
+     * @param {Object} changes - Fields to update (tags, favorite, collections, ...)
+     * @returns {Promise<Object|null>} Updated entry
+     */
+    async updateImage(id, changes) {
+        const image = this.getImage(id);
+        if (!image) return null;
+
+        Object.assign(image, changes);
+        await this.store.putRecord(this.toRecord(image));
+        return image;
+    }
+
+    /**
+     * Apply the same metadata change to several images in one transaction
+     * @param {string[]} ids - Image IDs
+     * @param {Function} change - (entry) => fields to update
+     */
+    async updateImages(ids, change) {
+        const images = ids.map(id => this.getImage(id)).filter(Boolean);
+        images.forEach(image => Object.assign(image, change(image)));
+        await this.store.putRecords(images.map(image => this.toRecord(image)));
+    }
+
+    /**
+     * Pin or unpin an image (pinned images are exempt from eviction)
+     * @param {string} id - Image ID
+     * @param {boolean} favorite - New state (toggles when omitted)
+     * @returns {Promise<boolean>} New favorite state
+     */
+    async toggleFavorite(id, favorite) {
+        const image = this.getImage(id);
+        if (!image) return false;
+
+        const value = typeof favorite === 'boolean' ? favorite : !image.favorite;
+        await this.updateImage(id, { favorite: value });
+        console.log(`⭐ [GALLERY] Image ${id} ${value ? 'pinned' : 'unpinned'}`);
+        return value;
+    }
+
+    /**
+     * Normalize user-entered tags (trimmed, lowercase, unique)
+     * @param {string|string[]} tags - Comma separated string or array
+     * @returns {string[]} Tags
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => tag.trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+    }
+
+    /**
+     * Replace an image's tags
+     * @param {string} id - Image ID
+     * @param {string|string[]} tags - Tags
+     */
+    async setTags(id, tags) {
+        await this.updateImage(id, { tags: this.normalizeTags(tags) });
+    }
+
+    /**
+     * Add tags to several images
+     * @param {string[]} ids - Image IDs
+     * @param {string|string[]} tags - Tags to add
+     */
+    async addTags(ids, tags) {
+        const added = this.normalizeTags(tags);
+        await this.updateImages(ids, image => ({ tags: this.normalizeTags([...(image.tags || []), ...added]) }));
+    }
+
+    /**
+     * Every tag in use, most used first
+     * @returns {Array<{tag: string, count: number}>} Tags with counts
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.images.forEach(img => (img.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Load collection names from localStorage
+     * @returns {string[]} Collection names
+     */
+    loadCollections() {
+        try {
+            return JSON.parse(localStorage.getItem(this.collectionsKey)) || [];
+        } catch (error) {
+            console.error('❌ [GALLERY] Failed to load collections:', error);
+            return [];
+        }
+    }
+
+    saveCollections() {
+        localStorage.setItem(this.collectionsKey, JSON.stringify(this.collections));
+    }
+
+    /**
+     * Get collections with image counts
+     * @returns {Array<{name: string, count: number}>} Collections
+     */
+    getCollections() {
+        return this.collections.map(name => ({
+            name,
+            count: this.images.filter(img => (img.collections || []).includes(name)).length
+        }));
+    }
+
+    /**
+     * Create a named collection (e.g. one per client)
+     * @param {string} name - Collection name
+     * @returns {string|null} The trimmed name, or null if empty
+     */
+    createCollection(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return null;
+
+        if (!this.collections.includes(trimmed)) {
+            this.collections.push(trimmed);
+            this.collections.sort((a, b) => a.localeCompare(b));
+            this.saveCollections();
+            console.log('📁 [GALLERY] Collection created:', trimmed);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Delete a collection (images stay in the gallery)
+     * @param {string} name - Collection name
+     */
+    async deleteCollection(name) {
+        const members = this.images.filter(img => (img.collections || []).includes(name));
+        await this.updateImages(members.map(img => img.id), image => ({
+            collections: image.collections.filter(collection => collection !== name)
+        }));
+
+        this.collections = this.collections.filter(collection => collection !== name);
+        this.saveCollections();
+        console.log('📁 [GALLERY] Collection deleted:', name);
+    }
+
+    /**
+     * Add images to a collection, creating it if needed
+     * @param {string[]} ids - Image IDs
+     * @param {string} name - Collection name
+     */
+    async addToCollection(ids, name) {
+        const collection = this.createCollection(name);
+        if (!collection) return;
+
+        await this.updateImages(ids, image => ({
+            collections: [...new Set([...(image.collections || []), collection])]
+        }));
+    }
+
+    /**
+     * Remove images from a collection
+     * @param {string[]} ids - Image IDs
+     * @param {string} name - Collection name
+     */
+    async removeFromCollection(ids, name) {
+        await this.updateImages(ids, image => ({
+            collections: (image.collections || []).filter(collection => collection !== name)
+        }));
+    }
+
+    /**
+     * Source studio label for an entry
+     * @param {Object} image - Gallery entry
+     * @returns {string} Source label
+     */
+    getSource(image) {
+        return this.sources[image.type] || 'Other';
+    }
+
+    /**
+     * Source studios that have at least one image
+     * @returns {string[]} Source labels
+     */
+    getSources() {
+        return [...new Set(this.images.map(img => this.getSource(img)))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Search, filter and sort gallery entries
+     * Search terms match prompts, tags, collections and filenames; '#tag' terms only match tags
+     * @param {Object} query - { search, favoritesOnly, collection, source, sort }
+     *   sort: 'date-desc' (default), 'date-asc', 'size-desc', 'size-asc' or 'source'
+     * @returns {Array} Matching gallery entries
+     */
+    queryImages(query = {}) {
+        const { search = '', favoritesOnly = false, collection = '', source = '', sort = 'date-desc' } = query;
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const results = this.images.filter(img => {
+            if (favoritesOnly && !img.favorite) return false;
+            if (collection && !(img.collections || []).includes(collection)) return false;
+            if (source && this.getSource(img) !== source) return false;
+            if (terms.length === 0) return true;
+
+            const tags = img.tags || [];
+            const haystack = [
+                img.prompt,
+                img.recipe?.userPrompt,
+                img.filename,
+                ...tags,
+                ...(img.collections || [])
+            ].filter(Boolean).join(' ').toLowerCase();
+
+            return terms.every(term => term.startsWith('#')
+                ? tags.includes(term.slice(1))
+                : haystack.includes(term));
+        });
+
+        const comparators = {
+            'date-desc': (a, b) => b.timestamp - a.timestamp,
+            'date-asc': (a, b) => a.timestamp - b.timestamp,
+            'size-desc': (a, b) => (b.size || 0) - (a.size || 0),
+            'size-asc': (a, b) => (a.size || 0) - (b.size || 0),
+            'source': (a, b) => this.getSource(a).localeCompare(this.getSource(b)) || b.timestamp - a.timestamp
+        };
+
+        return results.sort(comparators[sort] || comparators['date-desc']);
+    }
+
     /**
      * Delete an image by ID
      * @param {string} id - Image ID
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    deleteImage(id) {
+    async deleteImage(id) {
         try {
             const index = this.images.findIndex(img => img.id === id);
-            if (index !== -1) {
-                this.images.splice(index, 1);
-                this.saveGallery();
-                console.log('🗑️ [GALLERY] Image deleted:', id);
-                
-                // Clear active image if it was deleted
-                if (this.activeImageId === id) {
-                    this.activeImageId = null;
-                }
-                
-                return true;
+            if (index === -1) return false;
+
+            const removed = this.images[index];
+
+            // Re-attach children to the grandparent so the lineage stays connected
+            const children = this.images.filter(img => img.parentId === id);
+            children.forEach(img => { img.parentId = removed.parentId || null; });
+
+            await this.store.deleteImages([id]);
+            if (children.length > 0) {
+                await this.store.putRecords(children.map(img => this.toRecord(img)));
             }
-            return false;
+
+            this.images.splice(index, 1);
+            this.revokeUrls(removed);
+            console.log('🗑️ [GALLERY] Image deleted:', id);
+
+            // Clear active image if it was deleted
+            if (this.activeImageId === id) {
+                this.activeImageId = null;
+            }
+
+            return true;
         } catch (error) {
             console.error('❌ [GALLERY] Failed to delete image:', error);
             return false;
         }
     }
 
+    /**
+     * Delete several images
+     * @param {string[]} ids - Image IDs
+     * @returns {Promise<number>} Number of images deleted
+     */
+    async deleteImages(ids) {
+        let deleted = 0;
+        for (const id of ids) {
+            if (await this.deleteImage(id)) deleted++;
+        }
+        return deleted;
+    }
+
     /**
      * Clear all images from gallery
      */
-    clearGallery() {
+    async clearGallery() {
         try {
+            await this.store.clear();
+            this.images.forEach(img => this.revokeUrls(img));
             this.images = [];
             this.activeImageId = null;
-            this.saveGallery();
             console.log('🗑️ [GALLERY] Gallery cleared');
         } catch (error) {
             console.error('❌ [GALLERY] Failed to clear gallery:', error);
         }
     }
 
+    /**
+     * Release object URLs held for an entry
+     * @param {Object} entry - Gallery entry
+     */
+    revokeUrls(entry) {
+        if (entry.thumbnailUrl) {
+            URL.revokeObjectURL(entry.thumbnailUrl);
+        }
+        if (this.imageUrls.has(entry.id)) {
+            URL.revokeObjectURL(this.imageUrls.get(entry.id));
+            this.imageUrls.delete(entry.id);
+        }
+    }
+
     /**
      * Set the active image ID
      * @param {string} id - Image ID
@@ -196,12 +690,157 @@ class GalleryManager {
     }
 
     /**
-     * Remove oldest images
-     * @param {number} count - Number of images to remove
+     * Get the image an entry was derived from
+     * @param {string} id - Image ID
+     * @returns {Object|null} Parent entry or null for a root (or if the parent was evicted)
+     */
+    getParent(id) {
+        const image = this.getImage(id);
+        return image && image.parentId ? this.getImage(image.parentId) : null;
+    }
+
+    /**
+     * Get the images derived directly from an entry, oldest first
+     * @param {string} id - Image ID
+     * @returns {Array} Child entries
+     */
+    getChildren(id) {
+        return this.images
+            .filter(img => img.parentId === id)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Get the other images derived from the same parent, including the image itself
+     * @param {string} id - Image ID
+     * @returns {Array} Sibling entries, oldest first
+     */
+    getSiblings(id) {
+        const parent = this.getParent(id);
+        if (!parent) {
+            const image = this.getImage(id);
+            return image ? [image] : [];
+        }
+        return this.getChildren(parent.id);
+    }
+
+    /**
+     * Get the chain of images from the root down to an entry
+     * @param {string} id - Image ID
+     * @returns {Array} Entries ordered root → id
+     */
+    getAncestry(id) {
+        const chain = [];
+        const seen = new Set();
+        let current = this.getImage(id);
+
+        while (current && !seen.has(current.id)) {
+            chain.unshift(current);
+            seen.add(current.id);
+            current = current.parentId ? this.getImage(current.parentId) : null;
+        }
+
+        return chain;
+    }
+
+    /**
+     * Build the lineage tree containing an entry
+     * @param {string} id - Image ID (any node in the tree)
+     * @returns {Object|null} { image, children: [...] } rooted at the oldest surviving ancestor
+     */
+    getLineageTree(id) {
+        const root = this.getAncestry(id)[0];
+        if (!root) return null;
+
+        const seen = new Set();
+        const build = (image) => {
+            seen.add(image.id);
+            return {
+                image,
+                children: this.getChildren(image.id)
+                    .filter(child => !seen.has(child.id))
+                    .map(build)
+            };
+        };
+
+        return build(root);
+    }
+
+    /**
+     * SHA-256 hex digest of a Blob's bytes (used for duplicate detection)
+     * @param {Blob} blob - Data to hash
+     * @returns {Promise<string>} Hex digest
+     */
+    async hashBlob(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Get an image's content hash, computing and storing it for images saved before hashing existed
+     * @param {string} id - Image ID
+     * @returns {Promise<string|null>} Hex digest
+     */
+    async getContentHash(id) {
+        const image = this.getImage(id);
+        if (!image) return null;
+        if (image.contentHash) return image.contentHash;
+
+        const blob = await this.getImageBlob(id);
+        if (!blob) return null;
+
+        await this.updateImage(id, { contentHash: await this.hashBlob(blob) });
+        return image.contentHash;
+    }
+
+    /**
+     * Find an image with identical content
+     * @param {string} contentHash - Hex digest from hashBlob()
+     * @returns {Promise<Object|null>} Matching gallery entry
+     */
+    async findByContentHash(contentHash) {
+        for (const image of this.images) {
+            if (await this.getContentHash(image.id) === contentHash) {
+                return image;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fetch a blob: or data: URL as a Blob
+     * @param {string} url - Blob URL or data URL
+     * @returns {Promise<Blob>} Image Blob
      */
-    removeOldestImages(count) {
-        const removed = this.images.splice(-count);
-        console.log('🗑️ [GALLERY] Removed', removed.length, 'oldest images');
+    async urlToBlob(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error('Failed to read image data');
+        }
+        return response.blob();
+    }
+
+    /**
+     * Create a small thumbnail for the gallery strip
+     * @param {Blob} blob - Full-resolution image
+     * @returns {Promise<{blob: Blob, width: number, height: number}>} Thumbnail Blob and original dimensions
+     */
+    async createThumbnail(blob) {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, this.thumbnailSize / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+        const thumbnailBlob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to create thumbnail')), 'image/webp', 0.8);
+        });
+
+        const result = { blob: thumbnailBlob, width: bitmap.width, height: bitmap.height };
+        bitmap.close();
+        return result;
     }
 
     /**
@@ -241,47 +880,6 @@ class GalleryManager {
         });
     }
 
-    /**
-     * Compress image to reduce storage size
-     * @param {string} dataUrl - Data URL
-     * @returns {Promise<string>} Compressed data URL
-     */
-    async compressImage(dataUrl) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-
-                // Preserve higher resolution - only reduce if extremely large
-                let width = img.width;
-                let height = img.height;
-                const maxDimension = 2048; // Increased from 1024 to preserve 2K images
-
-                if (width > maxDimension || height > maxDimension) {
-                    const scale = maxDimension / Math.max(width, height);
-                    width = Math.round(width * scale);
-                    height = Math.round(height * scale);
-                    console.log(`📐 [GALLERY] Resizing from ${img.width}x${img.height} to ${width}x${height}`);
-                }
-
-                canvas.width = width;
-                canvas.height = height;
-
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-
-                // Use JPEG with quality 0.92 for better quality (slight compression trade-off)
-                const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.92);
-                console.log(`📦 [GALLERY] Compressed: ${(dataUrl.length / 1024 / 1024).toFixed(2)}MB → ${(compressedDataUrl.length / 1024 / 1024).toFixed(2)}MB`);
-                resolve(compressedDataUrl);
-            };
-
-            img.onerror = () => reject(new Error('Failed to compress image'));
-            img.src = dataUrl;
-        });
-    }
-
     /**
      * Generate unique ID
      * @returns {string} Unique ID
@@ -295,13 +893,28 @@ class GalleryManager {
      * @returns {Object} Statistics
      */
     getStats() {
-        const totalSize = this.images.reduce((sum, img) => sum + img.dataUrl.length, 0);
+        const totalSize = this.images.reduce((sum, img) => sum + (img.size || 0), 0);
         return {
             count: this.images.length,
             totalSize: totalSize,
             totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
-            maxImages: this.maxImages
+            softLimit: this.softLimit
         };
     }
-}
 
+    /**
+     * Get browser storage usage for this origin
+     * @returns {Promise<{usage: number, quota: number}|null>} Estimate, or null if unsupported
+     */
+    async getStorageEstimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            console.warn('⚠️ [GALLERY] Storage estimate unavailable:', error);
+            return null;
+        }
+    }
+}
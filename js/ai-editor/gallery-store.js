@@ -0,0 +1,124 @@
+/**
+ * Gallery Store - IndexedDB persistence for the gallery
+ * Image metadata (with a small thumbnail Blob) lives in the 'images' store,
+ * full-resolution image Blobs live in the 'blobs' store so listing the gallery stays cheap
+ */
+
+class GalleryStore {
+    constructor(dbName = 'ai-editor-gallery', version = 1) {
+        this.database = new IdbDatabase(dbName, version, (db) => {
+            if (!db.objectStoreNames.contains('images')) {
+                const images = db.createObjectStore('images', { keyPath: 'id' });
+                images.createIndex('timestamp', 'timestamp');
+            }
+            if (!db.objectStoreNames.contains('blobs')) {
+                db.createObjectStore('blobs', { keyPath: 'id' });
+            }
+        }, 'Gallery');
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return IdbDatabase.isSupported();
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+        return this.database.open();
+    }
+
+    /**
+     * Run work inside a transaction and resolve when it commits
+     * @param {string[]} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (stores) => value, receives the object stores by name
+     * @returns {Promise<any>} Value produced by work (IDBRequest results are unwrapped)
+     */
+    transaction(storeNames, mode, work) {
+        return this.database.transaction(storeNames, mode, work);
+    }
+
+    /**
+     * Get every image record (metadata + thumbnail)
+     * @returns {Promise<Array>} Records
+     */
+    getAllRecords() {
+        return this.transaction(['images'], 'readonly', ({ images }) => images.getAll());
+    }
+
+    /**
+     * Store an image record together with its full-resolution Blob
+     * @param {object} record - Metadata record (must include id)
+     * @param {Blob} blob - Full-resolution image
+     * @returns {Promise<void>}
+     */
+    putImage(record, blob) {
+        return this.transaction(['images', 'blobs'], 'readwrite', ({ images, blobs }) => {
+            images.put(record);
+            blobs.put({ id: record.id, blob });
+        });
+    }
+
+    /**
+     * Update an image's metadata record
+     * @param {object} record - Metadata record
+     * @returns {Promise<void>}
+     */
+    putRecord(record) {
+        return this.transaction(['images'], 'readwrite', ({ images }) => {
+            images.put(record);
+        });
+    }
+
+    /**
+     * Update several metadata records in one transaction
+     * @param {Array} records - Metadata records
+     * @returns {Promise<void>}
+     */
+    putRecords(records) {
+        return this.transaction(['images'], 'readwrite', ({ images }) => {
+            records.forEach(record => images.put(record));
+        });
+    }
+
+    /**
+     * Get the full-resolution Blob for an image
+     * @param {string} id - Image ID
+     * @returns {Promise<Blob|null>} Image Blob
+     */
+    async getBlob(id) {
+        const entry = await this.transaction(['blobs'], 'readonly', ({ blobs }) => blobs.get(id));
+        return entry ? entry.blob : null;
+    }
+
+    /**
+     * Delete images and their Blobs
+     * @param {string[]} ids - Image IDs
+     * @returns {Promise<void>}
+     */
+    deleteImages(ids) {
+        return this.transaction(['images', 'blobs'], 'readwrite', ({ images, blobs }) => {
+            ids.forEach(id => {
+                images.delete(id);
+                blobs.delete(id);
+            });
+        });
+    }
+
+    /**
+     * Delete everything
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transaction(['images', 'blobs'], 'readwrite', ({ images, blobs }) => {
+            images.clear();
+            blobs.clear();
+        });
+    }
+}
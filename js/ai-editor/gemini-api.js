@@ -1,59 +1,265 @@
 /**
  * Gemini API Client - Handles communication with Google's Gemini 2.5 Flash Image API
  * Provides image generation and API validation functionality
+ * Requests are sent through the active provider from ImageProviderRegistry
  */
 
 class GeminiAPI {
     constructor(app) {
         this.app = app;
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-        this.model = 'gemini-3-pro-image-preview'; // Nano Banana Pro - Most advanced image generation & editing model (Dec 2025)
+        this.providers = new ImageProviderRegistry(app);
         this.maxRetries = 3;
-        this.retryDelay = 1000; // 1 second
+        this.retryDelay = 1000; // 1 second, doubled on every retry
+        this.maxRetryDelay = 30000;
+        this.retryableStatuses = [408, 429, 500, 502, 503, 504];
+        this.queue = new RequestQueue({
+            concurrency: app.modules.storage.getSettings().requestConcurrency,
+            onChange: (state) => this.app.modules.ui?.updateLoadingCancel(state)
+        });
         this.lastGeneratedImageData = null; // Store last generated image base64 for gallery
+        this.lastRecipe = null; // Exact request recipe behind the last generated image
 
-        console.log('🤖 [GEMINI] Gemini API client initialized with Nano Banana Pro (gemini-3-pro-image-preview)');
+        console.log('🤖 [GEMINI] Gemini API client initialized');
+    }
+
+    /**
+     * Model id of the active provider
+     * @returns {string} Model id
+     */
+    get model() {
+        return this.getProvider().model;
+    }
+
+    /**
+     * Get the active image provider
+     * @returns {ImageProvider} Provider instance
+     */
+    getProvider() {
+        return this.providers.getActive();
+    }
+
+    /**
+     * Throw if the active provider cannot send requests yet
+     */
+    assertProviderReady() {
+        const provider = this.getProvider();
+
+        if (!provider.isConfigured()) {
+            if (provider.usesApiKey && this.app.modules.storage.isVaultLocked()) {
+                throw new Error('API key is locked. Unlock it with your passphrase first.');
+            }
+            throw new Error(provider.usesApiKey
+                ? 'API key not found. Please set your API key first.'
+                : 'Image provider is not configured. Please check your provider settings.');
+        }
+    }
+
+    /**
+     * Send a generateContent request through the request queue and active provider
+     * @param {object} requestBody - Gemini-format request body
+     * @param {string} label - Job label for logging
+     * @param {object} options - Optional settings { stream, onChunk } - stream uses streamGenerateContent
+     *   and calls onChunk({ type: 'text'|'thought', text }) as parts arrive
+     * @returns {Promise<object>} Parsed response JSON (stream chunks merged into one response)
+     */
+    async sendRequest(requestBody, label = 'generateContent', options = {}) {
+        this.assertProviderReady();
+        this.app.modules.usage.assertWithinBudget();
+
+        const model = this.model;
+
+        try {
+            const data = await this.queue.add((signal) => this.sendWithRetry(requestBody, signal, options), label);
+            this.app.modules.usage.recordRequest({ operation: label, model, requestBody, response: data });
+            return data;
+        } catch (error) {
+            if (!this.isCancelled(error)) {
+                this.app.modules.usage.recordRequest({ operation: label, model, requestBody, error });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a request, retrying only retryable failures with exponential backoff
+     * @param {object} requestBody - Gemini-format request body
+     * @param {AbortSignal} signal - Cancellation signal from the queue
+     * @param {object} options - Optional settings { stream, onChunk }
+     * @returns {Promise<object>} Parsed response JSON
+     */
+    async sendWithRetry(requestBody, signal, options = {}) {
+        const method = options.stream ? 'streamGenerateContent' : 'generateContent';
+
+        for (let attempt = 1; ; attempt++) {
+            let response;
+
+            try {
+                response = await this.getProvider().generateContent(requestBody, { method, signal });
+            } catch (error) {
+                // Network failures are retryable, cancellation is not
+                if (RequestQueue.isAbortError(error) || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                console.warn(`⚠️ [GEMINI] Attempt ${attempt} failed:`, error.message);
+                await this.sleep(this.getRetryDelay(attempt), signal);
+                continue;
+            }
+
+            if (response.ok) {
+                return options.stream
+                    ? this.readStream(response, options.onChunk)
+                    : response.json();
+            }
+
+            const errorData = await response.json().catch(() => ({}));
+            console.error('❌ [GEMINI] API error:', errorData);
+            const errorMessage = errorData?.error?.message || response.statusText || 'Unknown error';
+            const error = new Error(`API request failed: ${response.status} - ${errorMessage}`);
+            error.status = response.status;
+
+            if (!this.retryableStatuses.includes(response.status) || attempt >= this.maxRetries) {
+                throw error;
+            }
+
+            const delay = this.getRetryDelay(attempt, response.headers.get('Retry-After'));
+            console.warn(`⚠️ [GEMINI] Attempt ${attempt}/${this.maxRetries} failed with ${response.status}, retrying in ${delay}ms...`);
+            await this.sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Read a server-sent event stream and merge its chunks into a single response
+     * @param {Response} response - Streaming fetch response
+     * @param {Function} onChunk - Optional callback for text/thought parts
+     * @returns {Promise<object>} Merged response { candidates, usageMetadata }
+     */
+    async readStream(response, onChunk = null) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const merged = { candidates: [], usageMetadata: null };
+        let buffer = '';
+
+        const handleEvent = (eventText) => {
+            const payload = eventText
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+
+            if (!payload) return;
+
+            const chunk = JSON.parse(payload);
+            if (chunk.usageMetadata) {
+                merged.usageMetadata = chunk.usageMetadata;
+            }
+
+            (chunk.candidates || []).forEach((candidate, index) => {
+                const target = merged.candidates[index] || (merged.candidates[index] = { content: { parts: [] } });
+                if (candidate.finishReason) {
+                    target.finishReason = candidate.finishReason;
+                }
+
+                (candidate.content?.parts || []).forEach(part => {
+                    target.content.parts.push(part);
+                    if (part.text && onChunk) {
+                        onChunk({ type: part.thought ? 'thought' : 'text', text: part.text });
+                    }
+                });
+            });
+        };
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(handleEvent);
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+
+        console.log('📥 [GEMINI] Stream finished with', merged.candidates.length, 'candidate(s)');
+        return merged;
+    }
+
+    /**
+     * Compute the delay before the next retry
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {string|null} retryAfter - Retry-After header (seconds or HTTP date)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt, retryAfter = null) {
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds)
+                ? seconds * 1000
+                : new Date(retryAfter).getTime() - Date.now();
+
+            if (Number.isFinite(delay) && delay >= 0) {
+                return Math.min(delay, this.maxRetryDelay);
+            }
+        }
+
+        const backoff = this.retryDelay * Math.pow(2, attempt - 1);
+        const jitter = Math.random() * this.retryDelay;
+        return Math.min(backoff + jitter, this.maxRetryDelay);
+    }
+
+    /**
+     * Set how many requests may run at once and persist it
+     * @param {number} concurrency - Max parallel requests
+     */
+    setConcurrency(concurrency) {
+        this.queue.setConcurrency(concurrency);
+        this.app.modules.storage.updateSetting('requestConcurrency', this.queue.concurrency);
+    }
+
+    /**
+     * Cancel all queued and in-flight requests
+     * @returns {number} Number of cancelled requests
+     */
+    cancelAll() {
+        return this.queue.cancelAll();
+    }
+
+    /**
+     * Check whether an error came from a cancelled request
+     * @param {Error} error - Error to check
+     * @returns {boolean} True if cancelled
+     */
+    isCancelled(error) {
+        return RequestQueue.isAbortError(error);
     }
 
     /**
      * Test if the provided API key is valid
+     * Providers that do not use the Gemini key test their own connection instead
      * @param {string} apiKey - The API key to test
      * @returns {Promise<boolean>} True if valid, false otherwise
      */
     async testApiKey(apiKey) {
         try {
             console.log('🔑 [GEMINI] Testing API key...');
-            
-            if (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10) {
+
+            const provider = this.getProvider();
+
+            if (provider.usesApiKey && (!apiKey || typeof apiKey !== 'string' || apiKey.length < 10)) {
                 console.warn('⚠️ [GEMINI] Invalid API key format');
                 return false;
             }
 
-            // Test with a simple text generation request
-            const testUrl = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
-            
-            const response = await fetch(testUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: "Hello"
-                        }]
-                    }]
-                })
-            });
+            const isValid = await provider.testConnection(apiKey);
 
-            if (response.ok) {
+            if (isValid) {
                 console.log('✅ [GEMINI] API key is valid');
-                return true;
-            } else {
-                const errorData = await response.json().catch(() => ({}));
-                console.warn('⚠️ [GEMINI] API key test failed:', response.status, errorData);
-                return false;
             }
+
+            return isValid;
         } catch (error) {
             console.error('❌ [GEMINI] API key test error:', error);
             return false;
@@ -75,16 +281,13 @@ class GeminiAPI {
                 throw new Error('Invalid prompt provided');
             }
 
-            const apiKey = this.app.modules.storage.getApiKey();
-            if (!apiKey) {
-                throw new Error('No API key available');
-            }
+            this.assertProviderReady();
 
             // Enhance the prompt for better image generation
             const enhancedPrompt = await this.enhancePrompt(prompt);
             console.log('📝 [GEMINI] Enhanced prompt:', enhancedPrompt);
 
-            const imageData = await this.makeImageRequest(apiKey, enhancedPrompt, aspectRatio, imageSize);
+            const imageData = await this.makeImageRequest(enhancedPrompt, aspectRatio, imageSize, { sourcePrompt: prompt });
 
             if (!imageData) {
                 throw new Error('No image data received from API');
@@ -99,105 +302,157 @@ class GeminiAPI {
     }
 
     /**
-     * Make the actual image generation request with retry logic
-     * @param {string} apiKey - The API key
+     * Make the actual image generation request (retries are handled by sendRequest)
      * @param {string} prompt - The enhanced prompt
      * @param {string} aspectRatio - Optional aspect ratio (e.g., '1:1', '16:9', '9:16')
      * @param {string} imageSize - Optional image size/resolution (e.g., '1K', '2K', '4K') - Nano Banana Pro only
+     * @param {object} options - Optional settings { sourcePrompt, generationConfig } - generationConfig overrides the defaults (e.g., a replayed seed)
      * @returns {Promise<string>} The image data
      */
-    async makeImageRequest(apiKey, prompt, aspectRatio = null, imageSize = null) {
-        let lastError;
+    async makeImageRequest(prompt, aspectRatio = null, imageSize = null, options = {}) {
+        const requestBody = this.buildImageRequestBody(prompt, aspectRatio, imageSize, options.generationConfig);
+        const recipe = this.createRecipe('generate', options.sourcePrompt || prompt, prompt, requestBody);
 
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                console.log(`🔄 [GEMINI] Attempt ${attempt}/${this.maxRetries}`);
+        console.log('📤 [GEMINI] Sending request to Gemini API...');
 
-                const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
+        const data = await this.sendRequest(requestBody, 'generateImage');
+        console.log('📥 [GEMINI] Received response from API');
 
-                const generationConfig = {
-                    temperature: 0.9,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 8192,
-                    responseModalities: ["IMAGE"]
-                };
+        // Extract image from response (replayed candidate recipes may also return thought images)
+        const imageData = requestBody.generationConfig.thinkingConfig
+            ? (await this.extractImagesFromResponse(data))[0]?.url
+            : await this.extractImageFromResponse(data);
 
-                // Add image configuration (aspect ratio and/or resolution)
-                if (aspectRatio || imageSize) {
-                    generationConfig.imageConfig = {};
+        if (!imageData) {
+            throw new Error('No image data found in API response');
+        }
 
-                    if (aspectRatio) {
-                        generationConfig.imageConfig.aspectRatio = aspectRatio;
-                        console.log(`📐 [GEMINI] Using aspect ratio: ${aspectRatio}`);
-                    }
+        this.lastRecipe = recipe;
+        return imageData;
+    }
 
-                    // imageSize is only supported by Gemini 3 Pro Image (Nano Banana Pro)
-                    if (imageSize && this.model.includes('gemini-3')) {
-                        generationConfig.imageConfig.imageSize = imageSize;
-                        console.log(`📏 [GEMINI] Using image size: ${imageSize}`);
-                    }
-                }
+    /**
+     * Build the request body for a text-to-image request
+     * @param {string} prompt - The enhanced prompt
+     * @param {string} aspectRatio - Optional aspect ratio (e.g., '1:1', '16:9', '9:16')
+     * @param {string} imageSize - Optional image size/resolution (e.g., '1K', '2K', '4K') - Nano Banana Pro only
+     * @param {object} configOverrides - Optional generationConfig values to use instead of the defaults
+     * @returns {object} Request body
+     */
+    buildImageRequestBody(prompt, aspectRatio = null, imageSize = null, configOverrides = null) {
+        const generationConfig = {
+            temperature: 0.9,
+            topK: 40,
+            topP: 0.95,
+            seed: this.createSeed(),
+            maxOutputTokens: 8192,
+            responseModalities: ["IMAGE"],
+            ...(configOverrides || {})
+        };
 
-                const requestBody = {
-                    contents: [{
-                        parts: [{
-                            text: prompt
-                        }]
-                    }],
-                    generationConfig: generationConfig
-                };
+        // Add image configuration (aspect ratio and/or resolution)
+        if (aspectRatio || imageSize) {
+            generationConfig.imageConfig = {};
 
-                console.log('📤 [GEMINI] Sending request to Gemini API...');
+            if (aspectRatio) {
+                generationConfig.imageConfig.aspectRatio = aspectRatio;
+                console.log(`📐 [GEMINI] Using aspect ratio: ${aspectRatio}`);
+            }
 
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(requestBody)
-                });
+            // imageSize is only supported by Gemini 3 Pro Image (Nano Banana Pro)
+            if (imageSize && this.model.includes('gemini-3')) {
+                generationConfig.imageConfig.imageSize = imageSize;
+                console.log(`📏 [GEMINI] Using image size: ${imageSize}`);
+            }
+        }
 
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    const errorMessage = errorData.error?.message || 'Unknown error';
-                    throw new Error(`API request failed: ${response.status} - ${errorMessage}`);
-                }
+        const requestBody = {
+            contents: [{
+                parts: [{
+                    text: prompt
+                }]
+            }],
+            generationConfig: generationConfig
+        };
 
-                const data = await response.json();
-                console.log('📥 [GEMINI] Received response from API');
+        return requestBody;
+    }
 
-                // Extract image from response
-                const imageData = await this.extractImageFromResponse(data);
+    /**
+     * Generate several candidate images for one prompt, streaming progress as it arrives
+     * Candidates are separate streamed requests that run in parallel through the request queue
+     * @param {string} prompt - The text prompt for image generation
+     * @param {object} options - { aspectRatio, imageSize, count, onProgress }
+     *   onProgress({ candidate, type: 'status'|'text'|'thought', text }) receives streamed parts
+     * @returns {Promise<{enhancedPrompt: string, candidates: Array<{url: string, dataUrl: string, recipe: object}>}>} Generated candidates
+     */
+    async generateImageCandidates(prompt, options = {}) {
+        const { aspectRatio = null, imageSize = null, count = 1, onProgress = null } = options;
+        const progress = (update) => onProgress && onProgress(update);
 
-                if (!imageData) {
-                    throw new Error('No image data found in API response');
-                }
+        console.log(`🎨 [GEMINI] Starting generation of ${count} candidate(s)...`);
 
-                return imageData;
-            } catch (error) {
-                lastError = error;
-                console.warn(`⚠️ [GEMINI] Attempt ${attempt} failed:`, error.message);
+        if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+            throw new Error('Invalid prompt provided');
+        }
 
-                if (attempt < this.maxRetries) {
-                    const delay = this.retryDelay * attempt;
-                    console.log(`⏳ [GEMINI] Retrying in ${delay}ms...`);
-                    await this.sleep(delay);
-                }
+        this.assertProviderReady();
+
+        progress({ candidate: null, type: 'status', text: 'Enhancing prompt...' });
+        const enhancedPrompt = await this.enhancePrompt(prompt);
+        progress({ candidate: null, type: 'status', text: `Generating ${count} candidate${count > 1 ? 's' : ''}...` });
+
+        const results = await Promise.allSettled(Array.from({ length: count }, async (_, candidate) => {
+            // Every candidate gets its own seed so it can be replayed on its own
+            const requestBody = this.buildImageRequestBody(enhancedPrompt, aspectRatio, imageSize);
+            // Ask for text alongside the image so reasoning can be streamed
+            requestBody.generationConfig.responseModalities = ["TEXT", "IMAGE"];
+            if (this.model.includes('gemini-3')) {
+                requestBody.generationConfig.thinkingConfig = { includeThoughts: true };
             }
+            const recipe = this.createRecipe('generate', prompt, enhancedPrompt, requestBody);
+
+            const data = await this.sendRequest(requestBody, 'generateImage', {
+                stream: true,
+                onChunk: ({ type, text }) => progress({ candidate, type, text })
+            });
+            progress({ candidate, type: 'status', text: `Candidate ${candidate + 1} received` });
+
+            const images = await this.extractImagesFromResponse(data);
+            return images.map(image => ({ ...image, recipe }));
+        }));
+
+        const cancelled = results.find(result => result.status === 'rejected' && this.isCancelled(result.reason));
+        if (cancelled) {
+            throw cancelled.reason;
         }
 
-        // If all attempts failed, throw the error
-        console.error('❌ [GEMINI] All attempts failed');
-        throw lastError || new Error('Image generation failed after all retry attempts');
+        const candidates = results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value);
+
+        if (candidates.length === 0) {
+            const failure = results.find(result => result.status === 'rejected');
+            throw failure ? failure.reason : new Error('No image data received from API');
+        }
+
+        // Keep the gallery fallback consistent with the first candidate
+        this.lastGeneratedImageData = candidates[0].dataUrl;
+        this.lastRecipe = candidates[0].recipe;
+
+        console.log(`✅ [GEMINI] Generated ${candidates.length} candidate(s)`);
+        return { enhancedPrompt, candidates };
     }
 
     /**
      * Extract image data from Gemini API response and convert to Blob URL
      * @param {object} response - The API response
+     * @param {object} options - { trimBorders } (default true) crops uniform bars around the image
      * @returns {string|null} Blob URL or null
      */
-    async extractImageFromResponse(response) {
+    async extractImageFromResponse(response, options = {}) {
+        const { trimBorders = true } = options;
+
         try {
             // Debug: Log the full response structure (truncated for readability)
             console.log('🔍 [GEMINI] Processing API response...');
@@ -233,159 +488,400 @@ class GeminiAPI {
 
             // Look for inline_data with image mime type (try both snake_case and camelCase)
             for (const part of candidate.content.parts) {
-                let mimeType = null;
-                let base64Data = null;
-
-                // Try snake_case (inline_data)
-                if (part.inline_data && part.inline_data.mime_type) {
-                    mimeType = part.inline_data.mime_type;
-                    base64Data = part.inline_data.data;
-                    console.log('✅ [GEMINI] Found image data in response (snake_case)');
+                const image = await this.extractImagePart(part, { trimBorders });
+                if (image) {
+                    // Store base64 for gallery
+                    this.lastGeneratedImageData = image.dataUrl;
+                    return image.url;
                 }
-                // Try camelCase (inlineData)
-                else if (part.inlineData && part.inlineData.mimeType) {
-                    mimeType = part.inlineData.mimeType;
-                    base64Data = part.inlineData.data;
-                    console.log('✅ [GEMINI] Found image data in response (camelCase)');
+            }
+
+            console.warn('⚠️ [GEMINI] No image parts found in response');
+            return null;
+        } catch (error) {
+            console.error('❌ [GEMINI] Error extracting image from response:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Convert one response part to a Blob URL, trimming uniform borders unless told not to
+     * Reads and writes no instance state, so parallel requests can use it
+     * @param {object} part - Response part
+     * @param {object} options - { trimBorders } (default true)
+     * @returns {Promise<{url: string, dataUrl: string}|null>} Blob URL with its base64 data URL, or null
+     *   if the part holds no image
+     */
+    async extractImagePart(part, options = {}) {
+        const { trimBorders = true } = options;
+        let mimeType = null;
+        let base64Data = null;
+
+        // Try snake_case (inline_data)
+        if (part.inline_data && part.inline_data.mime_type) {
+            mimeType = part.inline_data.mime_type;
+            base64Data = part.inline_data.data;
+            console.log('✅ [GEMINI] Found image data in response (snake_case)');
+        }
+        // Try camelCase (inlineData)
+        else if (part.inlineData && part.inlineData.mimeType) {
+            mimeType = part.inlineData.mimeType;
+            base64Data = part.inlineData.data;
+            console.log('✅ [GEMINI] Found image data in response (camelCase)');
+        }
+
+        if (mimeType && mimeType.startsWith('image/') && base64Data) {
+            try {
+                console.log('🔄 [GEMINI] Preparing image data for possible border trim...');
+
+                // Clean base64 string (remove whitespace/newlines)
+                const cleanBase64 = base64Data.replace(/\s/g, '');
+                const dataUrl = `data:${mimeType};base64,${cleanBase64}`;
+
+                if (!trimBorders) {
+                    const blob = await (await fetch(dataUrl)).blob();
+                    return { url: URL.createObjectURL(blob), dataUrl };
                 }
 
-                if (mimeType && mimeType.startsWith('image/') && base64Data) {
-                    try {
-                        console.log('🔄 [GEMINI] Preparing image data for possible border trim...');
-
-                        // Clean base64 string (remove whitespace/newlines)
-                        const cleanBase64 = base64Data.replace(/\s/g, '');
-                        const dataUrl = `data:${mimeType};base64,${cleanBase64}`;
-
-                        // Helper to sample whether a pixel is near a target color
-                        const near = (r, g, b, a, tr, tg, tb, threshold = 12) => {
-                            return Math.abs(r - tr) <= threshold && Math.abs(g - tg) <= threshold && Math.abs(b - tb) <= threshold && a > 0; // non-transparent
-                        };
-
-                        // Load image for analysis
-                        const img = await new Promise((resolve, reject) => {
-                            const image = new Image();
-                            image.onload = () => resolve(image);
-                            image.onerror = reject;
-                            image.src = dataUrl;
-                        });
-
-                        const canvas = document.createElement('canvas');
-                        canvas.width = img.width;
-                        canvas.height = img.height;
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(img, 0, 0);
-
-                        const getPixel = (x, y) => {
-                            const d = ctx.getImageData(x, y, 1, 1).data;
-                            return [d[0], d[1], d[2], d[3]];
-                        };
-
-                        // Detect uniform border color (assume black bars issue)
-                        const corners = [
-                            getPixel(0, 0),
-                            getPixel(img.width - 1, 0),
-                            getPixel(0, img.height - 1),
-                            getPixel(img.width - 1, img.height - 1)
-                        ];
-
-                        // Determine background color candidate; default to first corner
-                        let [br, bg, bb, ba] = corners[0];
-                        // If all corners near black, set bg color to black
-                        const allCornersNearBlack = corners.every(([r, g, b, a]) => near(r, g, b, a, 0, 0, 0, 12));
-                        if (allCornersNearBlack) {
-                            br = 0; bg = 0; bb = 0; ba = 255;
-                        } else {
-                            // If corners are similar, keep that as background; otherwise skip trimming
-                            const similarCorners = corners.every(([r, g, b, a]) => Math.abs(r - br) < 12 && Math.abs(g - bg) < 12 && Math.abs(b - bb) < 12);
-                            if (!similarCorners) {
-                                console.log('ℹ️ [GEMINI] Corners not uniform; skipping border trim');
-                                // Store original and return
-                                this.lastGeneratedImageData = dataUrl;
-                                const blob = await (await fetch(dataUrl)).blob();
-                                const blobUrl = URL.createObjectURL(blob);
-                                console.log('✅ [GEMINI] Returning original image Blob URL:', blobUrl);
-                                return blobUrl;
-                            }
-                        }
+                // Helper to sample whether a pixel is near a target color
+                const near = (r, g, b, a, tr, tg, tb, threshold = 12) => {
+                    return Math.abs(r - tr) <= threshold && Math.abs(g - tg) <= threshold && Math.abs(b - tb) <= threshold && a > 0; // non-transparent
+                };
 
-                        // Scan edges to find trim margins
-                        const sampleCols = 8;
-                        const stepX = Math.max(1, Math.floor(img.width / (sampleCols + 1)));
-                        const sampleXs = Array.from({ length: sampleCols }, (_, i) => Math.min(img.width - 1, (i + 1) * stepX));
-
-                        const isRowUniform = (y) => sampleXs.every((x) => {
-                            const [r, g, b, a] = getPixel(x, y);
-                            return near(r, g, b, a, br, bg, bb, 14);
-                        });
-                        const isColUniform = (x) => {
-                            const sampleRows = 8;
-                            const stepY = Math.max(1, Math.floor(img.height / (sampleRows + 1)));
-                            for (let i = 1; i <= sampleRows; i++) {
-                                const y = Math.min(img.height - 1, i * stepY);
-                                const [r, g, b, a] = getPixel(x, y);
-                                if (!near(r, g, b, a, br, bg, bb, 14)) return false;
-                            }
-                            return true;
-                        };
-
-                        let top = 0;
-                        while (top < img.height && isRowUniform(top)) top++;
-                        let bottom = img.height - 1;
-                        while (bottom > top && isRowUniform(bottom)) bottom--;
-                        let left = 0;
-                        while (left < img.width && isColUniform(left)) left++;
-                        let right = img.width - 1;
-                        while (right > left && isColUniform(right)) right--;
-
-                        // Compute crop rect
-                        const cropX = left;
-                        const cropY = top;
-                        const cropW = Math.max(1, right - left + 1);
-                        const cropH = Math.max(1, bottom - top + 1);
-
-                        let finalDataUrl = dataUrl;
-                        if (cropW < img.width || cropH < img.height) {
-                            const out = document.createElement('canvas');
-                            out.width = cropW;
-                            out.height = cropH;
-                            const octx = out.getContext('2d');
-                            octx.drawImage(canvas, cropX, cropY, cropW, cropH, 0, 0, cropW, cropH);
-                            finalDataUrl = out.toDataURL(mimeType);
-                            console.log(`✂️ [GEMINI] Trimmed borders: top=${top}, bottom=${img.height - 1 - bottom}, left=${left}, right=${img.width - 1 - right}`);
-                        } else {
-                            console.log('ℹ️ [GEMINI] No borders detected for trimming');
-                        }
+                // Load image for analysis
+                const img = await new Promise((resolve, reject) => {
+                    const image = new Image();
+                    image.onload = () => resolve(image);
+                    image.onerror = reject;
+                    image.src = dataUrl;
+                });
+
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+
+                const getPixel = (x, y) => {
+                    const d = ctx.getImageData(x, y, 1, 1).data;
+                    return [d[0], d[1], d[2], d[3]];
+                };
 
-                        // Store base64 for gallery and return Blob URL
-                        this.lastGeneratedImageData = finalDataUrl;
-                        const finalBlob = await (await fetch(finalDataUrl)).blob();
-                        const finalBlobUrl = URL.createObjectURL(finalBlob);
-                        console.log('✅ [GEMINI] Prepared final Blob URL:', finalBlobUrl);
-                        return finalBlobUrl;
-                    } catch (conversionError) {
-                        console.error('❌ [GEMINI] Image processing failed:', conversionError);
-                        console.log('⚠️ [GEMINI] Falling back to original base64 Blob conversion...');
-
-                        // Fallback to original logic
-                        const cleanBase64 = base64Data.replace(/\s/g, '');
-                        this.lastGeneratedImageData = `data:${mimeType};base64,${cleanBase64}`;
-                        const binaryString = atob(cleanBase64);
-                        const bytes = new Uint8Array(binaryString.length);
-                        for (let i = 0; i < binaryString.length; i++) bytes[i] = binaryString.charCodeAt(i);
-                        const blob = new Blob([bytes], { type: mimeType });
+                // Detect uniform border color (assume black bars issue)
+                const corners = [
+                    getPixel(0, 0),
+                    getPixel(img.width - 1, 0),
+                    getPixel(0, img.height - 1),
+                    getPixel(img.width - 1, img.height - 1)
+                ];
+
+                // Determine background color candidate; default to first corner
+                let [br, bg, bb, ba] = corners[0];
+                // If all corners near black, set bg color to black
+                const allCornersNearBlack = corners.every(([r, g, b, a]) => near(r, g, b, a, 0, 0, 0, 12));
+                if (allCornersNearBlack) {
+                    br = 0; bg = 0; bb = 0; ba = 255;
+                } else {
+                    // If corners are similar, keep that as background; otherwise skip trimming
+                    const similarCorners = corners.every(([r, g, b, a]) => Math.abs(r - br) < 12 && Math.abs(g - bg) < 12 && Math.abs(b - bb) < 12);
+                    if (!similarCorners) {
+                        console.log('ℹ️ [GEMINI] Corners not uniform; skipping border trim');
+                        // Return the original
+                        const blob = await (await fetch(dataUrl)).blob();
                         const blobUrl = URL.createObjectURL(blob);
-                        return blobUrl;
+                        console.log('✅ [GEMINI] Returning original image Blob URL:', blobUrl);
+                        return { url: blobUrl, dataUrl };
+                    }
+                }
+
+                // Scan edges to find trim margins
+                const sampleCols = 8;
+                const stepX = Math.max(1, Math.floor(img.width / (sampleCols + 1)));
+                const sampleXs = Array.from({ length: sampleCols }, (_, i) => Math.min(img.width - 1, (i + 1) * stepX));
+
+                const isRowUniform = (y) => sampleXs.every((x) => {
+                    const [r, g, b, a] = getPixel(x, y);
+                    return near(r, g, b, a, br, bg, bb, 14);
+                });
+                const isColUniform = (x) => {
+                    const sampleRows = 8;
+                    const stepY = Math.max(1, Math.floor(img.height / (sampleRows + 1)));
+                    for (let i = 1; i <= sampleRows; i++) {
+                        const y = Math.min(img.height - 1, i * stepY);
+                        const [r, g, b, a] = getPixel(x, y);
+                        if (!near(r, g, b, a, br, bg, bb, 14)) return false;
                     }
+                    return true;
+                };
+
+                let top = 0;
+                while (top < img.height && isRowUniform(top)) top++;
+                let bottom = img.height - 1;
+                while (bottom > top && isRowUniform(bottom)) bottom--;
+                let left = 0;
+                while (left < img.width && isColUniform(left)) left++;
+                let right = img.width - 1;
+                while (right > left && isColUniform(right)) right--;
+
+                // Compute crop rect
+                const cropX = left;
+                const cropY = top;
+                const cropW = Math.max(1, right - left + 1);
+                const cropH = Math.max(1, bottom - top + 1);
+
+                let finalDataUrl = dataUrl;
+                if (cropW < img.width || cropH < img.height) {
+                    const out = document.createElement('canvas');
+                    out.width = cropW;
+                    out.height = cropH;
+                    const octx = out.getContext('2d');
+                    octx.drawImage(canvas, cropX, cropY, cropW, cropH, 0, 0, cropW, cropH);
+                    finalDataUrl = out.toDataURL(mimeType);
+                    console.log(`✂️ [GEMINI] Trimmed borders: top=${top}, bottom=${img.height - 1 - bottom}, left=${left}, right=${img.width - 1 - right}`);
+                } else {
+                    console.log('ℹ️ [GEMINI] No borders detected for trimming');
                 }
+
+                // Return the Blob URL with its base64 for the gallery
+                const finalBlob = await (await fetch(finalDataUrl)).blob();
+                const finalBlobUrl = URL.createObjectURL(finalBlob);
+                console.log('✅ [GEMINI] Prepared final Blob URL:', finalBlobUrl);
+                return { url: finalBlobUrl, dataUrl: finalDataUrl };
+            } catch (conversionError) {
+                console.error('❌ [GEMINI] Image processing failed:', conversionError);
+                console.log('⚠️ [GEMINI] Falling back to original base64 Blob conversion...');
+
+                // Fallback to original logic
+                const cleanBase64 = base64Data.replace(/\s/g, '');
+                const binaryString = atob(cleanBase64);
+                const bytes = new Uint8Array(binaryString.length);
+                for (let i = 0; i < binaryString.length; i++) bytes[i] = binaryString.charCodeAt(i);
+                const blob = new Blob([bytes], { type: mimeType });
+                const blobUrl = URL.createObjectURL(blob);
+                return { url: blobUrl, dataUrl: `data:${mimeType};base64,${cleanBase64}` };
             }
+        }
 
-            console.warn('⚠️ [GEMINI] No image parts found in response');
-            return null;
-        } catch (error) {
-            console.error('❌ [GEMINI] Error extracting image from response:', error);
-            return null;
+        return null;
+    }
+
+    /**
+     * Remove a data URL prefix (e.g. "data:image/png;base64,") from base64 image data
+     * @param {string} imageData - Base64 data, with or without prefix
+     * @returns {string} Base64 data
+     */
+    stripDataUrlPrefix(imageData) {
+        return imageData.includes(',') ? imageData.split(',')[1] : imageData;
+    }
+
+    /**
+     * Blend an edit result into the original image through a mask, so only the masked area changes
+     * The result is scaled uniformly to cover the original (centered, never stretched); grey mask
+     * pixels (feathered edges) mix both images
+     * @param {string} baseImageData - Original image (base64 PNG, no prefix)
+     * @param {string} editedImageUrl - Blob URL of the edit result (revoked here)
+     * @param {string} maskData - Mask (base64 PNG, no prefix), white = edited
+     * @param {object|null} crop - Optional {x, y, width, height} of the original to keep
+     * @returns {Promise<string>} Blob URL of the composited image (its data URL is kept for the gallery)
+     */
+    async compositeMaskedEdit(baseImageData, editedImageUrl, maskData, crop = null) {
+        const load = (src) => new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load image for masked edit'));
+            image.src = src;
+        });
+
+        const [base, edited, mask] = await Promise.all([
+            load(`data:image/png;base64,${baseImageData}`),
+            load(editedImageUrl),
+            load(`data:image/png;base64,${maskData}`)
+        ]);
+        URL.revokeObjectURL(editedImageUrl);
+
+        const { width, height } = base;
+
+        // Turn the mask's brightness into alpha, then keep the edited pixels only where it is opaque
+        const masked = document.createElement('canvas');
+        masked.width = width;
+        masked.height = height;
+        const maskedCtx = masked.getContext('2d', { willReadFrequently: true });
+        maskedCtx.drawImage(mask, 0, 0, width, height);
+
+        const pixels = maskedCtx.getImageData(0, 0, width, height);
+        const data = pixels.data;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i + 3] = data[i];
+        }
+        maskedCtx.putImageData(pixels, 0, 0);
+
+        // The model may answer at a slightly different ratio - cover the frame rather than distort it
+        const scale = Math.max(width / edited.naturalWidth, height / edited.naturalHeight);
+        const editedWidth = edited.naturalWidth * scale;
+        const editedHeight = edited.naturalHeight * scale;
+        maskedCtx.globalCompositeOperation = 'source-in';
+        maskedCtx.drawImage(edited, (width - editedWidth) / 2, (height - editedHeight) / 2, editedWidth, editedHeight);
+
+        const frame = crop || { x: 0, y: 0, width, height };
+        const output = document.createElement('canvas');
+        output.width = frame.width;
+        output.height = frame.height;
+        const outputCtx = output.getContext('2d');
+        outputCtx.drawImage(base, -frame.x, -frame.y);
+        outputCtx.drawImage(masked, -frame.x, -frame.y);
+
+        const dataUrl = output.toDataURL('image/png');
+        this.lastGeneratedImageData = dataUrl;
+
+        console.log(`🎭 [GEMINI] Masked edit composited into the original (${frame.width}x${frame.height})`);
+
+        const blob = await (await fetch(dataUrl)).blob();
+        return URL.createObjectURL(blob);
+    }
+
+    /**
+     * Create a random generation seed
+     * @returns {number} Seed
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 2147483647);
+    }
+
+    /**
+     * Capture everything needed to reproduce a request
+     * @param {string} operation - 'generate' or 'edit'
+     * @param {string} prompt - Prompt passed in by the caller
+     * @param {string} sentPrompt - Exact prompt text sent to the API
+     * @param {object} requestBody - Request body (generationConfig is copied)
+     * @param {string|null} parentImageId - Gallery id of the source image for edits
+     * @returns {object} Recipe
+     */
+    createRecipe(operation, prompt, sentPrompt, requestBody, parentImageId = null) {
+        const generationConfig = JSON.parse(JSON.stringify(requestBody.generationConfig || {}));
+        const imageConfig = generationConfig.imageConfig || {};
+
+        return {
+            version: 1,
+            operation,
+            prompt,
+            enhancedPrompt: sentPrompt,
+            aspectRatio: imageConfig.aspectRatio || null,
+            imageSize: imageConfig.imageSize || null,
+            model: this.model,
+            provider: this.providers.getActiveId(),
+            generationConfig,
+            parentImageId,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get the recipe behind the last generated or edited image
+     * @returns {object|null} Recipe
+     */
+    getLastRecipe() {
+        return this.lastRecipe;
+    }
+
+    /**
+     * Run a stored recipe again with the exact same prompt and generationConfig (including seed)
+     * The stored enhanced prompt is sent as-is, so prompt enhancement is skipped
+     * @param {object} recipe - Recipe from createRecipe()
+     * @param {string|null} baseImageData - Parent image data, required for 'edit' recipes
+     * @returns {Promise<string>} Blob URL of the regenerated image
+     */
+    async replayRecipe(recipe, baseImageData = null) {
+        if (!recipe || !recipe.enhancedPrompt) {
+            throw new Error('Invalid recipe');
+        }
+
+        if (recipe.model && recipe.model !== this.model) {
+            console.warn(`⚠️ [GEMINI] Recipe was made with ${recipe.model}, replaying with ${this.model}`);
+        }
+
+        console.log('🔁 [GEMINI] Replaying recipe:', recipe.operation, recipe.generationConfig?.seed);
+
+        if (recipe.operation === 'edit') {
+            if (!baseImageData) {
+                throw new Error('The source image for this edit is no longer available');
+            }
+
+            if (recipe.masked) {
+                await this.assertReplayableMask(recipe, baseImageData);
+            }
+
+            // preserveOriginal is false because enhancedPrompt already holds the formatted instruction
+            return this.editImage(baseImageData, recipe.enhancedPrompt, {
+                preserveOriginal: false,
+                parentImageId: recipe.parentImageId,
+                generationConfig: recipe.generationConfig,
+                mask: recipe.mask || null,
+                crop: recipe.crop || null
+            });
+        }
+
+        this.assertProviderReady();
+        return this.makeImageRequest(recipe.enhancedPrompt, recipe.aspectRatio, recipe.imageSize, {
+            sourcePrompt: recipe.prompt,
+            generationConfig: recipe.generationConfig
+        });
+    }
+
+    /**
+     * Check that a masked edit recipe can be replayed on the source image
+     * Recipes saved before masks were stored, or whose source no longer has the mask's size (e.g. a
+     * generative expand, whose source was the padded canvas), would change the whole image instead
+     * @param {object} recipe - Masked edit recipe
+     * @param {string} baseImageData - Source image data URL
+     */
+    async assertReplayableMask(recipe, baseImageData) {
+        const replayError = (message) => {
+            const error = new Error(message);
+            error.name = 'RecipeReplayError';
+            return error;
+        };
+
+        if (!recipe.mask) {
+            throw replayError('This masked edit was saved without its mask, so replaying it would change the whole image');
+        }
+
+        const size = (src) => new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(`${image.naturalWidth}x${image.naturalHeight}`);
+            image.onerror = () => reject(new Error('Failed to load image for masked edit'));
+            image.src = src;
+        });
+
+        const src = baseImageData.startsWith('data:') ? baseImageData : `data:image/png;base64,${baseImageData}`;
+        const [maskSize, baseSize] = await Promise.all([size(recipe.mask), size(src)]);
+        if (maskSize !== baseSize) {
+            throw replayError(`The mask of this edit (${maskSize}) does not fit its source image (${baseSize}), so it cannot be replayed`);
+        }
+    }
+
+    /**
+     * Extract every image from a response (all candidates, all parts)
+     * @param {object} response - The API response
+     * @returns {Promise<Array<{url: string, dataUrl: string}>>} Blob URLs with their base64 data URLs
+     */
+    async extractImagesFromResponse(response) {
+        const images = [];
+
+        for (const candidate of response.candidates || []) {
+            for (const part of candidate.content?.parts || []) {
+                const isImage = (part.inlineData?.mimeType || part.inline_data?.mime_type || '').startsWith('image/');
+                if (!isImage || part.thought) continue;
+
+                // Same border trim + Blob URL as the single-image path, without the shared lastGeneratedImageData
+                const image = await this.extractImagePart(part);
+                if (image) {
+                    images.push(image);
+                }
+            }
         }
+
+        console.log('📊 [GEMINI] Extracted', images.length, 'image(s) from response');
+        return images;
     }
 
     /**
@@ -437,25 +933,41 @@ class GeminiAPI {
     }
 
     /**
-     * Get API usage statistics (placeholder for future implementation)
+     * Get API usage statistics recorded by UsageTracker
      * @returns {object} Usage statistics
      */
     getUsageStats() {
+        const stats = this.app.modules.usage.getStats();
+
         return {
-            requestsToday: 0,
-            requestsThisMonth: 0,
-            lastRequest: null,
-            rateLimitRemaining: 100
+            requestsToday: stats.today.requests,
+            requestsThisMonth: stats.month.requests,
+            costToday: stats.today.cost,
+            costThisMonth: stats.month.cost,
+            lastRequest: stats.lastRequest,
+            budgetRemaining: stats.budgetRemaining
         };
     }
 
     /**
      * Sleep utility for retry delays
      * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} signal - Optional signal that cuts the delay short
      * @returns {Promise} Promise that resolves after the delay
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(RequestQueue.createAbortError());
+                return;
+            }
+
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(RequestQueue.createAbortError());
+            }, { once: true });
+        });
     }
 
     /**
@@ -464,6 +976,14 @@ class GeminiAPI {
      * @returns {string} User-friendly error message
      */
     formatError(error) {
+        if (this.isCancelled(error)) {
+            return 'Request cancelled.';
+        }
+
+        if (error.name === 'BudgetExceededError' || error.name === 'RecipeReplayError') {
+            return error.message;
+        }
+
         if (error.message.includes('API request failed: 401')) {
             return 'Invalid API key. Please check your Gemini API key.';
         }
@@ -496,13 +1016,7 @@ class GeminiAPI {
                 throw new Error('Prompt cannot be empty');
             }
 
-            const apiKey = this.app.modules.storage.getApiKey();
-            if (!apiKey) {
-                throw new Error('API key not found. Please set your API key first.');
-            }
-
-            // Use unified model (Gemini 2.5 Flash Image) for text-only enhancement
-            const enhanceUrl = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
+            this.assertProviderReady();
 
             const enhanceSystemPrompt = `You are an expert at writing image generation prompts. Your task is to enhance the user's prompt to be more detailed, specific, and effective for AI image generation.
 
@@ -517,31 +1031,18 @@ User's original prompt: "${userPrompt}"
 
 Enhanced prompt:`;
 
-            const response = await fetch(enhanceUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: enhanceSystemPrompt
-                        }]
-                    }],
-                    generationConfig: {
-                        responseModalities: ["TEXT"],
-                        candidateCount: 1
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('❌ [GEMINI] Prompt enhancement failed:', errorData);
-                throw new Error(`API request failed: ${response.status}`);
-            }
-
-            const data = await response.json();
+            // Use unified model for text-only enhancement
+            const data = await this.sendRequest({
+                contents: [{
+                    parts: [{
+                        text: enhanceSystemPrompt
+                    }]
+                }],
+                generationConfig: {
+                    responseModalities: ["TEXT"],
+                    candidateCount: 1
+                }
+            }, 'enhancePrompt');
             const enhancedPrompt = this.extractTextFromResponse(data);
 
             console.log('✅ [GEMINI] Prompt enhanced successfully');
@@ -560,7 +1061,14 @@ Enhanced prompt:`;
      * Edit an existing image using AI based on text instructions
      * @param {string} baseImageData - Base64 encoded image data
      * @param {string} editPrompt - Description of what to change
-     * @param {object} options - Optional settings { preserveOriginal, aspectRatio, imageSize }
+     * @param {object} options - Optional settings { preserveOriginal, aspectRatio, imageSize, parentImageId, generationConfig,
+     *   mask, maskAspectRatio, crop }
+     *   generationConfig overrides the defaults (e.g., a replayed seed); parentImageId is stored in the recipe;
+     *   mask is a base64 PNG the size of the image (white = editable) - the result is composited back so
+     *   nothing outside the mask changes, and aspectRatio is ignored because the frame must stay the same;
+     *   maskAspectRatio is the image's own ratio (one the model supports, e.g. a padded expand canvas), sent
+     *   with a mask so the result scales back uniformly;
+     *   crop ({x, y, width, height} in image pixels) cuts the composited result down, e.g. to drop padding
      * @returns {Promise<string>} Base64 encoded edited image
      */
     async editImage(baseImageData, editPrompt, options = {}) {
@@ -569,22 +1077,20 @@ Enhanced prompt:`;
             options = { preserveOriginal: options };
         }
 
-        const { preserveOriginal = true, aspectRatio = null, imageSize = null } = options;
+        const { preserveOriginal = true, imageSize = null, parentImageId = null } = options;
+        const mask = options.mask ? this.stripDataUrlPrefix(options.mask) : null;
+        const aspectRatio = mask ? (options.maskAspectRatio || null) : (options.aspectRatio || null);
+        const crop = mask && options.crop ? options.crop : null;
 
         try {
             console.log('🎨 [GEMINI] Editing image with AI...');
-            console.log('📐 [GEMINI] Edit options:', { aspectRatio, imageSize, preserveOriginal });
+            console.log('📐 [GEMINI] Edit options:', { aspectRatio, imageSize, preserveOriginal, masked: !!mask });
 
             if (!baseImageData || !editPrompt) {
                 throw new Error('Both image data and edit prompt are required');
             }
 
-            const apiKey = this.app.modules.storage.getApiKey();
-            if (!apiKey) {
-                throw new Error('API key not found. Please set your API key first.');
-            }
-
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
+            this.assertProviderReady();
 
             // Format the edit instruction with smart deduplication of "preserve" clauses
             const baseText = editPrompt.trim().replace(/\s+/g, ' ');
@@ -614,14 +1120,13 @@ Enhanced prompt:`;
             console.log('📝 [GEMINI] Edit instruction:', formattedPrompt);
 
             // Strip data URL prefix if present (e.g., "data:image/png;base64,")
-            let cleanImageData = baseImageData;
-            if (baseImageData.includes(',')) {
-                cleanImageData = baseImageData.split(',')[1];
-            }
+            const cleanImageData = this.stripDataUrlPrefix(baseImageData);
 
             // Build generation config with resolution and aspect ratio
             const generationConfig = {
-                responseModalities: ["IMAGE"]
+                seed: this.createSeed(),
+                responseModalities: ["IMAGE"],
+                ...(options.generationConfig || {})
             };
 
             // Add image configuration if aspectRatio or imageSize is provided
@@ -640,6 +1145,19 @@ Enhanced prompt:`;
                 }
             }
 
+            // The mask goes in its own parts so the recipe's prompt stays replayable without it
+            const maskParts = mask ? [
+                {
+                    text: 'The next image is a mask for the image above, with the same size. Apply the edit only inside the white area of the mask and leave everything in the black area exactly as it is.'
+                },
+                {
+                    inlineData: {
+                        mimeType: 'image/png',
+                        data: mask
+                    }
+                }
+            ] : [];
+
             const requestBody = {
                 contents: [{
                     parts: [
@@ -649,6 +1167,7 @@ Enhanced prompt:`;
                                 data: cleanImageData
                             }
                         },
+                        ...maskParts,
                         {
                             text: formattedPrompt
                         }
@@ -657,23 +1176,23 @@ Enhanced prompt:`;
                 generationConfig: generationConfig
             };
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('❌ [GEMINI] Image edit failed:', errorData);
-                const errorMessage = errorData?.error?.message || JSON.stringify(errorData);
-                throw new Error(`API request failed: ${response.status} - ${errorMessage}`);
+            const recipe = this.createRecipe('edit', editPrompt, formattedPrompt, requestBody, parentImageId);
+            recipe.preserveOriginal = preserveOriginal;
+            recipe.masked = !!mask;
+            if (mask) {
+                // Replays need the same mask, or the whole image would change
+                recipe.mask = `data:image/png;base64,${mask}`;
+                recipe.crop = crop;
             }
 
-            const data = await response.json();
-            const editedImageData = await this.extractImageFromResponse(data);
+            const data = await this.sendRequest(requestBody, 'editImage');
+
+            // Border trimming would shift the result against the mask
+            let editedImageData = await this.extractImageFromResponse(data, { trimBorders: !mask });
+            if (editedImageData && mask) {
+                editedImageData = await this.compositeMaskedEdit(cleanImageData, editedImageData, mask, crop);
+            }
+            this.lastRecipe = recipe;
 
             console.log('✅ [GEMINI] Image edited successfully');
 
@@ -737,11 +1256,7 @@ Enhanced prompt:`;
      * @returns {Promise<string>} Detailed description of the object
      */
     async analyzeImageForTransfer(imageData, objectHint = '') {
-        const apiKey = this.app.modules.storage.getApiKey();
-
-        if (!apiKey) {
-            throw new Error('API key not found. Please set your API key first.');
-        }
+        this.assertProviderReady();
 
         console.log('🔍 [GEMINI] Analyzing image for object transfer...');
 
@@ -765,8 +1280,6 @@ Provide a concise but comprehensive description (2-4 sentences) that would help
 
             const fullPrompt = basePrompt + detailedInstructions;
 
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
-
             const requestBody = {
                 contents: [{
                     parts: [
@@ -791,21 +1304,7 @@ Provide a concise but comprehensive description (2-4 sentences) that would help
 
             console.log('📤 [GEMINI] Sending analysis request to API...');
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'analyzeImageForTransfer');
             console.log('✅ [GEMINI] Analysis response received');
 
             // Extract text from response
@@ -835,11 +1334,7 @@ Provide a concise but comprehensive description (2-4 sentences) that would help
      * @returns {Promise<string>} Detailed image description
      */
     async analyzeCanvasImage(imageData) {
-        const apiKey = this.app.modules.storage.getApiKey();
-
-        if (!apiKey) {
-            throw new Error('API key not found. Please set your API key first.');
-        }
+        this.assertProviderReady();
 
         console.log('🔍 [GEMINI] Analyzing canvas image for editing...');
 
@@ -856,8 +1351,6 @@ Provide a comprehensive description including:
 
 Provide a detailed, structured description (4-6 sentences) that would help someone precisely identify and edit specific elements in this image. Use clear spatial references (left, right, center, foreground, background) and specific descriptors.`;
 
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
-
             const requestBody = {
                 contents: [{
                     parts: [
@@ -882,21 +1375,7 @@ Provide a detailed, structured description (4-6 sentences) that would help someo
 
             console.log('📤 [GEMINI] Sending canvas analysis request to API...');
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'analyzeCanvasImage');
             console.log('✅ [GEMINI] Canvas analysis response received');
 
             // Extract text from response
@@ -926,11 +1405,7 @@ Provide a detailed, structured description (4-6 sentences) that would help someo
      * @returns {Promise<string>} Detailed style description
      */
     async analyzeStyleImage(imageData) {
-        const apiKey = this.app.modules.storage.getApiKey();
-
-        if (!apiKey) {
-            throw new Error('API key not found. Please set your API key first.');
-        }
+        this.assertProviderReady();
 
         console.log('🎨 [GEMINI] Analyzing artistic style...');
 
@@ -951,8 +1426,6 @@ Include the following details:
 
 Provide a comprehensive description (4-6 sentences) that captures the essence of this artistic style, including any text context found. This description will be used to transfer the style to another image.`;
 
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
-
             const requestBody = {
                 contents: [{
                     parts: [
@@ -977,21 +1450,7 @@ Provide a comprehensive description (4-6 sentences) that captures the essence of
 
             console.log('📤 [GEMINI] Sending style analysis request to API...');
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'analyzeStyleImage');
             console.log('✅ [GEMINI] Style analysis response received');
 
             // Extract text from response
@@ -1024,11 +1483,7 @@ Provide a comprehensive description (4-6 sentences) that captures the essence of
      * @returns {Promise<string>} Base64 encoded result image (with data URL prefix)
      */
     async styleTransfer(targetImageData, styleDescription, targetElement = '') {
-        const apiKey = this.app.modules.storage.getApiKey();
-
-        if (!apiKey) {
-            throw new Error('API key not found. Please set your API key first.');
-        }
+        this.assertProviderReady();
 
         console.log('🎨 [GEMINI] Performing style transfer (text-based, preserving aspect ratio)...');
         if (targetElement) {
@@ -1077,8 +1532,6 @@ ${styleDescription}
 The result should be the original image reimagined in the artistic style described above.`;
             }
 
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
-
             const requestBody = {
                 contents: [{
                     parts: [
@@ -1109,28 +1562,7 @@ The result should be the original image reimagined in the artistic style describ
                 generationConfig: requestBody.generationConfig
             });
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-                console.error('❌ [GEMINI] Error details:', JSON.stringify(errorData, null, 2));
-
-                let errorMessage = `API request failed: ${response.status} ${response.statusText}`;
-                if (errorData.error && errorData.error.message) {
-                    errorMessage += ` - ${errorData.error.message}`;
-                }
-
-                throw new Error(errorMessage);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'styleTransfer');
             console.log('✅ [GEMINI] Style transfer response received');
 
             // Extract image data from response
@@ -1168,11 +1600,7 @@ The result should be the original image reimagined in the artistic style describ
      * @returns {Promise<string>} Base64 encoded result image (with data URL prefix)
      */
     async objectTransfer(baseImageData, sourceImageData, transferDescription) {
-        const apiKey = this.app.modules.storage.getApiKey();
-
-        if (!apiKey) {
-            throw new Error('API key not found. Please set your API key first.');
-        }
+        this.assertProviderReady();
 
         console.log('✨ [GEMINI] Performing object transfer...');
 
@@ -1190,8 +1618,6 @@ IMPORTANT INSTRUCTIONS:
 
 The result should look natural and seamless, as if the element was always part of the first image.`;
 
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
-
             const requestBody = {
                 contents: [{
                     parts: [
@@ -1228,29 +1654,7 @@ The result should look natural and seamless, as if the element was always part o
                 generationConfig: requestBody.generationConfig
             });
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-                console.error('❌ [GEMINI] Error details:', JSON.stringify(errorData, null, 2));
-
-                // Extract specific error message if available
-                let errorMessage = `API request failed: ${response.status} ${response.statusText}`;
-                if (errorData.error && errorData.error.message) {
-                    errorMessage += ` - ${errorData.error.message}`;
-                }
-
-                throw new Error(errorMessage);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'objectTransfer');
             console.log('✅ [GEMINI] Transfer response received');
 
             // Extract image from response
@@ -1293,13 +1697,7 @@ The result should look natural and seamless, as if the element was always part o
             console.log('🎨 [GEMINI] Performing face & body enhancement...');
             console.log('📝 [GEMINI] Enhancement prompt:', enhancementPrompt);
 
-            const apiKey = this.app.modules.storage.getApiKey();
-            if (!apiKey) {
-                throw new Error('API key not set. Please configure your Gemini API key.');
-            }
-
-            // Prepare the API request
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
+            this.assertProviderReady();
 
             // Remove data URL prefix if present
             let base64Data = imageData;
@@ -1331,27 +1729,7 @@ The result should look natural and seamless, as if the element was always part o
 
             console.log('📤 [GEMINI] Sending face & body enhancement request...');
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-
-                let errorMessage = `API request failed: ${response.status} ${response.statusText}`;
-                if (errorData.error && errorData.error.message) {
-                    errorMessage += ` - ${errorData.error.message}`;
-                }
-
-                throw new Error(errorMessage);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'faceBodyEnhancement');
             console.log('✅ [GEMINI] Enhancement response received');
 
             // Extract image from response using the helper method
@@ -1383,13 +1761,7 @@ The result should look natural and seamless, as if the element was always part o
         try {
             console.log('💇 [GEMINI] Analyzing hair style from reference image...');
 
-            const apiKey = this.app.modules.storage.getApiKey();
-            if (!apiKey) {
-                throw new Error('API key not set. Please configure your Gemini API key.');
-            }
-
-            // Prepare the API request
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
+            this.assertProviderReady();
 
             // Remove data URL prefix if present
             let base64Data = imageData;
@@ -1454,27 +1826,7 @@ Example format: "Shoulder-length warm chestnut brown hair with subtle caramel hi
 
             console.log('📤 [GEMINI] Sending hair analysis request...');
 
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('❌ [GEMINI] API error:', errorData);
-
-                let errorMessage = `API request failed: ${response.status} ${response.statusText}`;
-                if (errorData.error && errorData.error.message) {
-                    errorMessage += ` - ${errorData.error.message}`;
-                }
-
-                throw new Error(errorMessage);
-            }
-
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'analyzeHairStyle');
             console.log('✅ [GEMINI] Hair analysis response received');
 
             // Extract text description from response
@@ -1501,10 +1853,7 @@ Example format: "Shoulder-length warm chestnut brown hair with subtle caramel hi
 
     // Analyze embedded text in image (OCR + typography)
     async analyzeTextInImage(imageData) {
-        const apiKey = this.app.modules.storage.getApiKey();
-        if (!apiKey) {
-            throw new Error('API key not found. Please set your API key first.');
-        }
+        this.assertProviderReady();
         console.log('🔎 [GEMINI] Analyzing embedded text in image...');
         try {
             const prompt = `You are an advanced visual OCR and typography analyzer. Read ALL embedded text in this image with high accuracy. Return STRICT JSON ONLY with this schema:
@@ -1521,7 +1870,6 @@ Example format: "Shoulder-length warm chestnut brown hair with subtle caramel hi
   "summary": "short one-paragraph description of text layout and hierarchy"
 }
 If no text is detected, return {"segments":[],"summary":"no text"}. Do NOT include markdown or code fences.`;
-            const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
             const requestBody = {
                 contents: [{
                     parts: [
@@ -1531,12 +1879,7 @@ If no text is detected, return {"segments":[],"summary":"no text"}. Do NOT inclu
                 }],
                 generationConfig: { temperature: 0.2, topK: 32, topP: 1, maxOutputTokens: 1024 }
             };
-            const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(requestBody) });
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorData?.error?.message || ''}`);
-            }
-            const data = await response.json();
+            const data = await this.sendRequest(requestBody, 'analyzeTextInImage');
             const textOut = this.extractTextFromResponse(data);
             try { return JSON.parse(textOut); } catch (_) { return textOut; }
         } catch (error) {
@@ -1550,25 +1893,17 @@ If no text is detected, return {"segments":[],"summary":"no text"}. Do NOT inclu
         if (!baseImageData || !editInstruction) {
             throw new Error('Both image data and edit instruction are required');
         }
-        const apiKey = this.app.modules.storage.getApiKey();
-        if (!apiKey) { throw new Error('API key not found. Please set your API key first.'); }
+        this.assertProviderReady();
         console.log('🧩 [GEMINI] Editing embedded text in image...');
         // Strip data URL prefix if present
         let cleanImageData = baseImageData.includes(',') ? baseImageData.split(',')[1] : baseImageData;
         const safety = 'Preserve all non-text content, layout, composition, lighting, and style. Use high-quality, legible typography without artifacts.';
         const prompt = `${editInstruction.trim()}. ${safety}`;
-        const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${apiKey}`;
         const requestBody = {
             contents: [{ parts: [ { inlineData: { mimeType: 'image/png', data: cleanImageData } }, { text: prompt } ] }],
             generationConfig: { responseModalities: ["IMAGE"] }
         };
-        const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(requestBody) });
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            const errorMessage = errorData?.error?.message || JSON.stringify(errorData);
-            throw new Error(`API request failed: ${response.status} - ${errorMessage}`);
-        }
-        const data = await response.json();
+        const data = await this.sendRequest(requestBody, 'editTextInImage');
         const editedImageData = await this.extractImageFromResponse(data);
         console.log('✅ [GEMINI] Text edit applied successfully');
         return editedImageData;
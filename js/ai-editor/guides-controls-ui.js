@@ -0,0 +1,88 @@
+/**
+ * GuidesControlsUI - Guides & Arrange section of the tools panel
+ * Toggles the rulers, grid and snapping of the SnapGuides, sets the grid size and aligns or
+ * distributes the selected nodes
+ */
+
+class GuidesControlsUI {
+    /**
+     * @param {KonvaEditor} editor - Editor with the SnapGuides
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.guides = editor.guides;
+        this.container = document.getElementById('guidesTools');
+
+        if (!this.container) {
+            console.error('Guides container not found: guidesTools');
+            return;
+        }
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.guides-toggle').forEach(button => {
+            button.addEventListener('click', () => {
+                const option = button.dataset.option;
+                this.guides.setOption(option, !this.guides.options[option]);
+                this.render();
+            });
+        });
+
+        const gridSize = document.getElementById('gridSizeInput');
+        if (gridSize) {
+            gridSize.addEventListener('change', () => {
+                const size = Math.round(parseFloat(gridSize.value));
+                if (size >= GuidesControlsUI.minGridSize && size <= GuidesControlsUI.maxGridSize) {
+                    this.guides.setOption('gridSize', size);
+                }
+                gridSize.value = this.guides.options.gridSize;
+            });
+        }
+
+        const clearGuides = document.getElementById('clearGuidesBtn');
+        if (clearGuides) {
+            clearGuides.addEventListener('click', () => this.guides.clearGuides());
+        }
+
+        this.container.querySelectorAll('[data-align]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.editor.alignSelection(button.dataset.align)) {
+                    this.notify('Select an object to align with the image, or several to align with each other');
+                }
+            });
+        });
+
+        this.container.querySelectorAll('[data-distribute]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.editor.distributeSelection(button.dataset.distribute)) {
+                    this.notify('Select three or more objects to distribute (Shift+click adds to the selection)');
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the current options on the controls
+     */
+    render() {
+        this.container.querySelectorAll('.guides-toggle').forEach(button => {
+            button.classList.toggle('active', Boolean(this.guides.options[button.dataset.option]));
+        });
+
+        const gridSize = document.getElementById('gridSizeInput');
+        if (gridSize) {
+            gridSize.value = this.guides.options.gridSize;
+        }
+    }
+
+    notify(message) {
+        const ui = this.editor.app && this.editor.app.modules.ui;
+        if (ui) ui.showNotification(message, 'info', 3000);
+    }
+}
+
+GuidesControlsUI.minGridSize = 2;
+GuidesControlsUI.maxGridSize = 1000;
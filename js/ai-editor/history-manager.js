@@ -0,0 +1,637 @@
+/**
+ * History Manager - Unified undo/redo for the canvas editor
+ * Every operation is recorded as a labelled command with undo()/redo().
+ * Bitmap changes keep PNG-compressed snapshots (only the changed region when the size is unchanged),
+ * and the stack is bounded both by step count and by the bytes those snapshots hold
+ *
+ * A command is a plain object:
+ *   { label, icon, bytes, undo(), redo(), dispose(side), mergeKey, pending }
+ * undo/redo may be async. dispose('before') is called when the step falls off the bottom of the
+ * stack and dispose('after') when an undone step is discarded by a new edit - commands use it to
+ * destroy Konva nodes that are no longer reachable. pending lists commands still being built
+ * (see pushPending); the step's bytes are added as each one is ready.
+ */
+
+class HistoryManager {
+    /**
+     * @param {object} options - { maxSteps, maxBytes, mergeWindow }
+     */
+    constructor(options = {}) {
+        this.maxSteps = options.maxSteps || 50;
+        this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+        this.mergeWindow = options.mergeWindow || 1000; // Slider drags within this window become one step
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.discardedSteps = 0; // Steps dropped from the bottom to stay within limits
+        this.openGroup = null;
+        this.applying = false;
+        this.queue = Promise.resolve();
+
+        this.onChange = null; // Called when the stacks change (History panel)
+        this.onApply = null;  // Called after an undo/redo so the editor can resync references
+
+        console.log('🕘 [HISTORY] History manager initialized');
+    }
+
+    /**
+     * Record a command whose change has already been made
+     * @param {object} command - Command object
+     * @returns {object|undefined} The recorded entry (undefined while history is being replayed)
+     */
+    push(command) {
+        // Replaying history calls the same editor methods - those must not record new steps
+        if (this.applying || !command) return;
+
+        const entry = { icon: 'fas fa-circle', bytes: 0, ...command, timestamp: Date.now() };
+
+        if (this.openGroup) {
+            this.openGroup.push(entry);
+            return entry;
+        }
+
+        // Consecutive changes to the same control collapse into one step
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (entry.mergeKey && top && top.mergeKey === entry.mergeKey &&
+            this.redoStack.length === 0 && entry.timestamp - top.timestamp < this.mergeWindow) {
+            top.redo = entry.redo;
+            top.timestamp = entry.timestamp;
+            this.notify();
+            return top;
+        }
+
+        this.discardRedo();
+        this.undoStack.push(entry);
+        if (entry.pending) this.settlePending(entry);
+        this.enforceLimits();
+        this.notify();
+
+        console.log(`🕘 [HISTORY] Recorded "${entry.label}" (${this.undoStack.length} steps, ${this.formatBytes(this.getTotalBytes())})`);
+        return entry;
+    }
+
+    /**
+     * Record a step whose command is still being built (e.g. a bitmap snapshot being encoded)
+     * The step takes its place in the stack right away, so it stays in order with the edits after it;
+     * undo/redo of it wait for the command. Inside a group it joins that group's step, so the group's
+     * work can stay synchronous and the caller awaits the returned promise after the group closes
+     * @param {Promise<object>} pending - Resolves with the command
+     * @param {string} label - Step label
+     * @param {string} icon - Optional Font Awesome icon class
+     * @returns {Promise<void>} Resolves once the command is ready (rejects if building it failed,
+     *   and the step is removed again)
+     */
+    pushPending(pending, label, icon = null) {
+        // A failed command leaves nothing to apply (a composite still applies its other commands)
+        const settled = pending.catch(() => null);
+
+        this.push({
+            label,
+            icon: icon || 'fas fa-circle',
+            pending: [pending],
+            placeholder: true,
+            undo: async () => {
+                const command = await settled;
+                if (command) await command.undo();
+            },
+            redo: async () => {
+                const command = await settled;
+                if (command) await command.redo();
+            },
+            dispose: (side) => settled.then(command => command && command.dispose && command.dispose(side))
+        });
+
+        return pending.then(() => {});
+    }
+
+    /**
+     * Fill in the bytes of a recorded step once its pending commands are built
+     * A placeholder step whose command failed is removed
+     * @param {object} entry - Recorded entry with a `pending` list
+     */
+    settlePending(entry) {
+        entry.pending.forEach(pending => pending.then(command => {
+            entry.bytes += command.bytes || 0;
+            this.enforceLimits();
+            this.notify();
+        }, () => {
+            if (entry.placeholder) this.remove(entry);
+        }));
+    }
+
+    /**
+     * Take a step out of the history without applying it
+     * @param {object} entry - Entry returned by push()
+     */
+    remove(entry) {
+        [this.undoStack, this.redoStack, this.openGroup || []].forEach(stack => {
+            const index = stack.indexOf(entry);
+            if (index !== -1) stack.splice(index, 1);
+        });
+        this.notify();
+    }
+
+    /**
+     * Run work and record every command it pushes as a single step
+     * Works with sync and async work; nested groups join the outer one
+     * @param {string} label - Step label
+     * @param {Function} work - Function performing the change
+     * @param {string} icon - Optional Font Awesome icon class
+     * @returns {any} Whatever work returns
+     */
+    group(label, work, icon = null) {
+        if (this.openGroup || this.applying) {
+            return work();
+        }
+
+        const commands = this.openGroup = [];
+        const finish = () => {
+            this.openGroup = null;
+            if (commands.length === 1) {
+                this.push({ ...commands[0], label, icon: icon || commands[0].icon });
+            } else if (commands.length > 1) {
+                this.push(this.createComposite(label, commands, icon));
+            }
+        };
+
+        let result;
+        try {
+            result = work();
+        } catch (error) {
+            finish();
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            const done = result.finally(finish);
+            // An undo requested while the step is still being recorded waits for it
+            this.queue = this.queue.then(() => done).catch(() => {});
+            return done;
+        }
+
+        finish();
+        return result;
+    }
+
+    /**
+     * Combine commands into one step (undone in reverse order)
+     * @param {string} label - Step label
+     * @param {Array} commands - Commands in the order they were made
+     * @param {string} icon - Optional icon
+     * @returns {object} Composite command
+     */
+    createComposite(label, commands, icon = null) {
+        return {
+            label,
+            icon: icon || commands[commands.length - 1].icon,
+            bytes: commands.reduce((sum, command) => sum + (command.bytes || 0), 0),
+            pending: commands.flatMap(command => command.pending || []),
+            undo: async () => {
+                for (const command of [...commands].reverse()) {
+                    await command.undo();
+                }
+            },
+            redo: async () => {
+                for (const command of commands) {
+                    await command.redo();
+                }
+            },
+            dispose: (side) => commands.forEach(command => command.dispose && command.dispose(side))
+        };
+    }
+
+    /**
+     * Undo the last step
+     * @returns {Promise<boolean>} True if a step was undone
+     */
+    undo() {
+        return this.enqueue(() => this.step(this.undoStack, this.redoStack, 'undo'));
+    }
+
+    /**
+     * Redo the last undone step
+     * @returns {Promise<boolean>} True if a step was redone
+     */
+    redo() {
+        return this.enqueue(() => this.step(this.redoStack, this.undoStack, 'redo'));
+    }
+
+    /**
+     * Move the top command from one stack to the other, applying it in the given direction
+     * A failed command stays where it was
+     * @param {Array} from - Stack to take the command from
+     * @param {Array} to - Stack to put it on
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Promise<boolean>} True if the command was applied
+     */
+    async step(from, to, direction) {
+        const command = from[from.length - 1];
+        if (!command) return false;
+
+        const applied = await this.apply(command, direction);
+        if (applied) {
+            to.push(from.pop());
+            console.log(`${direction === 'undo' ? '↶' : '↷'} [HISTORY] ${direction === 'undo' ? 'Undo' : 'Redo'} "${command.label}"`);
+        }
+
+        this.notify();
+        return applied;
+    }
+
+    /**
+     * Jump to a position in the history
+     * @param {number} position - Number of applied steps (0 = oldest available state)
+     * @returns {Promise<void>}
+     */
+    async goTo(position) {
+        while (this.undoStack.length > position && await this.undo()) { /* step back */ }
+        while (this.undoStack.length < position && await this.redo()) { /* step forward */ }
+    }
+
+    /**
+     * Run a command direction with recording suspended
+     * @param {object} command - Command
+     * @param {string} direction - 'undo' or 'redo'
+     * @returns {Promise<boolean>} False if the command failed
+     */
+    async apply(command, direction) {
+        this.applying = true;
+        try {
+            await command[direction]();
+            return true;
+        } catch (error) {
+            console.error(`❌ [HISTORY] Failed to ${direction} "${command.label}":`, error);
+            return false;
+        } finally {
+            this.applying = false;
+            if (this.onApply) this.onApply(command, direction);
+        }
+    }
+
+    /**
+     * Serialize undo/redo so fast key repeats never interleave async bitmap restores
+     * @param {Function} task - async () => result
+     * @returns {Promise<any>} Task result
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Drop undone steps (a new edit branches the history)
+     */
+    discardRedo() {
+        this.redoStack.forEach(command => command.dispose && command.dispose('after'));
+        this.redoStack = [];
+    }
+
+    /**
+     * Drop the oldest steps until the stack fits the step and memory limits
+     * The most recent step is always kept, even if it alone is over the byte limit
+     */
+    enforceLimits() {
+        while (this.undoStack.length > 1 &&
+            (this.undoStack.length > this.maxSteps || this.getTotalBytes() > this.maxBytes)) {
+            const command = this.undoStack.shift();
+            if (command.dispose) command.dispose('before');
+            this.discardedSteps++;
+            console.log(`🕘 [HISTORY] Dropped oldest step "${command.label}" to stay within limits`);
+        }
+    }
+
+    /**
+     * Forget all steps (the canvas keeps its current state)
+     */
+    clear() {
+        this.undoStack.forEach(command => command.dispose && command.dispose('before'));
+        this.discardRedo();
+        this.discardedSteps += this.undoStack.length;
+        this.undoStack = [];
+        this.notify();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get all steps in chronological order
+     * @returns {Array<{label: string, icon: string, bytes: number, timestamp: number, done: boolean}>} Steps
+     */
+    getEntries() {
+        const toEntry = (command, done) => ({
+            label: command.label,
+            icon: command.icon,
+            bytes: command.bytes || 0,
+            timestamp: command.timestamp,
+            done
+        });
+
+        return [
+            ...this.undoStack.map(command => toEntry(command, true)),
+            ...[...this.redoStack].reverse().map(command => toEntry(command, false))
+        ];
+    }
+
+    /**
+     * Bytes held by all recorded steps
+     * @returns {number} Bytes
+     */
+    getTotalBytes() {
+        return [...this.undoStack, ...this.redoStack].reduce((sum, command) => sum + (command.bytes || 0), 0);
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // ==================== COMMAND BUILDERS ====================
+
+    /**
+     * Command for attribute changes on a node (move, rotate, flip, resize...)
+     * @param {string} label - Step label
+     * @param {Konva.Node} node - Changed node
+     * @param {object} before - Attributes before the change
+     * @param {object} after - Attributes after the change
+     * @param {object} options - { icon, mergeKey, onApply(node) }
+     * @returns {object} Command
+     */
+    static attrsCommand(label, node, before, after, options = {}) {
+        const apply = (attrs) => {
+            node.setAttrs(attrs);
+            if (options.onApply) options.onApply(node);
+            const layer = node.getLayer();
+            if (layer) layer.batchDraw();
+        };
+
+        return {
+            label,
+            icon: options.icon || 'fas fa-arrows-alt',
+            mergeKey: options.mergeKey,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        };
+    }
+
+    /**
+     * Command for a node added to (or removed from) a container
+     * Removed nodes are kept alive, not destroyed, so the step can be redone
+     * @param {string} label - Step label
+     * @param {Konva.Node} node - The node
+     * @param {object} options - { added, parent, index, icon, onApply(node) }
+     *   added: true if the change added the node, false if it removed it
+     * @returns {object} Command
+     */
+    static nodeCommand(label, node, options = {}) {
+        const { added = true, parent = node.getParent(), index = node.zIndex() } = options;
+
+        const attach = () => {
+            parent.add(node);
+            node.zIndex(Math.min(index, parent.getChildren().length - 1));
+        };
+        const detach = () => node.remove();
+        const apply = (fn) => {
+            fn();
+            if (options.onApply) options.onApply(node);
+            const layer = parent.getLayer ? parent.getLayer() : null;
+            if (layer) layer.batchDraw();
+        };
+
+        return {
+            label,
+            icon: options.icon || (added ? 'fas fa-plus' : 'fas fa-trash'),
+            bytes: HistoryManager.estimateNodeBytes(node),
+            undo: () => apply(added ? detach : attach),
+            redo: () => apply(added ? attach : detach),
+            dispose: (side) => {
+                // Only a node that is detached in the discarded state is unreachable
+                const ownsNode = added ? side === 'after' : side === 'before';
+                if (ownsNode && !node.getParent()) {
+                    node.destroy();
+                }
+            }
+        };
+    }
+
+    /**
+     * Command for a change of an image node's bitmap (AI edit, crop, background removal...)
+     * Stores PNG-compressed data instead of decoded pixels; when the size is unchanged only the
+     * bounding box of the changed pixels is kept
+     * @param {string} label - Step label
+     * @param {Konva.Image} node - Image node whose bitmap changed
+     * @param {object} change - { beforeImage, afterImage, beforeAttrs, afterAttrs }
+     * @param {object} options - { icon, onApply(node) }
+     * @returns {Promise<object>} Command
+     */
+    static async bitmapCommand(label, node, change, options = {}) {
+        const delta = await BitmapDelta.create(change.beforeImage, change.afterImage);
+
+        const apply = async (side, attrs) => {
+            node.image(await delta.restore(node.image(), side));
+            node.setAttrs(attrs);
+            if (options.onApply) options.onApply(node);
+            const layer = node.getLayer();
+            if (layer) layer.batchDraw();
+        };
+
+        return {
+            label,
+            icon: options.icon || 'fas fa-image',
+            bytes: delta.bytes,
+            undo: () => apply('before', change.beforeAttrs),
+            redo: () => apply('after', change.afterAttrs)
+        };
+    }
+
+    /**
+     * Rough memory held by a node kept alive by the history (decoded bitmaps dominate)
+     * @param {Konva.Node} node - Node (shape, image, group or layer)
+     * @returns {number} Estimated bytes
+     */
+    static estimateNodeBytes(node) {
+        const images = node.getClassName() === 'Image' ? [node] : (node.find ? node.find('Image') : []);
+        const bitmapBytes = images.reduce((sum, imageNode) => {
+            const image = imageNode.image();
+            return sum + (image ? (image.naturalWidth || image.width) * (image.naturalHeight || image.height) * 4 : 0);
+        }, 0);
+
+        const points = node.points ? node.points().length * 8 : 0;
+        return bitmapBytes + points + 256;
+    }
+}
+
+/**
+ * Bitmap Delta - Compressed before/after data for one bitmap change
+ * Modes: 'none' (identical pixels), 'region' (same size - only the changed bounding box),
+ * 'full' (size changed or most of the image changed)
+ */
+class BitmapDelta {
+    constructor(mode, data = {}) {
+        this.mode = mode;
+        this.region = data.region || null;
+        this.before = data.before || null;
+        this.after = data.after || null;
+        this.bytes = (this.before ? this.before.size : 0) + (this.after ? this.after.size : 0);
+    }
+
+    /**
+     * Build a delta between two images
+     * @param {CanvasImageSource} beforeImage - Image before the change
+     * @param {CanvasImageSource} afterImage - Image after the change
+     * @returns {Promise<BitmapDelta>} Delta
+     */
+    static async create(beforeImage, afterImage) {
+        const beforeSize = BitmapDelta.getSize(beforeImage);
+        const afterSize = BitmapDelta.getSize(afterImage);
+
+        if (beforeSize.width === afterSize.width && beforeSize.height === afterSize.height) {
+            const region = BitmapDelta.findChangedRegion(beforeImage, afterImage, beforeSize);
+
+            if (!region) {
+                return new BitmapDelta('none');
+            }
+
+            // Small enough to be worth storing as patches
+            if (region.width * region.height < beforeSize.width * beforeSize.height * 0.75) {
+                return new BitmapDelta('region', {
+                    region,
+                    before: await BitmapDelta.encode(beforeImage, region),
+                    after: await BitmapDelta.encode(afterImage, region)
+                });
+            }
+        }
+
+        return new BitmapDelta('full', {
+            before: await BitmapDelta.encode(beforeImage, { x: 0, y: 0, ...beforeSize }),
+            after: await BitmapDelta.encode(afterImage, { x: 0, y: 0, ...afterSize })
+        });
+    }
+
+    /**
+     * Rebuild the image for one side of the change
+     * @param {CanvasImageSource} current - Image currently shown (the other side)
+     * @param {string} side - 'before' or 'after'
+     * @returns {Promise<CanvasImageSource>} Image to show
+     */
+    async restore(current, side) {
+        if (this.mode === 'none') {
+            return current;
+        }
+
+        const patch = await BitmapDelta.decode(this[side]);
+        if (this.mode === 'full') {
+            return patch;
+        }
+
+        const { width, height } = BitmapDelta.getSize(current);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(current, 0, 0);
+        ctx.clearRect(this.region.x, this.region.y, this.region.width, this.region.height);
+        ctx.drawImage(patch, this.region.x, this.region.y);
+
+        return canvas;
+    }
+
+    /**
+     * Get the pixel size of an image source
+     * @param {CanvasImageSource} image - Image, canvas or bitmap
+     * @returns {{width: number, height: number}} Size
+     */
+    static getSize(image) {
+        return {
+            width: image.naturalWidth || image.width,
+            height: image.naturalHeight || image.height
+        };
+    }
+
+    /**
+     * Find the bounding box of pixels that differ between two same-size images
+     * @returns {object|null} { x, y, width, height } or null if identical
+     */
+    static findChangedRegion(beforeImage, afterImage, size) {
+        const read = (image) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = size.width;
+            canvas.height = size.height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(image, 0, 0);
+            return new Uint32Array(ctx.getImageData(0, 0, size.width, size.height).data.buffer);
+        };
+
+        const before = read(beforeImage);
+        const after = read(afterImage);
+
+        let minX = size.width, minY = size.height, maxX = -1, maxY = -1;
+        for (let y = 0; y < size.height; y++) {
+            const row = y * size.width;
+            for (let x = 0; x < size.width; x++) {
+                if (before[row + x] !== after[row + x]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    maxY = y;
+                }
+            }
+        }
+
+        if (maxX < 0) {
+            return null;
+        }
+
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Encode a region of an image as PNG
+     * @returns {Promise<Blob>} PNG Blob
+     */
+    static encode(image, region) {
+        const canvas = document.createElement('canvas');
+        canvas.width = region.width;
+        canvas.height = region.height;
+        canvas.getContext('2d').drawImage(image, -region.x, -region.y);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode history snapshot')), 'image/png');
+        });
+    }
+
+    /**
+     * Decode a PNG Blob into an image element
+     * @param {Blob} blob - PNG Blob
+     * @returns {Promise<HTMLImageElement>} Decoded image
+     */
+    static decode(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to decode history snapshot'));
+            };
+            image.src = url;
+        });
+    }
+}
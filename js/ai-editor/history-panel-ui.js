@@ -0,0 +1,170 @@
+/**
+ * HistoryPanelUI - Renders the editor history as a list of steps
+ * Clicking a step jumps to it; steps after the current one stay listed (dimmed) until a new edit replaces them
+ */
+
+class HistoryPanelUI {
+    constructor(history, containerId, editor = null) {
+        this.history = history;
+        this.editor = editor;
+        this.container = document.getElementById(containerId);
+
+        if (!this.container) {
+            console.error('History panel container not found:', containerId);
+            return;
+        }
+
+        // Bind history callback
+        this.history.onChange = () => this.render();
+
+        // Initialize
+        this.render();
+    }
+
+    /**
+     * Render the entire history panel
+     */
+    render() {
+        const entries = this.history.getEntries();
+        const position = this.history.undoStack.length;
+
+        // Clear container
+        this.container.innerHTML = '';
+
+        // Create header
+        this.container.appendChild(this._createHeader());
+
+        // Create step list - the first row is the state before the oldest kept step
+        const list = document.createElement('div');
+        list.className = 'history-list';
+
+        const originLabel = this.history.discardedSteps > 0
+            ? `Earlier steps (${this.history.discardedSteps} dropped)`
+            : 'Original';
+        list.appendChild(this._createStepItem({ label: originLabel, icon: 'fas fa-flag' }, 0, position === 0, false));
+
+        entries.forEach((entry, index) => {
+            list.appendChild(this._createStepItem(entry, index + 1, position === index + 1, !entry.done));
+        });
+
+        this.container.appendChild(list);
+
+        // Create footer with memory usage and actions
+        this.container.appendChild(this._createFooter(entries.length));
+
+        // Keep the current step in view (scrolls the list only, never the page)
+        const current = list.querySelector('.history-item.current');
+        if (current) {
+            list.scrollTop = current.offsetTop - list.clientHeight / 2;
+        }
+    }
+
+    /**
+     * Create panel header
+     * @private
+     */
+    _createHeader() {
+        const header = document.createElement('div');
+        header.className = 'history-panel-header';
+
+        const title = document.createElement('h5');
+        title.innerHTML = '<i class="fas fa-history"></i> History';
+
+        const actions = document.createElement('div');
+        actions.className = 'history-header-actions';
+
+        const undoBtn = document.createElement('button');
+        undoBtn.className = 'history-header-btn';
+        undoBtn.innerHTML = '<i class="fas fa-undo"></i>';
+        undoBtn.title = 'Undo (Ctrl+Z)';
+        undoBtn.disabled = !this.history.canUndo();
+        undoBtn.onclick = () => this.history.undo();
+
+        const redoBtn = document.createElement('button');
+        redoBtn.className = 'history-header-btn';
+        redoBtn.innerHTML = '<i class="fas fa-redo"></i>';
+        redoBtn.title = 'Redo (Ctrl+Y)';
+        redoBtn.disabled = !this.history.canRedo();
+        redoBtn.onclick = () => this.history.redo();
+
+        actions.appendChild(undoBtn);
+        actions.appendChild(redoBtn);
+        header.appendChild(title);
+        header.appendChild(actions);
+
+        return header;
+    }
+
+    /**
+     * Create a step row
+     * @private
+     * @param {object} entry - { label, icon, bytes }
+     * @param {number} position - History position the row stands for
+     * @param {boolean} isCurrent - Whether this is the current state
+     * @param {boolean} isUndone - Whether the step is undone (redo available)
+     */
+    _createStepItem(entry, position, isCurrent, isUndone) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        if (isCurrent) item.classList.add('current');
+        if (isUndone) item.classList.add('undone');
+        item.title = entry.bytes ? `${entry.label} · ${this.history.formatBytes(entry.bytes)}` : entry.label;
+
+        const icon = document.createElement('i');
+        icon.className = `${entry.icon || 'fas fa-circle'} history-item-icon`;
+
+        const label = document.createElement('span');
+        label.className = 'history-item-label';
+        label.textContent = entry.label;
+
+        item.appendChild(icon);
+        item.appendChild(label);
+        item.onclick = () => this._handleStepClick(position);
+
+        return item;
+    }
+
+    /**
+     * Create footer with memory usage and a clear button
+     * @private
+     */
+    _createFooter(stepCount) {
+        const footer = document.createElement('div');
+        footer.className = 'history-footer';
+
+        const usage = document.createElement('span');
+        usage.className = 'history-usage';
+        usage.textContent = `${stepCount} step${stepCount === 1 ? '' : 's'} · ${this.history.formatBytes(this.history.getTotalBytes())}`;
+        usage.title = `Limit: ${this.history.maxSteps} steps / ${this.history.formatBytes(this.history.maxBytes)}`;
+
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'history-header-btn';
+        clearBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+        clearBtn.title = 'Clear history';
+        clearBtn.disabled = stepCount === 0;
+        clearBtn.onclick = () => this._handleClear();
+
+        footer.appendChild(usage);
+        footer.appendChild(clearBtn);
+
+        return footer;
+    }
+
+    /**
+     * Handle step click (jump to that state)
+     * @private
+     */
+    _handleStepClick(position) {
+        this.history.goTo(position);
+    }
+
+    /**
+     * Handle clear history
+     * @private
+     */
+    _handleClear() {
+        if (confirm('Clear the edit history? The canvas stays as it is, but earlier steps can no longer be undone.')) {
+            this.history.clear();
+        }
+    }
+}
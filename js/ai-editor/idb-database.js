@@ -0,0 +1,104 @@
+/**
+ * IndexedDB Database - shared open/transaction plumbing for the editor's stores
+ * Each store (gallery, project autosaves) supplies its database name, version and
+ * upgrade callback; this class opens the database once and wraps transactions in promises
+ */
+
+class IdbDatabase {
+    /**
+     * @param {string} name - Database name
+     * @param {number} version - Schema version
+     * @param {Function} upgrade - (db, request) => void, creates or migrates the object stores
+     * @param {string} label - Name used in log and error messages (e.g. 'Gallery')
+     */
+    constructor(name, version, upgrade, label = 'Database') {
+        this.name = name;
+        this.version = version;
+        this.upgrade = upgrade;
+        this.label = label;
+        this.db = null;
+        this.opening = null; // Promise of the open in progress, shared by concurrent callers
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     * Calls made while it is opening share one request
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, this.version);
+
+                request.onupgradeneeded = () => {
+                    this.upgrade(request.result, request);
+                    console.log(`🗄️ [${this.label.toUpperCase()} STORE] Database schema created/upgraded to v${this.version}`);
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+
+                    // A newer version of the editor in another tab wants to upgrade - let it, and reopen on next use
+                    db.onversionchange = () => {
+                        db.close();
+                        if (this.db === db) this.db = null;
+                        console.log(`🗄️ [${this.label.toUpperCase()} STORE] Database closed for an upgrade in another tab`);
+                    };
+
+                    this.db = db;
+                    resolve(db);
+                };
+
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`${this.label} database is blocked by another open tab`));
+            }).finally(() => {
+                this.opening = null;
+            });
+        }
+
+        return this.opening;
+    }
+
+    /**
+     * Run work inside a transaction and resolve when it commits
+     * @param {string[]} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (stores) => value, receives the object stores by name
+     * @returns {Promise<any>} Value produced by work (IDBRequest results are unwrapped)
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+
+            let result;
+            try {
+                result = work(stores);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+                return;
+            }
+
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            // Quota errors surface on the transaction, not the request
+            tx.onabort = () => reject(tx.error || new Error(`${this.label} transaction aborted`));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * Image Providers - Pluggable image backends used by GeminiAPI
+ * Every provider speaks the Gemini generateContent request/response contract,
+ * so the studios can run against Gemini, a compatible proxy or a local mock server
+ */
+
+class ImageProvider {
+    /**
+     * @param {object} app - Main application instance
+     * @param {object} config - Provider configuration from settings
+     */
+    constructor(app, config = {}) {
+        this.app = app;
+        this.config = config;
+    }
+
+    /**
+     * Model id used for requests
+     * @returns {string} Model id
+     */
+    get model() {
+        return this.config.model || '';
+    }
+
+    /**
+     * Whether the provider uses the Gemini API key stored by StorageManager
+     * @returns {boolean} True if the shared API key is required
+     */
+    get usesApiKey() {
+        return false;
+    }
+
+    /**
+     * Whether the provider has everything it needs to send requests
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Build the request URL for a model method
+     * @param {string} method - API method (e.g., 'generateContent')
+     * @returns {string} Request URL
+     */
+    buildUrl(method) {
+        throw new Error(`${this.constructor.name} must implement buildUrl()`);
+    }
+
+    /**
+     * Build request headers
+     * @returns {object} Headers object
+     */
+    buildHeaders() {
+        return {
+            'Content-Type': 'application/json',
+        };
+    }
+
+    /**
+     * Send a generateContent request
+     * @param {object} requestBody - Gemini-format request body
+     * @param {object} options - Optional fetch options { method, signal }
+     *   method 'streamGenerateContent' requests a server-sent event stream
+     * @returns {Promise<Response>} Raw fetch response
+     */
+    async generateContent(requestBody, options = {}) {
+        const { method = 'generateContent', signal } = options;
+
+        let url = this.buildUrl(method);
+        if (method === 'streamGenerateContent') {
+            url += `${url.includes('?') ? '&' : '?'}alt=sse`;
+        }
+
+        return fetch(url, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(requestBody),
+            signal
+        });
+    }
+
+    /**
+     * Check that the provider accepts requests
+     * @returns {Promise<boolean>} True if reachable and authorized
+     */
+    async testConnection() {
+        try {
+            const response = await this.generateContent({
+                contents: [{
+                    parts: [{
+                        text: "Hello"
+                    }]
+                }]
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                console.warn(`⚠️ [PROVIDERS] ${this.constructor.name} connection test failed:`, response.status, errorData);
+            }
+
+            return response.ok;
+        } catch (error) {
+            console.error(`❌ [PROVIDERS] ${this.constructor.name} connection test error:`, error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Google Gemini API provider (default)
+ */
+class GeminiImageProvider extends ImageProvider {
+    static get defaults() {
+        return {
+            baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+            model: 'gemini-3-pro-image-preview' // Nano Banana Pro - Most advanced image generation & editing model (Dec 2025)
+        };
+    }
+
+    constructor(app, config = {}) {
+        super(app, { ...GeminiImageProvider.defaults, ...config });
+        this.apiKeyOverride = null;
+    }
+
+    get usesApiKey() {
+        return true;
+    }
+
+    /**
+     * Get the API key, preferring a key being tested over the stored one
+     * @returns {string|null} API key
+     */
+    getApiKey() {
+        return this.apiKeyOverride || this.app.modules.storage.getApiKey();
+    }
+
+    isConfigured() {
+        return !!this.getApiKey();
+    }
+
+    buildUrl(method) {
+        return `${this.config.baseUrl}/models/${this.model}:${method}?key=${this.getApiKey()}`;
+    }
+
+    /**
+     * Test a specific API key without storing it
+     * @param {string} apiKey - The API key to test
+     * @returns {Promise<boolean>} True if valid
+     */
+    async testConnection(apiKey = null) {
+        this.apiKeyOverride = apiKey;
+        try {
+            return await super.testConnection();
+        } finally {
+            this.apiKeyOverride = null;
+        }
+    }
+}
+
+/**
+ * Generic HTTP provider - posts Gemini-format requests to a configurable endpoint
+ * Endpoint may contain {model} and {method} placeholders,
+ * e.g. http://localhost:8080/v1/models/{model}:{method}
+ */
+class GenericHttpImageProvider extends ImageProvider {
+    static get defaults() {
+        return {
+            endpoint: 'http://localhost:8080/v1beta/models/{model}:{method}',
+            model: 'mock-image-model',
+            apiKey: '',
+            authHeader: 'Authorization'
+        };
+    }
+
+    constructor(app, config = {}) {
+        super(app, { ...GenericHttpImageProvider.defaults, ...config });
+    }
+
+    isConfigured() {
+        return !!this.config.endpoint;
+    }
+
+    buildUrl(method) {
+        return this.config.endpoint
+            .replace('{model}', encodeURIComponent(this.model))
+            .replace('{method}', method);
+    }
+
+    buildHeaders() {
+        const headers = super.buildHeaders();
+
+        if (this.config.apiKey) {
+            const headerName = this.config.authHeader || 'Authorization';
+            headers[headerName] = headerName.toLowerCase() === 'authorization'
+                ? `Bearer ${this.config.apiKey}`
+                : this.config.apiKey;
+        }
+
+        return headers;
+    }
+}
+
+/**
+ * Provider Registry - Holds available providers and resolves the active one from settings
+ */
+class ImageProviderRegistry {
+    constructor(app) {
+        this.app = app;
+        this.providers = new Map();
+        this.instances = new Map();
+
+        this.register('gemini', GeminiImageProvider, 'Google Gemini');
+        this.register('generic', GenericHttpImageProvider, 'Generic HTTP (Gemini-compatible)');
+
+        console.log('🔌 [PROVIDERS] Image provider registry initialized');
+    }
+
+    /**
+     * Register a provider class
+     * @param {string} id - Provider id
+     * @param {Function} ProviderClass - Class extending ImageProvider
+     * @param {string} label - Display label
+     */
+    register(id, ProviderClass, label = id) {
+        this.providers.set(id, { ProviderClass, label });
+        this.instances.delete(id);
+    }
+
+    /**
+     * List registered providers
+     * @returns {Array<{id: string, label: string}>} Providers
+     */
+    list() {
+        return Array.from(this.providers.entries()).map(([id, { label }]) => ({ id, label }));
+    }
+
+    /**
+     * Get a provider instance configured from settings
+     * @param {string} id - Provider id
+     * @returns {ImageProvider} Provider instance
+     */
+    get(id) {
+        const entry = this.providers.get(id);
+        if (!entry) {
+            throw new Error(`Unknown image provider: ${id}`);
+        }
+
+        const config = this.app.modules.storage.getProviderSettings().providers[id] || {};
+        const configKey = JSON.stringify(config);
+        const cached = this.instances.get(id);
+
+        if (cached && cached.configKey === configKey) {
+            return cached.instance;
+        }
+
+        const instance = new entry.ProviderClass(this.app, config);
+        this.instances.set(id, { instance, configKey });
+        return instance;
+    }
+
+    /**
+     * Get the id of the provider selected in settings
+     * @returns {string} Provider id
+     */
+    getActiveId() {
+        const { active } = this.app.modules.storage.getProviderSettings();
+        return this.providers.has(active) ? active : 'gemini';
+    }
+
+    /**
+     * Get the provider selected in settings
+     * @returns {ImageProvider} Provider instance
+     */
+    getActive() {
+        return this.get(this.getActiveId());
+    }
+
+    /**
+     * Select the active provider and persist it
+     * @param {string} id - Provider id
+     * @param {object} config - Optional config to merge into the provider's settings
+     */
+    setActive(id, config = null) {
+        if (!this.providers.has(id)) {
+            throw new Error(`Unknown image provider: ${id}`);
+        }
+
+        const settings = this.app.modules.storage.getProviderSettings();
+        settings.active = id;
+        if (config) {
+            settings.providers[id] = { ...(settings.providers[id] || {}), ...config };
+        }
+        this.app.modules.storage.saveProviderSettings(settings);
+
+        console.log(`🔌 [PROVIDERS] Active image provider: ${id}`);
+    }
+}
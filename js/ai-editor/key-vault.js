@@ -0,0 +1,270 @@
+/**
+ * Key Vault - Passphrase protection for the API key using the Web Crypto API
+ * The key is encrypted with AES-GCM under a key derived from the passphrase with PBKDF2,
+ * so only the ciphertext ever reaches localStorage. Once unlocked, the decrypted key is held
+ * in memory until the vault is locked manually, after inactivity, or the page is closed
+ */
+
+class KeyVault {
+    /**
+     * @param {object} options - Vault options { iterations, autoLockMinutes, onLock }
+     */
+    constructor(options = {}) {
+        this.version = 1;
+        this.iterations = options.iterations || 310000; // OWASP guidance for PBKDF2-HMAC-SHA256
+        this.minPassphraseLength = 8;
+        this.autoLockMinutes = options.autoLockMinutes ?? 15;
+        this.onLock = options.onLock || null;
+
+        this.cryptoKey = null;   // Non-extractable AES key derived from the passphrase
+        this.salt = null;        // Salt the current cryptoKey was derived with
+        this.secret = null;      // Decrypted API key, or the session-only key
+        this.lastActivity = Date.now();
+        this.autoLockTimer = null;
+
+        console.log('🔐 [VAULT] Key Vault initialized');
+    }
+
+    /**
+     * Check whether the Web Crypto API is available (it requires a secure context)
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Whether a key is currently available in memory
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked() {
+        return !!this.secret;
+    }
+
+    /**
+     * Whether the in-memory key came from an encrypted vault (and can re-encrypt without the passphrase)
+     * @returns {boolean} True if a derived key is held
+     */
+    hasDerivedKey() {
+        return !!this.cryptoKey;
+    }
+
+    /**
+     * Get the key held in memory
+     * @returns {string|null} Key or null when locked
+     */
+    getSecret() {
+        return this.secret;
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Derived key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a key
+     * With a passphrase a fresh salt and derived key are created; without one the key
+     * derived at unlock is reused, so an unlocked vault can store a replacement key
+     * @param {string} secret - Key to encrypt
+     * @param {string|null} passphrase - Passphrase (optional when unlocked)
+     * @returns {Promise<object>} Payload { version, kdf, iterations, salt, iv, ciphertext } to persist
+     */
+    async seal(secret, passphrase = null) {
+        if (!KeyVault.isSupported()) {
+            throw new Error('Encrypted storage needs a secure (https) page');
+        }
+
+        if (passphrase !== null) {
+            if (passphrase.length < this.minPassphraseLength) {
+                throw new Error(`Passphrase must be at least ${this.minPassphraseLength} characters`);
+            }
+            this.salt = crypto.getRandomValues(new Uint8Array(16));
+            this.cryptoKey = await this.deriveKey(passphrase, this.salt, this.iterations);
+        } else if (!this.cryptoKey) {
+            throw new Error('Enter a passphrase to encrypt the API key');
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.cryptoKey,
+            new TextEncoder().encode(secret)
+        );
+
+        this.secret = secret;
+        this.touch();
+
+        console.log('🔐 [VAULT] Key encrypted');
+        return {
+            version: this.version,
+            kdf: 'PBKDF2-SHA256',
+            iterations: this.iterations,
+            salt: KeyVault.toBase64(this.salt),
+            iv: KeyVault.toBase64(iv),
+            ciphertext: KeyVault.toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Decrypt a stored payload and keep the key in memory
+     * @param {object} payload - Payload produced by seal()
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} Decrypted key
+     */
+    async unlock(payload, passphrase) {
+        if (!KeyVault.isSupported()) {
+            throw new Error('Encrypted storage needs a secure (https) page');
+        }
+
+        const salt = KeyVault.fromBase64(payload.salt);
+        const cryptoKey = await this.deriveKey(passphrase, salt, payload.iterations || this.iterations);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: KeyVault.fromBase64(payload.iv) },
+                cryptoKey,
+                KeyVault.fromBase64(payload.ciphertext)
+            );
+        } catch (error) {
+            // AES-GCM authentication fails with an OperationError when the passphrase is wrong
+            const wrongPassphrase = new Error('Incorrect passphrase');
+            wrongPassphrase.name = 'VaultPassphraseError';
+            throw wrongPassphrase;
+        }
+
+        this.cryptoKey = cryptoKey;
+        this.salt = salt;
+        this.secret = new TextDecoder().decode(plaintext);
+        this.touch();
+
+        console.log('🔓 [VAULT] Vault unlocked');
+        return this.secret;
+    }
+
+    /**
+     * Keep a key in memory only (session-only mode, nothing is persisted)
+     * @param {string} secret - Key
+     */
+    hold(secret) {
+        this.clear();
+        this.secret = secret;
+    }
+
+    /**
+     * Lock the vault, dropping the decrypted key and derived key from memory
+     * @param {string} reason - 'manual' or 'inactivity'
+     */
+    lock(reason = 'manual') {
+        const wasUnlocked = this.hasDerivedKey();
+        this.clear();
+
+        if (wasUnlocked) {
+            console.log(`🔒 [VAULT] Vault locked (${reason})`);
+            if (this.onLock) {
+                this.onLock(reason);
+            }
+        }
+    }
+
+    /**
+     * Drop everything held in memory without notifying
+     */
+    clear() {
+        this.cryptoKey = null;
+        this.salt = null;
+        this.secret = null;
+
+        if (this.autoLockTimer) {
+            clearTimeout(this.autoLockTimer);
+            this.autoLockTimer = null;
+        }
+    }
+
+    /**
+     * Record user activity, (re)arming the inactivity timer while the vault is unlocked
+     * Cheap enough to call from pointer and keyboard listeners
+     */
+    touch() {
+        this.lastActivity = Date.now();
+
+        if (!this.autoLockTimer && this.hasDerivedKey() && this.autoLockMinutes > 0) {
+            this.scheduleAutoLock(this.autoLockMinutes * 60 * 1000);
+        }
+    }
+
+    /**
+     * Arm the auto-lock timer; when it fires it re-arms for the remaining time if there was activity
+     * @param {number} delay - Milliseconds until the next check
+     */
+    scheduleAutoLock(delay) {
+        this.autoLockTimer = setTimeout(() => {
+            this.autoLockTimer = null;
+            if (!this.hasDerivedKey() || this.autoLockMinutes <= 0) return;
+
+            const idle = Date.now() - this.lastActivity;
+            const limit = this.autoLockMinutes * 60 * 1000;
+
+            if (idle >= limit) {
+                this.lock('inactivity');
+            } else {
+                this.scheduleAutoLock(limit - idle);
+            }
+        }, delay);
+    }
+
+    /**
+     * Change the inactivity timeout
+     * @param {number} minutes - Minutes of inactivity before locking (0 disables auto-lock)
+     */
+    setAutoLockMinutes(minutes) {
+        this.autoLockMinutes = Math.max(0, parseInt(minutes, 10) || 0);
+
+        if (this.autoLockTimer) {
+            clearTimeout(this.autoLockTimer);
+            this.autoLockTimer = null;
+        }
+        this.touch();
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 string
+     */
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Bytes
+     */
+    static fromBase64(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+}
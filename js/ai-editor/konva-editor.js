@@ -11,28 +11,15 @@ class KonvaEditor {
         this.layer = null; // DEPRECATED: Will be replaced by layerManager.getActiveLayer()
         this.imageNode = null;
         this.transformer = null;
-        this.history = [];
-        this.historyStep = -1;
-        this.maxHistorySteps = 50;
+
+        // Undo/redo for every canvas operation (created in init)
+        this.history = null;
+        this.transformStartAttrs = new Map(); // Node attributes captured at dragstart/transformstart
+        this.hiddenImageUrl = null; // Image URL restored when an undo brings the image back
 
         // Filter state
-        this.filterState = {
-            brightness: 1,
-            contrast: 0,
-            blur: 0,
-            saturation: 0,
-            hue: 0,
-            luminance: 0,
-            pixelate: 1,
-            noise: 0,
-            grayscale: false,
-            sepia: false,
-            invert: false,
-            emboss: false,
-            posterize: false,
-            solarize: false,
-            enhance: false
-        };
+        this.filterState = this.getDefaultFilterState();
+        this.filterPreview = false; // Filters are shown on a downscaled cache while a slider is dragged
 
         // Drawing state
         this.drawingState = {
@@ -42,7 +29,6 @@ class KonvaEditor {
             fillColor: '#00d4ff',
             enableFill: false,
             strokeWidth: 3,
-            fontSize: 32,
             opacity: 0.5,
             currentLine: null,
             currentShape: null
@@ -51,10 +37,28 @@ class KonvaEditor {
         // Drawing layer (separate from image layer)
         this.drawingLayer = null;
 
-        // Drawing history (separate from main history)
-        this.drawingHistory = [];
-        this.drawingHistoryStep = -1;
-        this.maxDrawingHistorySteps = 50;
+        // Text drawings: fonts, styles, text boxes and inline editing (created in init)
+        this.textTool = null;
+
+        // Rulers, grid, guide lines and snapping (created in init)
+        this.guides = null;
+
+        // Objects: marquee selection in progress, copied nodes and the Transform panel callback
+        this.marquee = null; // { start, rect, additive }
+        this.marqueeSelected = false; // Set when a marquee just selected, so its click does not deselect
+        this.clipboard = null; // { copies, pastes } - copies from createCopies
+        this.onSelectionChange = null; // (nodes) => void
+
+        // Selection: shapes in layer coordinates, combined in order ({ op: 'add'|'subtract'|'invert', type, ... })
+        this.selection = null; // { shapes } or null when nothing is selected
+        this.selectionState = {
+            mode: 'replace', // 'replace', 'add', 'subtract' (Shift adds, Alt subtracts)
+            brushSize: 40, // Selection and mask brush diameter in screen pixels
+            feather: 0, // Edge softness in layer units
+            maskMode: 'hide', // Mask brush: 'hide' or 'reveal' (Alt swaps)
+            draft: null // Shape being drawn
+        };
+        this.selectionLayer = null; // Overlay showing the selection (excluded from exports)
 
         // Crop state
         this.cropState = {
@@ -67,6 +71,17 @@ class KonvaEditor {
             previousTool: null
         };
 
+        // Generative expand state (the frame the canvas grows to)
+        this.expandState = {
+            active: false,
+            aspectRatio: 'free', // 'free' or width / height
+            layer: null,
+            frame: null,
+            transformer: null,
+            shades: [] // 4 rectangles tinting the area to generate
+        };
+        this.onExpandChange = null; // Called when the expand frame changes, opens or closes
+
         // Window dimensions for resize detection
         this.lastWindowWidth = window.innerWidth;
         this.lastWindowHeight = window.innerHeight;
@@ -109,8 +124,18 @@ class KonvaEditor {
                 draggable: false
             });
 
-            // Create LayerManager
-            this.layerManager = new LayerManager(this.stage);
+            // Create history shared by the editor and the LayerManager
+            const settings = this.app.modules.storage.getSettings();
+            this.history = new HistoryManager({
+                maxSteps: settings.historySteps,
+                maxBytes: settings.historyMemoryMB * 1024 * 1024
+            });
+            this.history.onApply = () => this.syncWithCanvas();
+
+            // Create LayerManager (the layer stack is limited by estimated memory)
+            this.layerManager = new LayerManager(this.stage, this.history, {
+                maxMemoryMB: settings.layerMemoryMB
+            });
 
             // Create main layer for image (will be managed by LayerManager)
             this.layer = new Konva.Layer();
@@ -119,6 +144,10 @@ class KonvaEditor {
             // Initialize LayerManager with base layer
             this.layerManager.initializeWithBaseLayer(this.layer, 'Background');
 
+            // Create selection overlay layer (above the images, below drawings and handles)
+            this.selectionLayer = new Konva.Layer({ listening: false });
+            this.stage.add(this.selectionLayer);
+
             // Create drawing layer (on top of image layer)
             this.drawingLayer = new Konva.Layer();
             this.stage.add(this.drawingLayer);
@@ -139,11 +168,16 @@ class KonvaEditor {
             // Setup event listeners
             this.setupEventListeners();
 
-            // Initialize history
-            this.saveState();
+            // Text tool (its listeners run after the selection handlers above)
+            this.textTool = new TextTool(this);
+            this.textTool.attach();
+
+            // Rulers, grid and snapping (their layer stays above the drawing layer)
+            this.guides = new SnapGuides(this);
+            this.guides.attach();
 
-            // Initialize drawing history
-            this.saveDrawingState();
+            // Drag a box on an empty part of the canvas to select what is inside it
+            this.setupMarqueeListeners();
 
             console.log('✅ [KONVA] Konva stage initialized successfully');
         } catch (error) {
@@ -156,25 +190,46 @@ class KonvaEditor {
      * Setup event listeners for the stage
      */
     setupEventListeners() {
-        // Click on empty area to deselect
+        // Click on empty area to deselect (but not the click that ends a marquee selection)
         this.stage.on('click tap', (e) => {
             if (e.target === this.stage) {
+                if (this.marqueeSelected) {
+                    this.marqueeSelected = false;
+                    return;
+                }
                 this.transformer.nodes([]);
                 this.layer.batchDraw();
+                this.notifySelectionChange();
             }
         });
 
-        // Handle object selection
+        // Handle object selection (Shift, Ctrl or Cmd adds the node to the selection or takes it out)
         this.stage.on('click tap', (e) => {
-            if (e.target !== this.stage && e.target.draggable) {
-                this.transformer.nodes([e.target]);
+            if (e.target !== this.stage && e.target.draggable && this.isHistoryTracked(e.target)) {
+                const evt = e.evt || {};
+                const target = this.getSelectionTarget(e.target);
+                const nodes = this.transformer.nodes();
+
+                if (evt.shiftKey || evt.ctrlKey || evt.metaKey) {
+                    this.transformer.nodes(nodes.includes(target)
+                        ? nodes.filter(node => node !== target)
+                        : [...nodes, target]);
+                } else {
+                    this.transformer.nodes([target]);
+                }
                 this.layer.batchDraw();
+                this.notifySelectionChange();
             }
         });
 
-        // Save state after transformations
-        this.stage.on('dragend transformend', () => {
-            this.saveState();
+        // Record moves as history steps (drag events bubble to the stage); selected nodes move as one step
+        this.stage.on('dragstart', (e) => this.captureTransformStart(this.getDraggedNodes(e.target)));
+        this.stage.on('dragend', (e) => this.recordTransformEnd(this.getDraggedNodes(e.target), 'Move', 'fas fa-arrows-alt'));
+
+        // Transform events only fire on the transformer and its nodes
+        this.transformer.on('transformstart', () => this.captureTransformStart(this.transformer.nodes()));
+        this.transformer.on('transformend', () => {
+            this.recordTransformEnd(this.transformer.nodes(), 'Transform', 'fas fa-expand-arrows-alt');
         });
 
         // Handle mouse wheel for zooming
@@ -233,8 +288,11 @@ class KonvaEditor {
                     return;
                 }
 
-                // Check if we have an image to delete
-                if (this.imageNode) {
+                // Delete the selected objects, or the image when nothing is selected
+                if (this.getSelectedNodes().length) {
+                    e.preventDefault();
+                    this.deleteSelection();
+                } else if (this.imageNode) {
                     e.preventDefault();
                     console.log('⌨️ [KONVA] Clearing canvas...');
                     this.clearCanvas();
@@ -265,9 +323,16 @@ class KonvaEditor {
      */
     clearCanvas() {
         try {
+            if (this.imageNode && !this.ensureImageEditable()) {
+                return;
+            }
+
             if (this.imageNode) {
-                this.imageNode.destroy();
+                // Removed, not destroyed, so the deletion can be undone
+                const command = HistoryManager.nodeCommand('Delete Image', this.imageNode, { added: false });
+                this.imageNode.remove();
                 this.imageNode = null;
+                this.history.push(command);
             }
 
             // Clear transformer
@@ -280,41 +345,60 @@ class KonvaEditor {
                 this.layer.batchDraw();
             }
 
-            // Show placeholder
-            const placeholder = document.getElementById('canvasPlaceholder');
-            if (placeholder) {
-                placeholder.style.display = 'flex';
-            }
+            this.updateAppImageState();
 
-            // Update status bar to show no image
-            this.updateStatusBar();
+            console.log('🗑️ [KONVA] Canvas cleared');
+        } catch (error) {
+            console.error('❌ [KONVA] Failed to clear canvas:', error);
+        }
+    }
 
-            // Notify app that image was cleared
-            if (this.app && this.app.state) {
-                this.app.state.currentImage = null;
-            }
+    /**
+     * Update the placeholder, status bar and app state after the image was removed or restored
+     */
+    updateAppImageState() {
+        const hasImage = !!this.imageNode;
 
-            // Update tools visibility
-            if (this.app && this.app.updateToolsVisibility) {
-                this.app.updateToolsVisibility(false);
-            }
+        // Show placeholder when there is no image
+        const placeholder = document.getElementById('canvasPlaceholder');
+        if (placeholder) {
+            placeholder.style.display = hasImage ? 'none' : 'flex';
+        }
+
+        // Update status bar with image info
+        this.updateStatusBar();
 
-            // Update edit button state
-            if (this.app && this.app.updateEditButtonState) {
-                this.app.updateEditButtonState();
+        // Notify app whether an image is loaded
+        if (this.app && this.app.state) {
+            if (hasImage) {
+                this.app.state.currentImage = this.app.state.currentImage || this.hiddenImageUrl;
+            } else if (this.app.state.currentImage) {
+                this.hiddenImageUrl = this.app.state.currentImage;
+                this.app.state.currentImage = null;
             }
+        }
 
-            console.log('🗑️ [KONVA] Canvas cleared');
-        } catch (error) {
-            console.error('❌ [KONVA] Failed to clear canvas:', error);
+        // Update tools visibility
+        if (this.app && this.app.updateToolsVisibility) {
+            this.app.updateToolsVisibility(hasImage);
+        }
+
+        // Update edit button state
+        if (this.app && this.app.updateEditButtonState) {
+            this.app.updateEditButtonState();
         }
     }
 
     /**
      * Load an image into the canvas
+     * Replaces the bitmap of the current image (or adds one to the active layer) as a single undoable step
      * @param {string} imageUrl - URL or base64 data of the image
+     * @param {object} options - { label, icon } describing the step in the History panel,
+     *   keepFilters to re-apply the current filters to the new bitmap
      */
-    async loadImage(imageUrl) {
+    async loadImage(imageUrl, options = {}) {
+        const { label = 'Load Image', icon = 'fas fa-image', keepFilters = false } = options;
+
         try {
             console.log('🖼️ [KONVA] Loading image into canvas...');
             console.log('🔍 [KONVA] Image URL type:', imageUrl ? imageUrl.substring(0, 50) : 'null');
@@ -336,11 +420,24 @@ class KonvaEditor {
             }
             this.layer = activeLayerObj.konvaLayer;
 
+            const lockedLayer = this.getLockedImageLayer();
+            if (lockedLayer) {
+                throw new Error(`Layer "${lockedLayer.name}" is locked`);
+            }
+
+            // Adjustment layers only change what is beneath them - a new image needs an image layer
+            if (activeLayerObj.adjustment && !(this.imageNode && this.imageNode.getStage())) {
+                throw new Error(`"${activeLayerObj.name}" is an adjustment layer - select an image layer first`);
+            }
+
             // Reset crop state if active (prevents crop overlay from appearing on new images)
             if (this.cropState.active) {
                 console.log('🔄 [KONVA] Resetting crop state before loading new image');
                 this.cancelCrop();
             }
+            if (this.expandState.active) {
+                this.cancelExpand();
+            }
 
             // Always reset UI state when loading a new image (even if crop was already inactive)
             const cropActions = document.getElementById('cropActions');
@@ -349,108 +446,192 @@ class KonvaEditor {
             if (cropActions) cropActions.style.display = 'none';
             cropRatioBtns.forEach(btn => btn.classList.remove('active'));
 
-            // Remove existing image if any
-            if (this.imageNode) {
-                console.log('🔄 [KONVA] Removing existing image from layer');
-                this.imageNode.destroy();
-                this.imageNode = null;
+            const imageObj = await this.loadImageElement(imageUrl);
+            console.log('✅ [KONVA] Image object loaded, updating Konva node...');
+
+            // Verify layer still exists
+            if (!this.layer) {
+                throw new Error('Layer reference lost during image load');
             }
 
-            // Track if we need to revoke a Blob URL later
-            let processedUrl = imageUrl;
-            let blobUrl = null;
+            // The group stays synchronous so no other edit can join it; the bitmap snapshot is
+            // awaited after it closes
+            let recorded = null;
+            this.history.group(label, () => {
+                // AI edits export the filtered image, so the filters are already baked into the new bitmap
+                if (!keepFilters && this.hasActiveFilters()) {
+                    this.resetFilters();
+                }
 
-            // Check if this is a Blob URL (starts with 'blob:')
-            if (imageUrl.startsWith('blob:')) {
-                console.log('🔗 [KONVA] Using Blob URL from API');
-                blobUrl = imageUrl;
-                processedUrl = imageUrl;
-            } else {
-                console.log('⚠️ [KONVA] Not a Blob URL, received:', imageUrl.substring(0, 100));
-            }
-
-            // Create image object
-            const imageObj = new Image();
-            imageObj.crossOrigin = 'anonymous';
-
-            return new Promise((resolve, reject) => {
-                imageObj.onload = () => {
-                    try {
-                        console.log('✅ [KONVA] Image object loaded, creating Konva node...');
-
-                        // Revoke blob URL if created
-                        if (blobUrl) {
-                            URL.revokeObjectURL(blobUrl);
-                        }
-
-                        // Verify layer still exists
-                        if (!this.layer) {
-                            throw new Error('Layer reference lost during image load');
-                        }
-
-                        // Create Konva image node
-                        this.imageNode = new Konva.Image({
-                            image: imageObj,
-                            draggable: true,
-                            name: 'mainImage'
-                        });
-
-                        // Calculate scaling to fit the stage
-                        const scale = this.calculateImageScale(imageObj.width, imageObj.height);
-                        this.imageNode.scale({ x: scale, y: scale });
-
-                        // Center the image
-                        this.centerImage();
-
-                        // Add to layer
-                        this.layer.add(this.imageNode);
-                        this.layer.batchDraw();
-
-                        // Update layer thumbnail (for layer panel)
-                        if (this.layerManager) {
-                            this.layerManager.updateActiveLayerThumbnail();
-                        }
-
-                        // Save state
-                        this.saveState();
-
-                        // Update status bar with image info
-                        this.updateStatusBar();
-
-                        console.log('✅ [KONVA] Image loaded successfully');
-                        resolve();
-                    } catch (error) {
-                        console.error('❌ [KONVA] Error creating Konva image:', error);
-                        reject(error);
-                    }
-                };
+                if (this.imageNode && this.imageNode.getStage()) {
+                    recorded = this.replaceImageBitmap(this.imageNode, imageObj, label, icon);
+                } else {
+                    this.addImageNode(imageObj, label, icon);
+                }
+            }, icon);
 
-                imageObj.onerror = (err) => {
-                    // Revoke blob URL if created
-                    if (blobUrl) {
-                        URL.revokeObjectURL(blobUrl);
-                    }
-                    console.error('❌ [KONVA] Failed to load image object:', err);
-                    reject(new Error('Failed to load image'));
-                };
+            if (keepFilters && this.hasActiveFilters()) {
+                this.applyFilters();
+            }
 
-                console.log('🔄 [KONVA] Setting image src...');
-                imageObj.src = processedUrl;
-            });
+            // Update layer thumbnail (for layer panel)
+            this.layerManager.updateActiveLayerThumbnail();
+
+            this.hiddenImageUrl = null;
+            this.updateStatusBar();
+
+            await recorded;
+
+            console.log('✅ [KONVA] Image loaded successfully');
         } catch (error) {
             console.error('❌ [KONVA] Failed to load image:', error);
             throw error;
         }
     }
 
+    /**
+     * Load an image element from a URL
+     * Blob URLs are revoked once loaded - history keeps its own compressed copy
+     * @param {string} imageUrl - URL or base64 data of the image
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    loadImageElement(imageUrl) {
+        const blobUrl = imageUrl.startsWith('blob:') ? imageUrl : null;
+        if (blobUrl) {
+            console.log('🔗 [KONVA] Using Blob URL from API');
+        }
+
+        const imageObj = new Image();
+        imageObj.crossOrigin = 'anonymous';
+
+        return new Promise((resolve, reject) => {
+            imageObj.onload = () => {
+                if (blobUrl) {
+                    URL.revokeObjectURL(blobUrl);
+                }
+                resolve(imageObj);
+            };
+
+            imageObj.onerror = (err) => {
+                if (blobUrl) {
+                    URL.revokeObjectURL(blobUrl);
+                }
+                console.error('❌ [KONVA] Failed to load image object:', err);
+                reject(new Error('Failed to load image'));
+            };
+
+            console.log('🔄 [KONVA] Setting image src...');
+            imageObj.src = imageUrl;
+        });
+    }
+
+    /**
+     * Add a new main image node to the active layer, recorded as a history step
+     * @param {HTMLImageElement} imageObj - Loaded image
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     */
+    addImageNode(imageObj, label, icon) {
+        this.imageNode = new Konva.Image({
+            image: imageObj,
+            draggable: true,
+            name: 'mainImage'
+        });
+
+        // Calculate scaling to fit the stage
+        const scale = this.calculateImageScale(imageObj.width, imageObj.height);
+        this.imageNode.scale({ x: scale, y: scale });
+
+        // Center the image
+        this.centerImage();
+
+        // Add to layer (below the layer's mask, if it has one)
+        this.layer.add(this.imageNode);
+        this.layerManager.raiseMasks();
+        this.layer.batchDraw();
+
+        this.history.push(HistoryManager.nodeCommand(label, this.imageNode, { added: true, icon }));
+    }
+
+    /**
+     * Swap the bitmap of an existing image node, fitting and centering it like a new image
+     * The node keeps its layer, name and listeners; history stores a compressed delta of the bitmaps
+     * @param {Konva.Image} node - Image node
+     * @param {HTMLImageElement} imageObj - New bitmap
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     * @returns {Promise<void>} Resolves once the step's snapshot is encoded (the step is recorded right away)
+     */
+    replaceImageBitmap(node, imageObj, label, icon) {
+        const beforeImage = node.image();
+        const beforeAttrs = this.getImageAttrs(node);
+
+        const scale = this.calculateImageScale(imageObj.width, imageObj.height);
+        node.setAttrs({
+            image: imageObj,
+            width: imageObj.width,
+            height: imageObj.height,
+            rotation: 0,
+            scaleX: scale,
+            scaleY: scale
+        });
+        this.imageNode = node;
+        this.centerImage();
+        node.getLayer().batchDraw();
+
+        return this.recordBitmapChange(label, node, beforeImage, beforeAttrs, icon);
+    }
+
+    /**
+     * Record a bitmap change that was already made to an image node
+     * @param {string} label - Step label
+     * @param {Konva.Image} node - Image node showing the new bitmap
+     * @param {CanvasImageSource} beforeImage - Bitmap before the change
+     * @param {object} beforeAttrs - getImageAttrs() before the change
+     * @param {string} icon - Step icon
+     * @returns {Promise<void>}
+     */
+    recordBitmapChange(label, node, beforeImage, beforeAttrs, icon = 'fas fa-image') {
+        const command = HistoryManager.bitmapCommand(label, node, {
+            beforeImage,
+            afterImage: node.image(),
+            beforeAttrs,
+            afterAttrs: this.getImageAttrs(node)
+        }, {
+            icon,
+            onApply: (imageNode) => {
+                // Cached (filtered) nodes must be re-cached to show the restored bitmap
+                if (imageNode.isCached()) {
+                    imageNode.cache();
+                }
+            }
+        });
+
+        // The step is recorded now and an undo pressed while the snapshot is being encoded waits for it
+        return this.history.pushPending(command, label, icon);
+    }
+
     /**
      * Load an image into a specific layer
      * @param {string} imageUrl - URL or base64 data of the image
      * @param {string} layerId - ID of the layer to load the image into
+     * @param {object} options - { label } describing the step in the History panel
+     */
+    async loadImageIntoLayer(imageUrl, layerId, options = {}) {
+        const imageObj = await this.loadImageElement(imageUrl);
+        this.addImageToLayer(imageObj, layerId, options);
+    }
+
+    /**
+     * Add a loaded image to a specific layer as a new image node
+     * Synchronous, so it can run inside a history group together with creating the layer
+     * @param {CanvasImageSource} imageObj - Loaded image (see loadImageElement)
+     * @param {string} layerId - ID of the layer to add the image to
+     * @param {object} options - { label } describing the step in the History panel
      */
-    async loadImageIntoLayer(imageUrl, layerId) {
+    addImageToLayer(imageObj, layerId, options = {}) {
         try {
-            console.log('🖼️ [KONVA] Loading image into layer:', layerId);
+            console.log('🖼️ [KONVA] Adding image to layer:', layerId);
 
             if (!this.stage || !this.layerManager) {
                 throw new Error('Konva stage or LayerManager not initialized');
@@ -462,75 +643,60 @@ class KonvaEditor {
                 throw new Error(`Layer ${layerId} not found`);
             }
 
+            if (this.layerManager.isLocked(layerId)) {
+                throw new Error(`Layer "${layerObj.name}" is locked`);
+            }
+
+            if (layerObj.adjustment) {
+                throw new Error(`"${layerObj.name}" is an adjustment layer`);
+            }
+
             const targetLayer = layerObj.konvaLayer;
 
-            // Create image object
-            const imageObj = new Image();
-            imageObj.crossOrigin = 'anonymous';
-
-            return new Promise((resolve, reject) => {
-                imageObj.onload = () => {
-                    try {
-                        console.log('✅ [KONVA] Image object loaded, creating Konva node for layer...');
-
-                        // Create Konva image node
-                        const imageNode = new Konva.Image({
-                            image: imageObj,
-                            draggable: true,
-                            name: 'layerImage'
-                        });
-
-                        // Calculate scaling to fit the stage
-                        const scale = this.calculateImageScale(imageObj.width, imageObj.height);
-                        imageNode.scale({ x: scale, y: scale });
-
-                        // Center the image
-                        const stageWidth = this.stage.width();
-                        const stageHeight = this.stage.height();
-                        const imageWidth = imageNode.width() * imageNode.scaleX();
-                        const imageHeight = imageNode.height() * imageNode.scaleY();
-
-                        imageNode.position({
-                            x: (stageWidth - imageWidth) / 2,
-                            y: (stageHeight - imageHeight) / 2
-                        });
-
-                        // Add to target layer
-                        targetLayer.add(imageNode);
-                        targetLayer.batchDraw();
-
-                        // Store reference to the image node (for status bar and other operations)
-                        this.imageNode = imageNode;
-
-                        // Update layer thumbnail
-                        if (this.layerManager) {
-                            this.layerManager.updateLayerThumbnail(layerId);
-                        }
-
-                        // Save state
-                        this.saveState();
-
-                        // Update status bar with image info
-                        this.updateStatusBar();
-
-                        console.log('✅ [KONVA] Image loaded into layer successfully');
-                        resolve();
-                    } catch (error) {
-                        console.error('❌ [KONVA] Error creating Konva image for layer:', error);
-                        reject(error);
-                    }
-                };
+            // Create Konva image node
+            const imageNode = new Konva.Image({
+                image: imageObj,
+                draggable: true,
+                name: 'layerImage'
+            });
 
-                imageObj.onerror = (err) => {
-                    console.error('❌ [KONVA] Failed to load image object:', err);
-                    reject(new Error('Failed to load image'));
-                };
+            // Calculate scaling to fit the stage
+            const scale = this.calculateImageScale(imageObj.width, imageObj.height);
+            imageNode.scale({ x: scale, y: scale });
+
+            // Center the image
+            const stageWidth = this.stage.width();
+            const stageHeight = this.stage.height();
+            const imageWidth = imageNode.width() * imageNode.scaleX();
+            const imageHeight = imageNode.height() * imageNode.scaleY();
 
-                console.log('🔄 [KONVA] Setting image src for layer...');
-                imageObj.src = imageUrl;
+            imageNode.position({
+                x: (stageWidth - imageWidth) / 2,
+                y: (stageHeight - imageHeight) / 2
             });
+
+            // Add to target layer (below the layer's mask, if it has one)
+            targetLayer.add(imageNode);
+            this.layerManager.raiseMasks();
+            targetLayer.batchDraw();
+
+            this.history.push(HistoryManager.nodeCommand(options.label || `Add Image to "${layerObj.name}"`, imageNode, {
+                added: true,
+                icon: 'fas fa-file-image'
+            }));
+
+            // Store reference to the image node (for status bar and other operations)
+            this.imageNode = imageNode;
+
+            // Update layer thumbnail
+            this.layerManager.updateLayerThumbnail(layerId);
+
+            // Update status bar with image info
+            this.updateStatusBar();
+
+            console.log('✅ [KONVA] Image added to layer successfully');
         } catch (error) {
-            console.error('❌ [KONVA] Failed to load image into layer:', error);
+            console.error('❌ [KONVA] Failed to add image to layer:', error);
             throw error;
         }
     }
@@ -628,92 +794,321 @@ class KonvaEditor {
         this.stage.batchDraw();
     }
 
+    /**
+     * Get the transform attributes of a node (what moves, rotations, flips and resizes change)
+     * @param {Konva.Node} node - Node
+     * @returns {object} Attributes
+     */
+    getTransformAttrs(node) {
+        const attrs = {
+            x: node.x(),
+            y: node.y(),
+            rotation: node.rotation(),
+            scaleX: node.scaleX(),
+            scaleY: node.scaleY(),
+            skewX: node.skewX(),
+            skewY: node.skewY()
+        };
+
+        // The side handles of a text box change its width instead of its scale
+        if (node.getClassName() === 'Text') {
+            attrs.width = node.getAttr('width');
+            attrs.wrap = node.wrap();
+        }
+        return attrs;
+    }
+
+    /**
+     * Get the transform attributes of an image node plus its size (which follows the bitmap)
+     * @param {Konva.Image} node - Image node
+     * @returns {object} Attributes
+     */
+    getImageAttrs(node) {
+        return { ...this.getTransformAttrs(node), width: node.width(), height: node.height() };
+    }
+
+    /**
+     * Whether dragging/transforming a node should be recorded in history
+     * Crop handles and transformer anchors are interaction helpers, not edits
+     * @param {Konva.Node} node - Event target
+     * @returns {boolean} True if tracked
+     */
+    isHistoryTracked(node) {
+        if (!node || node === this.stage || this.cropState.active || this.expandState.active) return false;
+        if (node.getClassName() === 'Transformer' || node.findAncestor('Transformer')) return false;
+        if (this.guides && this.guides.isGuide(node)) return false;
+        return true;
+    }
+
+    /**
+     * Nodes that move when a node is dragged: the whole selection when the node is selected
+     * @param {Konva.Node} node - Dragged node
+     * @returns {Konva.Node[]} Nodes
+     */
+    getDraggedNodes(node) {
+        const selected = this.transformer.nodes();
+        return selected.includes(node) ? selected : [node];
+    }
+
+    /**
+     * Remember node attributes when a drag or transform starts
+     * (the other selected nodes start dragging after the first move, so only the first capture counts)
+     * @param {Konva.Node[]} nodes - Nodes about to change
+     */
+    captureTransformStart(nodes) {
+        nodes.filter(node => this.isHistoryTracked(node) && !this.transformStartAttrs.has(node)).forEach(node => {
+            this.transformStartAttrs.set(node, this.getTransformAttrs(node));
+        });
+    }
+
+    /**
+     * Record the nodes that changed since captureTransformStart as one history step
+     * @param {Konva.Node[]} nodes - Changed nodes
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     */
+    recordTransformEnd(nodes, label, icon) {
+        this.history.group(label, () => {
+            nodes.forEach(node => {
+                const before = this.transformStartAttrs.get(node);
+                if (!before) return;
+
+                this.transformStartAttrs.delete(node);
+                const after = this.getTransformAttrs(node);
+                if (Object.keys(after).some(key => after[key] !== before[key])) {
+                    this.history.push(HistoryManager.attrsCommand(label, node, before, after, { icon }));
+                }
+            });
+        }, icon);
+
+        if (nodes.some(node => node.getLayer() !== this.drawingLayer)) {
+            this.layerManager.updateActiveLayerThumbnail();
+        }
+    }
+
+    /**
+     * Change the image's transform and record it as a history step
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     * @param {Function} change - Applies the change to this.imageNode
+     */
+    recordImageTransform(label, icon, change) {
+        const node = this.imageNode;
+        const before = this.getTransformAttrs(node);
+
+        change();
+        this.stage.batchDraw();
+
+        this.history.push(HistoryManager.attrsCommand(label, node, before, this.getTransformAttrs(node), { icon }));
+    }
+
+    /**
+     * Move a node by a distance in layer coordinates, whatever the zoom and its parent's transform
+     * @param {Konva.Node} node - Node
+     * @param {number} dx - Horizontal distance
+     * @param {number} dy - Vertical distance
+     */
+    translateNode(node, dx, dy) {
+        if (!dx && !dy) return;
+
+        const position = node.absolutePosition();
+        node.absolutePosition({
+            x: position.x + dx * this.stage.scaleX(),
+            y: position.y + dy * this.stage.scaleY()
+        });
+    }
+
+    /**
+     * Align the selected nodes with each other, or a single selected node with the image
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     * @returns {boolean} True if applied (false when there is nothing to align)
+     */
+    alignSelection(edge) {
+        const nodes = this.transformer.nodes().filter(node => this.isHistoryTracked(node));
+        const image = this.imageNode && this.imageNode.getStage() ? this.imageNode : null;
+        const rectOf = (node) => this.guides.getRect(node);
+
+        let target;
+        if (nodes.length > 1) {
+            target = SnapGuides.unionRect(nodes.map(rectOf));
+        } else if (nodes.length === 1 && image && nodes[0] !== image) {
+            target = rectOf(image);
+        } else {
+            return false;
+        }
+
+        const horizontal = ['left', 'center', 'right'].includes(edge);
+        const position = (rect) => {
+            const start = horizontal ? rect.x : rect.y;
+            const size = horizontal ? rect.width : rect.height;
+            if (edge === 'left' || edge === 'top') return start;
+            if (edge === 'right' || edge === 'bottom') return start + size;
+            return start + size / 2;
+        };
+
+        this.captureTransformStart(nodes);
+        nodes.forEach(node => {
+            const offset = position(target) - position(rectOf(node));
+            this.translateNode(node, horizontal ? offset : 0, horizontal ? 0 : offset);
+        });
+        this.recordTransformEnd(nodes, 'Align', 'fas fa-align-center');
+
+        this.transformer.forceUpdate();
+        this.stage.batchDraw();
+        this.guides.scheduleRender();
+        return true;
+    }
+
+    /**
+     * Space three or more selected nodes evenly between the outermost two
+     * @param {string} axis - 'horizontal' or 'vertical'
+     * @returns {boolean} True if applied (false with fewer than three nodes selected)
+     */
+    distributeSelection(axis) {
+        const nodes = this.transformer.nodes().filter(node => this.isHistoryTracked(node));
+        if (nodes.length < 3) return false;
+
+        const horizontal = axis === 'horizontal';
+        const items = nodes.map(node => {
+            const rect = this.guides.getRect(node);
+            return {
+                node,
+                start: horizontal ? rect.x : rect.y,
+                size: horizontal ? rect.width : rect.height
+            };
+        }).sort((a, b) => a.start - b.start);
+
+        const first = items[0];
+        const end = Math.max(...items.map(item => item.start + item.size));
+        const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+        const gap = (end - first.start - totalSize) / (items.length - 1);
+
+        this.captureTransformStart(nodes);
+        let next = first.start;
+        items.forEach(item => {
+            const offset = next - item.start;
+            this.translateNode(item.node, horizontal ? offset : 0, horizontal ? 0 : offset);
+            next += item.size + gap;
+        });
+        this.recordTransformEnd(nodes, 'Distribute', horizontal ? 'fas fa-arrows-left-right' : 'fas fa-arrows-up-down');
+
+        this.transformer.forceUpdate();
+        this.stage.batchDraw();
+        this.guides.scheduleRender();
+        return true;
+    }
+
     /**
      * Rotate image 90 degrees clockwise
+     * @returns {boolean} True if applied (false without an image or on a locked layer)
      */
     rotateCW() {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to rotate');
-            return;
+            return false;
         }
 
-        const currentRotation = this.imageNode.rotation();
-        this.imageNode.rotation(currentRotation + 90);
-        this.centerImage();
-        this.stage.batchDraw();
-        this.saveState();
+        if (!this.ensureImageEditable()) {
+            return false;
+        }
+
+        this.recordImageTransform('Rotate 90° CW', 'fas fa-redo', () => {
+            this.imageNode.rotation(this.imageNode.rotation() + 90);
+            this.centerImage();
+        });
 
         console.log('🔄 [KONVA] Rotated 90° clockwise');
+        return true;
     }
 
     /**
      * Rotate image 90 degrees counter-clockwise
+     * @returns {boolean} True if applied (false without an image or on a locked layer)
      */
     rotateCCW() {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to rotate');
-            return;
+            return false;
         }
 
-        const currentRotation = this.imageNode.rotation();
-        this.imageNode.rotation(currentRotation - 90);
-        this.centerImage();
-        this.stage.batchDraw();
-        this.saveState();
+        if (!this.ensureImageEditable()) {
+            return false;
+        }
+
+        this.recordImageTransform('Rotate 90° CCW', 'fas fa-undo', () => {
+            this.imageNode.rotation(this.imageNode.rotation() - 90);
+            this.centerImage();
+        });
 
         console.log('🔄 [KONVA] Rotated 90° counter-clockwise');
+        return true;
     }
 
     /**
      * Rotate image 180 degrees
+     * @returns {boolean} True if applied (false without an image or on a locked layer)
      */
     rotate180() {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to rotate');
-            return;
+            return false;
         }
 
-        const currentRotation = this.imageNode.rotation();
-        this.imageNode.rotation(currentRotation + 180);
-        this.centerImage();
-        this.stage.batchDraw();
-        this.saveState();
+        if (!this.ensureImageEditable()) {
+            return false;
+        }
+
+        this.recordImageTransform('Rotate 180°', 'fas fa-sync-alt', () => {
+            this.imageNode.rotation(this.imageNode.rotation() + 180);
+            this.centerImage();
+        });
 
         console.log('🔄 [KONVA] Rotated 180°');
+        return true;
     }
 
     /**
      * Flip image horizontally
+     * @returns {boolean} True if applied (false without an image or on a locked layer)
      */
     flipHorizontal() {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to flip');
-            return;
+            return false;
         }
 
-        const currentScaleX = this.imageNode.scaleX();
-        this.imageNode.scaleX(currentScaleX * -1);
-        this.stage.batchDraw();
-        this.saveState();
+        if (!this.ensureImageEditable()) {
+            return false;
+        }
+
+        this.recordImageTransform('Flip Horizontal', 'fas fa-arrows-alt-h', () => {
+            this.imageNode.scaleX(this.imageNode.scaleX() * -1);
+        });
 
         console.log('↔️ [KONVA] Flipped horizontally');
+        return true;
     }
 
     /**
      * Flip image vertically
+     * @returns {boolean} True if applied (false without an image or on a locked layer)
      */
     flipVertical() {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to flip');
-            return;
+            return false;
         }
 
-        const currentScaleY = this.imageNode.scaleY();
-        this.imageNode.scaleY(currentScaleY * -1);
-        this.stage.batchDraw();
-        this.saveState();
+        if (!this.ensureImageEditable()) {
+            return false;
+        }
+
+        this.recordImageTransform('Flip Vertical', 'fas fa-arrows-alt-v', () => {
+            this.imageNode.scaleY(this.imageNode.scaleY() * -1);
+        });
 
         console.log('↕️ [KONVA] Flipped vertically');
+        return true;
     }
 
     /**
@@ -721,11 +1116,16 @@ class KonvaEditor {
      * @param {number} width - New width
      * @param {number} height - New height
      * @param {boolean} lockAspectRatio - Whether to maintain aspect ratio
+     * @returns {boolean} True if applied (false without an image or on a locked layer)
      */
     resizeImage(width, height, lockAspectRatio = true) {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to resize');
-            return;
+            return false;
+        }
+
+        if (!this.ensureImageEditable()) {
+            return false;
         }
 
         const originalWidth = this.imageNode.width();
@@ -746,25 +1146,32 @@ class KonvaEditor {
         const scaleX = width / originalWidth;
         const scaleY = height / originalHeight;
 
-        this.imageNode.scale({ x: scaleX, y: scaleY });
-        this.centerImage();
-        this.stage.batchDraw();
-        this.saveState();
+        this.recordImageTransform(`Resize to ${Math.round(width)}×${Math.round(height)}`, 'fas fa-expand', () => {
+            this.imageNode.scale({ x: scaleX, y: scaleY });
+            this.centerImage();
+        });
 
         console.log(`📏 [KONVA] Resized to ${Math.round(width)}x${Math.round(height)}`);
+        return true;
     }
 
     /**
      * Apply all active filters to the image
+     * @param {object} options - { preview } filter a downscaled cache (at most filterPreviewSize pixels
+     *   along the longer side) for fast feedback while a slider is dragged; commitFilterPreview renders
+     *   full resolution again
      */
-    applyFilters() {
+    applyFilters(options = {}) {
         if (!this.imageNode) {
             console.warn('⚠️ [KONVA] No image to apply filters to');
             return;
         }
 
-        // Cache the image for filter application
-        this.imageNode.cache();
+        // Cache the image for filter application (filters run on the cache's pixels)
+        const longerSide = Math.max(this.imageNode.width(), this.imageNode.height());
+        const pixelRatio = options.preview ? Math.min(1, KonvaEditor.filterPreviewSize / longerSide) : 1;
+        this.filterPreview = pixelRatio < 1;
+        this.imageNode.cache({ pixelRatio });
 
         // Build filter array based on current state
         const filters = [];
@@ -832,34 +1239,128 @@ class KonvaEditor {
         this.imageNode.filters(filters);
 
         // Set filter parameters
+        // Blur and pixelate work in cache pixels, so on the preview they shrink with it
         this.imageNode.brightness(this.filterState.brightness);
         this.imageNode.contrast(this.filterState.contrast);
-        this.imageNode.blurRadius(this.filterState.blur);
+        this.imageNode.blurRadius(Math.round(this.filterState.blur * pixelRatio));
         this.imageNode.saturation(this.filterState.saturation);
         this.imageNode.hue(this.filterState.hue);
         this.imageNode.luminance(this.filterState.luminance);
-        this.imageNode.pixelSize(this.filterState.pixelate);
+        this.imageNode.pixelSize(Math.max(1, Math.round(this.filterState.pixelate * pixelRatio)));
         this.imageNode.noise(this.filterState.noise);
 
         // Redraw
         this.layer.batchDraw();
 
-        console.log('🎨 [KONVA] Filters applied:', filters.length);
+        if (!options.preview) {
+            console.log('🎨 [KONVA] Filters applied:', filters.length);
+        }
     }
 
     /**
-     * Update a specific filter value
-     * @param {string} filterName - Name of the filter
-     * @param {any} value - Filter value
+     * Render the filters at full resolution after a slider drag showed them on the preview cache
      */
-    updateFilter(filterName, value) {
-        if (this.filterState.hasOwnProperty(filterName)) {
-            this.filterState[filterName] = value;
+    commitFilterPreview() {
+        if (!this.filterPreview || !this.imageNode) return;
+
+        if (this.hasActiveFilters()) {
             this.applyFilters();
+        } else {
+            this.filterPreview = false;
+        }
+    }
+
+    /**
+     * Update a specific filter value
+     * @param {string} filterName - Name of the filter
+     * @param {any} value - Filter value
+     * @param {object} options - { preview } while a slider is dragged (see applyFilters)
+     */
+    updateFilter(filterName, value, options = {}) {
+        if (this.imageNode && !this.ensureImageEditable()) {
+            // Put the control back to the unchanged value
+            if (this.app && this.app.syncFilterControls) {
+                this.app.syncFilterControls();
+            }
+            return;
+        }
+
+        if (this.filterState.hasOwnProperty(filterName)) {
+            const before = { ...this.filterState };
+            this.filterState[filterName] = value;
+            this.applyFilters(options);
+
+            // Slider drags arrive as many updates - they merge into one step
+            if (this.imageNode && before[filterName] !== value) {
+                const label = filterName.charAt(0).toUpperCase() + filterName.slice(1);
+                this.history.push(this.filterCommand(label, before, { ...this.filterState }, `filter:${filterName}`));
+            }
+
             console.log(`🎨 [KONVA] Updated ${filterName}:`, value);
         }
     }
 
+    /**
+     * Command that switches between two filter states
+     * @param {string} label - Step label
+     * @param {object} before - Filter state before
+     * @param {object} after - Filter state after
+     * @param {string} mergeKey - Optional key to merge consecutive changes
+     * @returns {object} Command
+     */
+    filterCommand(label, before, after, mergeKey = null) {
+        return {
+            label,
+            icon: 'fas fa-sliders-h',
+            mergeKey,
+            undo: () => this.setFilterState(before),
+            redo: () => this.setFilterState(after)
+        };
+    }
+
+    /**
+     * Replace the whole filter state and apply it to the image
+     * @param {object} state - Filter state
+     */
+    setFilterState(state) {
+        this.filterState = { ...state };
+
+        if (!this.imageNode) return;
+
+        if (this.hasActiveFilters()) {
+            this.applyFilters();
+        } else {
+            this.filterPreview = false;
+            this.imageNode.filters([]);
+            this.imageNode.clearCache();
+            this.imageNode.getLayer()?.batchDraw();
+        }
+    }
+
+    /**
+     * Get the neutral filter state
+     * @returns {object} Filter state with every filter off
+     */
+    getDefaultFilterState() {
+        return {
+            brightness: 1,
+            contrast: 0,
+            blur: 0,
+            saturation: 0,
+            hue: 0,
+            luminance: 0,
+            pixelate: 1,
+            noise: 0,
+            grayscale: false,
+            sepia: false,
+            invert: false,
+            emboss: false,
+            posterize: false,
+            solarize: false,
+            enhance: false
+        };
+    }
+
     /**
      * Check if any filters are currently active
      * @returns {boolean}
@@ -886,34 +1387,29 @@ class KonvaEditor {
 
     /**
      * Reset all filters to default values
+     * @returns {boolean} False if the image's layer is locked
      */
     resetFilters() {
-        this.filterState = {
-            brightness: 1,
-            contrast: 0,
-            blur: 0,
-            saturation: 0,
-            hue: 0,
-            luminance: 0,
-            pixelate: 1,
-            noise: 0,
-            grayscale: false,
-            sepia: false,
-            invert: false,
-            emboss: false,
-            posterize: false,
-            solarize: false,
-            enhance: false
-        };
+        if (this.imageNode && !this.ensureImageEditable()) {
+            return false;
+        }
 
-        if (this.imageNode) {
-            this.imageNode.filters([]);
-            this.imageNode.clearCache();
-            this.layer.batchDraw();
+        const before = { ...this.filterState };
+        const hadFilters = this.hasActiveFilters();
+
+        this.setFilterState(this.getDefaultFilterState());
+
+        if (hadFilters) {
+            this.history.push(this.filterCommand('Reset Filters', before, this.getDefaultFilterState()));
+        }
+
+        // Keep the filter controls in sync when the reset comes from the editor itself
+        if (this.app && this.app.syncFilterControls) {
+            this.app.syncFilterControls();
         }
 
-        this.saveState();
         console.log('🔄 [KONVA] All filters reset');
+        return true;
     }
 
     /**
@@ -960,66 +1456,104 @@ class KonvaEditor {
     }
 
     /**
-     * Save current state to history
+     * Undo last action
+     * @returns {Promise<boolean>} True if a step was undone
+     */
+    undo() {
+        return this.history ? this.history.undo() : Promise.resolve(false);
+    }
+
+    /**
+     * Redo last undone action
+     * @returns {Promise<boolean>} True if a step was redone
+     */
+    redo() {
+        return this.history ? this.history.redo() : Promise.resolve(false);
+    }
+
+    /**
+     * Re-sync editor references and UI after the canvas changed outside the normal tools
+     * (undo/redo, layer deletion, merge...)
      */
-    saveState() {
+    syncWithCanvas() {
         if (!this.stage) return;
-        
-        this.historyStep++;
-        
-        if (this.historyStep < this.history.length) {
-            this.history.length = this.historyStep;
+
+        const activeLayer = this.layerManager.getActiveLayer();
+        if (activeLayer) {
+            this.layer = activeLayer.konvaLayer;
         }
-        
-        this.history.push(this.stage.toJSON());
-        
-        if (this.history.length > this.maxHistorySteps) {
-            this.history.shift();
-            this.historyStep--;
+
+        // The image node may have been removed or brought back
+        if (!this.imageNode || !this.imageNode.getStage()) {
+            this.imageNode = this.findImageNode();
         }
-        
-        console.log('💾 [KONVA] State saved to history');
+
+        // Drop detached nodes and nodes on locked layers from the selection
+        if (this.transformer) {
+            this.transformer.nodes(this.transformer.nodes().filter(node => {
+                return node.getStage() && !this.layerManager.isNodeLocked(node);
+            }));
+        }
+
+        if (this.imageNode) {
+            this.imageNode.draggable(!this.drawingState.activeTool);
+        }
+
+        // Restored nodes may have been put back above a layer mask
+        this.layerManager.raiseMasks();
+
+        if (this.app && this.app.syncFilterControls) {
+            this.app.syncFilterControls();
+        }
+
+        this.layerManager.updateActiveLayerThumbnail();
+        this.updateAppImageState();
+        this.guides.scheduleRender();
+        this.notifySelectionChange();
+        this.stage.batchDraw();
     }
 
     /**
-     * Undo last action
+     * Find the image to edit: the first image on the active layer, else the topmost layer with one
+     * @returns {Konva.Image|null} Image node
      */
-    undo() {
-        if (this.historyStep > 0) {
-            this.historyStep--;
-            this.loadState(this.history[this.historyStep]);
-            console.log('↶ [KONVA] Undo performed');
+    findImageNode() {
+        const layers = [this.layerManager.getActiveLayer(), ...this.layerManager.getAllLayers().reverse()];
+
+        for (const layer of layers) {
+            const node = layer && layer.konvaLayer.findOne('Image');
+            if (node) return node;
         }
+
+        return null;
     }
 
     /**
-     * Redo last undone action
+     * Find the locked layer, if any, that blocks editing the current image
+     * (the image's own layer, or the active layer when there is no image yet)
+     * @returns {object|null} Locked layer object
      */
-    redo() {
-        if (this.historyStep < this.history.length - 1) {
-            this.historyStep++;
-            this.loadState(this.history[this.historyStep]);
-            console.log('↷ [KONVA] Redo performed');
-        }
+    getLockedImageLayer() {
+        const layer = this.imageNode && this.imageNode.getStage()
+            ? this.layerManager.getLayerForNode(this.imageNode)
+            : this.layerManager.getActiveLayer();
+
+        return layer && this.layerManager.isLocked(layer.id) ? layer : null;
     }
 
     /**
-     * Load state from history
-     * @param {string} state - JSON state string
+     * Check that the current image can be edited, telling the user when its layer is locked
+     * @returns {boolean} True if editable
      */
-    loadState(state) {
-        if (!this.stage) return;
-        
-        this.stage.destroy();
-        this.stage = Konva.Node.create(state, 'konvaContainer');
-        
-        // Re-setup event listeners
-        this.setupEventListeners();
-        
-        // Update references
-        this.layer = this.stage.children[0];
-        this.transformer = this.layer.findOne('Transformer');
-        this.imageNode = this.layer.findOne('.mainImage');
+    ensureImageEditable() {
+        const lockedLayer = this.getLockedImageLayer();
+        if (!lockedLayer) return true;
+
+        console.warn(`🔒 [KONVA] Layer "${lockedLayer.name}" is locked`);
+        if (this.app && this.app.modules.ui) {
+            this.app.modules.ui.showNotification(`Layer "${lockedLayer.name}" is locked`, 'warning', 2500);
+        }
+        return false;
     }
 
     /**
@@ -1029,41 +1563,53 @@ class KonvaEditor {
      * @returns {string} Base64 image data
      */
     export(format = 'png', quality = 0.9) {
-        if (!this.stage) {
-            throw new Error('No canvas to export');
-        }
-        
-        // Hide transformer during export
-        const transformerVisible = this.transformer.visible();
-        this.transformer.visible(false);
-        this.layer.batchDraw();
-        
+        const canvas = this.renderComposite();
         let dataURL;
         
         if (format === 'jpeg') {
-            dataURL = this.stage.toDataURL({
-                mimeType: 'image/jpeg',
-                quality: quality
-            });
+            dataURL = canvas.toDataURL('image/jpeg', quality);
         } else if (format === 'webp') {
-            dataURL = this.stage.toDataURL({
-                mimeType: 'image/webp',
-                quality: quality
-            });
+            dataURL = canvas.toDataURL('image/webp', quality);
         } else {
-            dataURL = this.stage.toDataURL({
-                mimeType: 'image/png'
-            });
+            dataURL = canvas.toDataURL('image/png');
         }
         
-        // Restore transformer visibility
-        this.transformer.visible(transformerVisible);
-        this.layer.batchDraw();
-        
         console.log('📤 [KONVA] Canvas exported as', format);
         return dataURL;
     }
 
+    /**
+     * Composite the canvas for export, without the transformer or selection overlay
+     * @param {object} [area] - Area in layer coordinates ({ x, y, width, height, pixelRatio });
+     *   omitted, the stage is rendered as shown
+     * @returns {HTMLCanvasElement} Composited canvas
+     */
+    renderComposite(area = null) {
+        if (!this.stage) {
+            throw new Error('No canvas to export');
+        }
+
+        // Hide transformer, selection overlay, grid and guides during export
+        const transformerVisible = this.transformer.visible();
+        const selectionVisible = this.selectionLayer.visible();
+        const guidesVisible = this.guides.layer.visible();
+        this.transformer.visible(false);
+        this.selectionLayer.visible(false);
+        this.guides.layer.visible(false);
+        this.layer.batchDraw();
+
+        try {
+            // Composite through the LayerManager so layer blend modes are part of the export
+            return this.layerManager.renderStage(area);
+        } finally {
+            // Restore transformer, selection overlay and guides visibility
+            this.transformer.visible(transformerVisible);
+            this.selectionLayer.visible(selectionVisible);
+            this.guides.layer.visible(guidesVisible);
+            this.layer.batchDraw();
+        }
+    }
+
     /**
      * Download exported image
      * @param {string} filename - Filename for download
@@ -1089,22 +1635,6 @@ class KonvaEditor {
         }
     }
 
-    /**
-     * Clear the canvas
-     */
-    clear() {
-        if (!this.layer) return;
-        
-        this.layer.destroyChildren();
-        this.layer.add(this.transformer);
-        this.layer.batchDraw();
-        
-        this.imageNode = null;
-        this.saveState();
-        
-        console.log('🗑️ [KONVA] Canvas cleared');
-    }
-
     /**
      * Get canvas dimensions
      * @returns {object} Width and height
@@ -1126,7 +1656,8 @@ class KonvaEditor {
 
     /**
      * Set active drawing tool
-     * @param {string} tool - Tool name (brush, highlighter, text, arrow, rectangle, circle, star, polygon)
+     * @param {string} tool - Tool name (brush, highlighter, text, arrow, rectangle, circle, star, polygon,
+     *   select-rect, select-lasso, select-brush, mask-brush)
      */
     setDrawingTool(tool) {
         this.drawingState.activeTool = tool;
@@ -1141,6 +1672,8 @@ class KonvaEditor {
             if (this.imageNode) {
                 this.imageNode.draggable(false);
             }
+            // Clicks on guide lines go to the tool
+            this.guides.setInteractive(false);
             // Setup new drawing listeners
             this.setupDrawingListeners(tool);
         } else {
@@ -1168,13 +1701,15 @@ class KonvaEditor {
         if (this.imageNode) {
             this.imageNode.draggable(true);
         }
+        this.guides.setInteractive(true);
+        this.setupMarqueeListeners();
 
         console.log('🖌️ [KONVA] Drawing tool deactivated, image dragging restored');
     }
 
     /**
      * Deactivate drawing tool and update UI (buttons and app state)
-     * This is called when undoing back to initial state or when clearing all drawings
+     * This is called when clearing all drawings
      */
     deactivateDrawingToolAndUI() {
         // Deactivate the tool internally
@@ -1200,8 +1735,12 @@ class KonvaEditor {
 
         if (tool === 'brush' || tool === 'highlighter') {
             this.setupFreeDrawListeners();
+        } else if (KonvaEditor.selectionTools.includes(tool)) {
+            this.setupSelectionListeners(tool);
+        } else if (tool === 'mask-brush') {
+            this.setupMaskBrushListeners();
         } else if (tool === 'text') {
-            this.setupTextListeners();
+            this.textTool.setupListeners();
         } else {
             this.setupShapeListeners(tool);
         }
@@ -1244,34 +1783,10 @@ class KonvaEditor {
         this.stage.on('mouseup touchend', () => {
             if (this.drawingState.isDrawing) {
                 this.drawingState.isDrawing = false;
-                this.saveDrawingState();
-            }
-        });
-    }
-
-    /**
-     * Setup text tool listeners
-     */
-    setupTextListeners() {
-        this.stage.on('click tap', (e) => {
-            if (e.target !== this.stage && e.target !== this.layer && e.target !== this.imageNode) return;
-
-            const pos = this.stage.getPointerPosition();
-            const text = prompt('Enter text:');
-
-            if (text) {
-                const textNode = new Konva.Text({
-                    x: pos.x,
-                    y: pos.y,
-                    text: text,
-                    fontSize: this.drawingState.fontSize,
-                    fill: this.drawingState.strokeColor,
-                    draggable: true
-                });
-
-                this.drawingLayer.add(textNode);
-                this.drawingLayer.batchDraw();
-                this.saveDrawingState();
+                const isHighlighter = this.drawingState.activeTool === 'highlighter';
+                this.history.push(HistoryManager.nodeCommand(isHighlighter ? 'Highlighter' : 'Brush Stroke', this.drawingState.currentLine, {
+                    icon: isHighlighter ? 'fas fa-highlighter' : 'fas fa-paint-brush'
+                }));
             }
         });
     }
@@ -1376,8 +1891,11 @@ class KonvaEditor {
         this.stage.on('mouseup touchend', () => {
             if (this.drawingState.isDrawing) {
                 this.drawingState.isDrawing = false;
+                if (this.drawingState.currentShape) {
+                    const { label, icon } = KonvaEditor.shapeHistoryLabels[tool];
+                    this.history.push(HistoryManager.nodeCommand(label, this.drawingState.currentShape, { icon }));
+                }
                 this.drawingState.currentShape = null;
-                this.saveDrawingState();
             }
         });
     }
@@ -1390,7 +1908,12 @@ class KonvaEditor {
             this.stage.off('mousedown touchstart');
             this.stage.off('mousemove touchmove');
             this.stage.off('mouseup touchend');
-            this.stage.off('click tap');
+        }
+
+        // Finish text being typed and drop a text box being dragged out
+        if (this.textTool) {
+            this.textTool.cancelDraft();
+            this.textTool.finishEditing();
         }
     }
 
@@ -1409,16 +1932,20 @@ class KonvaEditor {
      */
     clearDrawings() {
         if (this.drawingLayer) {
-            // Remove all children except transformer
-            // Important: Get a copy of children array before destroying to avoid iteration issues
+            // Remove all children except transformer, keeping them so the clear can be undone
+            // Important: Get a copy of children array before removing to avoid iteration issues
             const children = this.drawingLayer.getChildren().slice();
-            children.forEach(child => {
-                if (child !== this.transformer) {
-                    child.destroy();
-                }
-            });
+            this.transformer.nodes([]);
+            this.history.group('Clear Drawings', () => {
+                children.forEach(child => {
+                    if (child !== this.transformer) {
+                        const command = HistoryManager.nodeCommand('Clear Drawings', child, { added: false });
+                        child.remove();
+                        this.history.push(command);
+                    }
+                });
+            }, 'fas fa-eraser');
             this.drawingLayer.batchDraw();
-            this.saveDrawingState();
 
             // Deactivate the drawing tool and update UI
             this.deactivateDrawingToolAndUI();
@@ -1436,11 +1963,27 @@ class KonvaEditor {
         const baseState = {
             id: shape.id() || shape._id,
             className: className,
-            draggable: shape.draggable()
+            draggable: shape.draggable(),
+            // Moves and transforms change these on every shape type
+            x: shape.x(),
+            y: shape.y(),
+            rotation: shape.rotation(),
+            scaleX: shape.scaleX(),
+            scaleY: shape.scaleY(),
+            skewX: shape.skewX(),
+            skewY: shape.skewY(),
+            opacity: shape.opacity(),
+            globalCompositeOperation: shape.globalCompositeOperation()
         };
 
         // Common properties for all shapes
-        if (className === 'Line') {
+        if (className === 'Group') {
+            return {
+                ...baseState,
+                name: shape.name(),
+                children: shape.getChildren().map(child => this.shapeToState(child))
+            };
+        } else if (className === 'Line') {
             return {
                 ...baseState,
                 points: shape.points(),
@@ -1450,15 +1993,35 @@ class KonvaEditor {
                 lineCap: shape.lineCap(),
                 lineJoin: shape.lineJoin()
             };
-        } else if (className === 'Text') {
-            return {
+        } else if (className === 'Text' || className === 'TextPath') {
+            const textState = {
                 ...baseState,
-                x: shape.x(),
-                y: shape.y(),
                 text: shape.text(),
+                fontFamily: shape.fontFamily(),
                 fontSize: shape.fontSize(),
-                fill: shape.fill()
+                fontStyle: shape.fontStyle(),
+                letterSpacing: shape.letterSpacing(),
+                align: shape.align(),
+                fill: shape.fill(),
+                fillPriority: shape.fillPriority(),
+                fillLinearGradientColorStops: shape.fillLinearGradientColorStops(),
+                gradientDirection: shape.getAttr('gradientDirection'),
+                stroke: shape.stroke(),
+                strokeWidth: shape.strokeWidth(),
+                strokeEnabled: shape.strokeEnabled(),
+                fillAfterStrokeEnabled: shape.fillAfterStrokeEnabled(),
+                shadowEnabled: shape.shadowEnabled(),
+                shadowColor: shape.shadowColor(),
+                shadowBlur: shape.shadowBlur(),
+                shadowOffsetX: shape.shadowOffsetX(),
+                shadowOffsetY: shape.shadowOffsetY(),
+                shadowOpacity: shape.shadowOpacity()
             };
+
+            // Text boxes have a width (undefined when the text grows with its content); text on a path has the path
+            return className === 'TextPath'
+                ? { ...textState, data: shape.data(), pathPreset: shape.getAttr('pathPreset') }
+                : { ...textState, width: shape.getAttr('width'), wrap: shape.wrap(), lineHeight: shape.lineHeight() };
         } else if (className === 'Rect') {
             return {
                 ...baseState,
@@ -1525,10 +2088,20 @@ class KonvaEditor {
     stateToShape(state) {
         const { className, ...config } = state;
 
-        if (className === 'Line') {
+        if (className === 'Group') {
+            const { children = [], ...groupConfig } = config;
+            const group = new Konva.Group(groupConfig);
+            children.forEach(childState => {
+                const child = this.stateToShape(childState);
+                if (child) group.add(child);
+            });
+            return group;
+        } else if (className === 'Line') {
             return new Konva.Line(config);
         } else if (className === 'Text') {
-            return new Konva.Text(config);
+            return this.textTool.prepareNode(new Konva.Text(config));
+        } else if (className === 'TextPath') {
+            return this.textTool.prepareNode(new Konva.TextPath(config));
         } else if (className === 'Rect') {
             return new Konva.Rect(config);
         } else if (className === 'Ellipse') {
@@ -1545,105 +2118,120 @@ class KonvaEditor {
     }
 
     /**
-     * Save current drawing layer state to drawing history
-     * Following Konva best practices: save simple state array, not full layer JSON
+     * Get every drawing as a state object (bottom first)
+     * @returns {object[]} Shape states from shapeToState
      */
-    saveDrawingState() {
-        if (!this.drawingLayer) return;
-
-        this.drawingHistoryStep++;
+    getDrawingStates() {
+        return this.drawingLayer.getChildren(node => node !== this.transformer)
+            .map(shape => this.shapeToState(shape));
+    }
 
-        // Remove any future states if we're not at the end
-        if (this.drawingHistoryStep < this.drawingHistory.length) {
-            this.drawingHistory.length = this.drawingHistoryStep;
-        }
+    /**
+     * Get the crop in progress, so it can be saved with a project
+     * @returns {object|null} { aspectRatio, customWidth, customHeight, x, y, width, height } or null
+     */
+    getCropState() {
+        if (!this.cropState.active || !this.cropState.cropRect) return null;
 
-        // Convert all drawing shapes to simple state objects
-        const drawings = [];
-        this.drawingLayer.getChildren().forEach(child => {
-            // Skip transformer
-            if (child.getClassName() === 'Transformer') return;
+        const rect = this.cropState.cropRect;
+        return {
+            aspectRatio: this.cropState.aspectRatio,
+            customWidth: this.cropState.customWidth || null,
+            customHeight: this.cropState.customHeight || null,
+            x: rect.x(),
+            y: rect.y(),
+            width: rect.width() * rect.scaleX(),
+            height: rect.height() * rect.scaleY()
+        };
+    }
 
-            const state = this.shapeToState(child);
-            if (state) {
-                drawings.push(state);
-            }
+    /**
+     * Replace the whole canvas with a saved scene (an opened project or a recovered autosave)
+     * The history starts empty, since its steps refer to the replaced layers
+     * @param {object} scene - { layers, groups, activeLayerId, mainImage, drawings, guides, filters, selection, crop, view }
+     *   where layers are LayerManager.replaceStack entries with their bitmaps already decoded
+     */
+    restoreScene(scene) {
+        if (this.cropState.active) {
+            this.cancelCrop();
+        }
+        if (this.expandState.active) {
+            this.cancelExpand();
+        }
+        if (this.drawingState.activeTool) {
+            this.deactivateDrawingToolAndUI();
+        }
+        this.textTool.finishEditing(false);
+        this.transformer.nodes([]);
+        this.textTool.syncSelection();
+        this.history.clear();
+
+        this.layerManager.replaceStack(scene.layers, scene.groups, scene.activeLayerId);
+        this.layer = this.layerManager.getActiveLayer().konvaLayer;
+        this.imageNode = scene.mainImage && scene.mainImage.getStage() ? scene.mainImage : this.findImageNode();
+        this.hiddenImageUrl = null;
+
+        // Drawings (the transformer stays, on top)
+        this.drawingLayer.getChildren(node => node !== this.transformer).forEach(node => node.destroy());
+        scene.drawings.forEach(state => {
+            const shape = this.stateToShape(state);
+            if (shape) this.drawingLayer.add(shape);
         });
+        this.transformer.moveToTop();
+        this.drawingLayer.batchDraw();
+        this.textTool.refreshFonts();
+        this.guides.setGuides(scene.guides || []);
 
-        // Save as JSON string (following Konva best practices)
-        this.drawingHistory.push(JSON.stringify(drawings));
-
-        // Limit history size
-        if (this.drawingHistory.length > this.maxDrawingHistorySteps) {
-            this.drawingHistory.shift();
-            this.drawingHistoryStep--;
+        if (scene.view) {
+            this.stage.scale({ x: scene.view.scale, y: scene.view.scale });
+            this.stage.position({ x: scene.view.x, y: scene.view.y });
         }
 
-        console.log(`💾 [KONVA] Drawing state saved to history (${drawings.length} shapes)`);
-    }
-
-    /**
-     * Undo last drawing action
-     */
-    undoDrawing() {
-        if (this.drawingHistoryStep > 0) {
-            this.drawingHistoryStep--;
-            this.loadDrawingState(this.drawingHistory[this.drawingHistoryStep]);
-            console.log('↶ [KONVA] Drawing undo performed');
+        this.setFilterState({ ...this.getDefaultFilterState(), ...scene.filters });
 
-            // If we've undone back to the initial empty state, deactivate the drawing tool
-            if (this.drawingHistoryStep === 0) {
-                this.deactivateDrawingToolAndUI();
-                console.log('🔄 [KONVA] Undone to initial state, drawing tool deactivated');
-            }
-        } else {
-            console.log('⚠️ [KONVA] No drawing actions to undo');
+        this.selection = scene.selection;
+        this.renderSelectionOverlay();
+        if (this.app && this.app.updateSelectionControls) {
+            this.app.updateSelectionControls();
         }
-    }
 
-    /**
-     * Redo last undone drawing action
-     */
-    redoDrawing() {
-        if (this.drawingHistoryStep < this.drawingHistory.length - 1) {
-            this.drawingHistoryStep++;
-            this.loadDrawingState(this.drawingHistory[this.drawingHistoryStep]);
-            console.log('↷ [KONVA] Drawing redo performed');
-        } else {
-            console.log('⚠️ [KONVA] No drawing actions to redo');
+        this.syncWithCanvas();
+
+        if (scene.crop && this.imageNode) {
+            this.restoreCrop(scene.crop);
         }
+
+        console.log('✅ [KONVA] Scene restored:', scene.layers.length, 'layers,', scene.drawings.length, 'drawings');
     }
 
     /**
-     * Load drawing state from history
-     * Following Konva best practices: recreate shapes from simple state array
-     * @param {string} stateJson - JSON string of simple state array
+     * Resume a crop saved by getCropState
+     * @param {object} crop - Crop state
      */
-    loadDrawingState(stateJson) {
-        if (!this.drawingLayer) return;
-
-        // Clear current drawing layer (except transformer)
-        // Important: Get a copy of children array before destroying to avoid iteration issues
-        const children = this.drawingLayer.getChildren().slice();
-        children.forEach(child => {
-            if (child !== this.transformer) {
-                child.destroy();
+    restoreCrop(crop) {
+        try {
+            if (crop.aspectRatio === 'custom' && crop.customWidth && crop.customHeight) {
+                this.startCropWithCustomDimensions(crop.customWidth, crop.customHeight);
+            } else {
+                this.startCrop(crop.aspectRatio === 'custom' ? 'free' : crop.aspectRatio);
             }
-        });
+        } catch (error) {
+            console.warn('⚠️ [KONVA] Saved crop not restored:', error.message);
+            return;
+        }
 
-        // Parse the simple state array
-        const drawings = JSON.parse(stateJson);
+        this.cropState.cropRect.setAttrs({ x: crop.x, y: crop.y, width: crop.width, height: crop.height, scaleX: 1, scaleY: 1 });
+        this.cropState.cropTransformer.forceUpdate();
+        this.updateCropOverlay();
+        this.cropState.cropLayer.batchDraw();
 
-        // Recreate all shapes from simple state objects
-        drawings.forEach(drawingState => {
-            const shape = this.stateToShape(drawingState);
-            if (shape) {
-                this.drawingLayer.add(shape);
-            }
+        // Show the crop controls the way the crop buttons do
+        const cropActions = document.getElementById('cropActions');
+        if (cropActions) cropActions.style.display = 'flex';
+        document.querySelectorAll('.crop-ratio-btn').forEach(btn => {
+            const ratio = btn.dataset.ratio === 'free' ? 'free' : parseFloat(btn.dataset.ratio);
+            btn.classList.toggle('active', ratio === this.cropState.aspectRatio);
         });
-
-        this.drawingLayer.batchDraw();
-        console.log(`🔄 [KONVA] Loaded ${drawings.length} shapes from history`);
     }
 
     /**
@@ -1657,36 +2245,17 @@ class KonvaEditor {
                 throw new Error('No image loaded on canvas');
             }
 
-            // Get the original image dimensions from the underlying image object
-            const originalImage = this.imageNode.image();
-            const originalWidth = originalImage ? originalImage.naturalWidth || originalImage.width : this.imageNode.width();
-            const originalHeight = originalImage ? originalImage.naturalHeight || originalImage.height : this.imageNode.height();
-
-            // Get the displayed dimensions (after scaling)
-            const displayedWidth = this.imageNode.width() * this.imageNode.scaleX();
-            const displayedHeight = this.imageNode.height() * this.imageNode.scaleY();
-
-            // Calculate pixelRatio to export at original resolution
-            // This compensates for the scaling applied when displaying the image
-            const pixelRatio = Math.max(
-                originalWidth / displayedWidth,
-                originalHeight / displayedHeight,
-                1 // Minimum pixelRatio of 1
-            );
-
-            // Cap pixelRatio to prevent extremely large exports (max ~4K)
-            const maxPixelRatio = Math.min(pixelRatio, 4);
+            const frame = this.getImageExportFrame();
 
-            console.log('📐 [KONVA] Original image dimensions:', originalWidth, 'x', originalHeight);
-            console.log('📐 [KONVA] Displayed dimensions:', Math.round(displayedWidth), 'x', Math.round(displayedHeight));
-            console.log('📐 [KONVA] Export pixelRatio:', maxPixelRatio.toFixed(2));
-            console.log('📐 [KONVA] Expected export size:', Math.round(displayedWidth * maxPixelRatio), 'x', Math.round(displayedHeight * maxPixelRatio));
+            console.log('📐 [KONVA] Export pixelRatio:', frame.pixelRatio.toFixed(2));
+            console.log('📐 [KONVA] Expected export size:', Math.round(frame.width * frame.pixelRatio), 'x', Math.round(frame.height * frame.pixelRatio));
 
             // Export the image node at high resolution
+            // (the frame is explicit so getSelectionMaskAsBase64 can produce a matching mask)
             const dataURL = this.imageNode.toDataURL({
                 mimeType: 'image/png',
                 quality: 1,
-                pixelRatio: maxPixelRatio
+                ...frame
             });
 
             // Extract base64 data (remove "data:image/png;base64," prefix)
@@ -1702,17 +2271,73 @@ class KonvaEditor {
     }
 
     /**
-     * Get current image information for the status bar
-     * @returns {object} Image info object with resolution, format, size, etc.
+     * Area and resolution the image is exported with for AI edits: the image's bounding box
+     * on the stage (Konva's default export frame) at the original image resolution, capped at 4x
+     * @returns {object} { x, y, width, height, pixelRatio } in stage (absolute) coordinates
      */
-    getImageInfo() {
-        if (!this.imageNode) {
-            return null;
-        }
+    getImageExportFrame() {
+        // Get the original image dimensions from the underlying image object
+        const originalImage = this.imageNode.image();
+        const originalWidth = originalImage ? originalImage.naturalWidth || originalImage.width : this.imageNode.width();
+        const originalHeight = originalImage ? originalImage.naturalHeight || originalImage.height : this.imageNode.height();
+
+        // Get the displayed dimensions (after scaling)
+        const displayedWidth = this.imageNode.width() * this.imageNode.scaleX();
+        const displayedHeight = this.imageNode.height() * this.imageNode.scaleY();
+
+        // Calculate pixelRatio to export at original resolution
+        // This compensates for the scaling applied when displaying the image
+        const pixelRatio = Math.max(
+            originalWidth / displayedWidth,
+            originalHeight / displayedHeight,
+            1 // Minimum pixelRatio of 1
+        );
 
-        try {
-            const originalImage = this.imageNode.image();
-            const originalWidth = originalImage ? (originalImage.naturalWidth || originalImage.width) : 0;
+        const box = this.imageNode.getClientRect();
+        return {
+            x: Math.floor(box.x),
+            y: Math.floor(box.y),
+            width: Math.ceil(box.width),
+            height: Math.ceil(box.height),
+            // Cap pixelRatio to prevent extremely large exports (max ~4K)
+            pixelRatio: Math.min(pixelRatio, 4)
+        };
+    }
+
+    /**
+     * Get the selection as a mask image matching getImageAsBase64 pixel for pixel
+     * White is selected, black is not (grey along feathered edges)
+     * @returns {string|null} Base64 PNG (without data URL prefix), or null without a selection
+     */
+    getSelectionMaskAsBase64() {
+        if (!this.selection || !this.imageNode) {
+            return null;
+        }
+
+        const frame = this.getImageExportFrame();
+        const canvas = this.rasterizeSelection(this.toLayerFrame(frame), frame.pixelRatio * this.stage.scaleX());
+
+        const ctx = canvas.getContext('2d');
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        console.log('🎭 [KONVA] Selection mask exported:', canvas.width, 'x', canvas.height);
+        return canvas.toDataURL('image/png').split(',')[1];
+    }
+
+    /**
+     * Get current image information for the status bar
+     * @returns {object} Image info object with resolution, format, size, etc.
+     */
+    getImageInfo() {
+        if (!this.imageNode) {
+            return null;
+        }
+
+        try {
+            const originalImage = this.imageNode.image();
+            const originalWidth = originalImage ? (originalImage.naturalWidth || originalImage.width) : 0;
             const originalHeight = originalImage ? (originalImage.naturalHeight || originalImage.height) : 0;
 
             // Calculate aspect ratio
@@ -1768,104 +2393,1015 @@ class KonvaEditor {
                 resolutionCategory = 'medium';
             }
 
-            // Get zoom level from stage (not imageNode)
-            const stageScale = this.stage ? this.stage.scaleX() : 1;
-            const zoomPercent = Math.round(stageScale * 100);
+            // Get zoom level from stage (not imageNode)
+            const stageScale = this.stage ? this.stage.scaleX() : 1;
+            const zoomPercent = Math.round(stageScale * 100);
+
+            return {
+                width: originalWidth,
+                height: originalHeight,
+                resolution: `${originalWidth} × ${originalHeight}`,
+                resolutionCategory: resolutionCategory,
+                aspectRatio: aspectRatioText,
+                format: 'PNG',
+                estimatedSize: estimatedSize,
+                zoom: `${zoomPercent}%`
+            };
+        } catch (error) {
+            console.error('❌ [KONVA] Failed to get image info:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Update the status bar with current image information
+     */
+    updateStatusBar() {
+        console.log('📊 [KONVA] updateStatusBar called');
+
+        const info = this.getImageInfo();
+        console.log('📊 [KONVA] Image info:', info);
+
+        const resolutionEl = document.getElementById('statusResolutionValue');
+        const aspectRatioEl = document.getElementById('statusAspectRatioValue');
+        const formatEl = document.getElementById('statusFormatValue');
+        const fileSizeEl = document.getElementById('statusFileSizeValue');
+        const zoomEl = document.getElementById('statusZoomValue');
+        const resolutionItem = document.getElementById('statusResolution');
+
+        console.log('📊 [KONVA] DOM elements found:', {
+            resolutionEl: !!resolutionEl,
+            aspectRatioEl: !!aspectRatioEl,
+            formatEl: !!formatEl,
+            fileSizeEl: !!fileSizeEl,
+            zoomEl: !!zoomEl,
+            resolutionItem: !!resolutionItem
+        });
+
+        if (!info) {
+            // No image loaded
+            console.log('📊 [KONVA] No image info, clearing status bar');
+            if (resolutionEl) resolutionEl.textContent = '--';
+            if (aspectRatioEl) aspectRatioEl.textContent = '--';
+            if (formatEl) formatEl.textContent = '--';
+            if (fileSizeEl) fileSizeEl.textContent = '--';
+            if (zoomEl) zoomEl.textContent = '--';
+            if (resolutionItem) {
+                resolutionItem.classList.remove('resolution-high', 'resolution-medium', 'resolution-low');
+            }
+            return;
+        }
+
+        // Update values
+        if (resolutionEl) resolutionEl.textContent = info.resolution;
+        if (aspectRatioEl) aspectRatioEl.textContent = info.aspectRatio;
+        if (formatEl) formatEl.textContent = info.format;
+        if (fileSizeEl) fileSizeEl.textContent = info.estimatedSize;
+        if (zoomEl) zoomEl.textContent = info.zoom;
+
+        // Apply resolution color coding
+        if (resolutionItem) {
+            resolutionItem.classList.remove('resolution-high', 'resolution-medium', 'resolution-low');
+            resolutionItem.classList.add(`resolution-${info.resolutionCategory}`);
+        }
+
+        console.log('📊 [KONVA] Status bar updated successfully:', info);
+    }
+
+    /**
+     * Destroy the editor and clean up resources
+     */
+    destroy() {
+        this.removeDrawingListeners();
+        this.removeKeyboardListeners();
+
+        if (this.guides) {
+            this.guides.destroy();
+            this.guides = null;
+        }
+
+        if (this.stage) {
+            this.stage.destroy();
+            this.stage = null;
+        }
+
+        this.layer = null;
+        this.drawingLayer = null;
+        this.selectionLayer = null;
+        this.selection = null;
+        this.imageNode = null;
+        this.transformer = null;
+
+        if (this.history) {
+            this.history.clear();
+            this.history = null;
+        }
+
+        // Update status bar to show no image
+        this.updateStatusBar();
+
+        console.log('🗑️ [KONVA] Editor destroyed');
+    }
+
+    // ==================== OBJECTS ====================
+
+    /**
+     * Node a click selects: drawings in a group select their outermost group
+     * @param {Konva.Node} node - Clicked node
+     * @returns {Konva.Node} Node to select
+     */
+    getSelectionTarget(node) {
+        let target = node;
+        while (target.getParent() && target.getParent().hasName('drawingGroup')) {
+            target = target.getParent();
+        }
+        return target;
+    }
+
+    /**
+     * Selected nodes that can be edited (no crop handles, guides or transformer parts)
+     * @returns {Konva.Node[]} Nodes
+     */
+    getSelectedNodes() {
+        return this.transformer ? this.transformer.nodes().filter(node => this.isHistoryTracked(node)) : [];
+    }
+
+    /**
+     * Nodes a marquee can select: the shown images and drawings on unlocked layers
+     * @returns {Konva.Node[]} Nodes
+     */
+    getSelectableNodes() {
+        return this.guides.getSnapNodes().filter(node => !this.layerManager.isNodeLocked(node));
+    }
+
+    /**
+     * Select nodes with the transformer and update the text controls and Transform panel
+     * @param {Konva.Node[]} nodes - Nodes to select
+     */
+    selectNodes(nodes) {
+        this.transformer.nodes(nodes);
+        this.textTool.syncSelection();
+        this.notifySelectionChange();
+        this.drawingLayer.batchDraw();
+    }
+
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelectedNodes());
+        }
+    }
+
+    /**
+     * Marquee selection while no tool is active: drag a box from an empty part of the canvas to
+     * select everything entirely inside it (Shift, Ctrl or Cmd adds to the selection)
+     * (removed with the tool listeners by removeDrawingListeners, set up again when the tool is dropped)
+     */
+    setupMarqueeListeners() {
+        this.stage.on('mousedown touchstart', (e) => {
+            this.marqueeSelected = false;
+            if (e.target !== this.stage || this.cropState.active || this.expandState.active) return;
+
+            const start = this.stage.getRelativePointerPosition();
+            if (!start) return;
+
+            const evt = e.evt || {};
+            const rect = new Konva.Rect({
+                x: start.x,
+                y: start.y,
+                width: 0,
+                height: 0,
+                fill: 'rgba(0, 212, 255, 0.08)',
+                stroke: '#00d4ff',
+                strokeWidth: 1,
+                strokeScaleEnabled: false,
+                dash: [4, 4],
+                listening: false
+            });
+            this.guides.layer.add(rect);
+            this.marquee = { start, rect, additive: Boolean(evt.shiftKey || evt.ctrlKey || evt.metaKey) };
+        });
+
+        this.stage.on('mousemove touchmove', () => {
+            if (!this.marquee) return;
+
+            const pos = this.stage.getRelativePointerPosition();
+            const { start, rect } = this.marquee;
+            rect.setAttrs({
+                x: Math.min(start.x, pos.x),
+                y: Math.min(start.y, pos.y),
+                width: Math.abs(pos.x - start.x),
+                height: Math.abs(pos.y - start.y)
+            });
+            this.guides.layer.batchDraw();
+        });
+
+        this.stage.on('mouseup touchend', () => {
+            if (!this.marquee) return;
+
+            const { rect, additive } = this.marquee;
+            const box = { x: rect.x(), y: rect.y(), width: rect.width(), height: rect.height() };
+            this.marquee = null;
+            rect.destroy();
+            this.guides.layer.batchDraw();
+
+            // Too small to be a box - the click deselects as usual
+            if (Math.max(box.width, box.height) * this.stage.scaleX() < KonvaEditor.minMarqueeSize) return;
+
+            const inside = this.getSelectableNodes().filter(node => {
+                const rect = this.guides.getRect(node);
+                return rect.x >= box.x && rect.y >= box.y &&
+                    rect.x + rect.width <= box.x + box.width && rect.y + rect.height <= box.y + box.height;
+            });
+            const current = additive ? this.getSelectedNodes() : [];
+
+            this.marqueeSelected = true;
+            this.selectNodes([...current, ...inside.filter(node => !current.includes(node))]);
+        });
+    }
+
+    /**
+     * Position, size, rotation and skew of a node as shown in the Transform panel
+     * @param {Konva.Node} node - Node
+     * @returns {object} { x, y, width, height, rotation, skewX, skewY } - x/y are the top-left of its
+     *   bounding box and width/height its unrotated size, in layer units; angles in degrees
+     */
+    getNodeTransform(node) {
+        const local = node.getClientRect({ skipTransform: true, skipShadow: true, skipStroke: true });
+        const rect = this.guides.getRect(node);
+        const toDegrees = (skew) => Math.atan(skew) * 180 / Math.PI;
+
+        return {
+            x: rect.x,
+            y: rect.y,
+            width: local.width * Math.abs(node.scaleX()),
+            height: local.height * Math.abs(node.scaleY()),
+            rotation: node.rotation(),
+            skewX: toDegrees(node.skewX()),
+            skewY: toDegrees(node.skewY())
+        };
+    }
+
+    /**
+     * Set one transform value on every selected node, as one history step
+     * Rotation and skew turn around the node's center; width and height keep its position
+     * @param {string} property - 'x', 'y', 'width', 'height', 'rotation', 'skewX' or 'skewY'
+     * @param {number} value - Value (layer units, or degrees for rotation and skew)
+     * @returns {boolean} True if applied
+     */
+    setSelectionTransform(property, value) {
+        const nodes = this.getSelectedNodes();
+        if (!nodes.length || !Number.isFinite(value)) return false;
+
+        const keepCenter = (node, change) => {
+            const local = node.getClientRect({ skipTransform: true, skipShadow: true, skipStroke: true });
+            const center = { x: local.x + local.width / 2, y: local.y + local.height / 2 };
+            const before = node.getAbsoluteTransform().point(center);
+            change();
+            const after = node.getAbsoluteTransform().point(center);
+            const position = node.absolutePosition();
+            node.absolutePosition({ x: position.x + before.x - after.x, y: position.y + before.y - after.y });
+        };
+
+        this.captureTransformStart(nodes);
+        nodes.forEach(node => {
+            const current = this.getNodeTransform(node);
+
+            if (property === 'x' || property === 'y') {
+                this.translateNode(node, property === 'x' ? value - current.x : 0, property === 'y' ? value - current.y : 0);
+            } else if (property === 'width' || property === 'height') {
+                const scaleAttr = property === 'width' ? 'scaleX' : 'scaleY';
+                const scale = node[scaleAttr]();
+                if (current[property] > 0 && value > 0) {
+                    node[scaleAttr](scale * value / current[property]);
+                }
+            } else if (property === 'rotation') {
+                keepCenter(node, () => node.rotation(value));
+            } else if (property === 'skewX' || property === 'skewY') {
+                const skew = Math.tan(Math.max(-KonvaEditor.maxSkew, Math.min(KonvaEditor.maxSkew, value)) * Math.PI / 180);
+                keepCenter(node, () => node[property](skew));
+            }
+        });
+        this.recordTransformEnd(nodes, 'Transform', 'fas fa-expand-arrows-alt');
+
+        this.transformer.forceUpdate();
+        this.stage.batchDraw();
+        this.guides.scheduleRender();
+        return true;
+    }
+
+    /**
+     * Delete the selected nodes (one undoable step)
+     * @returns {boolean} True if anything was deleted
+     */
+    deleteSelection() {
+        const nodes = this.getSelectedNodes();
+        if (!nodes.length) return false;
+
+        this.history.group('Delete', () => {
+            nodes.forEach(node => {
+                // Removed, not destroyed, so the deletion can be undone
+                this.history.push(HistoryManager.nodeCommand('Delete', node, { added: false }));
+                node.remove();
+            });
+        }, 'fas fa-trash');
+
+        this.selectNodes([]);
+        this.syncWithCanvas();
+        return true;
+    }
+
+    /**
+     * Detached copies of nodes that can be added to the canvas later: drawings as shape states
+     * (so text gets its layout listeners back), images as clones remembering their layer
+     * @param {Konva.Node[]} nodes - Nodes to copy
+     * @returns {object[]} { state } or { node, layerId, cached }
+     */
+    createCopies(nodes) {
+        return nodes.map(node => {
+            if (node.getLayer() === this.drawingLayer) {
+                const { id, ...state } = this.shapeToState(node);
+                return { state };
+            }
+
+            const layer = this.layerManager.getLayerForNode(node);
+            return {
+                node: node.clone({ name: 'layerImage' }),
+                layerId: layer ? layer.id : null,
+                cached: node.isCached()
+            };
+        });
+    }
+
+    /**
+     * Layer a copied image goes to: its own layer, else the active one (never locked or adjustment layers)
+     * @param {string|null} layerId - Layer the image was copied from
+     * @returns {object|null} Layer object
+     */
+    getPasteLayer(layerId) {
+        const layerManager = this.layerManager;
+        return [layerManager.getLayer(layerId), layerManager.getActiveLayer()]
+            .find(layer => layer && !layer.adjustment && !layerManager.isLocked(layer.id)) || null;
+    }
+
+    /**
+     * Add copies to the canvas, shifted by an offset, select them and record one history step
+     * @param {object[]} copies - Result of createCopies
+     * @param {number} offset - Shift right and down, in layer units
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     * @returns {Konva.Node[]} Added nodes
+     */
+    addCopies(copies, offset, label, icon) {
+        const added = [];
+
+        this.history.group(label, () => {
+            copies.forEach(copy => {
+                let node = null;
+                if (copy.state) {
+                    node = this.stateToShape(copy.state);
+                    if (!node) return;
+                    this.drawingLayer.add(node);
+                    this.transformer.moveToTop();
+                } else {
+                    const layer = this.getPasteLayer(copy.layerId);
+                    if (!layer) return;
+                    node = copy.node.clone();
+                    layer.konvaLayer.add(node);
+                    if (copy.cached) node.cache();
+                }
+
+                this.translateNode(node, offset, offset);
+                this.history.push(HistoryManager.nodeCommand(label, node, { added: true, icon }));
+                added.push(node);
+            });
+        }, icon);
+
+        this.layerManager.raiseMasks();
+        this.layerManager.updateActiveLayerThumbnail();
+        this.selectNodes(added);
+        this.stage.batchDraw();
+        return added;
+    }
+
+    /**
+     * Copy the selected nodes
+     * @returns {number} Number of nodes copied
+     */
+    copySelection() {
+        const nodes = this.getSelectedNodes();
+        if (!nodes.length) return 0;
+
+        this.clipboard = { copies: this.createCopies(nodes), pastes: 0 };
+        return nodes.length;
+    }
+
+    /**
+     * Paste the copied nodes, each paste a little further from the originals
+     * @returns {number} Number of nodes pasted
+     */
+    pasteClipboard() {
+        if (!this.clipboard) return 0;
+
+        this.clipboard.pastes++;
+        const offset = KonvaEditor.pasteOffset * this.clipboard.pastes;
+        return this.addCopies(this.clipboard.copies, offset, 'Paste', 'fas fa-paste').length;
+    }
+
+    /**
+     * Duplicate the selected nodes next to the originals (the clipboard is left alone)
+     * @returns {number} Number of nodes duplicated
+     */
+    duplicateSelection() {
+        const nodes = this.getSelectedNodes();
+        if (!nodes.length) return 0;
+
+        return this.addCopies(this.createCopies(nodes), KonvaEditor.pasteOffset, 'Duplicate', 'fas fa-clone').length;
+    }
+
+    /**
+     * Group the selected drawings; the group is selected and moves, transforms and saves as one
+     * @returns {boolean} True if grouped (false unless two or more drawings are selected)
+     */
+    groupSelection() {
+        const nodes = this.getSelectedNodes();
+        if (nodes.length < 2 || nodes.some(node => node.getParent() !== this.drawingLayer)) return false;
+
+        const label = 'Group';
+        const icon = 'fas fa-object-group';
+        const sorted = [...nodes].sort((a, b) => a.zIndex() - b.zIndex());
+        const group = new Konva.Group({ name: 'drawingGroup', draggable: true });
+
+        this.history.group(label, () => {
+            // The group takes the place of the topmost node
+            this.drawingLayer.add(group);
+            group.zIndex(sorted[sorted.length - 1].zIndex() + 1);
+            this.history.push(HistoryManager.nodeCommand(label, group, { added: true, icon }));
+
+            sorted.forEach(node => {
+                this.history.push(HistoryManager.nodeCommand(label, node, { added: false, icon }));
+                node.moveTo(group);
+                this.history.push(HistoryManager.nodeCommand(label, node, { added: true, icon }));
+
+                // Dragging any member drags the group
+                this.history.push(HistoryManager.attrsCommand(label, node, { draggable: node.draggable() }, { draggable: false }, { icon }));
+                node.draggable(false);
+            });
+        }, icon);
+
+        this.selectNodes([group]);
+        return true;
+    }
+
+    /**
+     * Ungroup the selected groups; their members keep where they are on the canvas
+     * @returns {boolean} True if anything was ungrouped
+     */
+    ungroupSelection() {
+        const groups = this.getSelectedNodes().filter(node => node.hasName('drawingGroup'));
+        if (!groups.length) return false;
+
+        const label = 'Ungroup';
+        const icon = 'fas fa-object-ungroup';
+        const released = [];
+
+        this.history.group(label, () => {
+            groups.forEach(group => {
+                const parent = group.getParent();
+                const transform = group.getTransform();
+
+                group.getChildren().slice().forEach((child, index) => {
+                    const before = { ...this.getTransformAttrs(child), draggable: child.draggable(), opacity: child.opacity() };
+                    const attrs = transform.copy().multiply(child.getTransform()).decompose();
+
+                    this.history.push(HistoryManager.nodeCommand(label, child, { added: false, icon }));
+                    child.moveTo(parent);
+                    child.zIndex(group.zIndex() + 1 + index);
+                    this.history.push(HistoryManager.nodeCommand(label, child, { added: true, icon }));
+
+                    child.setAttrs({ ...attrs, draggable: true, opacity: child.opacity() * group.opacity() });
+                    const after = { ...this.getTransformAttrs(child), draggable: true, opacity: child.opacity() };
+                    this.history.push(HistoryManager.attrsCommand(label, child, before, after, { icon }));
+                    released.push(child);
+                });
+
+                this.history.push(HistoryManager.nodeCommand(label, group, { added: false, icon }));
+                group.remove();
+            });
+        }, icon);
+
+        this.selectNodes(released);
+        return true;
+    }
+
+    /**
+     * Whether a node takes part in z-order changes (the transformer and layer masks stay on top)
+     * @param {Konva.Node} node - Node
+     * @returns {boolean} True if it can be reordered
+     */
+    isArrangeable(node) {
+        return node !== this.transformer && !node.hasName('layerMask') && !node.hasName('adjustmentResult');
+    }
+
+    /**
+     * Change the stacking order of the selected nodes within their layer (or group)
+     * @param {string} direction - 'forward', 'backward', 'front' or 'back'
+     * @returns {boolean} True if anything moved
+     */
+    arrangeSelection(direction) {
+        const nodes = this.getSelectedNodes();
+        if (!nodes.length) return false;
+
+        const label = KonvaEditor.arrangeLabels[direction];
+        const icon = 'fas fa-layer-group';
+        // Nodes are moved one by one in the order that keeps their relative stacking
+        const sorted = [...nodes].sort((a, b) => a.zIndex() - b.zIndex());
+        if (direction === 'forward' || direction === 'back') sorted.reverse();
+
+        let moved = false;
+        this.history.group(label, () => {
+            sorted.forEach(node => {
+                const siblings = node.getParent().getChildren(child => this.isArrangeable(child));
+                const position = siblings.indexOf(node);
+                const target = {
+                    forward: siblings[position + 1],
+                    backward: siblings[position - 1],
+                    front: siblings[siblings.length - 1],
+                    back: siblings[0]
+                }[direction];
+                // One step never swaps two selected nodes
+                const stepsOverSelected = (direction === 'forward' || direction === 'backward') && nodes.includes(target);
+                if (!target || target === node || stepsOverSelected) return;
+
+                const before = node.zIndex();
+                node.zIndex(target.zIndex());
+                const after = node.zIndex();
+                moved = true;
+
+                const apply = (index) => {
+                    node.zIndex(index);
+                    node.getLayer().batchDraw();
+                };
+                this.history.push({ label, icon, undo: () => apply(before), redo: () => apply(after) });
+            });
+        }, icon);
+
+        if (moved) {
+            this.layerManager.updateActiveLayerThumbnail();
+            this.stage.batchDraw();
+        }
+        return moved;
+    }
+
+    // ==================== SELECTION TOOL METHODS ====================
+
+    /**
+     * Setup listeners for the rectangle, lasso and brush selection tools
+     * A new shape replaces the selection; Shift (or the Add mode) adds to it and Alt (or Subtract) cuts it
+     * @param {string} tool - 'select-rect', 'select-lasso' or 'select-brush'
+     */
+    setupSelectionListeners(tool) {
+        this.stage.on('mousedown touchstart', (e) => {
+            const pos = this.stage.getRelativePointerPosition();
+            if (!pos) return;
+
+            const op = this.getSelectionOperation(e.evt);
+            this.drawingState.isDrawing = true;
+
+            if (tool === 'select-rect') {
+                this.selectionState.draft = { op, type: 'rect', startX: pos.x, startY: pos.y, x: pos.x, y: pos.y, width: 0, height: 0 };
+            } else {
+                this.selectionState.draft = {
+                    op,
+                    type: tool === 'select-lasso' ? 'lasso' : 'brush',
+                    points: [pos.x, pos.y],
+                    size: this.selectionState.brushSize / this.stage.scaleX()
+                };
+            }
+
+            this.renderSelectionOverlay();
+        });
+
+        this.stage.on('mousemove touchmove', () => {
+            const draft = this.selectionState.draft;
+            if (!this.drawingState.isDrawing || !draft) return;
+
+            const pos = this.stage.getRelativePointerPosition();
+            if (draft.type === 'rect') {
+                draft.x = Math.min(draft.startX, pos.x);
+                draft.y = Math.min(draft.startY, pos.y);
+                draft.width = Math.abs(pos.x - draft.startX);
+                draft.height = Math.abs(pos.y - draft.startY);
+            } else {
+                draft.points.push(pos.x, pos.y);
+            }
+
+            this.renderSelectionOverlay();
+        });
+
+        this.stage.on('mouseup touchend', () => {
+            const draft = this.selectionState.draft;
+            if (!this.drawingState.isDrawing || !draft) return;
+
+            this.drawingState.isDrawing = false;
+            this.selectionState.draft = null;
+
+            // A click without dragging (too small to select anything) clears the selection
+            const minSize = 3 / this.stage.scaleX();
+            const tooSmall = draft.type === 'rect'
+                ? draft.width < minSize || draft.height < minSize
+                : draft.type === 'lasso' && draft.points.length < 6;
+
+            if (tooSmall) {
+                if (draft.op === 'replace') {
+                    this.deselect();
+                } else {
+                    this.renderSelectionOverlay();
+                }
+                return;
+            }
+
+            const { op, startX, startY, ...shape } = draft;
+            this.applySelectionShape(op, shape);
+        });
+    }
+
+    /**
+     * Setup listeners for the mask brush: paints the active layer's mask (adding one if needed)
+     * Hide mode paints hidden areas, Reveal erases them; Alt swaps the mode while painting
+     */
+    setupMaskBrushListeners() {
+        let mode = 'hide';
+        let lastPos = null;
+
+        this.stage.on('mousedown touchstart', (e) => {
+            const layer = this.layerManager.getActiveLayer();
+            if (!layer) return;
+
+            if (!this.ensureLayerEditable(layer)) return;
+            if (!layer.mask && !this.layerManager.addMask(layer.id)) return;
+            if (!this.layerManager.beginMaskStroke(layer.id)) return;
+
+            mode = this.selectionState.maskMode;
+            if (e.evt && e.evt.altKey) {
+                mode = mode === 'hide' ? 'reveal' : 'hide';
+            }
+
+            this.drawingState.isDrawing = true;
+            lastPos = this.stage.getRelativePointerPosition();
+            this.layerManager.paintMaskStroke([lastPos.x, lastPos.y], this.getBrushSize(), mode);
+        });
+
+        this.stage.on('mousemove touchmove', () => {
+            if (!this.drawingState.isDrawing) return;
+
+            const pos = this.stage.getRelativePointerPosition();
+            this.layerManager.paintMaskStroke([lastPos.x, lastPos.y, pos.x, pos.y], this.getBrushSize(), mode);
+            lastPos = pos;
+        });
+
+        this.stage.on('mouseup touchend', () => {
+            if (!this.drawingState.isDrawing) return;
+
+            this.drawingState.isDrawing = false;
+            this.layerManager.endMaskStroke(mode);
+        });
+    }
+
+    /**
+     * Check that a layer can be edited, telling the user when it is locked
+     * @param {object} layer - Layer object
+     * @returns {boolean} True if editable
+     */
+    ensureLayerEditable(layer) {
+        if (!this.layerManager.isLocked(layer.id)) return true;
+
+        if (this.app && this.app.modules.ui) {
+            this.app.modules.ui.showNotification(`Layer "${layer.name}" is locked`, 'warning', 2500);
+        }
+        return false;
+    }
+
+    /**
+     * Brush diameter in layer units (the size setting is in screen pixels)
+     * @returns {number}
+     */
+    getBrushSize() {
+        return this.selectionState.brushSize / this.stage.scaleX();
+    }
+
+    /**
+     * Resolve how a new selection shape combines with the current selection
+     * @param {Event} evt - Pointer event (Shift adds, Alt subtracts)
+     * @returns {string} 'replace', 'add' or 'subtract'
+     */
+    getSelectionOperation(evt) {
+        if (evt && evt.shiftKey) return 'add';
+        if (evt && evt.altKey) return 'subtract';
+        return this.selectionState.mode;
+    }
+
+    /**
+     * Combine a finished shape with the selection and record the change
+     * @param {string} op - 'replace', 'add' or 'subtract'
+     * @param {object} shape - { type: 'rect', x, y, width, height } or { type: 'lasso'|'brush', points, size }
+     */
+    applySelectionShape(op, shape) {
+        const previous = this.selection ? this.selection.shapes : [];
+
+        let shapes;
+        if (op === 'replace') {
+            shapes = [{ ...shape, op: 'add' }];
+        } else if (op === 'subtract' && !previous.length) {
+            shapes = []; // Nothing to subtract from
+        } else {
+            shapes = [...previous, { ...shape, op }];
+        }
+
+        const labels = { replace: 'Select', add: 'Add to Selection', subtract: 'Subtract from Selection' };
+        this.setSelection(shapes.length ? { shapes } : null, labels[op]);
+    }
+
+    /**
+     * Select the whole image (or everything on the layers when there is no image)
+     */
+    selectAll() {
+        const frame = this.getSelectionFrame(false);
+        if (!frame) return;
+
+        this.setSelection({ shapes: [{ op: 'add', type: 'rect', ...frame }] }, 'Select All');
+    }
+
+    /**
+     * Clear the selection
+     */
+    deselect() {
+        if (!this.selection) {
+            this.renderSelectionOverlay();
+            return;
+        }
+        this.setSelection(null, 'Deselect', 'fas fa-times');
+    }
+
+    /**
+     * Invert the selection (everything that was not selected becomes selected)
+     */
+    invertSelection() {
+        const shapes = this.selection ? this.selection.shapes : [];
+        this.setSelection({ shapes: [...shapes, { op: 'invert' }] }, 'Invert Selection', 'fas fa-adjust');
+    }
+
+    /**
+     * Check if there is a selection
+     * @returns {boolean}
+     */
+    hasSelection() {
+        return !!this.selection;
+    }
+
+    /**
+     * Replace the selection, recording the change as a history step
+     * @param {object|null} selection - { shapes } or null
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     */
+    setSelection(selection, label, icon = 'fas fa-vector-square') {
+        const before = this.selection;
+        const apply = (value) => {
+            this.selection = value;
+            this.renderSelectionOverlay();
+            if (this.app && this.app.updateSelectionControls) {
+                this.app.updateSelectionControls();
+            }
+        };
+
+        apply(selection);
 
-            return {
-                width: originalWidth,
-                height: originalHeight,
-                resolution: `${originalWidth} × ${originalHeight}`,
-                resolutionCategory: resolutionCategory,
-                aspectRatio: aspectRatioText,
-                format: 'PNG',
-                estimatedSize: estimatedSize,
-                zoom: `${zoomPercent}%`
-            };
-        } catch (error) {
-            console.error('❌ [KONVA] Failed to get image info:', error);
-            return null;
-        }
+        this.history.push({
+            label,
+            icon,
+            undo: () => apply(before),
+            redo: () => apply(selection)
+        });
     }
 
     /**
-     * Update the status bar with current image information
+     * Convert a frame in stage (absolute) coordinates to layer coordinates
+     * @param {object} frame - { x, y, width, height }
+     * @returns {object} { x, y, width, height }
      */
-    updateStatusBar() {
-        console.log('📊 [KONVA] updateStatusBar called');
+    toLayerFrame(frame) {
+        const scale = this.stage.scaleX();
+        return {
+            x: (frame.x - this.stage.x()) / scale,
+            y: (frame.y - this.stage.y()) / scale,
+            width: frame.width / scale,
+            height: frame.height / scale
+        };
+    }
 
-        const info = this.getImageInfo();
-        console.log('📊 [KONVA] Image info:', info);
+    /**
+     * Area the selection lives in, in layer coordinates: the image (or all layer content),
+     * optionally grown to include the selection shapes. An inverted selection extends to its edges.
+     * @param {boolean} includeShapes - Include the bounds of the selection shapes
+     * @returns {object|null} { x, y, width, height }
+     */
+    getSelectionFrame(includeShapes = true) {
+        const rects = [];
 
-        const resolutionEl = document.getElementById('statusResolutionValue');
-        const aspectRatioEl = document.getElementById('statusAspectRatioValue');
-        const formatEl = document.getElementById('statusFormatValue');
-        const fileSizeEl = document.getElementById('statusFileSizeValue');
-        const zoomEl = document.getElementById('statusZoomValue');
-        const resolutionItem = document.getElementById('statusResolution');
+        const source = this.imageNode && this.imageNode.getStage() ? this.imageNode : null;
+        if (source) {
+            rects.push(source.getClientRect({ relativeTo: this.stage }));
+        } else {
+            this.layerManager.getAllLayers().forEach(layer => {
+                const rect = layer.konvaLayer.getClientRect({ relativeTo: this.stage });
+                if (rect.width > 0 && rect.height > 0) rects.push(rect);
+            });
+        }
 
-        console.log('📊 [KONVA] DOM elements found:', {
-            resolutionEl: !!resolutionEl,
-            aspectRatioEl: !!aspectRatioEl,
-            formatEl: !!formatEl,
-            fileSizeEl: !!fileSizeEl,
-            zoomEl: !!zoomEl,
-            resolutionItem: !!resolutionItem
+        const shapes = includeShapes ? this.getSelectionShapes() : [];
+        shapes.forEach(shape => {
+            if (shape.type === 'rect') {
+                rects.push(shape);
+            } else if (shape.points) {
+                const pad = shape.type === 'brush' ? shape.size / 2 : 0;
+                const xs = shape.points.filter((_, i) => i % 2 === 0);
+                const ys = shape.points.filter((_, i) => i % 2 === 1);
+                rects.push({
+                    x: Math.min(...xs) - pad,
+                    y: Math.min(...ys) - pad,
+                    width: Math.max(...xs) - Math.min(...xs) + pad * 2,
+                    height: Math.max(...ys) - Math.min(...ys) + pad * 2
+                });
+            }
         });
 
-        if (!info) {
-            // No image loaded
-            console.log('📊 [KONVA] No image info, clearing status bar');
-            if (resolutionEl) resolutionEl.textContent = '--';
-            if (aspectRatioEl) aspectRatioEl.textContent = '--';
-            if (formatEl) formatEl.textContent = '--';
-            if (fileSizeEl) fileSizeEl.textContent = '--';
-            if (zoomEl) zoomEl.textContent = '--';
-            if (resolutionItem) {
-                resolutionItem.classList.remove('resolution-high', 'resolution-medium', 'resolution-low');
+        if (!rects.length) return null;
+
+        const x = Math.min(...rects.map(r => r.x));
+        const y = Math.min(...rects.map(r => r.y));
+        return {
+            x,
+            y,
+            width: Math.max(...rects.map(r => r.x + r.width)) - x,
+            height: Math.max(...rects.map(r => r.y + r.height)) - y
+        };
+    }
+
+    /**
+     * Selection shapes, plus the shape being drawn
+     * @returns {object[]}
+     */
+    getSelectionShapes() {
+        const shapes = this.selection ? this.selection.shapes : [];
+        const draft = this.selectionState.draft;
+        if (!draft) return shapes;
+
+        const { startX, startY, ...shape } = draft;
+        return draft.op === 'replace'
+            ? [{ ...shape, op: 'add' }]
+            : [...shapes, shape];
+    }
+
+    /**
+     * Draw the selection into a canvas: selected pixels are opaque white, the rest transparent
+     * @param {object} frame - Area to render { x, y, width, height } in layer coordinates
+     * @param {number} ratio - Canvas pixels per layer unit
+     * @param {object[]} shapes - Shapes to combine (defaults to the selection)
+     * @returns {HTMLCanvasElement} Canvas
+     */
+    rasterizeSelection(frame, ratio, shapes = this.getSelectionShapes()) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(frame.width * ratio));
+        canvas.height = Math.max(1, Math.round(frame.height * ratio));
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, -frame.x * ratio, -frame.y * ratio);
+        ctx.fillStyle = ctx.strokeStyle = '#fff';
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        shapes.forEach(shape => {
+            ctx.globalCompositeOperation = KonvaEditor.selectionCompositeOperations[shape.op];
+
+            if (shape.op === 'invert') {
+                ctx.fillRect(frame.x, frame.y, frame.width, frame.height);
+            } else if (shape.type === 'rect') {
+                ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+            } else if (shape.type === 'lasso') {
+                ctx.beginPath();
+                ctx.moveTo(shape.points[0], shape.points[1]);
+                for (let i = 2; i < shape.points.length; i += 2) {
+                    ctx.lineTo(shape.points[i], shape.points[i + 1]);
+                }
+                ctx.closePath();
+                ctx.fill();
+            } else if (shape.type === 'brush') {
+                ctx.lineWidth = shape.size;
+                ctx.beginPath();
+                ctx.moveTo(shape.points[0], shape.points[1]);
+                for (let i = 2; i < shape.points.length; i += 2) {
+                    ctx.lineTo(shape.points[i], shape.points[i + 1]);
+                }
+                // A single point still paints a dot
+                if (shape.points.length === 2) {
+                    ctx.lineTo(shape.points[0] + 0.01, shape.points[1]);
+                }
+                ctx.stroke();
             }
-            return;
+        });
+
+        const feather = this.selectionState.feather * ratio;
+        if (feather <= 0) {
+            return canvas;
         }
 
-        // Update values
-        if (resolutionEl) resolutionEl.textContent = info.resolution;
-        if (aspectRatioEl) aspectRatioEl.textContent = info.aspectRatio;
-        if (formatEl) formatEl.textContent = info.format;
-        if (fileSizeEl) fileSizeEl.textContent = info.estimatedSize;
-        if (zoomEl) zoomEl.textContent = info.zoom;
+        const soft = document.createElement('canvas');
+        soft.width = canvas.width;
+        soft.height = canvas.height;
+        const softCtx = soft.getContext('2d');
+        softCtx.filter = `blur(${feather / 2}px)`;
+        softCtx.drawImage(canvas, 0, 0);
+        return soft;
+    }
 
-        // Apply resolution color coding
-        if (resolutionItem) {
-            resolutionItem.classList.remove('resolution-high', 'resolution-medium', 'resolution-low');
-            resolutionItem.classList.add(`resolution-${info.resolutionCategory}`);
+    /**
+     * Redraw the selection overlay: the area outside the selection is dimmed and
+     * rectangle/lasso outlines are dashed
+     */
+    renderSelectionOverlay() {
+        if (!this.selectionLayer) return;
+
+        this.selectionLayer.destroyChildren();
+
+        const shapes = this.getSelectionShapes();
+        const frame = shapes.length ? this.getSelectionFrame() : null;
+        if (!frame) {
+            this.selectionLayer.batchDraw();
+            return;
         }
 
-        console.log('📊 [KONVA] Status bar updated successfully:', info);
+        // Rendered at screen resolution; zooming in later only softens the overlay, not the selection
+        const selected = this.rasterizeSelection(frame, Math.min(this.stage.scaleX() * (window.devicePixelRatio || 1), 2), shapes);
+
+        this.selectionLayer.add(new Konva.Shape({
+            listening: false,
+            sceneFunc: (context) => {
+                const viewport = this.toLayerFrame({ x: 0, y: 0, width: this.stage.width(), height: this.stage.height() });
+                context.setAttr('fillStyle', 'rgba(0, 0, 0, 0.45)');
+                context.fillRect(viewport.x, viewport.y, viewport.width, viewport.height);
+                context.setAttr('globalCompositeOperation', 'destination-out');
+                context.drawImage(selected, frame.x, frame.y, frame.width, frame.height);
+            }
+        }));
+
+        shapes.forEach(shape => {
+            const outline = {
+                stroke: shape.op === 'subtract' ? '#ff6b6b' : '#ffffff',
+                strokeWidth: 1,
+                strokeScaleEnabled: false,
+                dash: [6, 4],
+                listening: false
+            };
+
+            if (shape.type === 'rect') {
+                this.selectionLayer.add(new Konva.Rect({ ...outline, x: shape.x, y: shape.y, width: shape.width, height: shape.height }));
+            } else if (shape.type === 'lasso') {
+                this.selectionLayer.add(new Konva.Line({ ...outline, points: shape.points, closed: true }));
+            }
+        });
+
+        this.selectionLayer.batchDraw();
     }
 
     /**
-     * Destroy the editor and clean up resources
+     * Update a selection option (mode, brushSize, feather, maskMode)
+     * @param {string} option - Option name
+     * @param {*} value - New value
      */
-    destroy() {
-        this.removeDrawingListeners();
-        this.removeKeyboardListeners();
+    updateSelectionOption(option, value) {
+        if (!this.selectionState.hasOwnProperty(option) || option === 'draft') return;
 
-        if (this.stage) {
-            this.stage.destroy();
-            this.stage = null;
+        this.selectionState[option] = value;
+        if (option === 'feather') {
+            this.renderSelectionOverlay();
         }
+        console.log(`🎨 [KONVA] Updated selection ${option}:`, value);
+    }
 
-        this.layer = null;
-        this.drawingLayer = null;
-        this.imageNode = null;
-        this.transformer = null;
-        this.history = [];
-        this.historyStep = -1;
+    /**
+     * Add a mask to the active layer that hides everything outside the selection
+     * (without a selection the mask starts empty, showing the whole layer)
+     * @returns {boolean} Success status
+     */
+    addMaskFromSelection() {
+        const layer = this.layerManager.getActiveLayer();
+        if (!layer || !this.ensureLayerEditable(layer)) return false;
 
-        // Update status bar to show no image
-        this.updateStatusBar();
+        const renderSelection = this.selection
+            ? (frame, ratio) => this.rasterizeSelection(frame, ratio)
+            : null;
 
-        console.log('🗑️ [KONVA] Editor destroyed');
+        return this.layerManager.addMask(layer.id, renderSelection);
     }
 
     // ==================== CROP TOOL METHODS ====================
@@ -1884,6 +3420,15 @@ class KonvaEditor {
             throw new Error('No image loaded');
         }
 
+        const lockedLayer = this.getLockedImageLayer();
+        if (lockedLayer) {
+            throw new Error(`Layer "${lockedLayer.name}" is locked`);
+        }
+
+        if (this.expandState.active) {
+            this.cancelExpand();
+        }
+
         console.log('✂️ [KONVA] Starting crop mode with aspect ratio:', aspectRatio);
 
         // Set crop state
@@ -2312,11 +3857,8 @@ class KonvaEditor {
             // 7. Clean up crop mode
             this.cancelCrop();
 
-            // 8. Load the cropped image as the new main image
-            await this.loadImage(croppedDataURL);
-
-            // 9. Save to history
-            this.saveState();
+            // 8. Load the cropped image as the new main image (recorded as one history step)
+            await this.loadImage(croppedDataURL, { label: 'Crop', icon: 'fas fa-crop-alt', keepFilters: true });
 
             console.log('✅ [KONVA] Crop applied successfully');
 
@@ -2457,6 +3999,15 @@ class KonvaEditor {
             throw new Error('No image loaded');
         }
 
+        const lockedLayer = this.getLockedImageLayer();
+        if (lockedLayer) {
+            throw new Error(`Layer "${lockedLayer.name}" is locked`);
+        }
+
+        if (this.expandState.active) {
+            this.cancelExpand();
+        }
+
         console.log('✂️ [KONVA] Starting crop mode with custom dimensions:', { width, height });
 
         // Set crop state with custom dimensions
@@ -2638,4 +4189,396 @@ class KonvaEditor {
         this.cropState.cropLayer.batchDraw();
         console.log('✅ [KONVA] Changed to custom dimensions successfully');
     }
+
+    // ==================== EXPAND TOOL METHODS ====================
+
+    /**
+     * Start generative expand: a frame around the image whose edges are dragged outwards
+     * The area between the frame and the image is what gets generated
+     * @param {string|number} aspectRatio - 'free' or a width / height ratio the frame keeps
+     */
+    startExpand(aspectRatio = 'free') {
+        if (this.expandState.active) {
+            this.changeExpandRatio(aspectRatio);
+            return;
+        }
+
+        if (!this.imageNode) {
+            throw new Error('No image loaded');
+        }
+
+        const lockedLayer = this.getLockedImageLayer();
+        if (lockedLayer) {
+            throw new Error(`Layer "${lockedLayer.name}" is locked`);
+        }
+
+        if (this.cropState.active) {
+            this.cancelCrop();
+        }
+
+        console.log('🖼️ [KONVA] Starting generative expand with aspect ratio:', aspectRatio);
+
+        this.expandState.active = true;
+        this.expandState.aspectRatio = aspectRatio;
+        this.imageNode.draggable(false);
+        this.disableDrawingTools();
+
+        this.createExpandOverlay();
+        this.fitExpandFrame();
+        this.notifyExpandChange();
+    }
+
+    /**
+     * Create the expand frame, its transformer and the tint over the area to generate
+     */
+    createExpandOverlay() {
+        const state = this.expandState;
+
+        state.layer = new Konva.Layer({ name: 'expandLayer' });
+        this.stage.add(state.layer);
+        state.layer.moveToTop();
+        this.drawingLayer.moveToTop();
+
+        for (let i = 0; i < 4; i++) {
+            const shade = new Konva.Rect({ fill: KonvaEditor.expandShade, listening: false });
+            state.shades.push(shade);
+            state.layer.add(shade);
+        }
+
+        state.frame = new Konva.Rect({
+            ...this.getDefaultExpandBox(state.aspectRatio),
+            stroke: '#00d4ff',
+            strokeWidth: 1.5,
+            strokeScaleEnabled: false,
+            dash: [10, 5],
+            draggable: true,
+            name: 'expandFrame'
+        });
+        state.layer.add(state.frame);
+
+        // Boxes are absolute; the frame may only grow away from the image, never cut into it
+        state.transformer = new Konva.Transformer({
+            nodes: [state.frame],
+            rotateEnabled: false,
+            flipEnabled: false,
+            shouldOverdrawWholeArea: true,
+            borderStroke: '#00d4ff',
+            anchorStroke: '#00d4ff',
+            anchorFill: '#ffffff',
+            anchorSize: 8,
+            boundBoxFunc: (oldBox, newBox) => {
+                const image = this.imageNode.getClientRect({ skipShadow: true, skipStroke: true });
+                const contains = newBox.x <= image.x + 0.5 && newBox.y <= image.y + 0.5 &&
+                    newBox.x + newBox.width >= image.x + image.width - 0.5 &&
+                    newBox.y + newBox.height >= image.y + image.height - 0.5;
+                return contains ? newBox : oldBox;
+            }
+        });
+        this.applyExpandAnchors();
+        state.layer.add(state.transformer);
+
+        state.frame.on('dragmove', () => {
+            // Moving the frame decides which sides grow; it keeps covering the image
+            const bounds = this.getImageBoundsInStageCoords();
+            state.frame.position({
+                x: Math.min(bounds.x, Math.max(bounds.right - state.frame.width(), state.frame.x())),
+                y: Math.min(bounds.y, Math.max(bounds.bottom - state.frame.height(), state.frame.y()))
+            });
+            this.updateExpandOverlay();
+        });
+        state.frame.on('transform', () => this.updateExpandOverlay());
+
+        this.updateExpandOverlay();
+    }
+
+    /**
+     * Corner anchors only while a ratio is kept, all eight for a free frame
+     */
+    applyExpandAnchors() {
+        const free = this.expandState.aspectRatio === 'free';
+        this.expandState.transformer.keepRatio(!free);
+        this.expandState.transformer.enabledAnchors(free
+            ? ['top-left', 'top-center', 'top-right', 'middle-right', 'middle-left', 'bottom-left', 'bottom-center', 'bottom-right']
+            : ['top-left', 'top-right', 'bottom-left', 'bottom-right']);
+    }
+
+    /**
+     * Frame a new expand starts with: the smallest box of the ratio around the image (centered),
+     * or a margin on every side for a free frame or a ratio the image already has
+     * @param {string|number} aspectRatio - 'free' or width / height
+     * @returns {Object} {x, y, width, height} in layer coordinates
+     */
+    getDefaultExpandBox(aspectRatio) {
+        const bounds = this.getImageBoundsInStageCoords();
+        const margin = Math.min(bounds.width, bounds.height) * KonvaEditor.expandMargin;
+        let width = bounds.width + margin * 2;
+        let height = bounds.height + margin * 2;
+
+        if (aspectRatio !== 'free') {
+            width = Math.max(bounds.width, bounds.height * aspectRatio);
+            height = width / aspectRatio;
+
+            if (width - bounds.width < 1 && height - bounds.height < 1) {
+                width += margin * 2;
+                height = width / aspectRatio;
+            }
+        }
+
+        return {
+            x: bounds.x - (width - bounds.width) / 2,
+            y: bounds.y - (height - bounds.height) / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Bake the transformer's scale into the frame size and tint the area outside the image
+     */
+    updateExpandOverlay() {
+        const { frame, shades, layer } = this.expandState;
+        if (!frame) return;
+
+        frame.setAttrs({
+            width: frame.width() * frame.scaleX(),
+            height: frame.height() * frame.scaleY(),
+            scaleX: 1,
+            scaleY: 1
+        });
+
+        const bounds = this.getImageBoundsInStageCoords();
+        const right = frame.x() + frame.width();
+        const bottom = frame.y() + frame.height();
+        const [top, rightShade, bottomShade, left] = shades;
+
+        top.setAttrs({ x: frame.x(), y: frame.y(), width: frame.width(), height: Math.max(0, bounds.y - frame.y()) });
+        bottomShade.setAttrs({ x: frame.x(), y: bounds.bottom, width: frame.width(), height: Math.max(0, bottom - bounds.bottom) });
+        left.setAttrs({ x: frame.x(), y: bounds.y, width: Math.max(0, bounds.x - frame.x()), height: bounds.height });
+        rightShade.setAttrs({ x: bounds.right, y: bounds.y, width: Math.max(0, right - bounds.right), height: bounds.height });
+
+        layer.batchDraw();
+        this.notifyExpandChange();
+    }
+
+    /**
+     * Change the ratio the expand frame keeps (resets the frame)
+     * @param {string|number} aspectRatio - 'free' or width / height
+     */
+    changeExpandRatio(aspectRatio) {
+        const state = this.expandState;
+        if (!state.active) return;
+
+        state.aspectRatio = aspectRatio;
+        state.frame.setAttrs({ ...this.getDefaultExpandBox(aspectRatio), scaleX: 1, scaleY: 1 });
+        this.applyExpandAnchors();
+        state.transformer.forceUpdate();
+        this.updateExpandOverlay();
+        this.fitExpandFrame();
+    }
+
+    /**
+     * Zoom out (never in) and center the view so the whole frame can be seen and dragged
+     */
+    fitExpandFrame() {
+        const frame = this.expandState.frame;
+        if (!frame) return;
+
+        const margin = KonvaEditor.expandViewMargin;
+        const scale = Math.min(
+            this.stage.scaleX(),
+            (this.stage.width() - margin * 2) / frame.width(),
+            (this.stage.height() - margin * 2) / frame.height()
+        );
+
+        this.stage.scale({ x: scale, y: scale });
+        this.stage.position({
+            x: this.stage.width() / 2 - (frame.x() + frame.width() / 2) * scale,
+            y: this.stage.height() / 2 - (frame.y() + frame.height() / 2) * scale
+        });
+        this.stage.batchDraw();
+        this.updateStatusBar();
+    }
+
+    notifyExpandChange() {
+        if (this.onExpandChange) this.onExpandChange();
+    }
+
+    /**
+     * Pixels the expand adds on each side, in image pixels
+     * @returns {Object|null} {left, top, right, bottom, width, height} (width and height of the result)
+     */
+    getExpandPadding() {
+        const frame = this.expandState.frame;
+        if (!this.expandState.active || !frame) return null;
+
+        const bounds = this.getImageBoundsInStageCoords();
+        const scale = this.imageNode.scaleX();
+        const left = Math.max(0, Math.round((bounds.x - frame.x()) / scale));
+        const top = Math.max(0, Math.round((bounds.y - frame.y()) / scale));
+        const right = Math.max(0, Math.round((frame.x() + frame.width() - bounds.right) / scale));
+        const bottom = Math.max(0, Math.round((frame.y() + frame.height() - bounds.bottom) / scale));
+
+        return {
+            left,
+            top,
+            right,
+            bottom,
+            width: this.imageNode.width() + left + right,
+            height: this.imageNode.height() + top + bottom
+        };
+    }
+
+    /**
+     * The image on the expanded canvas plus a mask of the area to generate, ready for a masked edit
+     * The new area starts as a blurred stretch of the image so the model sees which colors to continue.
+     * The canvas is padded further to the nearest aspect ratio the model supports, so its result scales
+     * back without distortion; crop is the requested frame within it
+     * @returns {Object} {image, mask, aspectRatio, crop, padding} with image and mask as base64 PNGs
+     *   (without data URL prefix)
+     */
+    getExpandSource() {
+        const padding = this.getExpandPadding();
+        if (!padding) {
+            throw new Error('Generative expand is not active');
+        }
+        if (!padding.left && !padding.top && !padding.right && !padding.bottom) {
+            throw new Error('Drag the frame beyond the image to choose the area to fill');
+        }
+        if (Math.max(padding.width, padding.height) > KonvaEditor.maxExpandSize) {
+            throw new Error(`The expanded image would be ${padding.width}×${padding.height}px - the largest supported side is ${KonvaEditor.maxExpandSize}px`);
+        }
+
+        const source = this.imageNode.image();
+        const imageWidth = this.imageNode.width();
+        const imageHeight = this.imageNode.height();
+
+        // Nearest supported ratio (compared on a log scale, so 2:1 and 1:2 are equally far from 1:1)
+        const frameRatio = padding.width / padding.height;
+        const aspectRatio = KonvaEditor.expandAspectRatios.reduce((best, label) => {
+            const distance = (ratio) => Math.abs(Math.log(ratio.split(':')[0] / ratio.split(':')[1] / frameRatio));
+            return distance(label) < distance(best) ? label : best;
+        });
+        const [ratioWidth, ratioHeight] = aspectRatio.split(':').map(Number);
+
+        const canvasWidth = Math.max(padding.width, Math.round(padding.height * ratioWidth / ratioHeight));
+        const canvasHeight = Math.max(padding.height, Math.round(padding.width * ratioHeight / ratioWidth));
+        const crop = {
+            x: Math.floor((canvasWidth - padding.width) / 2),
+            y: Math.floor((canvasHeight - padding.height) / 2),
+            width: padding.width,
+            height: padding.height
+        };
+        const imageX = crop.x + padding.left;
+        const imageY = crop.y + padding.top;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.filter = `blur(${Math.ceil(Math.max(canvasWidth, canvasHeight) / 40)}px)`;
+        ctx.drawImage(source, 0, 0, canvasWidth, canvasHeight);
+        ctx.filter = 'none';
+        ctx.drawImage(source, imageX, imageY, imageWidth, imageHeight);
+
+        // White is generated, black keeps the original pixels
+        const mask = document.createElement('canvas');
+        mask.width = canvasWidth;
+        mask.height = canvasHeight;
+        const maskCtx = mask.getContext('2d');
+        maskCtx.fillStyle = '#fff';
+        maskCtx.fillRect(0, 0, canvasWidth, canvasHeight);
+        maskCtx.fillStyle = '#000';
+        maskCtx.fillRect(imageX, imageY, imageWidth, imageHeight);
+
+        console.log('🖼️ [KONVA] Expand source prepared:', { ...padding, aspectRatio, canvasWidth, canvasHeight });
+        return {
+            image: canvas.toDataURL('image/png').split(',')[1],
+            mask: mask.toDataURL('image/png').split(',')[1],
+            aspectRatio,
+            crop,
+            padding
+        };
+    }
+
+    /**
+     * Replace the image with the expanded result (one history step, filters kept)
+     * @param {string} imageUrl - Expanded image (Blob URL or data URL)
+     */
+    async applyExpand(imageUrl) {
+        if (this.expandState.active) {
+            this.cancelExpand();
+        }
+
+        await this.loadImage(imageUrl, { label: 'Generative Expand', icon: 'fas fa-expand', keepFilters: true });
+        this.fitToScreen();
+        console.log('✅ [KONVA] Generative expand applied');
+    }
+
+    /**
+     * Leave generative expand without changing the image
+     */
+    cancelExpand() {
+        const state = this.expandState;
+        if (!state.active) return;
+
+        if (state.layer) {
+            state.layer.destroy();
+        }
+        if (this.imageNode) {
+            this.imageNode.draggable(true);
+        }
+        this.enableDrawingTools();
+
+        this.expandState = {
+            active: false,
+            aspectRatio: 'free',
+            layer: null,
+            frame: null,
+            transformer: null,
+            shades: []
+        };
+
+        this.stage.batchDraw();
+        this.notifyExpandChange();
+        console.log('❌ [KONVA] Generative expand closed');
+    }
 }
+
+// Tools that draw selection shapes
+KonvaEditor.selectionTools = ['select-rect', 'select-lasso', 'select-brush'];
+
+// How each selection shape combines with the shapes before it
+KonvaEditor.selectionCompositeOperations = {
+    add: 'source-over',
+    subtract: 'destination-out',
+    invert: 'xor'
+};
+
+// History labels for shapes drawn with the shape tools
+KonvaEditor.shapeHistoryLabels = {
+    rectangle: { label: 'Rectangle', icon: 'fas fa-square' },
+    circle: { label: 'Ellipse', icon: 'fas fa-circle' },
+    arrow: { label: 'Arrow', icon: 'fas fa-long-arrow-alt-right' },
+    star: { label: 'Star', icon: 'fas fa-star' },
+    polygon: { label: 'Polygon', icon: 'fas fa-draw-polygon' }
+};
+
+// History labels for z-order changes
+KonvaEditor.arrangeLabels = {
+    forward: 'Bring Forward',
+    backward: 'Send Backward',
+    front: 'Bring to Front',
+    back: 'Send to Back'
+};
+
+KonvaEditor.pasteOffset = 20; // Layer units each paste or duplicate is shifted by
+KonvaEditor.minMarqueeSize = 4; // Screen pixels a marquee must span to select
+KonvaEditor.maxSkew = 80; // Degrees
+
+KonvaEditor.expandMargin = 0.25; // Share of the image's shorter side a new expand frame adds on each side
+KonvaEditor.expandViewMargin = 40; // Screen pixels kept around the frame when the view zooms out to it
+KonvaEditor.expandShade = 'rgba(0, 212, 255, 0.15)';
+KonvaEditor.maxExpandSize = 8192; // Pixels along the longer side of an expanded image
+KonvaEditor.expandAspectRatios = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9']; // Ratios the image model can return
+
+KonvaEditor.filterPreviewSize = 1024; // Pixels along the longer side of the cache filters preview on while dragging
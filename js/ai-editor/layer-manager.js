@@ -1,16 +1,40 @@
 /**
  * LayerManager - Manages Konva layers for the AI Image Editor
  * Handles layer lifecycle, operations, and state management
- * Maximum 3 layers enforced for optimal performance
+ * The stack is limited by estimated canvas memory rather than a fixed layer count
+ * Layers can be grouped into folders; a group's members always sit next to each other in the stack
+ * Adjustment layers (levels, curves, ...) change the look of everything beneath them without touching pixels
+ * Every change is recorded in the editor's HistoryManager so it can be undone
  */
 
 class LayerManager {
-    constructor(stage) {
+    /**
+     * @param {Konva.Stage} stage - Editor stage
+     * @param {HistoryManager|null} history - History that records layer operations
+     * @param {object} options - { maxMemoryMB } memory budget for the layer stack
+     */
+    constructor(stage, history = null, options = {}) {
+        const { maxMemoryMB = 512 } = options;
+
         this.stage = stage;
-        this.layers = []; // Array of LayerObject
+        this.history = history;
+        this.layers = []; // Array of LayerObject, bottom first
+        this.groups = []; // Array of GroupObject { id, name, visible, locked, collapsed }
         this.activeLayerId = null;
         this.layerIdCounter = 0;
-        this.maxLayers = 3; // Performance limit
+        this.groupIdCounter = 0;
+        this.maxMemoryBytes = maxMemoryMB * 1024 * 1024;
+        this.maskStroke = null; // Mask brush stroke in progress { layer, mask, before }
+        this.adjustmentFrame = null; // Pending animation frame that re-renders adjustment layers
+        this.merging = false; // A merge or flatten is being composited in the render worker
+
+        // Merges and thumbnails are drawn, composited and encoded off the main thread where supported
+        this.renderPipeline = RenderPipeline.isSupported() ? new RenderPipeline() : null;
+
+        // Layer canvases blend with each other (CSS mix-blend-mode), not with the page behind the stage
+        if (stage.content) {
+            stage.content.style.isolation = 'isolate';
+        }
         
         // Callbacks for UI updates
         this.onLayerChange = null; // Called when layers change
@@ -22,65 +46,123 @@ class LayerManager {
      * @param {string} name - Layer name (default: "Background")
      */
     initializeWithBaseLayer(konvaLayer, name = "Background") {
-        const layerId = this._generateLayerId();
-        const layerObject = {
-            id: layerId,
-            name: name,
-            konvaLayer: konvaLayer,
-            visible: true,
-            locked: false,
-            opacity: 1,
-            thumbnail: null,
-            type: 'image'
-        };
+        const layerObject = this._createLayerObject(name, konvaLayer);
         
         this.layers.push(layerObject);
-        this.activeLayerId = layerId;
+        this.activeLayerId = layerObject.id;
         
-        // Set initial opacity
-        konvaLayer.opacity(1);
+        // Set initial opacity and blend mode
+        this._applyLayerState(layerObject);
         
         this._notifyChange();
         return layerObject;
     }
 
     /**
-     * Add a new layer
+     * Replace the whole stack, e.g. with the layers of an opened project
+     * Not recorded - the caller clears the history, whose steps refer to the old layers
+     * @param {object[]} entries - Layers bottom first: { id, name, type, visible, locked, opacity, blendMode,
+     *   groupId, nodes, mask, adjustment } where nodes are the layer's Konva nodes, mask is
+     *   { canvas, x, y, width, height, enabled } and adjustment is { type, settings }
+     * @param {object[]} groups - Group objects { id, name, visible, locked, collapsed }
+     * @param {string|null} activeLayerId - Layer to activate (defaults to the top one)
+     * @returns {object[]} New layer objects
+     */
+    replaceStack(entries, groups = [], activeLayerId = null) {
+        if (!entries.length) {
+            throw new Error('A layer stack needs at least one layer');
+        }
+
+        if (this.adjustmentFrame) {
+            cancelAnimationFrame(this.adjustmentFrame);
+            this.adjustmentFrame = null;
+        }
+        this.maskStroke = null;
+        this.layers.forEach(layer => layer.konvaLayer.destroy());
+
+        const idNumber = (id) => parseInt(String(id).split('-').pop(), 10) || 0;
+
+        this.layers = entries.map(({ nodes = [], mask = null, adjustment = null, ...props }) => {
+            const konvaLayer = new Konva.Layer();
+            this.stage.add(konvaLayer);
+            nodes.forEach(node => konvaLayer.add(node));
+
+            const layer = this._createLayerObject(props.name, konvaLayer, {
+                ...props,
+                id: props.id || this._generateLayerId()
+            });
+
+            if (adjustment) {
+                this._attachAdjustment(layer, adjustment);
+            }
+            if (mask) {
+                const layerMask = { ...mask, shape: null };
+                layerMask.shape = this._createMaskShape(layerMask);
+                layer.mask = layerMask;
+                konvaLayer.add(layerMask.shape);
+            }
+
+            return layer;
+        });
+
+        this.groups = groups.map(group => ({ ...group }));
+        this.layerIdCounter = Math.max(this.layerIdCounter, ...this.layers.map(layer => idNumber(layer.id)));
+        this.groupIdCounter = Math.max(this.groupIdCounter, ...this.groups.map(group => idNumber(group.id)));
+        this.activeLayerId = this.getLayer(activeLayerId) ? activeLayerId : this.layers[this.layers.length - 1].id;
+
+        this._syncStageOrder();
+        this.layers.forEach(layer => {
+            this._applyLayerState(layer);
+            this.invalidateThumbnail(layer.id);
+        });
+        this.stage.batchDraw();
+
+        console.log(`✅ [LAYER MANAGER] Stack replaced with ${this.layers.length} layers`);
+        this._notifyChange();
+        return this.getAllLayers();
+    }
+
+    /**
+     * Add a new layer above the active layer (inside the active layer's group, if any)
      * @param {string} name - Layer name
-     * @param {object} options - Layer options (type, opacity, etc.)
-     * @returns {object|null} Created layer object or null if limit reached
+     * @param {object} options - Layer options (type, opacity, blendMode), adjustment { type, settings }
+     *   for an adjustment layer, label and icon for the history step
+     * @returns {object|null} Created layer object or null if the memory limit is reached
      */
     addLayer(name = null, options = {}) {
-        // Check layer limit
-        if (this.layers.length >= this.maxLayers) {
-            console.warn(`Maximum layer limit (${this.maxLayers}) reached`);
+        // Check memory limit
+        if (this.isAtLayerLimit()) {
+            console.warn(`Layer memory limit (${this.formatBytes(this.maxMemoryBytes)}) reached`);
             return null;
         }
 
-        const layerId = this._generateLayerId();
         const layerName = name || `Layer ${this.layers.length + 1}`;
         
-        // Create new Konva layer
+        const previousActiveId = this.activeLayerId;
+
+        // Create new Konva layer and add it to the stage
         const konvaLayer = new Konva.Layer();
-        konvaLayer.opacity(options.opacity || 1);
-        
-        // Add to stage
         this.stage.add(konvaLayer);
         
         // Create layer object
-        const layerObject = {
-            id: layerId,
-            name: layerName,
-            konvaLayer: konvaLayer,
-            visible: true,
-            locked: false,
+        const layerObject = this._createLayerObject(layerName, konvaLayer, {
             opacity: options.opacity || 1,
-            thumbnail: null,
+            blendMode: options.blendMode || 'normal',
             type: options.type || 'image'
-        };
+        });
+
+        if (options.adjustment) {
+            this._attachAdjustment(layerObject, options.adjustment);
+        }
         
-        this.layers.push(layerObject);
-        this.activeLayerId = layerId;
+        this._insertAbove(layerObject, this.getActiveLayer());
+        this.activeLayerId = layerObject.id;
+
+        this._record(this._layerPresenceCommand(options.label || 'Add Layer', layerObject, {
+            added: true,
+            previousActiveId,
+            icon: options.icon
+        }));
         
         this._notifyChange();
         return layerObject;
@@ -105,33 +187,28 @@ class LayerManager {
         }
 
         const layer = this.layers[index];
-        
-        // Destroy Konva layer
-        layer.konvaLayer.destroy();
-        
-        // Remove from array
-        this.layers.splice(index, 1);
-        
-        // If deleted layer was active, select another
-        if (this.activeLayerId === layerId) {
-            // Select previous layer, or next if first was deleted
-            const newIndex = Math.max(0, index - 1);
-            this.activeLayerId = this.layers[newIndex].id;
+        if (!this._ensureUnlocked(layer)) {
+            return false;
         }
+
+        // Detach rather than destroy so the deletion can be undone
+        this._detachLayer(layer);
+
+        this._record(this._layerPresenceCommand(`Delete "${layer.name}"`, layer, { added: false, arrayIndex: index }));
         
         this._notifyChange();
         return true;
     }
 
     /**
-     * Duplicate a layer
+     * Duplicate a layer, placing the copy directly above it in the same group
      * @param {string} layerId - Layer ID to duplicate
-     * @returns {object|null} New layer object or null if limit reached
+     * @returns {object|null} New layer object or null if the memory limit is reached
      */
     duplicateLayer(layerId) {
-        // Check layer limit
-        if (this.layers.length >= this.maxLayers) {
-            console.warn(`Maximum layer limit (${this.maxLayers}) reached`);
+        // Check memory limit
+        if (this.isAtLayerLimit()) {
+            console.warn(`Layer memory limit (${this.formatBytes(this.maxMemoryBytes)}) reached`);
             return null;
         }
 
@@ -141,34 +218,50 @@ class LayerManager {
             return null;
         }
 
+        const previousActiveId = this.activeLayerId;
+
         // Create new layer
-        const newLayerId = this._generateLayerId();
         const newName = `${sourceLayer.name} Copy`;
         
         const konvaLayer = new Konva.Layer();
-        konvaLayer.opacity(sourceLayer.opacity);
         
-        // Clone all children from source layer
+        // Clone all children from source layer (mask and adjustment nodes are rebuilt for the copy below)
         sourceLayer.konvaLayer.children.forEach(child => {
+            if (child.name() === 'layerMask' || child.name() === 'adjustmentResult') return;
             const clone = child.clone();
             konvaLayer.add(clone);
         });
         
         this.stage.add(konvaLayer);
         
-        const layerObject = {
-            id: newLayerId,
-            name: newName,
-            konvaLayer: konvaLayer,
+        // The copy is unlocked so it can be edited right away
+        const layerObject = this._createLayerObject(newName, konvaLayer, {
             visible: sourceLayer.visible,
-            locked: false,
             opacity: sourceLayer.opacity,
-            thumbnail: null,
+            blendMode: sourceLayer.blendMode,
             type: sourceLayer.type
-        };
+        });
+
+        if (sourceLayer.adjustment) {
+            this._attachAdjustment(layerObject, {
+                type: sourceLayer.adjustment.type,
+                settings: Adjustments.cloneSettings(sourceLayer.adjustment.settings)
+            });
+        }
+
+        if (sourceLayer.mask) {
+            layerObject.mask = this._copyMask(sourceLayer.mask);
+            konvaLayer.add(layerObject.mask.shape);
+        }
         
-        this.layers.push(layerObject);
-        this.activeLayerId = newLayerId;
+        this._insertAbove(layerObject, sourceLayer);
+        this.activeLayerId = layerObject.id;
+
+        this._record(this._layerPresenceCommand(`Duplicate "${sourceLayer.name}"`, layerObject, {
+            added: true,
+            previousActiveId,
+            icon: 'fas fa-copy'
+        }));
         
         this._notifyChange();
         return layerObject;
@@ -228,10 +321,22 @@ class LayerManager {
             return false;
         }
 
-        layer.visible = !layer.visible;
-        layer.konvaLayer.visible(layer.visible);
-        
-        this._notifyChange();
+        const applyVisibility = (visible) => {
+            layer.visible = visible;
+            this._applyLayerState(layer);
+            this._notifyChange();
+        };
+
+        applyVisibility(!layer.visible);
+
+        const visible = layer.visible;
+        this._record({
+            label: `${visible ? 'Show' : 'Hide'} "${layer.name}"`,
+            icon: visible ? 'fas fa-eye' : 'fas fa-eye-slash',
+            undo: () => applyVisibility(!visible),
+            redo: () => applyVisibility(visible)
+        });
+
         return layer.visible;
     }
 
@@ -247,11 +352,30 @@ class LayerManager {
             return;
         }
 
-        opacity = Math.max(0, Math.min(1, opacity));
-        layer.opacity = opacity;
-        layer.konvaLayer.opacity(opacity);
-        
-        this._notifyChange();
+        if (!this._ensureUnlocked(layer)) {
+            this._notifyChange();
+            return;
+        }
+
+        const applyOpacity = (value) => {
+            layer.opacity = value;
+            this._applyLayerState(layer);
+            this._notifyChange();
+        };
+
+        const before = layer.opacity;
+        const after = Math.max(0, Math.min(1, opacity));
+        applyOpacity(after);
+
+        if (before !== after) {
+            this._record({
+                label: `Opacity "${layer.name}" ${Math.round(after * 100)}%`,
+                icon: 'fas fa-adjust',
+                mergeKey: `opacity:${layerId}`,
+                undo: () => applyOpacity(before),
+                redo: () => applyOpacity(after)
+            });
+        }
     }
 
     /**
@@ -266,260 +390,1975 @@ class LayerManager {
             return;
         }
 
-        layer.name = newName;
-        this._notifyChange();
+        const oldName = layer.name;
+        const applyName = (name) => {
+            layer.name = name;
+            this._notifyChange();
+        };
+
+        applyName(newName);
+
+        this._record({
+            label: `Rename "${oldName}"`,
+            icon: 'fas fa-i-cursor',
+            undo: () => applyName(oldName),
+            redo: () => applyName(newName)
+        });
     }
 
     /**
-     * Move layer up in z-index
+     * Set layer blend mode
      * @param {string} layerId - Layer ID
+     * @param {string} blendMode - One of LayerManager.blendModes
      */
-    moveLayerUp(layerId) {
-        const index = this.layers.findIndex(l => l.id === layerId);
-        if (index === -1 || index === this.layers.length - 1) {
-            return; // Already at top or not found
+    setBlendMode(layerId, blendMode) {
+        const layer = this.getLayer(layerId);
+        if (!layer) {
+            console.warn('Layer not found:', layerId);
+            return;
         }
 
-        // Swap in array
-        [this.layers[index], this.layers[index + 1]] = [this.layers[index + 1], this.layers[index]];
-        
-        // Update Konva z-index
-        this.layers[index + 1].konvaLayer.moveUp();
-        
-        this._notifyChange();
-    }
+        if (!LayerManager.blendModes.some(mode => mode.value === blendMode)) {
+            console.warn('Unknown blend mode:', blendMode);
+            return;
+        }
 
-    /**
-     * Move layer down in z-index
-     * @param {string} layerId - Layer ID
-     */
-    moveLayerDown(layerId) {
-        const index = this.layers.findIndex(l => l.id === layerId);
-        if (index === -1 || index === 0) {
-            return; // Already at bottom or not found
+        if (!this._ensureUnlocked(layer)) {
+            this._notifyChange();
+            return;
         }
 
-        // Swap in array
-        [this.layers[index], this.layers[index - 1]] = [this.layers[index - 1], this.layers[index]];
-        
-        // Update Konva z-index
-        this.layers[index - 1].konvaLayer.moveDown();
-        
-        this._notifyChange();
+        const applyBlendMode = (value) => {
+            layer.blendMode = value;
+            this._applyLayerState(layer);
+            this.stage.batchDraw();
+            this._notifyChange();
+        };
+
+        const before = layer.blendMode;
+        if (before === blendMode) return;
+
+        applyBlendMode(blendMode);
+
+        const modeLabel = LayerManager.blendModes.find(mode => mode.value === blendMode).label;
+        this._record({
+            label: `Blend "${layer.name}" ${modeLabel}`,
+            icon: 'fas fa-clone',
+            undo: () => applyBlendMode(before),
+            redo: () => applyBlendMode(blendMode)
+        });
     }
 
     /**
-     * Generate thumbnail for a layer
+     * Toggle layer lock
+     * A locked layer ignores pointer input and refuses content edits, deletion, merging,
+     * opacity and blend changes; it can still be hidden, renamed and moved in the stack
      * @param {string} layerId - Layer ID
-     * @returns {string|null} Data URL of thumbnail
+     * @returns {boolean} New lock state
      */
-    generateThumbnail(layerId) {
+    toggleLock(layerId) {
         const layer = this.getLayer(layerId);
         if (!layer) {
             console.warn('Layer not found:', layerId);
-            return null;
+            return false;
         }
 
-        try {
-            // Generate low-res thumbnail for performance
-            const thumbnail = layer.konvaLayer.toDataURL({
-                pixelRatio: 0.1, // Low resolution for performance
-                mimeType: 'image/jpeg',
-                quality: 0.6
-            });
-            
-            layer.thumbnail = thumbnail;
-            return thumbnail;
-        } catch (error) {
-            console.error('Error generating thumbnail:', error);
-            return null;
-        }
+        const applyLock = (locked) => {
+            layer.locked = locked;
+            this._applyLayerState(layer);
+            this._notifyChange();
+        };
+
+        applyLock(!layer.locked);
+
+        const locked = layer.locked;
+        this._record({
+            label: `${locked ? 'Lock' : 'Unlock'} "${layer.name}"`,
+            icon: locked ? 'fas fa-lock' : 'fas fa-lock-open',
+            undo: () => applyLock(!locked),
+            redo: () => applyLock(locked)
+        });
+
+        return layer.locked;
     }
 
     /**
-     * Generate unique layer ID
-     * @private
+     * Check whether a layer is locked, either itself or through its group
+     * @param {string} layerId - Layer ID
+     * @returns {boolean}
      */
-    _generateLayerId() {
-        return `layer-${++this.layerIdCounter}`;
+    isLocked(layerId) {
+        const layer = this.getLayer(layerId);
+        return !!layer && this._isLocked(layer);
     }
 
     /**
-     * Notify UI of changes
-     * @private
+     * Check whether a layer is shown, taking its group into account
+     * @param {string} layerId - Layer ID
+     * @returns {boolean}
      */
-    _notifyChange() {
-        if (this.onLayerChange && typeof this.onLayerChange === 'function') {
-            this.onLayerChange();
-        }
+    isVisible(layerId) {
+        const layer = this.getLayer(layerId);
+        return !!layer && this._isShown(layer);
+    }
+
+    /**
+     * Find the layer object that holds a Konva node
+     * @param {Konva.Node} node - Node on the stage
+     * @returns {object|null} Layer object (null for the editor's own layers, e.g. drawings)
+     */
+    getLayerForNode(node) {
+        const konvaLayer = node && node.getLayer();
+        return this.layers.find(l => l.konvaLayer === konvaLayer) || null;
     }
 
     /**
-     * Check if at layer limit
+     * Check whether a node sits on a locked layer
+     * @param {Konva.Node} node - Node on the stage
      * @returns {boolean}
      */
-    isAtLayerLimit() {
-        return this.layers.length >= this.maxLayers;
+    isNodeLocked(node) {
+        const layer = this.getLayerForNode(node);
+        return !!layer && this._isLocked(layer);
     }
 
     /**
-     * Update thumbnail for active layer (useful after AI operations)
-     * Call this after AI operations modify the canvas
+     * Move layer up in z-index
+     * At the top of its group the layer first leaves the group; below a group it first enters it
+     * @param {string} layerId - Layer ID
      */
-    updateActiveLayerThumbnail() {
-        if (!this.activeLayerId) {
-            console.warn('No active layer to update thumbnail');
-            return;
-        }
+    moveLayerUp(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
 
-        const layer = this.getLayer(this.activeLayerId);
-        if (layer) {
-            layer.thumbnail = this.generateThumbnail(this.activeLayerId);
-            this._notifyChange();
-            console.log('✅ [LAYER MANAGER] Active layer thumbnail updated');
-        }
+        this._restructure(`Move "${layer.name}" Up`, 'fas fa-arrow-up', () => {
+            this._stepLayer(layer, 1);
+        });
     }
 
     /**
-     * Update thumbnail for a specific layer
-     * @param {string} layerId - ID of the layer to update
+     * Move layer down in z-index
+     * At the bottom of its group the layer first leaves the group; above a group it first enters it
+     * @param {string} layerId - Layer ID
      */
-    updateLayerThumbnail(layerId) {
+    moveLayerDown(layerId) {
         const layer = this.getLayer(layerId);
-        if (layer) {
-            layer.thumbnail = this.generateThumbnail(layerId);
-            this._notifyChange();
-            console.log('✅ [LAYER MANAGER] Layer thumbnail updated:', layerId);
-        } else {
-            console.warn('Layer not found for thumbnail update:', layerId);
-        }
+        if (!layer) return;
+
+        this._restructure(`Move "${layer.name}" Down`, 'fas fa-arrow-down', () => {
+            this._stepLayer(layer, -1);
+        });
     }
 
     /**
-     * Merge active layer down with the layer below it
-     * @returns {boolean} Success status
+     * Move a layer directly above or below another layer, joining that layer's group
+     * @param {string} layerId - Layer to move
+     * @param {string} targetLayerId - Layer to move next to
+     * @param {string} position - 'above' or 'below'
+     * @returns {boolean} True if the stack changed
      */
-    mergeDown() {
-        if (this.layers.length < 2) {
-            console.warn('Cannot merge: need at least 2 layers');
-            return false;
-        }
-
-        const activeIndex = this.layers.findIndex(l => l.id === this.activeLayerId);
-        if (activeIndex === -1 || activeIndex === 0) {
-            console.warn('Cannot merge down: active layer is at bottom or not found');
-            return false;
-        }
+    moveLayerNextTo(layerId, targetLayerId, position) {
+        const layer = this.getLayer(layerId);
+        const target = this.getLayer(targetLayerId);
+        if (!layer || !target || layer === target) return false;
 
-        const activeLayer = this.layers[activeIndex];
-        const belowLayer = this.layers[activeIndex - 1];
+        return this._restructure(`Move "${layer.name}"`, 'fas fa-arrows-alt-v', () => {
+            this.layers.splice(this.layers.indexOf(layer), 1);
+            this.layers.splice(this.layers.indexOf(target) + (position === 'above' ? 1 : 0), 0, layer);
+            layer.groupId = target.groupId;
+        });
+    }
 
-        console.log(`🔀 [LAYER MANAGER] Merging "${activeLayer.name}" down into "${belowLayer.name}"`);
+    /**
+     * Move a layer into a group (on top of its members) or directly above/below the whole group
+     * @param {string} layerId - Layer to move
+     * @param {string} groupId - Target group
+     * @param {string} position - 'inside', 'above' or 'below'
+     * @returns {boolean} True if the stack changed
+     */
+    moveLayerNextToGroup(layerId, groupId, position) {
+        const layer = this.getLayer(layerId);
+        const group = this.getGroup(groupId);
+        if (!layer || !group) return false;
 
-        try {
-            // Create a temporary stage to merge layers
-            const tempStage = new Konva.Stage({
-                container: document.createElement('div'),
-                width: this.stage.width(),
-                height: this.stage.height()
-            });
+        const members = this.getGroupLayers(groupId).filter(l => l !== layer);
+        if (members.length === 0) return false;
 
-            const tempLayer = new Konva.Layer();
-            tempStage.add(tempLayer);
+        const label = position === 'inside'
+            ? `Move "${layer.name}" into "${group.name}"`
+            : `Move "${layer.name}"`;
 
-            // Clone both layers' content
-            const belowClone = belowLayer.konvaLayer.clone();
-            const activeClone = activeLayer.konvaLayer.clone();
+        return this._restructure(label, 'fas fa-arrows-alt-v', () => {
+            this.layers.splice(this.layers.indexOf(layer), 1);
 
-            // Add to temp layer (below first, then active on top)
-            belowClone.children.forEach(child => {
-                tempLayer.add(child.clone());
-            });
-            activeClone.children.forEach(child => {
-                tempLayer.add(child.clone());
-            });
+            const index = position === 'below'
+                ? this.layers.indexOf(members[0])
+                : this.layers.indexOf(members[members.length - 1]) + 1;
+            this.layers.splice(index, 0, layer);
+            layer.groupId = position === 'inside' ? groupId : null;
+        });
+    }
 
-            // Export merged result
-            const mergedDataURL = tempLayer.toDataURL();
+    /**
+     * Move a whole group directly above or below a layer
+     * If the layer belongs to another group the group moves past that whole group instead
+     * @param {string} groupId - Group to move
+     * @param {string} targetLayerId - Layer to move next to
+     * @param {string} position - 'above' or 'below'
+     * @returns {boolean} True if the stack changed
+     */
+    moveGroupNextTo(groupId, targetLayerId, position) {
+        const group = this.getGroup(groupId);
+        const target = this.getLayer(targetLayerId);
+        if (!group || !target || target.groupId === groupId) return false;
 
-            // Clear below layer and add merged image
-            belowLayer.konvaLayer.destroyChildren();
+        if (target.groupId) {
+            return this.moveGroupNextToGroup(groupId, target.groupId, position);
+        }
 
-            Konva.Image.fromURL(mergedDataURL, (image) => {
-                belowLayer.konvaLayer.add(image);
-                belowLayer.konvaLayer.batchDraw();
+        const members = this.getGroupLayers(groupId);
 
-                // Update thumbnail
-                belowLayer.thumbnail = this.generateThumbnail(belowLayer.id);
-            });
+        return this._restructure(`Move "${group.name}"`, 'fas fa-arrows-alt-v', () => {
+            this.layers = this.layers.filter(l => !members.includes(l));
+            this.layers.splice(this.layers.indexOf(target) + (position === 'above' ? 1 : 0), 0, ...members);
+        });
+    }
 
-            // Remove active layer
-            this.deleteLayer(activeLayer.id);
+    /**
+     * Move a whole group directly above or below another group
+     * @param {string} groupId - Group to move
+     * @param {string} targetGroupId - Group to move next to
+     * @param {string} position - 'above' or 'below'
+     * @returns {boolean} True if the stack changed
+     */
+    moveGroupNextToGroup(groupId, targetGroupId, position) {
+        const group = this.getGroup(groupId);
+        if (!group || !this.getGroup(targetGroupId) || groupId === targetGroupId) return false;
 
-            // Set below layer as active
-            this.setActiveLayer(belowLayer.id);
+        const members = this.getGroupLayers(groupId);
+        const targets = this.getGroupLayers(targetGroupId);
+        if (members.length === 0 || targets.length === 0) return false;
 
-            console.log('✅ [LAYER MANAGER] Layers merged successfully');
-            return true;
+        return this._restructure(`Move "${group.name}"`, 'fas fa-arrows-alt-v', () => {
+            this.layers = this.layers.filter(l => !members.includes(l));
 
-        } catch (error) {
-            console.error('❌ [LAYER MANAGER] Failed to merge layers:', error);
-            return false;
-        }
+            const index = position === 'above'
+                ? this.layers.indexOf(targets[targets.length - 1]) + 1
+                : this.layers.indexOf(targets[0]);
+            this.layers.splice(index, 0, ...members);
+        });
     }
 
     /**
-     * Flatten all visible layers into a single layer
-     * @returns {boolean} Success status
+     * Create a group holding a layer (the active layer by default)
+     * A layer that already belongs to a group is moved out above that group first
+     * @param {string} layerId - Layer to put in the new group
+     * @param {string} name - Group name
+     * @returns {object|null} Created group object
      */
-    flattenAll() {
-        if (this.layers.length === 1) {
-            console.warn('Only one layer exists, nothing to flatten');
-            return false;
+    createGroup(layerId = this.activeLayerId, name = null) {
+        const layer = this.getLayer(layerId);
+        if (!layer) {
+            console.warn('Layer not found:', layerId);
+            return null;
         }
 
-        console.log('🔀 [LAYER MANAGER] Flattening all visible layers...');
+        const group = {
+            id: this._generateGroupId(),
+            name: name || `Group ${this.groupIdCounter}`,
+            visible: true,
+            locked: false,
+            collapsed: false
+        };
 
-        try {
-            // Export entire stage (all visible layers merged)
-            const flattenedDataURL = this.stage.toDataURL();
+        this._restructure(`Create "${group.name}"`, 'fas fa-folder-plus', () => {
+            const oldMembers = layer.groupId ? this.getGroupLayers(layer.groupId) : [];
+            if (oldMembers.length > 1) {
+                this.layers.splice(this.layers.indexOf(layer), 1);
+                const above = oldMembers.filter(l => l !== layer).pop();
+                this.layers.splice(this.layers.indexOf(above) + 1, 0, layer);
+            }
 
-            // Keep only the first layer, destroy others
+            this.groups.push(group);
+            layer.groupId = group.id;
+        });
+
+        console.log(`📁 [LAYER MANAGER] Created group "${group.name}"`);
+        return group;
+    }
+
+    /**
+     * Remove a group, keeping its layers in place
+     * @param {string} groupId - Group ID
+     * @returns {boolean} Success status
+     */
+    ungroup(groupId) {
+        const group = this.getGroup(groupId);
+        if (!group) {
+            console.warn('Group not found:', groupId);
+            return false;
+        }
+
+        return this._restructure(`Ungroup "${group.name}"`, 'fas fa-object-ungroup', () => {
+            this.getGroupLayers(groupId).forEach(layer => {
+                layer.groupId = null;
+            });
+            this.groups = this.groups.filter(g => g !== group);
+        });
+    }
+
+    /**
+     * Get group by ID
+     * @param {string} groupId - Group ID
+     * @returns {object|null} Group object
+     */
+    getGroup(groupId) {
+        return groupId ? this.groups.find(g => g.id === groupId) || null : null;
+    }
+
+    /**
+     * Get the layers of a group
+     * @param {string} groupId - Group ID
+     * @returns {array} Layer objects, bottom first
+     */
+    getGroupLayers(groupId) {
+        return this.layers.filter(l => l.groupId === groupId);
+    }
+
+    /**
+     * Rename group
+     * @param {string} groupId - Group ID
+     * @param {string} newName - New group name
+     */
+    renameGroup(groupId, newName) {
+        const group = this.getGroup(groupId);
+        if (!group) return;
+
+        const oldName = group.name;
+        const applyName = (name) => {
+            group.name = name;
+            this._notifyChange();
+        };
+
+        applyName(newName);
+
+        this._record({
+            label: `Rename "${oldName}"`,
+            icon: 'fas fa-i-cursor',
+            undo: () => applyName(oldName),
+            redo: () => applyName(newName)
+        });
+    }
+
+    /**
+     * Toggle group visibility (hides all of its layers without changing their own visibility)
+     * @param {string} groupId - Group ID
+     * @returns {boolean} New visibility state
+     */
+    toggleGroupVisibility(groupId) {
+        const group = this.getGroup(groupId);
+        if (!group) return false;
+
+        const applyVisibility = (visible) => {
+            group.visible = visible;
+            this.getGroupLayers(groupId).forEach(layer => this._applyLayerState(layer));
+            this.stage.batchDraw();
+            this._notifyChange();
+        };
+
+        applyVisibility(!group.visible);
+
+        const visible = group.visible;
+        this._record({
+            label: `${visible ? 'Show' : 'Hide'} "${group.name}"`,
+            icon: visible ? 'fas fa-eye' : 'fas fa-eye-slash',
+            undo: () => applyVisibility(!visible),
+            redo: () => applyVisibility(visible)
+        });
+
+        return group.visible;
+    }
+
+    /**
+     * Toggle group lock (locks all of its layers without changing their own lock)
+     * @param {string} groupId - Group ID
+     * @returns {boolean} New lock state
+     */
+    toggleGroupLock(groupId) {
+        const group = this.getGroup(groupId);
+        if (!group) return false;
+
+        const applyLock = (locked) => {
+            group.locked = locked;
+            this.getGroupLayers(groupId).forEach(layer => this._applyLayerState(layer));
+            this._notifyChange();
+        };
+
+        applyLock(!group.locked);
+
+        const locked = group.locked;
+        this._record({
+            label: `${locked ? 'Lock' : 'Unlock'} "${group.name}"`,
+            icon: locked ? 'fas fa-lock' : 'fas fa-lock-open',
+            undo: () => applyLock(!locked),
+            redo: () => applyLock(locked)
+        });
+
+        return group.locked;
+    }
+
+    /**
+     * Collapse or expand a group in the layer panel (view state only, not recorded in history)
+     * @param {string} groupId - Group ID
+     */
+    toggleGroupCollapsed(groupId) {
+        const group = this.getGroup(groupId);
+        if (!group) return;
+
+        group.collapsed = !group.collapsed;
+        this._notifyChange();
+    }
+
+    /**
+     * Add a layer mask covering the layer's current content
+     * The mask is non-destructive: it only hides pixels while it is enabled and can be painted,
+     * inverted or deleted later. Without a selection the whole layer stays visible.
+     * @param {string} layerId - Layer ID
+     * @param {Function|null} renderSelection - (frame, ratio) => canvas with the selected area opaque,
+     *   in layer coordinates; everything outside the selection is hidden
+     * @returns {boolean} Success status
+     */
+    addMask(layerId, renderSelection = null) {
+        const layer = this.getLayer(layerId);
+        if (!layer || layer.mask || !this._ensureUnlocked(layer)) {
+            return false;
+        }
+
+        const frame = this._maskFrame(layer);
+        const ratio = this._maskResolution(layer);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(frame.width * ratio));
+        canvas.height = Math.max(1, Math.round(frame.height * ratio));
+
+        if (renderSelection) {
+            // Mask pixels hold how much is hidden, so the selection is drawn inverted
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(renderSelection(frame, ratio), 0, 0, canvas.width, canvas.height);
+            ctx.globalCompositeOperation = 'xor';
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        const mask = { canvas, ...frame, enabled: true, shape: null };
+        mask.shape = this._createMaskShape(mask);
+
+        const applyMask = (value) => {
+            this._setMask(layer, value);
+            this._notifyChange();
+        };
+
+        applyMask(mask);
+
+        this._record({
+            label: `Add Mask to "${layer.name}"`,
+            icon: 'fas fa-mask',
+            bytes: canvas.width * canvas.height * 4,
+            undo: () => applyMask(null),
+            redo: () => applyMask(mask)
+        });
+
+        console.log(`✅ [LAYER MANAGER] Mask added to "${layer.name}"${renderSelection ? ' from selection' : ''}`);
+        return true;
+    }
+
+    /**
+     * Delete a layer's mask, showing the whole layer again
+     * @param {string} layerId - Layer ID
+     * @returns {boolean} Success status
+     */
+    deleteMask(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.mask || !this._ensureUnlocked(layer)) {
+            return false;
+        }
+
+        const mask = layer.mask;
+        const applyMask = (value) => {
+            this._setMask(layer, value);
+            this._notifyChange();
+        };
+
+        applyMask(null);
+
+        this._record({
+            label: `Delete Mask of "${layer.name}"`,
+            icon: 'fas fa-trash-alt',
+            bytes: mask.canvas.width * mask.canvas.height * 4,
+            undo: () => applyMask(mask),
+            redo: () => applyMask(null)
+        });
+
+        return true;
+    }
+
+    /**
+     * Enable or disable a layer's mask without losing it
+     * @param {string} layerId - Layer ID
+     * @returns {boolean} New enabled state
+     */
+    toggleMask(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.mask || !this._ensureUnlocked(layer)) {
+            return false;
+        }
+
+        const mask = layer.mask;
+        const applyEnabled = (enabled) => {
+            mask.enabled = enabled;
+            this._applyLayerState(layer);
+            layer.konvaLayer.batchDraw();
+            this._notifyChange();
+        };
+
+        applyEnabled(!mask.enabled);
+
+        const enabled = mask.enabled;
+        this._record({
+            label: `${enabled ? 'Enable' : 'Disable'} Mask of "${layer.name}"`,
+            icon: enabled ? 'fas fa-eye' : 'fas fa-eye-slash',
+            undo: () => applyEnabled(!enabled),
+            redo: () => applyEnabled(enabled)
+        });
+
+        return enabled;
+    }
+
+    /**
+     * Invert a layer's mask (hidden pixels become visible and the other way round)
+     * @param {string} layerId - Layer ID
+     * @returns {boolean} Success status
+     */
+    invertMask(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.mask || !this._ensureUnlocked(layer)) {
+            return false;
+        }
+
+        const mask = layer.mask;
+        const invert = () => {
+            const ctx = mask.canvas.getContext('2d');
+            ctx.save();
+            ctx.globalCompositeOperation = 'xor';
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, mask.canvas.width, mask.canvas.height);
+            ctx.restore();
+            layer.konvaLayer.batchDraw();
+            this.invalidateThumbnail(layer.id);
+            this._notifyChange();
+        };
+
+        invert();
+
+        this._record({
+            label: `Invert Mask of "${layer.name}"`,
+            icon: 'fas fa-adjust',
+            undo: invert,
+            redo: invert
+        });
+
+        return true;
+    }
+
+    /**
+     * Start a brush stroke on a layer's mask (the stroke is recorded by endMaskStroke)
+     * @param {string} layerId - Layer ID
+     * @returns {boolean} True if the mask can be painted
+     */
+    beginMaskStroke(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.mask || !this._ensureUnlocked(layer)) {
+            return false;
+        }
+
+        const before = document.createElement('canvas');
+        before.width = layer.mask.canvas.width;
+        before.height = layer.mask.canvas.height;
+        before.getContext('2d').drawImage(layer.mask.canvas, 0, 0);
+
+        this.maskStroke = { layer, mask: layer.mask, before };
+        return true;
+    }
+
+    /**
+     * Paint a segment of the current mask stroke
+     * @param {number[]} points - Flat [x1, y1, x2, y2, ...] in layer coordinates
+     * @param {number} size - Brush diameter in layer units
+     * @param {string} mode - 'hide' paints the mask, 'reveal' erases it
+     */
+    paintMaskStroke(points, size, mode = 'hide') {
+        if (!this.maskStroke) return;
+
+        const { layer, mask } = this.maskStroke;
+        const ratio = mask.canvas.width / mask.width;
+        const ctx = mask.canvas.getContext('2d');
+
+        ctx.save();
+        ctx.setTransform(ratio, 0, 0, ratio, -mask.x * ratio, -mask.y * ratio);
+        ctx.globalCompositeOperation = mode === 'reveal' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = ctx.fillStyle = '#000';
+        ctx.lineWidth = size;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        if (points.length < 4) {
+            ctx.beginPath();
+            ctx.arc(points[0], points[1], size / 2, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.beginPath();
+            ctx.moveTo(points[0], points[1]);
+            for (let i = 2; i < points.length; i += 2) {
+                ctx.lineTo(points[i], points[i + 1]);
+            }
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        layer.konvaLayer.batchDraw();
+    }
+
+    /**
+     * Finish the current mask stroke and record it as one step
+     * History keeps a compressed delta of the changed mask region
+     * @param {string} mode - 'hide' or 'reveal' (for the step label)
+     * @returns {Promise<void>}
+     */
+    async endMaskStroke(mode = 'hide') {
+        if (!this.maskStroke) return;
+
+        const { layer, mask, before } = this.maskStroke;
+        this.maskStroke = null;
+        this.invalidateThumbnail(layer.id);
+        this._notifyChange();
+
+        if (!this.history) return;
+
+        const label = mode === 'reveal' ? 'Reveal (Mask)' : 'Hide (Mask)';
+        const command = BitmapDelta.create(before, mask.canvas).then(delta => {
+            const apply = async (side) => {
+                const image = await delta.restore(mask.canvas, side);
+                const ctx = mask.canvas.getContext('2d');
+                ctx.clearRect(0, 0, mask.canvas.width, mask.canvas.height);
+                ctx.drawImage(image, 0, 0);
+                layer.konvaLayer.batchDraw();
+                this.invalidateThumbnail(layer.id);
+                this._notifyChange();
+            };
+
+            return {
+                label,
+                icon: 'fas fa-paint-brush',
+                bytes: delta.bytes,
+                undo: () => apply('before'),
+                redo: () => apply('after')
+            };
+        });
+
+        // Recorded now so the stroke stays in order with the edits made while its delta is encoded
+        await this.history.pushPending(command, label, 'fas fa-paint-brush');
+    }
+
+    /**
+     * Whether a layer has a mask
+     * @param {string} layerId - Layer ID
+     * @returns {boolean}
+     */
+    hasMask(layerId) {
+        const layer = this.getLayer(layerId);
+        return !!(layer && layer.mask);
+    }
+
+    /**
+     * Keep every mask above its layer's content (call after nodes were added to a layer)
+     */
+    raiseMasks() {
+        this.layers.forEach(layer => {
+            if (layer.mask && layer.mask.shape.getParent()) {
+                layer.mask.shape.moveToTop();
+            }
+        });
+    }
+
+    /**
+     * Add an adjustment layer above the active layer
+     * It changes the look of everything beneath it and can be hidden, reordered, masked
+     * and faded with its opacity like any other layer
+     * @param {string} type - Adjustment type (one of Adjustments.types)
+     * @param {object|null} settings - Adjustment settings (neutral settings by default)
+     * @param {string|null} name - Layer name (the adjustment's label by default)
+     * @returns {object|null} Created layer object or null if the memory limit is reached
+     */
+    addAdjustmentLayer(type, settings = null, name = null) {
+        const definition = Adjustments.getType(type);
+        if (!definition) {
+            console.warn('Unknown adjustment type:', type);
+            return null;
+        }
+
+        const layer = this.addLayer(name || definition.label, {
+            type: 'adjustment',
+            adjustment: {
+                type,
+                settings: settings ? Adjustments.cloneSettings(settings) : Adjustments.getDefaults(type)
+            },
+            label: `Add ${definition.label} Adjustment`,
+            icon: definition.icon
+        });
+
+        if (layer) {
+            console.log(`✅ [LAYER MANAGER] Added ${definition.label} adjustment layer`);
+        }
+        return layer;
+    }
+
+    /**
+     * Get the adjustment of an adjustment layer (e.g. to save it with a project)
+     * @param {string} layerId - Layer ID
+     * @returns {object|null} Copy of { type, settings }, or null for other layers
+     */
+    getAdjustment(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.adjustment) return null;
+
+        return {
+            type: layer.adjustment.type,
+            settings: Adjustments.cloneSettings(layer.adjustment.settings)
+        };
+    }
+
+    /**
+     * Show adjustment settings while a control is being dragged, without recording them
+     * (setAdjustment records the final value)
+     * @param {string} layerId - Layer ID
+     * @param {object} settings - Settings to preview
+     */
+    previewAdjustment(layerId, settings) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.adjustment || this._isLocked(layer)) return;
+
+        layer.adjustment.pending = settings;
+        this._scheduleAdjustmentRefresh();
+    }
+
+    /**
+     * Change the settings of an adjustment layer
+     * Consecutive changes to the same layer merge into one history step
+     * @param {string} layerId - Layer ID
+     * @param {object} settings - New settings
+     * @returns {boolean} Success status
+     */
+    setAdjustment(layerId, settings) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !layer.adjustment) {
+            console.warn('Not an adjustment layer:', layerId);
+            return false;
+        }
+
+        const adjustment = layer.adjustment;
+        if (!this._ensureUnlocked(layer)) {
+            adjustment.pending = null;
+            this._scheduleAdjustmentRefresh();
+            this._notifyChange();
+            return false;
+        }
+
+        const applySettings = (value) => {
+            adjustment.settings = value;
+            adjustment.pending = null;
+            this._scheduleAdjustmentRefresh();
+            this._notifyChange();
+        };
+
+        const before = adjustment.settings;
+        const after = Adjustments.cloneSettings(settings);
+        applySettings(after);
+
+        this._record({
+            label: `Adjust "${layer.name}"`,
+            icon: Adjustments.getType(adjustment.type).icon,
+            bytes: after.table ? after.table.length * 8 : 0,
+            mergeKey: `adjustment:${layerId}`,
+            undo: () => applySettings(before),
+            redo: () => applySettings(after)
+        });
+
+        return true;
+    }
+
+    /**
+     * Re-render every adjustment layer from what is currently shown beneath it
+     * This runs by itself after layers redraw; call it to update the view right away
+     */
+    refreshAdjustments() {
+        if (this.adjustmentFrame) {
+            cancelAnimationFrame(this.adjustmentFrame);
+            this.adjustmentFrame = null;
+        }
+
+        const shown = this.layers.filter(layer => this._isShown(layer));
+        const lastIndex = shown.map(layer => !!layer.adjustment).lastIndexOf(true);
+        if (lastIndex === -1) return;
+
+        // The layer canvases hold exactly what is on screen, so they are composited as they are
+        const first = shown[0].konvaLayer.getNativeCanvasElement();
+        const below = document.createElement('canvas');
+        below.width = first.width;
+        below.height = first.height;
+        const ctx = below.getContext('2d');
+        const frame = this._viewportFrame();
+
+        shown.slice(0, lastIndex + 1).forEach((layer, index) => {
+            const adjustment = layer.adjustment;
+            if (adjustment) {
+                adjustment.canvas = Adjustments.apply(below, {
+                    type: adjustment.type,
+                    settings: adjustment.pending || adjustment.settings
+                }, adjustment.canvas);
+                adjustment.frame = frame;
+                layer.konvaLayer.draw();
+            }
+
+            if (index < lastIndex) {
+                ctx.globalCompositeOperation = LayerManager.compositeOperation(layer.blendMode);
+                ctx.drawImage(layer.konvaLayer.getNativeCanvasElement(), 0, 0);
+            }
+        });
+    }
+
+    /**
+     * Generate thumbnail for a layer
+     * @param {string} layerId - Layer ID
+     * @returns {string|null} Data URL of thumbnail (null for adjustment layers, which have no content)
+     */
+    generateThumbnail(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer) {
+            console.warn('Layer not found:', layerId);
+            return null;
+        }
+
+        if (layer.adjustment) {
+            layer.thumbnail = null;
+            return null;
+        }
+
+        try {
+            // Generate low-res thumbnail for performance
+            const thumbnail = layer.konvaLayer.toDataURL({
+                pixelRatio: LayerManager.thumbnailScale, // Low resolution for performance
+                mimeType: 'image/jpeg',
+                quality: 0.6
+            });
+            
+            layer.thumbnail = thumbnail;
+            return thumbnail;
+        } catch (error) {
+            console.error('Error generating thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Generate thumbnail for a layer in the render worker, which draws it from the layer's bitmaps
+     * at thumbnail size; nothing is drawn when the layer has not changed since its last thumbnail
+     * Without the worker this is generateThumbnail
+     * @param {string} layerId - Layer ID
+     * @returns {Promise<string|null>} Data URL of thumbnail (null for adjustment layers and removed layers)
+     */
+    async generateThumbnailAsync(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || layer.adjustment) {
+            return this.generateThumbnail(layerId);
+        }
+
+        const version = layer.version;
+        if (layer.thumbnail && layer.thumbnailVersion === version) {
+            return layer.thumbnail;
+        }
+
+        if (!this.renderPipeline) {
+            layer.thumbnailVersion = version;
+            return this.generateThumbnail(layerId);
+        }
+
+        try {
+            // The same view of the layer as Konva's toCanvas({ pixelRatio }) in generateThumbnail
+            const scale = LayerManager.thumbnailScale;
+            const width = Math.max(1, Math.round(this.stage.width() * scale));
+            const height = Math.max(1, Math.round(this.stage.height() * scale));
+            const view = new Konva.Transform([scale, 0, 0, scale, 0, 0]).multiply(this.stage.getTransform());
+            const items = this._describeLayer(layer, view, () => layer.konvaLayer.toCanvas({ pixelRatio: scale }));
+
+            const thumbnail = await this.renderPipeline.thumbnail(items, width, height, 'image/jpeg', 0.6);
+            if (this.getLayer(layerId) !== layer) return null;
+
+            layer.thumbnail = thumbnail;
+            layer.thumbnailVersion = version;
+            return thumbnail;
+        } catch (error) {
+            console.warn('⚠️ [LAYER MANAGER] Render worker thumbnail failed, generating on the main thread:', error);
+            return this.getLayer(layerId) ? this.generateThumbnail(layerId) : null;
+        }
+    }
+
+    /**
+     * Whether a layer's thumbnail still shows its content (nothing to regenerate)
+     * @param {string} layerId - Layer ID
+     * @returns {boolean}
+     */
+    isThumbnailCurrent(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer || layer.adjustment) return true;
+        return !!layer.thumbnail && layer.thumbnailVersion === layer.version;
+    }
+
+    /**
+     * Mark a layer's thumbnail as outdated, e.g. after its mask canvas was painted in place
+     * (the layer panel regenerates it on its next update)
+     * @param {string} layerId - Layer ID
+     */
+    invalidateThumbnail(layerId) {
+        const layer = this.getLayer(layerId);
+        if (layer) {
+            layer.version++;
+        }
+    }
+
+    /**
+     * Describe a layer for the render worker: every bitmap on it (images, the mask) with the
+     * transform, opacity and composite operation Konva draws it with, mapped through view
+     * Layers holding anything the worker cannot draw from a bitmap (drawings, text, filtered or
+     * clipped content) are drawn by Konva instead and handed over as one bitmap. Cached nodes count
+     * as such: their filters only exist as Konva's cache canvas, which is not handed to the worker
+     * @private
+     * @param {object} layer - Layer object
+     * @param {Konva.Transform} view - Stage coordinates (stage transform excluded) to output pixels
+     * @param {Function} renderWithKonva - () => HTMLCanvasElement, Konva's render of the layer in output pixels
+     * @returns {object[]} Items { source, transform, alpha, operation, crop, width, height }
+     */
+    _describeLayer(layer, view, renderWithKonva) {
+        const maskShape = layer.mask ? layer.mask.shape : null;
+        const hasClip = (container) => typeof container.clipWidth() === 'number' || !!container.clipFunc();
+        const items = [];
+
+        const collect = (container) => container.getChildren().every(node => {
+            if (!node.visible()) return true;
+            if (node.isCached()) return false; // Filtered, drawn by Konva (see above)
+
+            if (node.getClassName() === 'Group') {
+                return !hasClip(node) && collect(node);
+            }
+
+            let source;
+            let crop = null;
+            if (node === maskShape) {
+                source = layer.mask.canvas;
+            } else if (node.getClassName() === 'Image' && node.image() &&
+                !node.hasFill() && !node.hasStroke() && !node.hasShadow() && !node.cornerRadius()) {
+                source = node.image();
+                if (node.cropWidth() && node.cropHeight()) {
+                    crop = node.crop();
+                }
+            } else {
+                return false;
+            }
+
+            items.push({
+                source,
+                transform: view.copy().multiply(node.getAbsoluteTransform(this.stage)).getMatrix(),
+                alpha: node.getAbsoluteOpacity(),
+                operation: node.globalCompositeOperation(),
+                crop,
+                width: node.width(),
+                height: node.height()
+            });
+            return true;
+        });
+
+        if (!hasClip(layer.konvaLayer) && collect(layer.konvaLayer)) {
+            return items;
+        }
+
+        const canvas = renderWithKonva();
+        return [{
+            source: canvas,
+            transform: [1, 0, 0, 1, 0, 0],
+            alpha: 1,
+            operation: 'source-over',
+            crop: null,
+            width: canvas.width,
+            height: canvas.height
+        }];
+    }
+
+    /**
+     * Generate unique layer ID
+     * @private
+     */
+    _generateLayerId() {
+        return `layer-${++this.layerIdCounter}`;
+    }
+
+    /**
+     * Generate unique group ID
+     * @private
+     */
+    _generateGroupId() {
+        return `group-${++this.groupIdCounter}`;
+    }
+
+    /**
+     * Create a layer object for a Konva layer
+     * @private
+     * @param {string} name - Layer name
+     * @param {Konva.Layer} konvaLayer - Konva layer
+     * @param {object} props - Overrides (visible, opacity, blendMode, type)
+     */
+    _createLayerObject(name, konvaLayer, props = {}) {
+        const layer = {
+            id: this._generateLayerId(),
+            name: name,
+            konvaLayer: konvaLayer,
+            visible: true,
+            locked: false,
+            opacity: 1,
+            blendMode: 'normal',
+            groupId: null,
+            mask: null, // { canvas, x, y, width, height, enabled, shape } - canvas alpha is how much is hidden
+            adjustment: null, // { type, settings, pending, canvas, frame, shape } on adjustment layers
+            thumbnail: null,
+            version: 0, // Bumped on every change to what the layer shows
+            thumbnailVersion: null, // Version the thumbnail was drawn from
+            type: 'image',
+            ...props
+        };
+
+        // Konva requests a redraw through batchDraw whenever a node's attributes change, nodes are
+        // added or removed, or the stage is zoomed or resized; in-place canvas edits call it too
+        const batchDraw = konvaLayer.batchDraw;
+        konvaLayer.batchDraw = function () {
+            layer.version++;
+            return batchDraw.call(this);
+        };
+
+        // Adjustment layers above follow whenever this layer's content is redrawn
+        konvaLayer.on('draw.adjustments', () => {
+            if (!layer.adjustment) {
+                this._scheduleAdjustmentRefresh();
+            }
+        });
+
+        return layer;
+    }
+
+    /**
+     * Visible part of the stage in layer coordinates
+     * @private
+     */
+    _viewportFrame() {
+        const scale = this.stage.scaleX();
+        return {
+            x: -this.stage.x() / scale,
+            y: -this.stage.y() / scale,
+            width: this.stage.width() / scale,
+            height: this.stage.height() / scale
+        };
+    }
+
+    /**
+     * Layer area a new mask covers, in layer coordinates: the layer's content,
+     * or the visible part of the stage for an empty layer
+     * @private
+     */
+    _maskFrame(layer) {
+        const rect = layer.konvaLayer.getClientRect({ relativeTo: this.stage, skipShadow: true });
+        if (rect.width >= 1 && rect.height >= 1) {
+            return { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        }
+
+        return this._viewportFrame();
+    }
+
+    /**
+     * Mask pixels per layer unit - the resolution of the layer's largest bitmap (1x-4x)
+     * @private
+     */
+    _maskResolution(layer) {
+        const ratios = layer.konvaLayer.find('Image').map(node => {
+            const image = node.image();
+            const displayedWidth = node.width() * Math.abs(node.scaleX());
+            return image && displayedWidth ? (image.naturalWidth || image.width) / displayedWidth : 1;
+        });
+        return Math.min(Math.max(1, ...ratios), 4);
+    }
+
+    /**
+     * Create the node that shows a mask: it draws the mask canvas over the layer's content with
+     * destination-out, so hidden pixels are cut out of the layer canvas (and of merges and exports)
+     * @private
+     */
+    _createMaskShape(mask) {
+        return new Konva.Shape({
+            name: 'layerMask',
+            x: mask.x,
+            y: mask.y,
+            width: mask.width,
+            height: mask.height,
+            listening: false,
+            globalCompositeOperation: 'destination-out',
+            sceneFunc: (context, shape) => {
+                context.drawImage(mask.canvas, 0, 0, shape.width(), shape.height());
+            }
+        });
+    }
+
+    /**
+     * Attach a mask to a layer (or remove it with null)
+     * @private
+     */
+    _setMask(layer, mask) {
+        if (layer.mask && layer.mask !== mask) {
+            layer.mask.shape.remove();
+        }
+
+        layer.mask = mask;
+        if (mask && mask.shape.getParent() !== layer.konvaLayer) {
+            layer.konvaLayer.add(mask.shape);
+        }
+
+        this._applyLayerState(layer);
+        layer.konvaLayer.batchDraw();
+        this.invalidateThumbnail(layer.id);
+    }
+
+    /**
+     * Copy a mask for a duplicated layer
+     * @private
+     */
+    _copyMask(mask) {
+        const canvas = document.createElement('canvas');
+        canvas.width = mask.canvas.width;
+        canvas.height = mask.canvas.height;
+        canvas.getContext('2d').drawImage(mask.canvas, 0, 0);
+
+        const copy = { ...mask, canvas, shape: null };
+        copy.shape = this._createMaskShape(copy);
+        return copy;
+    }
+
+    /**
+     * Turn a layer into an adjustment layer
+     * Its only node draws the adjusted pixels of everything beneath it, as last rendered by
+     * refreshAdjustments for the visible part of the stage
+     * @private
+     * @param {object} layer - Layer object
+     * @param {object} adjustment - { type, settings }
+     */
+    _attachAdjustment(layer, { type, settings }) {
+        const adjustment = { type, settings, pending: null, canvas: null, frame: null, shape: null };
+
+        adjustment.shape = new Konva.Shape({
+            name: 'adjustmentResult',
+            listening: false,
+            sceneFunc: (context) => {
+                if (adjustment.canvas && adjustment.frame) {
+                    const { x, y, width, height } = adjustment.frame;
+                    context.drawImage(adjustment.canvas, x, y, width, height);
+                }
+            }
+        });
+
+        layer.adjustment = adjustment;
+        layer.konvaLayer.add(adjustment.shape);
+    }
+
+    /**
+     * Re-render adjustment layers on the next animation frame (changes in one frame are combined)
+     * @private
+     */
+    _scheduleAdjustmentRefresh() {
+        if (this.adjustmentFrame || !this.layers.some(layer => layer.adjustment)) return;
+
+        this.adjustmentFrame = requestAnimationFrame(() => {
+            this.adjustmentFrame = null;
+            this.refreshAdjustments();
+        });
+    }
+
+    /**
+     * Apply an adjustment layer to the pixels composited beneath it, cut out by its mask
+     * @private
+     * @param {object} layer - Adjustment layer object
+     * @param {HTMLCanvasElement} below - Composite of the layers beneath
+     * @param {object} [area] - Stage area the composite covers ({ x, y, pixelRatio })
+     * @returns {HTMLCanvasElement} Adjusted pixels
+     */
+    _renderAdjustment(layer, below, area = { x: 0, y: 0, pixelRatio: 1 }) {
+        const result = Adjustments.apply(below, layer.adjustment);
+
+        const mask = layer.mask;
+        if (mask && mask.enabled) {
+            const matrix = this.stage.getAbsoluteTransform().getMatrix();
+            const ctx = result.getContext('2d');
+            ctx.save();
+            ctx.setTransform(area.pixelRatio, 0, 0, area.pixelRatio, -area.x * area.pixelRatio, -area.y * area.pixelRatio);
+            ctx.transform(matrix[0], matrix[1], matrix[2], matrix[3], matrix[4], matrix[5]);
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.drawImage(mask.canvas, mask.x, mask.y, mask.width, mask.height);
+            ctx.restore();
+        }
+
+        return result;
+    }
+
+    /**
+     * Insert a new layer object directly above another layer, in the same group
+     * @private
+     * @param {object} layer - New layer object (its Konva layer already on the stage)
+     * @param {object|null} reference - Layer to insert above (null puts it on top)
+     */
+    _insertAbove(layer, reference) {
+        if (reference && this.layers.includes(reference)) {
+            this.layers.splice(this.layers.indexOf(reference) + 1, 0, layer);
+            layer.groupId = reference.groupId;
+        } else {
+            this.layers.push(layer);
+        }
+
+        this._syncStageOrder();
+        this._applyLayerState(layer);
+    }
+
+    /**
+     * Whether a layer is shown, taking its group into account
+     * @private
+     */
+    _isShown(layer) {
+        const group = this.getGroup(layer.groupId);
+        return layer.visible && (!group || group.visible);
+    }
+
+    /**
+     * Whether a layer is locked, itself or through its group
+     * @private
+     */
+    _isLocked(layer) {
+        const group = this.getGroup(layer.groupId);
+        return layer.locked || !!(group && group.locked);
+    }
+
+    /**
+     * Log and refuse an edit to a locked layer
+     * @private
+     * @returns {boolean} True if the layer can be edited
+     */
+    _ensureUnlocked(layer) {
+        if (this._isLocked(layer)) {
+            console.warn(`🔒 [LAYER MANAGER] "${layer.name}" is locked`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Push a layer object's state to its Konva layer
+     * Blend modes are shown with CSS mix-blend-mode on the layer canvas (the same modes as the
+     * canvas globalCompositeOperation used when layers are composited for merges and exports)
+     * @private
+     */
+    _applyLayerState(layer) {
+        const konvaLayer = layer.konvaLayer;
+        konvaLayer.visible(this._isShown(layer));
+        konvaLayer.opacity(layer.opacity);
+
+        // Locked layers ignore clicks, drags and transforms
+        konvaLayer.listening(!this._isLocked(layer));
+
+        const canvas = konvaLayer.getNativeCanvasElement();
+        if (canvas) {
+            canvas.style.mixBlendMode = layer.blendMode;
+        }
+
+        // The mask cuts out whatever is below it in the layer, so it stays on top
+        if (layer.mask) {
+            layer.mask.shape.visible(layer.mask.enabled);
+            layer.mask.shape.moveToTop();
+        }
+
+        // Visibility, opacity and blend mode change what adjustment layers above see
+        this._scheduleAdjustmentRefresh();
+    }
+
+    /**
+     * Move a layer one step up (1) or down (-1), entering or leaving groups at their edges
+     * @private
+     */
+    _stepLayer(layer, direction) {
+        const index = this.layers.indexOf(layer);
+        const neighbor = this.layers[index + direction];
+
+        if (layer.groupId && (!neighbor || neighbor.groupId !== layer.groupId)) {
+            // Leave the group, staying in place
+            layer.groupId = null;
+        } else if (!neighbor) {
+            return; // Already at top/bottom
+        } else if (neighbor.groupId !== layer.groupId) {
+            // Enter the neighbouring group, staying in place
+            layer.groupId = neighbor.groupId;
+        } else {
+            this.layers[index] = neighbor;
+            this.layers[index + direction] = layer;
+        }
+    }
+
+    /**
+     * Capture the stack order, group membership and group list
+     * @private
+     */
+    _snapshotStructure() {
+        return {
+            layers: this.layers.slice(),
+            groupIds: this.layers.map(layer => layer.groupId),
+            groups: this.groups.slice()
+        };
+    }
+
+    /**
+     * Restore a structure captured by _snapshotStructure
+     * @private
+     */
+    _applyStructure(state) {
+        this.layers = state.layers.slice();
+        this.layers.forEach((layer, index) => {
+            layer.groupId = state.groupIds[index];
+        });
+        this.groups = state.groups.slice();
+
+        this._syncStageOrder();
+        this.layers.forEach(layer => this._applyLayerState(layer));
+        this.stage.batchDraw();
+    }
+
+    /**
+     * Run a change to the stack order or groups and record it as one step
+     * @private
+     * @param {string} label - Step label
+     * @param {string} icon - Step icon
+     * @param {Function} change - Mutates this.layers, layer groupIds and/or this.groups
+     * @returns {boolean} True if anything changed
+     */
+    _restructure(label, icon, change) {
+        const before = this._snapshotStructure();
+        change();
+        const after = this._snapshotStructure();
+
+        const changed = before.groups.length !== after.groups.length ||
+            before.layers.some((layer, index) => layer !== after.layers[index]) ||
+            before.groupIds.some((groupId, index) => groupId !== after.groupIds[index]);
+        if (!changed) return false;
+
+        this._applyStructure(after);
+
+        this._record({
+            label,
+            icon,
+            undo: () => {
+                this._applyStructure(before);
+                this._notifyChange();
+            },
+            redo: () => {
+                this._applyStructure(after);
+                this._notifyChange();
+            }
+        });
+
+        this._notifyChange();
+        return true;
+    }
+
+    /**
+     * Reorder the Konva layers on the stage to match this.layers
+     * The editor's own layers (drawings and transformer, crop overlay) stay above all image layers
+     * @private
+     */
+    _syncStageOrder() {
+        const managed = this.layers.map(layer => layer.konvaLayer);
+        const editorLayers = this.stage.getChildren().filter(child => !managed.includes(child));
+
+        [...managed, ...editorLayers].forEach((konvaLayer, index) => konvaLayer.zIndex(index));
+    }
+
+    /**
+     * Memory held by one layer's canvases: a scene canvas at device pixel ratio and a 1x hit canvas
+     * @private
+     */
+    _layerCanvasBytes() {
+        const ratio = Konva.pixelRatio || 1;
+        return this.stage.width() * this.stage.height() * 4 * (ratio * ratio + 1);
+    }
+
+
+    /**
+     * Notify UI of changes
+     * @private
+     */
+    _notifyChange() {
+        if (this.onLayerChange && typeof this.onLayerChange === 'function') {
+            this.onLayerChange();
+        }
+    }
+
+    /**
+     * Record a command in the history
+     * Without a history the change is final, so detached nodes are released right away
+     * @private
+     */
+    _record(command) {
+        if (this.history) {
+            this.history.push(command);
+        } else if (command.dispose) {
+            command.dispose('before');
+        }
+    }
+
+    /**
+     * Run work as a single history step
+     * @private
+     */
+    _group(label, work, icon = null) {
+        return this.history ? this.history.group(label, work, icon) : work();
+    }
+
+    /**
+     * Remove a layer from the stage and the layer list without destroying it
+     * @private
+     */
+    _detachLayer(layer) {
+        const index = this.layers.indexOf(layer);
+        if (index === -1) return;
+
+        layer.konvaLayer.remove();
+        this.layers.splice(index, 1);
+        this._scheduleAdjustmentRefresh();
+
+        // If detached layer was active, select previous layer, or next if first was removed
+        if (this.activeLayerId === layer.id) {
+            this.activeLayerId = this.layers[Math.max(0, index - 1)].id;
+        }
+    }
+
+    /**
+     * Put a detached layer back at its previous position
+     * @private
+     */
+    _attachLayer(layer, arrayIndex) {
+        this.stage.add(layer.konvaLayer);
+        this.layers.splice(Math.min(arrayIndex, this.layers.length), 0, layer);
+        this._syncStageOrder();
+        this.activeLayerId = layer.id;
+    }
+
+    /**
+     * Command for a layer that was added or removed
+     * @private
+     * @param {string} label - Step label
+     * @param {object} layer - Layer object
+     * @param {object} options - { added, arrayIndex, previousActiveId, icon }
+     */
+    _layerPresenceCommand(label, layer, options) {
+        const {
+            added,
+            arrayIndex = this.layers.indexOf(layer),
+            previousActiveId = null
+        } = options;
+
+        const attach = () => this._attachLayer(layer, arrayIndex);
+        const detach = () => {
+            this._detachLayer(layer);
+            if (previousActiveId && this.getLayer(previousActiveId)) {
+                this.activeLayerId = previousActiveId;
+            }
+        };
+        const apply = (fn) => {
+            fn();
+            this.stage.batchDraw();
+            this._notifyChange();
+        };
+
+        return {
+            label,
+            icon: options.icon || (added ? 'fas fa-plus' : 'fas fa-trash'),
+            bytes: HistoryManager.estimateNodeBytes(layer.konvaLayer),
+            undo: () => apply(added ? detach : attach),
+            redo: () => apply(added ? attach : detach),
+            dispose: (side) => {
+                // A layer that is not in the list in the discarded state can never come back
+                const ownsLayer = added ? side === 'after' : side === 'before';
+                if (ownsLayer && !this.layers.includes(layer)) {
+                    layer.konvaLayer.destroy();
+                }
+            }
+        };
+    }
+
+    /**
+     * Replace a layer's content and properties, recording the change
+     * The previous children are kept (detached) for undo
+     * @private
+     * @param {string} label - Step label
+     * @param {object} layer - Layer object
+     * @param {Konva.Node[]} children - New children
+     * @param {object} props - Layer properties to set { name, opacity, visible, blendMode, mask, type, adjustment }
+     */
+    _replaceLayerContent(label, layer, children, props = {}) {
+        const snapshot = () => ({
+            children: layer.konvaLayer.getChildren().slice(),
+            name: layer.name,
+            opacity: layer.opacity,
+            visible: layer.visible,
+            blendMode: layer.blendMode,
+            mask: layer.mask,
+            type: layer.type,
+            adjustment: layer.adjustment
+        });
+        const apply = (state) => {
+            layer.konvaLayer.removeChildren();
+            state.children.forEach(child => layer.konvaLayer.add(child));
+            layer.name = state.name;
+            layer.opacity = state.opacity;
+            layer.visible = state.visible;
+            layer.blendMode = state.blendMode;
+            layer.mask = state.mask;
+            layer.type = state.type;
+            layer.adjustment = state.adjustment;
+            this._applyLayerState(layer);
+            layer.konvaLayer.batchDraw();
+        };
+
+        const before = snapshot();
+        const after = { ...before, ...props, children };
+        apply(after);
+
+        this._record({
+            label,
+            icon: 'fas fa-layer-group',
+            bytes: children.reduce((sum, child) => sum + HistoryManager.estimateNodeBytes(child), 0),
+            undo: () => {
+                apply(before);
+                this._notifyChange();
+            },
+            redo: () => {
+                apply(after);
+                this._notifyChange();
+            },
+            dispose: (side) => {
+                const discarded = side === 'before' ? before : after;
+                discarded.children.forEach(child => {
+                    if (!child.getParent()) child.destroy();
+                });
+            }
+        });
+    }
+
+    /**
+     * Render layers into one canvas in layer coordinates (independent of the current zoom)
+     * @private
+     * @param {object[]} layers - Layer objects, bottom first
+     * @returns {HTMLCanvasElement} Composited canvas
+     */
+    _renderLayers(layers) {
+        const view = { scale: this.stage.scale(), position: this.stage.position() };
+        this.stage.scale({ x: 1, y: 1 });
+        this.stage.position({ x: 0, y: 0 });
+
+        try {
+            return this._composite(layers.map(layer => ({ konvaLayer: layer.konvaLayer, blendMode: layer.blendMode, layer })));
+        } finally {
+            this.stage.scale(view.scale);
+            this.stage.position(view.position);
+        }
+    }
+
+    /**
+     * Render layers like _renderLayers, with the drawing and blending done in the render worker
+     * The layers' bitmaps go to the worker as they are (see _describeLayer); stacks with adjustment
+     * layers, which need the pixels drawn so far, and browsers without the worker use _renderLayers
+     * @private
+     * @param {object[]} layers - Layer objects, bottom first
+     * @returns {Promise<ImageBitmap|HTMLCanvasElement>} Composited image
+     */
+    async _renderLayersAsync(layers) {
+        if (!this.renderPipeline || layers.some(layer => layer.adjustment)) {
+            return this._renderLayers(layers);
+        }
+
+        const width = this.stage.width();
+        const height = this.stage.height();
+
+        // Layers the worker cannot draw are rendered by Konva in layer coordinates, like _renderLayers
+        const renderWithKonva = (layer) => () => {
+            const view = { scale: this.stage.scale(), position: this.stage.position() };
+            this.stage.scale({ x: 1, y: 1 });
+            this.stage.position({ x: 0, y: 0 });
+
+            try {
+                return layer.konvaLayer.toCanvas({ x: 0, y: 0, width, height, pixelRatio: 1 });
+            } finally {
+                this.stage.scale(view.scale);
+                this.stage.position(view.position);
+            }
+        };
+
+        const entries = layers.map(layer => ({
+            items: this._describeLayer(layer, new Konva.Transform(), renderWithKonva(layer)),
+            blendMode: LayerManager.compositeOperation(layer.blendMode)
+        }));
+
+        try {
+            return await this.renderPipeline.composite(entries, width, height);
+        } catch (error) {
+            console.warn('⚠️ [LAYER MANAGER] Render worker composite failed, rendering on the main thread:', error);
+            return this._renderLayers(layers);
+        }
+    }
+
+    /**
+     * Check that the stack still holds the same layers in the same order
+     * (it can change while a merge is being composited in the worker)
+     * @private
+     * @param {object[]} stack - Earlier copy of this.layers
+     * @returns {boolean} True if nothing was added, removed or moved
+     */
+    _isSameStack(stack) {
+        return stack.length === this.layers.length && stack.every((layer, i) => this.layers[i] === layer);
+    }
+
+    /**
+     * Render everything on the stage as it is shown (current zoom, drawings included), with blend modes
+     * Konva's own stage export draws every layer with source-over, so editor exports use this instead
+     * @param {object} [area] - Area in layer coordinates ({ x, y, width, height, pixelRatio }) to render
+     *   independent of the current zoom; omitted, the visible stage is rendered
+     * @returns {HTMLCanvasElement} Composited canvas
+     */
+    renderStage(area = null) {
+        const entries = this.stage.getChildren()
+            .filter(konvaLayer => konvaLayer.isVisible())
+            .map(konvaLayer => {
+                const layer = this.layers.find(l => l.konvaLayer === konvaLayer);
+                return { konvaLayer, blendMode: layer ? layer.blendMode : 'normal', layer };
+            });
+
+        if (!area) {
+            return this._composite(entries);
+        }
+
+        const view = { scale: this.stage.scale(), position: this.stage.position() };
+        this.stage.scale({ x: 1, y: 1 });
+        this.stage.position({ x: 0, y: 0 });
+
+        try {
+            return this._composite(entries, area);
+        } finally {
+            this.stage.scale(view.scale);
+            this.stage.position(view.position);
+        }
+    }
+
+    /**
+     * Draw Konva layers onto one canvas, bottom first, each with its blend mode
+     * Adjustment layers are applied to everything drawn so far instead of being drawn themselves
+     * @private
+     * @param {object[]} entries - { konvaLayer, blendMode, layer } (layer is the layer object, if managed)
+     * @param {object} [area] - Stage area to draw ({ x, y, width, height, pixelRatio }), the whole stage by default
+     * @returns {HTMLCanvasElement} Composited canvas
+     */
+    _composite(entries, area = null) {
+        const region = area || { x: 0, y: 0, width: this.stage.width(), height: this.stage.height(), pixelRatio: 1 };
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(region.width * region.pixelRatio));
+        canvas.height = Math.max(1, Math.round(region.height * region.pixelRatio));
+        const ctx = canvas.getContext('2d');
+
+        entries.forEach(({ konvaLayer, blendMode, layer }) => {
+            const adjustment = layer && layer.adjustment;
+            const image = adjustment
+                ? this._renderAdjustment(layer, canvas, region)
+                : konvaLayer.toCanvas({ x: region.x, y: region.y, width: region.width, height: region.height, pixelRatio: region.pixelRatio });
+
+            // Layer canvases already include their opacity; adjusted pixels get it here
+            ctx.globalAlpha = adjustment ? layer.opacity : 1;
+            ctx.globalCompositeOperation = LayerManager.compositeOperation(blendMode);
+            ctx.drawImage(image, 0, 0);
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Estimate the memory used by the layer stack: every layer's canvases plus the bitmaps,
+     * masks and adjustment previews on them (bitmaps shared by duplicated layers are counted once)
+     * @returns {number} Bytes
+     */
+    getMemoryUsage() {
+        const images = new Set();
+        this.layers.forEach(layer => {
+            layer.konvaLayer.find('Image').forEach(node => {
+                if (node.image()) images.add(node.image());
+            });
+            if (layer.mask) images.add(layer.mask.canvas);
+            if (layer.adjustment && layer.adjustment.canvas) images.add(layer.adjustment.canvas);
+        });
+
+        let bitmapBytes = 0;
+        images.forEach(image => {
+            bitmapBytes += (image.naturalWidth || image.width) * (image.naturalHeight || image.height) * 4;
+        });
+
+        return this.layers.length * this._layerCanvasBytes() + bitmapBytes;
+    }
+
+    /**
+     * Format a memory size for logs and the layer panel
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. "148 MB"
+     */
+    formatBytes(bytes) {
+        return `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+
+    /**
+     * Check if another layer would exceed the memory budget
+     * @returns {boolean}
+     */
+    isAtLayerLimit() {
+        return this.getMemoryUsage() + this._layerCanvasBytes() > this.maxMemoryBytes;
+    }
+
+    /**
+     * Update thumbnail for active layer (useful after AI operations)
+     * Call this after AI operations modify the canvas
+     */
+    updateActiveLayerThumbnail() {
+        if (!this.activeLayerId) {
+            console.warn('No active layer to update thumbnail');
+            return;
+        }
+
+        const layer = this.getLayer(this.activeLayerId);
+        if (layer) {
+            this.invalidateThumbnail(this.activeLayerId);
+            this._notifyChange();
+            console.log('✅ [LAYER MANAGER] Active layer thumbnail updated');
+        }
+    }
+
+    /**
+     * Update thumbnail for a specific layer
+     * @param {string} layerId - ID of the layer to update
+     */
+    updateLayerThumbnail(layerId) {
+        const layer = this.getLayer(layerId);
+        if (layer) {
+            this.invalidateThumbnail(layerId);
+            this._notifyChange();
+            console.log('✅ [LAYER MANAGER] Layer thumbnail updated:', layerId);
+        } else {
+            console.warn('Layer not found for thumbnail update:', layerId);
+        }
+    }
+
+    /**
+     * Merge active layer down with the layer below it
+     * The merged bitmap keeps the look of both layers, so the result gets full opacity
+     * @returns {Promise<boolean>} Success status
+     */
+    async mergeDown() {
+        if (this.merging) {
+            console.warn('Cannot merge: another merge is still being rendered');
+            return false;
+        }
+
+        if (this.layers.length < 2) {
+            console.warn('Cannot merge: need at least 2 layers');
+            return false;
+        }
+
+        const activeIndex = this.layers.findIndex(l => l.id === this.activeLayerId);
+        if (activeIndex === -1 || activeIndex === 0) {
+            console.warn('Cannot merge down: active layer is at bottom or not found');
+            return false;
+        }
+
+        const activeLayer = this.layers[activeIndex];
+        const belowLayer = this.layers[activeIndex - 1];
+
+        if (!this._ensureUnlocked(activeLayer) || !this._ensureUnlocked(belowLayer)) {
+            return false;
+        }
+
+        // An adjustment layer has no pixels to merge into (merging one down bakes it into the layer below)
+        if (belowLayer.adjustment) {
+            console.warn(`Cannot merge into adjustment layer "${belowLayer.name}"`);
+            return false;
+        }
+
+        console.log(`🔀 [LAYER MANAGER] Merging "${activeLayer.name}" down into "${belowLayer.name}"`);
+
+        const stack = [...this.layers];
+        this.merging = true;
+
+        try {
+            const image = await this._renderLayersAsync([belowLayer, activeLayer]);
+
+            if (!this._isSameStack(stack) || !this._ensureUnlocked(activeLayer) || !this._ensureUnlocked(belowLayer)) {
+                console.warn('Merge cancelled: the layers changed while they were being merged');
+                return false;
+            }
+
+            this._group(`Merge "${activeLayer.name}" Down`, () => {
+                const merged = new Konva.Image({
+                    image,
+                    draggable: true,
+                    name: 'layerImage'
+                });
+
+                // Masks of both layers are baked into the merged bitmap
+                this._replaceLayerContent('Merge', belowLayer, [merged], { opacity: 1, mask: null });
+                this.deleteLayer(activeLayer.id);
+                this.setActiveLayer(belowLayer.id);
+            }, 'fas fa-compress-arrows-alt');
+
+            this.invalidateThumbnail(belowLayer.id);
+
+            console.log('✅ [LAYER MANAGER] Layers merged successfully');
+            return true;
+
+        } catch (error) {
+            console.error('❌ [LAYER MANAGER] Failed to merge layers:', error);
+            return false;
+        } finally {
+            this.merging = false;
+        }
+    }
+
+    /**
+     * Flatten all visible layers into a single layer
+     * @returns {Promise<boolean>} Success status
+     */
+    async flattenAll() {
+        if (this.merging) {
+            console.warn('Cannot flatten: a merge is still being rendered');
+            return false;
+        }
+
+        if (this.layers.length === 1) {
+            console.warn('Only one layer exists, nothing to flatten');
+            return false;
+        }
+
+        if (!this.layers.every(layer => this._ensureUnlocked(layer))) {
+            return false;
+        }
+
+        console.log('🔀 [LAYER MANAGER] Flattening all visible layers...');
+
+        const stack = [...this.layers];
+        this.merging = true;
+
+        try {
             const firstLayer = this.layers[0];
+            const image = await this._renderLayersAsync(this.layers.filter(layer => this._isShown(layer)));
 
-            // Destroy all other layers
-            for (let i = this.layers.length - 1; i > 0; i--) {
-                this.layers[i].konvaLayer.destroy();
+            if (!this._isSameStack(stack) || !this.layers.every(layer => this._ensureUnlocked(layer))) {
+                console.warn('Flatten cancelled: the layers changed while they were being flattened');
+                return false;
             }
 
-            // Clear layers array, keep only first
-            this.layers = [firstLayer];
+            this._group('Flatten Layers', () => {
+                const flattened = new Konva.Image({
+                    image,
+                    draggable: true,
+                    name: 'layerImage'
+                });
 
-            // Clear first layer and add flattened image
-            firstLayer.konvaLayer.destroyChildren();
-            firstLayer.name = 'Flattened';
-            firstLayer.opacity = 1;
-            firstLayer.visible = true;
+                // Remove all other layers, top first
+                for (let i = this.layers.length - 1; i > 0; i--) {
+                    this.deleteLayer(this.layers[i].id);
+                }
 
-            Konva.Image.fromURL(flattenedDataURL, (image) => {
-                firstLayer.konvaLayer.add(image);
-                firstLayer.konvaLayer.batchDraw();
+                this._replaceLayerContent('Flatten', firstLayer, [flattened], {
+                    name: 'Flattened',
+                    opacity: 1,
+                    visible: true,
+                    blendMode: 'normal',
+                    mask: null,
+                    type: 'image',
+                    adjustment: null
+                });
 
-                // Update thumbnail
-                firstLayer.thumbnail = this.generateThumbnail(firstLayer.id);
+                // The single remaining layer leaves its group and the groups go away
+                this._restructure('Remove Groups', 'fas fa-object-ungroup', () => {
+                    firstLayer.groupId = null;
+                    this.groups = [];
+                });
 
-                // Set as active
                 this.setActiveLayer(firstLayer.id);
+            }, 'fas fa-layer-group');
 
-                console.log('✅ [LAYER MANAGER] All layers flattened successfully');
-            });
+            this.invalidateThumbnail(firstLayer.id);
 
+            console.log('✅ [LAYER MANAGER] All layers flattened successfully');
             return true;
 
         } catch (error) {
             console.error('❌ [LAYER MANAGER] Failed to flatten layers:', error);
             return false;
+        } finally {
+            this.merging = false;
         }
     }
 }
 
+/**
+ * Layer blend modes - the values are both CSS mix-blend-mode values (on-screen preview) and
+ * canvas globalCompositeOperation values (merge, flatten, export), except 'normal' (source-over)
+ */
+LayerManager.blendModes = [
+    { value: 'normal', label: 'Normal' },
+    { value: 'multiply', label: 'Multiply' },
+    { value: 'screen', label: 'Screen' },
+    { value: 'overlay', label: 'Overlay' },
+    { value: 'darken', label: 'Darken' },
+    { value: 'lighten', label: 'Lighten' },
+    { value: 'color-dodge', label: 'Color Dodge' },
+    { value: 'color-burn', label: 'Color Burn' },
+    { value: 'hard-light', label: 'Hard Light' },
+    { value: 'soft-light', label: 'Soft Light' },
+    { value: 'difference', label: 'Difference' },
+    { value: 'exclusion', label: 'Exclusion' },
+    { value: 'hue', label: 'Hue' },
+    { value: 'saturation', label: 'Saturation' },
+    { value: 'color', label: 'Color' },
+    { value: 'luminosity', label: 'Luminosity' }
+];
+
+/**
+ * Map a blend mode to the canvas globalCompositeOperation that draws it
+ * @param {string} blendMode - Blend mode value
+ * @returns {string} Composite operation
+ */
+LayerManager.thumbnailScale = 0.1; // Thumbnail pixels per stage pixel
+
+LayerManager.compositeOperation = (blendMode) => {
+    return !blendMode || blendMode === 'normal' ? 'source-over' : blendMode;
+};
@@ -1,6 +1,8 @@
 /**
  * LayerPanelUI - Renders and manages the layer panel interface
  * Handles user interactions and updates the visual state
+ * Rows (layers and group headers) can be dragged to reorder the stack
+ * The active adjustment layer shows its settings through AdjustmentControlsUI
  */
 
 class LayerPanelUI {
@@ -19,6 +21,14 @@ class LayerPanelUI {
 
         // Debounce thumbnail updates
         this.thumbnailUpdateTimeout = null;
+        this.thumbnailRun = 0; // Increases with every update so an older, slower one stops
+
+        // Row being dragged: { type: 'layer'|'group', id }
+        this.dragItem = null;
+
+        // Adjustment layer settings and the "add adjustment" menu
+        this.adjustmentControls = new AdjustmentControlsUI(layerManager);
+        this.adjustmentMenuOpen = false;
 
         // Initialize
         this.render();
@@ -37,14 +47,28 @@ class LayerPanelUI {
         // Create header
         const header = this._createHeader();
         this.container.appendChild(header);
+
+        if (this.adjustmentMenuOpen) {
+            this.container.appendChild(this._createAdjustmentMenu());
+        }
         
         // Create layer list
         const layerList = document.createElement('div');
         layerList.className = 'layer-list';
         
         // Render layers in reverse order (top layer first visually)
+        // A group's header comes right before its members, which are skipped while it is collapsed
+        const renderedGroups = new Set();
         const reversedLayers = [...layers].reverse();
         reversedLayers.forEach(layer => {
+            const group = this.layerManager.getGroup(layer.groupId);
+            if (group && !renderedGroups.has(group.id)) {
+                renderedGroups.add(group.id);
+                layerList.appendChild(this._createGroupItem(group));
+            }
+
+            if (group && group.collapsed) return;
+
             const layerItem = this._createLayerItem(layer, layer.id === activeLayer?.id);
             layerList.appendChild(layerItem);
         });
@@ -76,26 +100,69 @@ class LayerPanelUI {
         addButton.title = 'Add blank layer (use Upload Image button to add image layers)';
         addButton.onclick = () => this._handleAddLayer();
 
+        const adjustmentButton = document.createElement('button');
+        adjustmentButton.className = 'layer-add-btn' + (this.adjustmentMenuOpen ? ' active' : '');
+        adjustmentButton.innerHTML = '<i class="fas fa-sliders-h"></i>';
+        adjustmentButton.title = 'Add adjustment layer (levels, curves, hue/saturation, color balance, LUT)';
+        adjustmentButton.onclick = () => {
+            this.adjustmentMenuOpen = !this.adjustmentMenuOpen;
+            this.render();
+        };
+
+        // Estimated memory of the layer stack against its budget
+        const used = this.layerManager.formatBytes(this.layerManager.getMemoryUsage());
+        const budget = this.layerManager.formatBytes(this.layerManager.maxMemoryBytes);
+        const memory = document.createElement('span');
+        memory.className = 'layer-memory';
+        memory.textContent = used;
+        memory.title = `Estimated layer memory: ${used} of ${budget}`;
+
         // Disable if at limit
         if (this.layerManager.isAtLayerLimit()) {
-            addButton.disabled = true;
-            addButton.title = `Maximum ${this.layerManager.maxLayers} layers reached`;
+            addButton.disabled = adjustmentButton.disabled = true;
+            addButton.title = adjustmentButton.title = `Layer memory limit reached (${used} of ${budget})`;
         }
         
         header.appendChild(title);
+        header.appendChild(memory);
+        header.appendChild(adjustmentButton);
         header.appendChild(addButton);
         
         return header;
     }
 
+    /**
+     * Create the menu of adjustment layer types
+     * @private
+     */
+    _createAdjustmentMenu() {
+        const menu = document.createElement('div');
+        menu.className = 'layer-adjustment-menu';
+
+        Adjustments.types.forEach(type => {
+            const option = document.createElement('button');
+            option.className = 'layer-adjustment-option';
+            option.innerHTML = `<i class="${type.icon}"></i> ${type.label}`;
+            option.onclick = () => this._handleAddAdjustment(type.value);
+            menu.appendChild(option);
+        });
+
+        return menu;
+    }
+
     /**
      * Create layer item element
      * @private
      */
     _createLayerItem(layer, isActive) {
+        const locked = this.layerManager.isLocked(layer.id);
+
         const item = document.createElement('div');
         item.className = 'layer-item' + (isActive ? ' active' : '');
+        item.classList.toggle('in-group', !!layer.groupId);
+        item.classList.toggle('locked', locked);
         item.dataset.layerId = layer.id;
+        this._setupDragAndDrop(item, { type: 'layer', id: layer.id });
         
         // Click to select layer
         item.onclick = (e) => {
@@ -107,7 +174,13 @@ class LayerPanelUI {
         // Thumbnail
         const thumbnail = document.createElement('div');
         thumbnail.className = 'layer-thumbnail';
-        if (layer.thumbnail) {
+        if (layer.adjustment) {
+            // Adjustment layers have no pixels of their own - show what kind they are
+            const type = Adjustments.getType(layer.adjustment.type);
+            thumbnail.classList.add('adjustment');
+            thumbnail.innerHTML = `<i class="${type.icon}"></i>`;
+            thumbnail.title = `${type.label} adjustment`;
+        } else if (layer.thumbnail) {
             thumbnail.style.backgroundImage = `url(${layer.thumbnail})`;
         } else {
             thumbnail.innerHTML = '<i class="fas fa-image"></i>';
@@ -140,33 +213,222 @@ class LayerPanelUI {
             this._handleVisibilityToggle(layer.id);
         };
         
+        // Lock toggle
+        const lockBtn = document.createElement('button');
+        lockBtn.className = 'layer-action-btn' + (layer.locked ? ' active' : '');
+        lockBtn.innerHTML = layer.locked
+            ? '<i class="fas fa-lock"></i>'
+            : '<i class="fas fa-lock-open"></i>';
+        lockBtn.title = layer.locked ? 'Unlock layer' : (locked ? 'Locked by its group' : 'Lock layer');
+        lockBtn.onclick = (e) => {
+            e.stopPropagation();
+            this._handleLockToggle(layer.id);
+        };
+        
         controls.appendChild(visibilityBtn);
+        controls.appendChild(lockBtn);
+
+        // Mask indicator (click to enable/disable the mask)
+        if (layer.mask) {
+            const maskBtn = document.createElement('button');
+            maskBtn.className = 'layer-action-btn layer-mask-btn' + (layer.mask.enabled ? ' active' : '');
+            maskBtn.innerHTML = '<i class="fas fa-mask"></i>';
+            maskBtn.title = layer.mask.enabled ? 'Mask on (click to disable)' : 'Mask off (click to enable)';
+            maskBtn.disabled = locked;
+            maskBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.layerManager.toggleMask(layer.id);
+            };
+            controls.appendChild(maskBtn);
+        }
+
+        // Blend mode shown on layers that don't use Normal
+        if (layer.blendMode !== 'normal') {
+            const blendTag = document.createElement('span');
+            blendTag.className = 'layer-blend-tag';
+            blendTag.textContent = LayerManager.blendModes.find(mode => mode.value === layer.blendMode)?.label || layer.blendMode;
+            controls.appendChild(blendTag);
+        }
         
         info.appendChild(name);
         info.appendChild(controls);
         
-        // Opacity slider (only for active layer)
+        // Blend mode and opacity (only for active layer)
         if (isActive) {
-            const opacityControl = this._createOpacityControl(layer);
+            info.appendChild(this._createBlendModeControl(layer, locked));
+            const opacityControl = this._createOpacityControl(layer, locked);
             info.appendChild(opacityControl);
+            if (layer.adjustment) {
+                info.appendChild(this.adjustmentControls.render(layer, locked));
+            }
+            info.appendChild(this._createMaskControl(layer, locked));
         }
         
         item.appendChild(thumbnail);
         item.appendChild(info);
         
         // Apply opacity to item if layer is hidden
-        if (!layer.visible) {
+        if (!this.layerManager.isVisible(layer.id)) {
             item.style.opacity = '0.5';
         }
         
         return item;
     }
 
+    /**
+     * Create group header element
+     * @private
+     */
+    _createGroupItem(group) {
+        const memberCount = this.layerManager.getGroupLayers(group.id).length;
+
+        const item = document.createElement('div');
+        item.className = 'layer-group-item' + (group.collapsed ? ' collapsed' : '');
+        item.classList.toggle('locked', group.locked);
+        item.dataset.groupId = group.id;
+        this._setupDragAndDrop(item, { type: 'group', id: group.id });
+
+        // Collapse / expand
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'layer-action-btn layer-group-toggle';
+        toggleBtn.innerHTML = group.collapsed
+            ? '<i class="fas fa-chevron-right"></i>'
+            : '<i class="fas fa-chevron-down"></i>';
+        toggleBtn.title = group.collapsed ? 'Expand group' : 'Collapse group';
+        toggleBtn.onclick = () => this.layerManager.toggleGroupCollapsed(group.id);
+
+        const icon = document.createElement('i');
+        icon.className = `layer-group-icon fas ${group.collapsed ? 'fa-folder' : 'fa-folder-open'}`;
+
+        // Name (editable)
+        const name = document.createElement('div');
+        name.className = 'layer-name';
+        name.textContent = group.name;
+        name.title = `${memberCount} layer${memberCount === 1 ? '' : 's'} · Double-click to rename`;
+        name.ondblclick = () => this._handleGroupRename(group.id, name);
+
+        // Controls
+        const controls = document.createElement('div');
+        controls.className = 'layer-controls';
+
+        const visibilityBtn = document.createElement('button');
+        visibilityBtn.className = 'layer-action-btn';
+        visibilityBtn.innerHTML = group.visible
+            ? '<i class="fas fa-eye"></i>'
+            : '<i class="fas fa-eye-slash"></i>';
+        visibilityBtn.title = group.visible ? 'Hide group' : 'Show group';
+        visibilityBtn.onclick = () => this.layerManager.toggleGroupVisibility(group.id);
+
+        const lockBtn = document.createElement('button');
+        lockBtn.className = 'layer-action-btn' + (group.locked ? ' active' : '');
+        lockBtn.innerHTML = group.locked
+            ? '<i class="fas fa-lock"></i>'
+            : '<i class="fas fa-lock-open"></i>';
+        lockBtn.title = group.locked ? 'Unlock group' : 'Lock group';
+        lockBtn.onclick = () => {
+            this.layerManager.toggleGroupLock(group.id);
+            this._syncEditor();
+        };
+
+        const ungroupBtn = document.createElement('button');
+        ungroupBtn.className = 'layer-action-btn';
+        ungroupBtn.innerHTML = '<i class="fas fa-object-ungroup"></i>';
+        ungroupBtn.title = 'Ungroup (keeps the layers)';
+        ungroupBtn.onclick = () => {
+            this.layerManager.ungroup(group.id);
+            this._syncEditor();
+        };
+
+        controls.appendChild(visibilityBtn);
+        controls.appendChild(lockBtn);
+        controls.appendChild(ungroupBtn);
+
+        item.appendChild(toggleBtn);
+        item.appendChild(icon);
+        item.appendChild(name);
+        item.appendChild(controls);
+
+        if (!group.visible) {
+            item.style.opacity = '0.5';
+        }
+
+        return item;
+    }
+
+    /**
+     * Create blend mode dropdown
+     * @private
+     */
+    _createBlendModeControl(layer, locked) {
+        const blendDiv = document.createElement('div');
+        blendDiv.className = 'layer-blend-control';
+
+        const label = document.createElement('label');
+        label.textContent = 'Blend:';
+
+        const select = document.createElement('select');
+        select.className = 'layer-blend-select';
+        select.disabled = locked;
+        select.title = locked ? 'Layer is locked' : 'Blend mode';
+
+        LayerManager.blendModes.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.label;
+            select.appendChild(option);
+        });
+        select.value = layer.blendMode;
+
+        select.onclick = (e) => e.stopPropagation();
+        select.onchange = (e) => this.layerManager.setBlendMode(layer.id, e.target.value);
+
+        blendDiv.appendChild(label);
+        blendDiv.appendChild(select);
+
+        return blendDiv;
+    }
+
+    /**
+     * Create layer mask actions (add, invert, delete)
+     * @private
+     */
+    _createMaskControl(layer, locked) {
+        const maskDiv = document.createElement('div');
+        maskDiv.className = 'layer-mask-control';
+
+        const label = document.createElement('label');
+        label.textContent = 'Mask:';
+        maskDiv.appendChild(label);
+
+        const addButton = (icon, title, onclick) => {
+            const button = document.createElement('button');
+            button.className = 'layer-action-btn';
+            button.innerHTML = `<i class="${icon}"></i>`;
+            button.title = locked ? 'Layer is locked' : title;
+            button.disabled = locked;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                onclick();
+            };
+            maskDiv.appendChild(button);
+        };
+
+        if (!layer.mask) {
+            const fromSelection = this.editor && this.editor.hasSelection();
+            addButton('fas fa-plus', fromSelection ? 'Add mask from selection (hides everything outside it)' : 'Add mask (paint it with the Mask Brush)', () => this._handleAddMask(layer.id));
+        } else {
+            addButton('fas fa-adjust', 'Invert mask', () => this.layerManager.invertMask(layer.id));
+            addButton('fas fa-trash-alt', 'Delete mask', () => this.layerManager.deleteMask(layer.id));
+        }
+
+        return maskDiv;
+    }
+
     /**
      * Create opacity control slider
      * @private
      */
-    _createOpacityControl(layer) {
+    _createOpacityControl(layer, locked = false) {
         const opacityDiv = document.createElement('div');
         opacityDiv.className = 'layer-opacity-control';
 
@@ -179,6 +441,7 @@ class LayerPanelUI {
         slider.max = '100';
         slider.value = Math.round(layer.opacity * 100);
         slider.className = 'layer-opacity-slider';
+        slider.disabled = locked;
 
         const valueDisplay = document.createElement('span');
         valueDisplay.className = 'opacity-value';
@@ -219,14 +482,18 @@ class LayerPanelUI {
 
         const layers = this.layerManager.getAllLayers();
         const activeLayer = this.layerManager.getActiveLayer();
-        const canDelete = layers.length > 1;
+        const activeIndex = layers.indexOf(activeLayer);
+        const activeLocked = !!activeLayer && this.layerManager.isLocked(activeLayer.id);
+        const belowLocked = activeIndex > 0 && this.layerManager.isLocked(layers[activeIndex - 1].id);
+        const belowAdjustment = activeIndex > 0 && !!layers[activeIndex - 1].adjustment;
+        const canDelete = layers.length > 1 && !activeLocked;
         const canAdd = !this.layerManager.isAtLayerLimit();
         
         // Delete button
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'layer-footer-btn';
         deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
-        deleteBtn.title = canDelete ? 'Delete layer' : 'Cannot delete the only layer';
+        deleteBtn.title = activeLocked ? 'Layer is locked' : (canDelete ? 'Delete layer' : 'Cannot delete the only layer');
         deleteBtn.disabled = !canDelete;
         deleteBtn.onclick = () => this._handleDelete(activeLayer?.id);
         
@@ -234,9 +501,17 @@ class LayerPanelUI {
         const duplicateBtn = document.createElement('button');
         duplicateBtn.className = 'layer-footer-btn';
         duplicateBtn.innerHTML = '<i class="fas fa-copy"></i>';
-        duplicateBtn.title = canAdd ? 'Duplicate layer' : `Maximum ${this.layerManager.maxLayers} layers reached`;
+        duplicateBtn.title = canAdd ? 'Duplicate layer' : 'Layer memory limit reached';
         duplicateBtn.disabled = !canAdd;
         duplicateBtn.onclick = () => this._handleDuplicate(activeLayer?.id);
+
+        // Group button
+        const groupBtn = document.createElement('button');
+        groupBtn.className = 'layer-footer-btn';
+        groupBtn.innerHTML = '<i class="fas fa-folder-plus"></i>';
+        groupBtn.title = 'New group from layer (drag layers onto a group to add them)';
+        groupBtn.disabled = !activeLayer;
+        groupBtn.onclick = () => this._handleCreateGroup(activeLayer?.id);
         
         // Move up button
         const moveUpBtn = document.createElement('button');
@@ -256,20 +531,24 @@ class LayerPanelUI {
         const mergeDownBtn = document.createElement('button');
         mergeDownBtn.className = 'layer-footer-btn';
         mergeDownBtn.innerHTML = '<i class="fas fa-compress-arrows-alt"></i>';
-        mergeDownBtn.title = 'Merge down';
-        mergeDownBtn.disabled = layers.length < 2;
+        mergeDownBtn.title = activeLocked || belowLocked
+            ? 'Cannot merge locked layers'
+            : (belowAdjustment ? 'Cannot merge into an adjustment layer' : 'Merge down');
+        mergeDownBtn.disabled = activeIndex < 1 || activeLocked || belowLocked || belowAdjustment;
         mergeDownBtn.onclick = () => this._handleMergeDown();
 
         // Flatten all button
         const flattenBtn = document.createElement('button');
         flattenBtn.className = 'layer-footer-btn';
         flattenBtn.innerHTML = '<i class="fas fa-layer-group"></i>';
-        flattenBtn.title = 'Flatten all layers';
-        flattenBtn.disabled = layers.length < 2;
+        const anyLocked = layers.some(layer => this.layerManager.isLocked(layer.id));
+        flattenBtn.title = anyLocked ? 'Unlock all layers to flatten' : 'Flatten all layers';
+        flattenBtn.disabled = layers.length < 2 || anyLocked;
         flattenBtn.onclick = () => this._handleFlattenAll();
 
         footer.appendChild(deleteBtn);
         footer.appendChild(duplicateBtn);
+        footer.appendChild(groupBtn);
         footer.appendChild(moveUpBtn);
         footer.appendChild(moveDownBtn);
         footer.appendChild(mergeDownBtn);
@@ -286,7 +565,21 @@ class LayerPanelUI {
     _handleAddLayer() {
         const newLayer = this.layerManager.addLayer();
         if (!newLayer) {
-            alert(`Maximum ${this.layerManager.maxLayers} layers reached`);
+            alert('Layer memory limit reached. Merge or delete layers to add more.');
+        }
+    }
+
+    /**
+     * Handle add adjustment layer from the menu
+     * @private
+     */
+    _handleAddAdjustment(type) {
+        this.adjustmentMenuOpen = false;
+
+        const newLayer = this.layerManager.addAdjustmentLayer(type);
+        if (!newLayer) {
+            this.render();
+            alert('Layer memory limit reached. Merge or delete layers to add more.');
         }
     }
 
@@ -306,6 +599,49 @@ class LayerPanelUI {
         this.layerManager.toggleVisibility(layerId);
     }
 
+    /**
+     * Handle lock toggle
+     * @private
+     */
+    _handleLockToggle(layerId) {
+        this.layerManager.toggleLock(layerId);
+        this._syncEditor();
+    }
+
+    /**
+     * Handle add mask - built from the editor's selection when there is one
+     * @private
+     */
+    _handleAddMask(layerId) {
+        if (this.editor && this.layerManager.getActiveLayer()?.id === layerId) {
+            this.editor.addMaskFromSelection();
+        } else {
+            this.layerManager.addMask(layerId);
+        }
+    }
+
+    /**
+     * Handle new group from a layer
+     * @private
+     */
+    _handleCreateGroup(layerId) {
+        if (!layerId) return;
+        this.layerManager.createGroup(layerId);
+    }
+
+    /**
+     * Handle group rename
+     * @private
+     */
+    _handleGroupRename(groupId, nameElement) {
+        const currentName = nameElement.textContent;
+        const newName = prompt('Enter new group name:', currentName);
+
+        if (newName && newName.trim() !== '' && newName !== currentName) {
+            this.layerManager.renameGroup(groupId, newName.trim());
+        }
+    }
+
     /**
      * Handle layer rename
      * @private
@@ -337,6 +673,7 @@ class LayerPanelUI {
         }
         
         this.layerManager.deleteLayer(layerId);
+        this._syncEditor();
     }
 
     /**
@@ -348,7 +685,7 @@ class LayerPanelUI {
         
         const newLayer = this.layerManager.duplicateLayer(layerId);
         if (!newLayer) {
-            alert(`Maximum ${this.layerManager.maxLayers} layers reached`);
+            alert('Layer memory limit reached. Merge or delete layers to add more.');
         }
     }
 
@@ -370,6 +707,107 @@ class LayerPanelUI {
         this.layerManager.moveLayerDown(layerId);
     }
 
+    /**
+     * Make a layer or group row draggable and a drop target for other rows
+     * @private
+     * @param {HTMLElement} element - Row element
+     * @param {object} item - { type: 'layer'|'group', id }
+     */
+    _setupDragAndDrop(element, item) {
+        // Only start a drag from the row itself, so sliders and dropdowns keep working
+        element.addEventListener('pointerdown', (e) => {
+            element.draggable = !e.target.closest('input, select, button, canvas');
+        });
+
+        element.ondragstart = (e) => {
+            this.dragItem = item;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.id);
+            element.classList.add('dragging');
+        };
+
+        element.ondragend = () => {
+            this.dragItem = null;
+            element.classList.remove('dragging');
+            this._clearDropMarkers();
+        };
+
+        element.ondragover = (e) => {
+            if (!this.dragItem || this.dragItem.id === item.id) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            this._clearDropMarkers();
+            element.classList.add(`drop-${this._getDropPosition(e, element, item)}`);
+        };
+
+        element.ondragleave = (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                element.classList.remove('drop-above', 'drop-below', 'drop-inside');
+            }
+        };
+
+        element.ondrop = (e) => {
+            e.preventDefault();
+            const source = this.dragItem;
+            if (!source || source.id === item.id) return;
+
+            const position = this._getDropPosition(e, element, item);
+            this._clearDropMarkers();
+            this._handleDrop(source, item, position);
+        };
+    }
+
+    /**
+     * Where a drop lands relative to the row under the pointer
+     * The list shows the top of the stack first, so the upper half means "above"
+     * @private
+     * @returns {string} 'above', 'below' or 'inside' (a layer dropped on a group header's lower half)
+     */
+    _getDropPosition(e, element, target) {
+        const rect = element.getBoundingClientRect();
+        const upperHalf = e.clientY < rect.top + rect.height / 2;
+
+        if (target.type === 'group') {
+            if (upperHalf) return 'above';
+            return this.dragItem && this.dragItem.type === 'layer' ? 'inside' : 'below';
+        }
+
+        return upperHalf ? 'above' : 'below';
+    }
+
+    /**
+     * Remove drop indicators from all rows
+     * @private
+     */
+    _clearDropMarkers() {
+        this.container.querySelectorAll('.drop-above, .drop-below, .drop-inside').forEach(el => {
+            el.classList.remove('drop-above', 'drop-below', 'drop-inside');
+        });
+    }
+
+    /**
+     * Handle a row dropped onto another row
+     * @private
+     * @param {object} source - Dragged { type, id }
+     * @param {object} target - Row under the pointer { type, id }
+     * @param {string} position - 'above', 'below' or 'inside'
+     */
+    _handleDrop(source, target, position) {
+        if (source.type === 'layer') {
+            if (target.type === 'layer') {
+                this.layerManager.moveLayerNextTo(source.id, target.id, position);
+            } else {
+                this.layerManager.moveLayerNextToGroup(source.id, target.id, position);
+            }
+        } else if (target.type === 'layer') {
+            this.layerManager.moveGroupNextTo(source.id, target.id, position);
+        } else {
+            this.layerManager.moveGroupNextToGroup(source.id, target.id, position);
+        }
+    }
+
     /**
      * Schedule thumbnail update (debounced)
      * @private
@@ -380,19 +818,24 @@ class LayerPanelUI {
         }
         
         this.thumbnailUpdateTimeout = setTimeout(() => {
-            this._updateAllThumbnails();
+            this._updateThumbnails();
         }, 500); // 500ms debounce
     }
 
     /**
-     * Update all layer thumbnails
+     * Regenerate the thumbnails of layers that changed since their last one, one layer at a time
+     * (drawn and encoded in the render worker)
      * @private
      */
-    _updateAllThumbnails() {
-        const layers = this.layerManager.getAllLayers();
+    async _updateThumbnails() {
+        const run = ++this.thumbnailRun;
+        const layers = this.layerManager.getAllLayers().filter(layer => !this.layerManager.isThumbnailCurrent(layer.id));
         
-        layers.forEach(layer => {
-            const thumbnail = this.layerManager.generateThumbnail(layer.id);
+        for (const layer of layers) {
+            const thumbnail = await this.layerManager.generateThumbnailAsync(layer.id);
+
+            // A newer update (the panel was rendered again) takes over
+            if (run !== this.thumbnailRun) return;
 
             if (thumbnail) {
                 // Update thumbnail in DOM
@@ -405,32 +848,42 @@ class LayerPanelUI {
                     }
                 }
             }
-        });
+        }
     }
 
     /**
      * Handle merge down
      * @private
      */
-    _handleMergeDown() {
-        if (confirm('Merge active layer with the layer below? This cannot be undone.')) {
-            const success = this.layerManager.mergeDown();
-            if (!success) {
-                alert('Cannot merge: active layer is at bottom or only one layer exists');
-            }
+    async _handleMergeDown() {
+        const success = await this.layerManager.mergeDown();
+        if (!success) {
+            alert('Cannot merge: active layer is at bottom, the layer below is an adjustment layer, or only one layer exists');
+            return;
         }
+        this._syncEditor();
     }
 
     /**
      * Handle flatten all
      * @private
      */
-    _handleFlattenAll() {
-        if (confirm('Flatten all visible layers into one? This cannot be undone.')) {
-            const success = this.layerManager.flattenAll();
-            if (!success) {
-                alert('Cannot flatten: only one layer exists');
-            }
+    async _handleFlattenAll() {
+        const success = await this.layerManager.flattenAll();
+        if (!success) {
+            alert('Cannot flatten: only one layer exists');
+            return;
+        }
+        this._syncEditor();
+    }
+
+    /**
+     * Let the editor pick up image nodes that were replaced or removed with a layer
+     * @private
+     */
+    _syncEditor() {
+        if (this.editor) {
+            this.editor.syncWithCanvas();
         }
     }
 }
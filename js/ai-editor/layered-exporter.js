@@ -0,0 +1,587 @@
+/**
+ * Layered Exporter Module
+ * Exports the composition as a layered PSD (names, opacity, visibility, blend modes and groups from the
+ * LayerManager), the vector drawings as SVG, and a list of images (gallery selection, Ad Studio variations)
+ * as a multi-page PDF
+ */
+
+class LayeredExporter {
+    constructor(app) {
+        this.app = app;
+
+        console.log('🗂️ [LAYERED EXPORT] Layered Exporter initialized');
+    }
+
+    /**
+     * Load ag-psd from CDN
+     * @returns {Promise<object>} ag-psd module
+     */
+    static async loadAgPsd() {
+        if (LayeredExporter.agPsd) {
+            return LayeredExporter.agPsd;
+        }
+
+        try {
+            console.log('🗂️ [LAYERED EXPORT] Loading ag-psd from CDN...');
+            LayeredExporter.agPsd = await import('https://cdn.jsdelivr.net/npm/ag-psd@20/+esm');
+            console.log('✅ [LAYERED EXPORT] ag-psd loaded');
+            return LayeredExporter.agPsd;
+        } catch (error) {
+            console.error('❌ [LAYERED EXPORT] Failed to load ag-psd:', error);
+            throw new Error('Failed to load the PSD library. Please check your internet connection.');
+        }
+    }
+
+    /**
+     * Load jsPDF from CDN
+     * @returns {Promise<Function>} jsPDF constructor
+     */
+    static async loadJsPDF() {
+        if (LayeredExporter.jsPDF) {
+            return LayeredExporter.jsPDF;
+        }
+
+        try {
+            console.log('🗂️ [LAYERED EXPORT] Loading jsPDF from CDN...');
+            const module = await import('https://cdn.jsdelivr.net/npm/jspdf@2.5.1/+esm');
+            LayeredExporter.jsPDF = module.jsPDF || module.default;
+            console.log('✅ [LAYERED EXPORT] jsPDF loaded');
+            return LayeredExporter.jsPDF;
+        } catch (error) {
+            console.error('❌ [LAYERED EXPORT] Failed to load jsPDF:', error);
+            throw new Error('Failed to load the PDF library. Please check your internet connection.');
+        }
+    }
+
+    // ==================== PSD ====================
+
+    /**
+     * Build a PSD of the layer stack
+     * Every layer is rasterized at the main image's original resolution; masks are baked into the pixels
+     * and adjustment layers become pixel layers holding the adjusted image beneath them
+     * @returns {Promise<Blob>} PSD file
+     */
+    async createPSD() {
+        const { writePsd } = await LayeredExporter.loadAgPsd();
+        const editor = this.getEditor();
+        const layerManager = editor.layerManager;
+        const frame = this.getDocumentFrame();
+        const width = Math.round(frame.width * frame.pixelRatio);
+        const height = Math.round(frame.height * frame.pixelRatio);
+
+        // Composite of the shown layers so far - what adjustment layers apply to
+        const composite = document.createElement('canvas');
+        composite.width = width;
+        composite.height = height;
+        const compositeCtx = composite.getContext('2d');
+
+        const children = [];
+        const groupEntries = new Map();
+
+        this.withIdentityView(() => {
+            layerManager.getAllLayers().forEach(layer => {
+                const canvas = layer.adjustment
+                    ? this.renderAdjustmentPixels(layer, composite, frame)
+                    : this.renderLayerPixels(layer.konvaLayer, frame);
+
+                if (layerManager.isVisible(layer.id)) {
+                    compositeCtx.globalAlpha = layer.opacity;
+                    compositeCtx.globalCompositeOperation = LayerManager.compositeOperation(layer.blendMode);
+                    compositeCtx.drawImage(canvas, 0, 0);
+                }
+
+                const entry = {
+                    name: layer.name,
+                    canvas,
+                    left: 0,
+                    top: 0,
+                    opacity: layer.opacity,
+                    hidden: !layer.visible,
+                    blendMode: LayeredExporter.psdBlendModes[layer.blendMode] || 'normal'
+                };
+
+                // Group members sit next to each other, so each group becomes one folder
+                const group = layer.groupId && layerManager.getGroup(layer.groupId);
+                if (!group) {
+                    children.push(entry);
+                    return;
+                }
+                if (!groupEntries.has(group.id)) {
+                    const folder = { name: group.name, opened: !group.collapsed, hidden: !group.visible, children: [] };
+                    groupEntries.set(group.id, folder);
+                    children.push(folder);
+                }
+                groupEntries.get(group.id).children.push(entry);
+            });
+
+            // Drawings live on the editor's own layer; they go on top like in the flat export
+            if (editor.getDrawingStates().length) {
+                const drawings = this.renderLayerPixels(editor.drawingLayer, frame, [editor.transformer]);
+                compositeCtx.globalAlpha = 1;
+                compositeCtx.globalCompositeOperation = 'source-over';
+                compositeCtx.drawImage(drawings, 0, 0);
+                children.push({ name: 'Drawings', canvas: drawings, left: 0, top: 0, opacity: 1, blendMode: 'normal' });
+            }
+        });
+
+        const buffer = writePsd({ width, height, canvas: composite, children }, { generateThumbnail: true });
+        console.log('🗂️ [LAYERED EXPORT] PSD created:', width, 'x', height, `(${children.length} top-level layers)`);
+        return new Blob([buffer], { type: 'image/vnd.adobe.photoshop' });
+    }
+
+    /**
+     * Area and resolution of the layered export, in layer coordinates: the main image at its
+     * original resolution (capped at 4x), or everything on the layers when there is no image
+     * @returns {object} { x, y, width, height, pixelRatio }
+     */
+    getDocumentFrame() {
+        const editor = this.getEditor();
+        const stage = editor.stage;
+        const node = editor.imageNode && editor.imageNode.getStage() ? editor.imageNode : null;
+
+        let box = null;
+        let pixelRatio = 1;
+        if (node) {
+            box = node.getClientRect({ relativeTo: stage, skipShadow: true });
+            const image = node.image();
+            const displayedWidth = node.width() * Math.abs(node.scaleX());
+            if (image && displayedWidth) {
+                pixelRatio = Math.min(Math.max((image.naturalWidth || image.width) / displayedWidth, 1), 4);
+            }
+        } else {
+            const rects = [
+                ...editor.layerManager.getAllLayers().filter(layer => !layer.adjustment).map(layer => layer.konvaLayer),
+                editor.drawingLayer
+            ].map(konvaLayer => konvaLayer.getClientRect({ relativeTo: stage, skipShadow: true }))
+                .filter(rect => rect.width >= 1 && rect.height >= 1);
+
+            if (!rects.length) {
+                throw new Error('The canvas is empty');
+            }
+
+            const left = Math.min(...rects.map(rect => rect.x));
+            const top = Math.min(...rects.map(rect => rect.y));
+            box = {
+                x: left,
+                y: top,
+                width: Math.max(...rects.map(rect => rect.x + rect.width)) - left,
+                height: Math.max(...rects.map(rect => rect.y + rect.height)) - top
+            };
+        }
+
+        return {
+            x: Math.floor(box.x),
+            y: Math.floor(box.y),
+            width: Math.ceil(box.width),
+            height: Math.ceil(box.height),
+            pixelRatio
+        };
+    }
+
+    /**
+     * Run work with the stage at 1:1 and no pan, so absolute coordinates are layer coordinates
+     * @param {Function} work - Synchronous work
+     */
+    withIdentityView(work) {
+        const stage = this.getEditor().stage;
+        const view = { scale: stage.scale(), position: stage.position() };
+        stage.scale({ x: 1, y: 1 });
+        stage.position({ x: 0, y: 0 });
+
+        try {
+            work();
+        } finally {
+            stage.scale(view.scale);
+            stage.position(view.position);
+            stage.batchDraw();
+        }
+    }
+
+    /**
+     * Rasterize a Konva layer at full opacity, even when hidden (the PSD keeps both as layer properties)
+     * @param {Konva.Layer} konvaLayer - Layer to render
+     * @param {object} frame - getDocumentFrame()
+     * @param {Konva.Node[]} exclude - Nodes hidden while rendering
+     * @returns {HTMLCanvasElement} Layer pixels
+     */
+    renderLayerPixels(konvaLayer, frame, exclude = []) {
+        const state = { visible: konvaLayer.visible(), opacity: konvaLayer.opacity() };
+        const excluded = exclude.map(node => ({ node, visible: node.visible() }));
+        konvaLayer.visible(true);
+        konvaLayer.opacity(1);
+        excluded.forEach(({ node }) => node.visible(false));
+
+        try {
+            return konvaLayer.toCanvas({ ...frame });
+        } finally {
+            konvaLayer.visible(state.visible);
+            konvaLayer.opacity(state.opacity);
+            excluded.forEach(({ node, visible }) => node.visible(visible));
+        }
+    }
+
+    /**
+     * Pixels of an adjustment layer: the composite beneath it with the adjustment applied, cut out by its mask
+     * @param {object} layer - Adjustment layer object
+     * @param {HTMLCanvasElement} below - Composite of the layers beneath, in the document frame
+     * @param {object} frame - getDocumentFrame()
+     * @returns {HTMLCanvasElement} Adjusted pixels
+     */
+    renderAdjustmentPixels(layer, below, frame) {
+        const result = Adjustments.apply(below, this.getEditor().layerManager.getAdjustment(layer.id));
+
+        const mask = layer.mask;
+        if (mask && mask.enabled) {
+            const ctx = result.getContext('2d');
+            ctx.save();
+            ctx.scale(frame.pixelRatio, frame.pixelRatio);
+            ctx.translate(-frame.x, -frame.y);
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.drawImage(mask.canvas, mask.x, mask.y, mask.width, mask.height);
+            ctx.restore();
+        }
+
+        return result;
+    }
+
+    // ==================== SVG ====================
+
+    /**
+     * Build an SVG of the vector drawings (brush strokes, shapes, arrows, text)
+     * It has the same frame as the layered export, so it lines up with the image
+     * @returns {string} SVG document
+     */
+    createDrawingsSVG() {
+        const editor = this.getEditor();
+        const shapes = editor.drawingLayer.getChildren(node => node !== editor.transformer && node.visible());
+        if (!shapes.length) {
+            throw new Error('There are no drawings to export');
+        }
+
+        const frame = this.getDocumentFrame();
+        const elements = shapes.map(shape => this.shapeToSVG(shape)).filter(Boolean);
+
+        console.log('🗂️ [LAYERED EXPORT] SVG created with', elements.length, 'drawings');
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(frame.width * frame.pixelRatio)}" height="${Math.round(frame.height * frame.pixelRatio)}" viewBox="${frame.x} ${frame.y} ${frame.width} ${frame.height}">`,
+            ...elements.map(element => `  ${element}`),
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Convert one drawing to an SVG element
+     * @param {Konva.Shape} shape - Drawing
+     * @returns {string|null} SVG markup, or null for unsupported shapes
+     */
+    shapeToSVG(shape) {
+        const className = shape.getClassName();
+        const matrix = shape.getTransform().getMatrix().map(value => this.formatNumber(value)).join(' ');
+
+        // Grouped drawings keep their group (and its transform)
+        if (className === 'Group') {
+            const children = shape.getChildren(child => child.visible()).map(child => this.shapeToSVG(child)).filter(Boolean);
+            return this.svgElement('g', {
+                transform: `matrix(${matrix})`,
+                opacity: shape.opacity() !== 1 ? shape.opacity() : null
+            }, children.join(''));
+        }
+
+        const paint = {
+            transform: `matrix(${matrix})`,
+            opacity: shape.opacity() !== 1 ? shape.opacity() : null,
+            stroke: this.svgColor(shape.stroke()),
+            'stroke-width': shape.stroke() ? shape.strokeWidth() : null,
+            fill: this.svgColor(shape.fill()),
+            'stroke-linecap': shape.lineCap() || null,
+            'stroke-linejoin': shape.lineJoin() || null
+        };
+        const points = (values) => {
+            const pairs = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                pairs.push(`${this.formatNumber(values[i])},${this.formatNumber(values[i + 1])}`);
+            }
+            return pairs.join(' ');
+        };
+
+        if (className === 'Line') {
+            return this.svgElement(shape.closed() ? 'polygon' : 'polyline', {
+                ...paint,
+                fill: shape.closed() ? paint.fill : 'none',
+                points: points(shape.points())
+            });
+        }
+
+        if (className === 'Arrow') {
+            const values = shape.points();
+            const n = values.length;
+            const line = this.svgElement('polyline', { ...paint, fill: 'none', points: points(values) });
+            if (n < 4) return line;
+
+            // Konva draws the head as a triangle whose tip is the last point
+            const [x1, y1, x2, y2] = values.slice(n - 4);
+            const angle = Math.atan2(y2 - y1, x2 - x1);
+            const length = shape.pointerLength();
+            const half = shape.pointerWidth() / 2;
+            const base = { x: x2 - Math.cos(angle) * length, y: y2 - Math.sin(angle) * length };
+            const head = [
+                x2, y2,
+                base.x + Math.sin(angle) * half, base.y - Math.cos(angle) * half,
+                base.x - Math.sin(angle) * half, base.y + Math.cos(angle) * half
+            ];
+            return `${line}${this.svgElement('polygon', { ...paint, fill: paint.fill || paint.stroke, points: points(head) })}`;
+        }
+
+        if (className === 'Rect') {
+            return this.svgElement('rect', {
+                ...paint,
+                x: Math.min(0, shape.width()),
+                y: Math.min(0, shape.height()),
+                width: Math.abs(shape.width()),
+                height: Math.abs(shape.height())
+            });
+        }
+
+        if (className === 'Ellipse') {
+            return this.svgElement('ellipse', { ...paint, cx: 0, cy: 0, rx: shape.radiusX(), ry: shape.radiusY() });
+        }
+
+        if (className === 'Star' || className === 'RegularPolygon') {
+            const corners = className === 'Star' ? shape.numPoints() * 2 : shape.sides();
+            const values = [];
+            for (let i = 0; i < corners; i++) {
+                const radius = className === 'Star'
+                    ? (i % 2 === 0 ? shape.outerRadius() : shape.innerRadius())
+                    : shape.radius();
+                const angle = (i * 2 * Math.PI) / corners;
+                values.push(radius * Math.sin(angle), -radius * Math.cos(angle));
+            }
+            return this.svgElement('polygon', { ...paint, points: points(values) });
+        }
+
+        if (className === 'Text' || className === 'TextPath') {
+            return this.textToSVG(shape, paint);
+        }
+
+        console.warn('⚠️ [LAYERED EXPORT] Skipping unsupported drawing:', className);
+        return null;
+    }
+
+    /**
+     * Convert text (or text on a path) to SVG, keeping its wrapped lines, spacing, outline and gradient
+     * @param {Konva.Text|Konva.TextPath} shape - Text drawing
+     * @param {object} paint - Transform and opacity shared with the other shapes
+     * @returns {string} SVG markup
+     */
+    textToSVG(shape, paint) {
+        const fontStyle = shape.fontStyle() || 'normal';
+        const weight = (fontStyle.match(/\b(\d{3}|bold)\b/) || [])[1];
+        const defs = [];
+
+        let fill = shape.fill() ? this.svgColor(shape.fill()) : '#000000';
+        if (shape.fillPriority() === 'linear-gradient') {
+            const id = `text-gradient-${shape._id}`;
+            const start = shape.fillLinearGradientStartPoint();
+            const end = shape.fillLinearGradientEndPoint();
+            const stops = shape.fillLinearGradientColorStops() || [];
+            const stopElements = [];
+            for (let i = 0; i + 1 < stops.length; i += 2) {
+                stopElements.push(this.svgElement('stop', { offset: stops[i], 'stop-color': this.svgColor(stops[i + 1]) }));
+            }
+            defs.push(this.svgElement('linearGradient', {
+                id,
+                gradientUnits: 'userSpaceOnUse',
+                x1: start.x,
+                y1: start.y,
+                x2: end.x,
+                y2: end.y
+            }, stopElements.join('')));
+            fill = `url(#${id})`;
+        }
+
+        const hasStroke = shape.strokeEnabled() && shape.stroke() && shape.strokeWidth() > 0;
+        const attrs = {
+            transform: paint.transform,
+            opacity: paint.opacity,
+            fill,
+            stroke: hasStroke ? this.svgColor(shape.stroke()) : null,
+            'stroke-width': hasStroke ? shape.strokeWidth() : null,
+            'paint-order': hasStroke && shape.fillAfterStrokeEnabled() ? 'stroke' : null,
+            'font-family': shape.fontFamily(),
+            'font-size': shape.fontSize(),
+            'font-style': fontStyle.includes('italic') ? 'italic' : null,
+            'font-weight': weight || null,
+            'letter-spacing': shape.letterSpacing() || null
+        };
+
+        if (shape.getClassName() === 'TextPath') {
+            const id = `text-path-${shape._id}`;
+            defs.push(this.svgElement('path', { id, d: shape.data(), fill: 'none' }));
+            const offset = { left: '0%', center: '50%', right: '100%' }[shape.align()] || '0%';
+            const anchor = { center: 'middle', right: 'end' }[shape.align()] || null;
+            const textPath = this.svgElement('textPath', { href: `#${id}`, startOffset: offset }, this.escapeXml(shape.text()));
+            return `<defs>${defs.join('')}</defs>${this.svgElement('text', { ...attrs, 'text-anchor': anchor }, textPath)}`;
+        }
+
+        // Konva has already broken the text into lines at the box width
+        const padding = shape.padding();
+        const lineHeight = shape.fontSize() * shape.lineHeight();
+        const anchorX = { center: shape.width() / 2, right: shape.width() - padding }[shape.align()] ?? padding;
+        const lines = shape.textArr.map((line, index) => this.svgElement('tspan', {
+            x: this.formatNumber(anchorX),
+            y: this.formatNumber(padding + index * lineHeight + (lineHeight - shape.fontSize()) / 2)
+        }, this.escapeXml(line.text))).join('');
+
+        const text = this.svgElement('text', {
+            ...attrs,
+            'text-anchor': { center: 'middle', right: 'end' }[shape.align()] || null,
+            'dominant-baseline': 'text-before-edge'
+        }, lines);
+        return defs.length ? `<defs>${defs.join('')}</defs>${text}` : text;
+    }
+
+    /**
+     * Build an SVG element, leaving out empty attributes
+     * @param {string} tag - Element name
+     * @param {object} attrs - Attributes
+     * @param {string} content - Inner markup (already escaped)
+     * @returns {string} Markup
+     */
+    svgElement(tag, attrs, content = null) {
+        const attributes = Object.entries(attrs)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => `${name}="${this.escapeXml(typeof value === 'number' ? this.formatNumber(value) : value)}"`)
+            .join(' ');
+
+        return content === null ? `<${tag} ${attributes}/>` : `<${tag} ${attributes}>${content}</${tag}>`;
+    }
+
+    /**
+     * Konva colors to SVG paint ('transparent' and empty mean none)
+     * @param {string} color - Konva color
+     * @returns {string} SVG paint
+     */
+    svgColor(color) {
+        return !color || color === 'transparent' ? 'none' : color;
+    }
+
+    formatNumber(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ==================== PDF ====================
+
+    /**
+     * Build a PDF with one image per page, each page sized to its image (at 96 dpi)
+     * @param {Array<{source: Blob|string, title: string}>} pages - Image Blobs or URLs, in page order
+     * @param {object} options - { title, onProgress(done, total) }
+     * @returns {Promise<Blob>} PDF file
+     */
+    async createPDF(pages, options = {}) {
+        if (!pages.length) {
+            throw new Error('No images to export');
+        }
+
+        const jsPDF = await LayeredExporter.loadJsPDF();
+        let doc = null;
+
+        for (const [index, page] of pages.entries()) {
+            const blob = typeof page.source === 'string'
+                ? await (await fetch(page.source)).blob()
+                : page.source;
+            const bitmap = await createImageBitmap(blob);
+
+            // JPEG on white keeps the file small (PDF has no WebP, and transparency would print black)
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+
+            const size = [bitmap.width * 0.75, bitmap.height * 0.75]; // px to pt
+            const orientation = size[0] > size[1] ? 'landscape' : 'portrait';
+            if (doc) {
+                doc.addPage(size, orientation);
+            } else {
+                doc = new jsPDF({ orientation, unit: 'pt', format: size, compress: true });
+            }
+
+            doc.addImage(canvas, 'JPEG', 0, 0, size[0], size[1], undefined, 'FAST');
+            if (options.onProgress) options.onProgress(index + 1, pages.length);
+        }
+
+        doc.setProperties({
+            title: options.title || 'AI Image Editor export',
+            subject: pages.map(page => page.title).filter(Boolean).join(' | ').slice(0, 1000),
+            creator: 'AI Image Editor'
+        });
+
+        console.log('🗂️ [LAYERED EXPORT] PDF created with', pages.length, 'pages');
+        return doc.output('blob');
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Download a Blob (shared by every module that saves a file)
+     * The object URL is revoked later - revoking it right after click() can cancel the download
+     * @param {Blob} blob - File content
+     * @param {string} fileName - File name
+     */
+    static downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), LayeredExporter.revokeDelay);
+
+        console.log('⬇️ [DOWNLOAD] Downloaded', fileName, `(${(blob.size / (1024 * 1024)).toFixed(1)} MB)`);
+    }
+
+    getEditor() {
+        const editor = this.app.modules.editor;
+        if (!editor || !editor.stage) {
+            throw new Error('No canvas to export');
+        }
+        return editor;
+    }
+}
+
+LayeredExporter.agPsd = null; // Cached ag-psd module
+LayeredExporter.jsPDF = null; // Cached jsPDF constructor
+LayeredExporter.revokeDelay = 40000; // ms a download's object URL is kept for the browser to start reading it
+
+// LayerManager blend modes (CSS names) to their Photoshop names
+LayeredExporter.psdBlendModes = {
+    'normal': 'normal',
+    'multiply': 'multiply',
+    'screen': 'screen',
+    'overlay': 'overlay',
+    'darken': 'darken',
+    'lighten': 'lighten',
+    'color-dodge': 'color dodge',
+    'color-burn': 'color burn',
+    'hard-light': 'hard light',
+    'soft-light': 'soft light',
+    'difference': 'difference',
+    'exclusion': 'exclusion',
+    'hue': 'hue',
+    'saturation': 'saturation',
+    'color': 'color',
+    'luminosity': 'luminosity'
+};
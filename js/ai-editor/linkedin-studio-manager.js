@@ -1390,6 +1390,7 @@ Format your response as a structured analysis with clear sections and scores. Be
 
             // Get current canvas image as base64
             const imageData = await this.app.modules.editor.getImageAsBase64();
+            const parentId = this.app.modules.gallery.getActiveImageId();
 
             // Generate prompt
             let prompt = this.generatePrompt(this.selectedPreset);
@@ -1407,11 +1408,11 @@ Format your response as a structured analysis with clear sections and scores. Be
             console.log('🎨 [LINKEDIN STUDIO] Generated prompt:', prompt);
 
             // Call Gemini API for image editing (returns Blob URL)
-            const editedImageUrl = await this.app.modules.gemini.editImage(imageData, prompt);
+            const editedImageUrl = await this.app.modules.gemini.editImage(imageData, prompt, { parentImageId: parentId });
 
             if (editedImageUrl) {
                 // Load edited image to canvas (already a Blob URL from API)
-                await this.app.modules.editor.loadImage(editedImageUrl);
+                await this.app.modules.editor.loadImage(editedImageUrl, { label: 'LinkedIn Headshot', icon: 'fab fa-linkedin' });
 
                 // Save to gallery using the base64 data from API
                 try {
@@ -1421,8 +1422,9 @@ Format your response as a structured analysis with clear sections and scores. Be
                         console.log('📸 [LINKEDIN STUDIO] Saving transformed image to gallery');
                         const imageId = await this.app.modules.gallery.addImage(imageDataForGallery, prompt, {
                             type: 'linkedin-transformed',
-                            model: 'gemini-2.5-flash-image',
-                            preset: this.selectedPreset || 'custom'
+                            model: this.app.modules.gemini.model,
+                            preset: this.selectedPreset || 'custom',
+                            parentId
                         });
                         this.app.modules.gallery.setActiveImage(imageId);
                         this.app.renderGallery();
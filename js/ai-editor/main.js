@@ -11,7 +11,12 @@ class AIImageEditor {
             currentImage: null,
             isGenerating: false,
             canvas: null,
-            activeDrawingTool: null
+            activeDrawingTool: null,
+            lineageImageId: null, // Image selected in the lineage view
+            gallerySearch: '', // Search text for the gallery strip
+            galleryGridQuery: { search: '', sort: 'date-desc', source: '', collection: '', favoritesOnly: false },
+            gallerySelection: new Set(), // Image ids selected in the grid view
+            galleryGridVisibleIds: [] // Image ids currently shown in the grid view
         };
 
         this.init();
@@ -38,6 +43,9 @@ class AIImageEditor {
             
             // Initialize UI state
             this.initializeUI();
+
+            // Offer to restore a composition that was not saved before the page was closed
+            this.handleProjectRecovery();
             
             console.log('✅ [AI EDITOR] Application initialized successfully');
         } catch (error) {
@@ -50,6 +58,9 @@ class AIImageEditor {
         // Initialize Storage Manager
         this.modules.storage = new StorageManager();
 
+        // Initialize Usage Tracker (before Gemini API, which records every request)
+        this.modules.usage = new UsageTracker(this);
+
         // Initialize UI Manager
         this.modules.ui = new UIManager(this);
 
@@ -59,8 +70,21 @@ class AIImageEditor {
         // Initialize Background Removal Manager
         this.modules.backgroundRemoval = new BackgroundRemovalManager(this);
 
-        // Initialize Gallery Manager
+        // Initialize Background Replace Manager (new background and edge refinement after a removal)
+        this.modules.backgroundReplace = new BackgroundReplaceManager(this);
+
+        // Initialize Upscale Manager (local super-resolution in a Web Worker)
+        this.modules.upscaler = new UpscaleManager(this);
+
+        // Initialize Batch Processor (background removal pipeline for many files in a Web Worker)
+        this.modules.batchProcessor = new BatchProcessor(this);
+
+        // Initialize Gallery Manager (opens IndexedDB and migrates the old localStorage gallery)
         this.modules.gallery = new GalleryManager(this);
+        await this.modules.gallery.initialize();
+
+        // Initialize Gallery Archive (ZIP export/import)
+        this.modules.galleryArchive = new GalleryArchive(this);
 
         // Initialize Object Transfer Manager
         this.modules.objectTransfer = new ObjectTransferManager(this);
@@ -86,6 +110,16 @@ class AIImageEditor {
         this.modules.textEditor = new TextEditorManager(this);
         this.modules.textEditor.initialize();
 
+        // Initialize Layered Exporter (PSD, SVG drawings, multi-page PDF)
+        this.modules.layeredExport = new LayeredExporter(this);
+
+        // Initialize Export Manager (presets, target file size, metadata, batch sizes)
+        this.modules.exporter = new ExportManager(this);
+        this.modules.exporter.initialize();
+
+        // Initialize Project Manager (.aiedit save/open, autosave and crash recovery)
+        this.modules.project = new ProjectManager(this);
+
         // Initialize Konva Editor (will be created when needed)
         this.modules.editor = null;
 
@@ -115,6 +149,65 @@ class AIImageEditor {
             editApiKeyBtn.addEventListener('click', () => this.handleExpandApiKeySection());
         }
 
+        // API Key Storage Mode & Vault
+        const apiKeyModeSelect = document.getElementById('apiKeyModeSelect');
+        const vaultAutoLockInput = document.getElementById('vaultAutoLockInput');
+        const lockApiKeyBtn = document.getElementById('lockApiKeyBtn');
+        const unlockApiKeyBtn = document.getElementById('unlockApiKeyBtn');
+        const vaultUnlockInput = document.getElementById('vaultUnlockInput');
+
+        if (apiKeyModeSelect) {
+            apiKeyModeSelect.addEventListener('change', () => this.handleApiKeyModeChange());
+        }
+
+        if (vaultAutoLockInput) {
+            vaultAutoLockInput.addEventListener('change', () => this.handleVaultAutoLockChange());
+        }
+
+        if (lockApiKeyBtn) {
+            lockApiKeyBtn.addEventListener('click', () => this.modules.storage.lockVault('manual'));
+        }
+
+        if (unlockApiKeyBtn) {
+            unlockApiKeyBtn.addEventListener('click', () => this.handleUnlockApiKey());
+        }
+
+        if (vaultUnlockInput) {
+            vaultUnlockInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleUnlockApiKey();
+                }
+            });
+        }
+
+        this.modules.storage.vault.onLock = (reason) => this.handleVaultLocked(reason);
+
+        // Any interaction postpones the vault's inactivity auto-lock
+        ['pointerdown', 'pointermove', 'keydown', 'wheel'].forEach(type => {
+            document.addEventListener(type, () => this.modules.storage.vault.touch(), { capture: true, passive: true });
+        });
+
+        // Image Provider Settings
+        const providerSelect = document.getElementById('imageProviderSelect');
+        const saveProviderBtn = document.getElementById('saveProviderSettings');
+
+        if (providerSelect) {
+            providerSelect.addEventListener('change', () => this.handleProviderChange());
+        }
+
+        if (saveProviderBtn) {
+            saveProviderBtn.addEventListener('click', () => this.handleSaveProviderSettings());
+        }
+
+        const concurrencyInput = document.getElementById('requestConcurrencyInput');
+        if (concurrencyInput) {
+            concurrencyInput.addEventListener('change', () => {
+                this.modules.gemini.setConcurrency(concurrencyInput.value);
+                concurrencyInput.value = this.modules.gemini.queue.concurrency;
+            });
+        }
+
         // Click on "API Key Required" status pill to expand
         const apiStatus = document.getElementById('apiStatus');
         if (apiStatus) {
@@ -206,6 +299,17 @@ class AIImageEditor {
             editPromptInput.addEventListener('input', () => this.updateEditButtonState());
         }
 
+        // Usage & Budget Panel
+        const saveUsageBudgetBtn = document.getElementById('saveUsageBudget');
+        if (saveUsageBudgetBtn) {
+            saveUsageBudgetBtn.addEventListener('click', () => this.handleSaveUsageBudget());
+        }
+
+        const clearUsageHistoryBtn = document.getElementById('clearUsageHistory');
+        if (clearUsageHistoryBtn) {
+            clearUsageHistoryBtn.addEventListener('click', () => this.handleClearUsageHistory());
+        }
+
         // Canvas Controls
         this.setupCanvasControls();
 
@@ -222,6 +326,16 @@ class AIImageEditor {
             this.modules.styleTransfer.setupEventListeners();
         }
 
+        // Background Replace Module
+        if (this.modules.backgroundReplace) {
+            this.modules.backgroundReplace.setupEventListeners();
+        }
+
+        // Batch Processing Module
+        if (this.modules.batchProcessor) {
+            this.modules.batchProcessor.setupEventListeners();
+        }
+
         // LinkedIn Studio Module
         if (this.modules.linkedinStudio) {
             this.modules.linkedinStudio.initialize();
@@ -303,6 +417,16 @@ class AIImageEditor {
                 });
             }
         });
+
+        // Project files (.aiedit)
+        const openProjectInput = document.getElementById('openProjectInput');
+        document.getElementById('saveProjectBtn')?.addEventListener('click', () => this.handleSaveProject());
+        document.getElementById('openProjectBtn')?.addEventListener('click', () => openProjectInput?.click());
+        openProjectInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleOpenProject(file);
+        });
     }
 
     setupEditingTools() {
@@ -317,8 +441,7 @@ class AIImageEditor {
 
         if (rotateCWBtn) {
             rotateCWBtn.addEventListener('click', () => {
-                if (this.modules.editor) {
-                    this.modules.editor.rotateCW();
+                if (this.modules.editor && this.modules.editor.rotateCW()) {
                     this.modules.ui.showNotification('Rotated 90° clockwise', 'success', 2000);
                 }
             });
@@ -326,8 +449,7 @@ class AIImageEditor {
 
         if (rotateCCWBtn) {
             rotateCCWBtn.addEventListener('click', () => {
-                if (this.modules.editor) {
-                    this.modules.editor.rotateCCW();
+                if (this.modules.editor && this.modules.editor.rotateCCW()) {
                     this.modules.ui.showNotification('Rotated 90° counter-clockwise', 'success', 2000);
                 }
             });
@@ -335,8 +457,7 @@ class AIImageEditor {
 
         if (rotate180Btn) {
             rotate180Btn.addEventListener('click', () => {
-                if (this.modules.editor) {
-                    this.modules.editor.rotate180();
+                if (this.modules.editor && this.modules.editor.rotate180()) {
                     this.modules.ui.showNotification('Rotated 180°', 'success', 2000);
                 }
             });
@@ -344,8 +465,7 @@ class AIImageEditor {
 
         if (flipHorizontalBtn) {
             flipHorizontalBtn.addEventListener('click', () => {
-                if (this.modules.editor) {
-                    this.modules.editor.flipHorizontal();
+                if (this.modules.editor && this.modules.editor.flipHorizontal()) {
                     this.modules.ui.showNotification('Flipped horizontally', 'success', 2000);
                 }
             });
@@ -353,8 +473,7 @@ class AIImageEditor {
 
         if (flipVerticalBtn) {
             flipVerticalBtn.addEventListener('click', () => {
-                if (this.modules.editor) {
-                    this.modules.editor.flipVertical();
+                if (this.modules.editor && this.modules.editor.flipVertical()) {
                     this.modules.ui.showNotification('Flipped vertically', 'success', 2000);
                 }
             });
@@ -380,6 +499,21 @@ class AIImageEditor {
             });
         }
 
+        // Upscale tool (local super-resolution)
+        const upscaleToolBtn = document.getElementById('upscaleTool');
+        if (upscaleToolBtn) {
+            upscaleToolBtn.addEventListener('click', () => {
+                this.toggleUpscaleControls();
+            });
+        }
+
+        const applyUpscaleBtn = document.getElementById('applyUpscale');
+        if (applyUpscaleBtn) {
+            applyUpscaleBtn.addEventListener('click', () => {
+                this.handleUpscale();
+            });
+        }
+
         // Gallery controls
         const clearGalleryBtn = document.getElementById('clearGallery');
         if (clearGalleryBtn) {
@@ -388,6 +522,29 @@ class AIImageEditor {
             });
         }
 
+        const galleryLineageBtn = document.getElementById('galleryLineageBtn');
+        if (galleryLineageBtn) {
+            galleryLineageBtn.addEventListener('click', () => {
+                const activeId = this.modules.gallery.getActiveImageId();
+                if (!activeId) {
+                    this.showError('Select a gallery image first');
+                    return;
+                }
+                this.showLineage(activeId);
+            });
+        }
+
+        document.getElementById('lineageCloseBtn')?.addEventListener('click', () => this.hideLineage());
+        document.getElementById('lineageExportBtn')?.addEventListener('click', () => this.handleExportLineage());
+
+        // Gallery search, grid view and bulk actions
+        document.getElementById('gallerySearchInput')?.addEventListener('input', (e) => {
+            this.state.gallerySearch = e.target.value;
+            this.renderGallery();
+        });
+
+        this.setupGalleryGridView();
+
         const galleryNavLeft = document.getElementById('galleryNavLeft');
         const galleryNavRight = document.getElementById('galleryNavRight');
 
@@ -493,12 +650,18 @@ class AIImageEditor {
         // Crop Tool
         this.setupCropToolListeners();
 
+        // Generative Expand (outpainting)
+        this.setupExpandToolListeners();
+
         // Filter tools (Category 2)
         this.setupFilterControls();
 
         // Drawing tools (Category 3)
         this.setupDrawingTools();
 
+        // Selection tools and layer masks (Category 4)
+        this.setupSelectionTools();
+
         // Export tools
         const downloadBtn = document.getElementById('downloadImage');
         const qualitySlider = document.getElementById('exportQuality');
@@ -508,6 +671,9 @@ class AIImageEditor {
             downloadBtn.addEventListener('click', () => this.handleDownloadImage());
         }
 
+        document.getElementById('exportPsdBtn')?.addEventListener('click', () => this.handleExportPSD());
+        document.getElementById('exportSvgBtn')?.addEventListener('click', () => this.handleExportDrawingsSVG());
+
         if (qualitySlider && qualityValue) {
             qualitySlider.addEventListener('input', (e) => {
                 const value = Math.round(e.target.value * 100);
@@ -537,6 +703,10 @@ class AIImageEditor {
                 try {
                     this.showLoading('Applying Crop...', 'Please wait');
                     await this.modules.editor.applyCrop();
+
+                    const croppedData = await this.modules.editor.getImageAsBase64();
+                    await this.saveDerivedImageToGallery(`data:image/png;base64,${croppedData}`, 'Cropped', { type: 'cropped' });
+
                     this.hideLoading();
                     this.showSuccess('Crop applied successfully!');
 
@@ -675,6 +845,166 @@ class AIImageEditor {
         });
     }
 
+    /**
+     * Setup generative expand listeners: pick a ratio (or drag the frame freely), then fill the new area with AI
+     */
+    setupExpandToolListeners() {
+        const ratioSelect = document.getElementById('expandRatioSelect');
+        const startExpandBtn = document.getElementById('startExpandBtn');
+        const applyExpandBtn = document.getElementById('applyExpandBtn');
+        const cancelExpandBtn = document.getElementById('cancelExpandBtn');
+
+        if (ratioSelect) {
+            this.populateExpandRatios(ratioSelect);
+
+            // While the frame is shown a new ratio resets it
+            ratioSelect.addEventListener('change', () => {
+                if (this.modules.editor && this.modules.editor.expandState.active) {
+                    this.startExpand();
+                }
+            });
+        }
+
+        if (startExpandBtn) {
+            startExpandBtn.addEventListener('click', () => this.startExpand());
+        }
+
+        if (applyExpandBtn) {
+            applyExpandBtn.addEventListener('click', () => this.handleGenerativeExpand());
+        }
+
+        if (cancelExpandBtn) {
+            cancelExpandBtn.addEventListener('click', () => {
+                if (this.modules.editor) {
+                    this.modules.editor.cancelExpand();
+                }
+            });
+        }
+    }
+
+    /**
+     * Fill the expand ratio list: common ratios and every Ad Studio platform format
+     * @param {HTMLSelectElement} select - Ratio select
+     */
+    populateExpandRatios(select) {
+        const addGroup = (label, options) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            options.forEach(({ label: text, ratio }) => {
+                const option = document.createElement('option');
+                option.value = String(ratio);
+                option.textContent = text;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+
+        addGroup('Common', [
+            { label: '1:1 Square', ratio: 1 },
+            { label: '4:3 Landscape', ratio: 4 / 3 },
+            { label: '3:4 Portrait', ratio: 3 / 4 },
+            { label: '16:9 Widescreen', ratio: 16 / 9 },
+            { label: '9:16 Vertical', ratio: 9 / 16 }
+        ]);
+
+        const platformFormats = this.modules.adStudio ? this.modules.adStudio.platformFormats : {};
+        Object.entries(platformFormats).forEach(([platform, formats]) => {
+            addGroup(platform.charAt(0).toUpperCase() + platform.slice(1), formats.map(format => ({
+                label: `${format.label} - ${format.width}×${format.height}`,
+                ratio: format.width / format.height
+            })));
+        });
+    }
+
+    /**
+     * Show the expand frame with the selected ratio (or switch an open frame to it)
+     */
+    startExpand() {
+        if (!this.modules.editor || !this.modules.editor.imageNode) {
+            this.showError('Please load an image first');
+            return;
+        }
+
+        const ratioSelect = document.getElementById('expandRatioSelect');
+        const value = ratioSelect ? ratioSelect.value : 'free';
+
+        try {
+            this.modules.editor.startExpand(value === 'free' ? 'free' : parseFloat(value));
+        } catch (error) {
+            this.showError('Failed to start expand: ' + error.message);
+        }
+    }
+
+    /**
+     * Show the expand actions and the resulting size while the expand frame is open
+     */
+    updateExpandPanel() {
+        const editor = this.modules.editor;
+        const padding = editor ? editor.getExpandPadding() : null;
+
+        const expandActions = document.getElementById('expandActions');
+        if (expandActions) {
+            expandActions.style.display = padding ? 'flex' : 'none';
+        }
+
+        const expandInfo = document.getElementById('expandInfo');
+        if (expandInfo && padding) {
+            expandInfo.textContent = `${padding.width} × ${padding.height}px ` +
+                `(+${padding.left} left, +${padding.top} top, +${padding.right} right, +${padding.bottom} bottom)`;
+        }
+    }
+
+    /**
+     * Filter controls and the editor filter each one drives
+     * @returns {{sliderFilters: Array, toggleFilters: Array}} Control definitions
+     */
+    getFilterControls() {
+        return {
+            sliderFilters: [
+                { id: 'filterBrightness', name: 'brightness', valueId: 'filterBrightnessValue', format: (v) => `${Math.round(v * 100)}%` },
+                { id: 'filterContrast', name: 'contrast', valueId: 'filterContrastValue', format: (v) => v },
+                { id: 'filterBlur', name: 'blur', valueId: 'filterBlurValue', format: (v) => v },
+                { id: 'filterSaturation', name: 'saturation', valueId: 'filterSaturationValue', format: (v) => v.toFixed(1) },
+                { id: 'filterHue', name: 'hue', valueId: 'filterHueValue', format: (v) => `${v}°` },
+                { id: 'filterLuminance', name: 'luminance', valueId: 'filterLuminanceValue', format: (v) => v.toFixed(1) },
+                { id: 'filterPixelate', name: 'pixelate', valueId: 'filterPixelateValue', format: (v) => v },
+                { id: 'filterNoise', name: 'noise', valueId: 'filterNoiseValue', format: (v) => v.toFixed(2) }
+            ],
+            toggleFilters: [
+                { id: 'toggleGrayscale', name: 'grayscale' },
+                { id: 'toggleSepia', name: 'sepia' },
+                { id: 'toggleInvert', name: 'invert' },
+                { id: 'toggleEmboss', name: 'emboss' },
+                { id: 'togglePosterize', name: 'posterize' },
+                { id: 'toggleSolarize', name: 'solarize' },
+                { id: 'toggleEnhance', name: 'enhance' }
+            ]
+        };
+    }
+
+    /**
+     * Update the filter sliders and toggles from the editor's filter state
+     * (after a reset, undo/redo or a new image)
+     */
+    syncFilterControls() {
+        if (!this.modules.editor) return;
+
+        const { filterState } = this.modules.editor;
+        const { sliderFilters, toggleFilters } = this.getFilterControls();
+
+        sliderFilters.forEach(filter => {
+            const slider = document.getElementById(filter.id);
+            const valueDisplay = document.getElementById(filter.valueId);
+            if (slider) slider.value = filterState[filter.name];
+            if (valueDisplay) valueDisplay.textContent = filter.format(filterState[filter.name]);
+        });
+
+        toggleFilters.forEach(filter => {
+            const button = document.getElementById(filter.id);
+            if (button) button.classList.toggle('active', !!filterState[filter.name]);
+        });
+    }
+
     /**
      * Setup filter controls
      */
@@ -687,17 +1017,7 @@ class AIImageEditor {
             });
         }
 
-        // Slider filters
-        const sliderFilters = [
-            { id: 'filterBrightness', name: 'brightness', valueId: 'filterBrightnessValue', format: (v) => `${Math.round(v * 100)}%` },
-            { id: 'filterContrast', name: 'contrast', valueId: 'filterContrastValue', format: (v) => v },
-            { id: 'filterBlur', name: 'blur', valueId: 'filterBlurValue', format: (v) => v },
-            { id: 'filterSaturation', name: 'saturation', valueId: 'filterSaturationValue', format: (v) => v.toFixed(1) },
-            { id: 'filterHue', name: 'hue', valueId: 'filterHueValue', format: (v) => `${v}°` },
-            { id: 'filterLuminance', name: 'luminance', valueId: 'filterLuminanceValue', format: (v) => v.toFixed(1) },
-            { id: 'filterPixelate', name: 'pixelate', valueId: 'filterPixelateValue', format: (v) => v },
-            { id: 'filterNoise', name: 'noise', valueId: 'filterNoiseValue', format: (v) => v.toFixed(2) }
-        ];
+        const { sliderFilters, toggleFilters } = this.getFilterControls();
 
         sliderFilters.forEach(filter => {
             const slider = document.getElementById(filter.id);
@@ -709,23 +1029,19 @@ class AIImageEditor {
                     valueDisplay.textContent = filter.format(value);
 
                     if (this.modules.editor) {
-                        this.modules.editor.updateFilter(filter.name, value);
+                        this.modules.editor.updateFilter(filter.name, value, { preview: true });
+                    }
+                });
+
+                // Released: full resolution
+                slider.addEventListener('change', () => {
+                    if (this.modules.editor) {
+                        this.modules.editor.commitFilterPreview();
                     }
                 });
             }
         });
 
-        // Toggle filters
-        const toggleFilters = [
-            { id: 'toggleGrayscale', name: 'grayscale' },
-            { id: 'toggleSepia', name: 'sepia' },
-            { id: 'toggleInvert', name: 'invert' },
-            { id: 'toggleEmboss', name: 'emboss' },
-            { id: 'togglePosterize', name: 'posterize' },
-            { id: 'toggleSolarize', name: 'solarize' },
-            { id: 'toggleEnhance', name: 'enhance' }
-        ];
-
         toggleFilters.forEach(filter => {
             const button = document.getElementById(filter.id);
             if (button) {
@@ -823,7 +1139,7 @@ class AIImageEditor {
             });
         }
 
-        // Font size
+        // Font size (the other text options are bound by TextControlsUI)
         const fontSizeSlider = document.getElementById('fontSize');
         const fontSizeValue = document.getElementById('fontSizeValue');
         if (fontSizeSlider && fontSizeValue) {
@@ -831,7 +1147,7 @@ class AIImageEditor {
                 const value = parseInt(e.target.value);
                 fontSizeValue.textContent = `${value}px`;
                 if (this.modules.editor) {
-                    this.modules.editor.updateDrawingOption('fontSize', value);
+                    this.modules.editor.textTool.setOption('fontSize', value);
                 }
             });
         }
@@ -849,22 +1165,21 @@ class AIImageEditor {
             });
         }
 
-        // Undo drawing button
+        // Undo/redo drawing buttons (drawings are part of the editor history)
         const undoDrawingBtn = document.getElementById('undoDrawing');
         if (undoDrawingBtn) {
             undoDrawingBtn.addEventListener('click', () => {
                 if (this.modules.editor) {
-                    this.modules.editor.undoDrawing();
+                    this.modules.editor.undo();
                 }
             });
         }
 
-        // Redo drawing button
         const redoDrawingBtn = document.getElementById('redoDrawing');
         if (redoDrawingBtn) {
             redoDrawingBtn.addEventListener('click', () => {
                 if (this.modules.editor) {
-                    this.modules.editor.redoDrawing();
+                    this.modules.editor.redo();
                 }
             });
         }
@@ -873,7 +1188,7 @@ class AIImageEditor {
         const clearDrawingBtn = document.getElementById('clearDrawing');
         if (clearDrawingBtn) {
             clearDrawingBtn.addEventListener('click', () => {
-                if (this.modules.editor && confirm('Clear all drawings? This cannot be undone.')) {
+                if (this.modules.editor && confirm('Clear all drawings?')) {
                     this.modules.editor.clearDrawings();
                     this.modules.ui.showNotification('All drawings cleared', 'success', 2000);
                 }
@@ -881,22 +1196,132 @@ class AIImageEditor {
         }
     }
 
+    /**
+     * Setup selection tools (the tool buttons are .drawing-tool buttons) and layer mask actions
+     */
+    setupSelectionTools() {
+        const editor = () => this.modules.editor;
+
+        // Selection mode (New / Add / Subtract)
+        const modeButtons = document.querySelectorAll('.selection-mode-btn');
+        modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                modeButtons.forEach(btn => btn.classList.remove('active'));
+                button.classList.add('active');
+                if (editor()) {
+                    editor().updateSelectionOption('mode', button.dataset.mode);
+                }
+            });
+        });
+
+        // Mask brush mode (Hide / Reveal)
+        const maskModeButtons = document.querySelectorAll('.mask-mode-btn');
+        maskModeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                maskModeButtons.forEach(btn => btn.classList.remove('active'));
+                button.classList.add('active');
+                if (editor()) {
+                    editor().updateSelectionOption('maskMode', button.dataset.maskMode);
+                }
+            });
+        });
+
+        // Brush size
+        const brushSizeSlider = document.getElementById('selectionBrushSize');
+        const brushSizeValue = document.getElementById('selectionBrushSizeValue');
+        if (brushSizeSlider && brushSizeValue) {
+            brushSizeSlider.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                brushSizeValue.textContent = `${value}px`;
+                if (editor()) {
+                    editor().updateSelectionOption('brushSize', value);
+                }
+            });
+        }
+
+        // Feather
+        const featherSlider = document.getElementById('selectionFeather');
+        const featherValue = document.getElementById('selectionFeatherValue');
+        if (featherSlider && featherValue) {
+            featherSlider.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                featherValue.textContent = `${value}px`;
+                if (editor()) {
+                    editor().updateSelectionOption('feather', value);
+                }
+            });
+        }
+
+        // Selection actions
+        const actions = {
+            selectAll: () => editor().selectAll(),
+            invertSelection: () => editor().invertSelection(),
+            deselect: () => editor().deselect(),
+            maskFromSelection: () => {
+                if (editor().addMaskFromSelection()) {
+                    this.modules.ui.showNotification('Layer mask added', 'success', 2000);
+                }
+            }
+        };
+
+        Object.entries(actions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    if (editor()) action();
+                });
+            }
+        });
+
+        this.updateSelectionControls();
+    }
+
+    /**
+     * Reflect whether there is a selection (AI edits are limited to it)
+     */
+    updateSelectionControls() {
+        const hasSelection = !!this.modules.editor && this.modules.editor.hasSelection();
+
+        const hint = document.getElementById('selectionHint');
+        if (hint) {
+            hint.textContent = hasSelection
+                ? 'AI edits only change the selected area'
+                : 'No selection - AI edits change the whole image';
+            hint.classList.toggle('active', hasSelection);
+        }
+
+        ['invertSelection', 'deselect'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !hasSelection;
+        });
+
+        // The Layers panel offers masks from the selection
+        if (this.modules.layerPanel) {
+            this.modules.layerPanel.render();
+        }
+    }
+
     /**
      * Update drawing controls visibility based on active tool
      */
     updateDrawingControls(tool) {
         const fillColorGroup = document.getElementById('fillColorGroup');
         const fontSizeGroup = document.getElementById('fontSizeGroup');
+        const textOptionsGroup = document.getElementById('textOptionsGroup');
         const opacityGroup = document.getElementById('opacityGroup');
+        const maskModeGroup = document.getElementById('maskModeGroup');
 
         // Hide all optional controls
         if (fillColorGroup) fillColorGroup.style.display = 'none';
         if (fontSizeGroup) fontSizeGroup.style.display = 'none';
+        if (textOptionsGroup) textOptionsGroup.style.display = 'none';
         if (opacityGroup) opacityGroup.style.display = 'none';
+        if (maskModeGroup) maskModeGroup.style.display = tool === 'mask-brush' ? 'flex' : 'none';
 
         // Show relevant controls based on tool
         if (tool === 'text') {
             if (fontSizeGroup) fontSizeGroup.style.display = 'flex';
+            if (textOptionsGroup) textOptionsGroup.style.display = 'flex';
         } else if (tool === 'highlighter') {
             if (opacityGroup) opacityGroup.style.display = 'flex';
         } else if (['rectangle', 'circle', 'star', 'polygon'].includes(tool)) {
@@ -905,9 +1330,20 @@ class AIImageEditor {
     }
 
     initializeUI() {
+        // Populate image provider settings
+        this.renderProviderSettings();
+
+        // Populate API key storage mode
+        this.renderApiKeyStorageSettings();
+
         // Load saved API key
         const savedApiKey = this.modules.storage.getApiKey();
-        if (savedApiKey) {
+        if (!this.modules.gemini.getProvider().usesApiKey) {
+            this.handleTestProvider();
+        } else if (this.modules.storage.isVaultLocked()) {
+            // Encrypted key - ask for the passphrase in the condensed view
+            this.showCondensedApiKeyView();
+        } else if (savedApiKey) {
             document.getElementById('apiKeyInput').value = savedApiKey;
             this.handleTestApiKey();
             // Note: handleTestApiKey() will call showCondensedApiKeyView() if valid
@@ -922,6 +1358,14 @@ class AIImageEditor {
 
         // Render gallery
         this.renderGallery();
+
+        // Render usage dashboard
+        this.renderUsagePanel();
+        const usageBudgetInput = document.getElementById('usageBudgetInput');
+        if (usageBudgetInput) {
+            const budget = this.modules.usage.getMonthlyBudget();
+            usageBudgetInput.value = budget > 0 ? budget : '';
+        }
     }
 
     // API Key Management
@@ -951,13 +1395,36 @@ class AIImageEditor {
         }
 
         try {
-            this.modules.storage.saveApiKey(apiKey);
+            await this.persistApiKey(apiKey);
             this.showSuccess('API key saved successfully');
             console.log('💾 [AI EDITOR] API key saved');
         } catch (error) {
             console.error('❌ [AI EDITOR] Failed to save API key:', error);
-            this.showError('Failed to save API key');
+            this.showError(error.message || 'Failed to save API key');
+        }
+    }
+
+    /**
+     * Save the API key with the storage mode (and passphrase) chosen in the expanded view
+     * @param {string} apiKey - API key
+     * @returns {Promise<boolean>} False if nothing needed saving
+     */
+    async persistApiKey(apiKey) {
+        const storage = this.modules.storage;
+        const mode = document.getElementById('apiKeyModeSelect')?.value || storage.getApiKeyMode();
+        const passphraseInput = document.getElementById('vaultPassphraseInput');
+        const passphrase = passphraseInput?.value || null;
+
+        // Unchanged - e.g. re-testing the key loaded at startup or just unlocked
+        if (mode === storage.getApiKeyMode() && !passphrase && apiKey === storage.getApiKey()) {
+            return false;
         }
+
+        await storage.saveApiKey(apiKey, { mode, passphrase });
+
+        if (passphraseInput) passphraseInput.value = '';
+        this.renderApiKeyStorageSettings();
+        return true;
     }
 
     async handleTestApiKey() {
@@ -975,13 +1442,22 @@ class AIImageEditor {
             const isValid = await this.modules.gemini.testApiKey(apiKey);
 
             if (isValid) {
+                // Save the validated API key
+                try {
+                    await this.persistApiKey(apiKey);
+                } catch (error) {
+                    console.error('❌ [AI EDITOR] Failed to save API key:', error);
+                    this.state.apiKeyValid = false;
+                    this.updateApiStatus('offline', 'API Key Not Saved');
+                    this.showError(error.message || 'Failed to save API key');
+                    this.updateGenerateButtonState();
+                    return;
+                }
+
                 this.state.apiKeyValid = true;
                 this.updateApiStatus('online', 'Valid');
                 this.showApiKeyInlineNotification();
 
-                // Save the validated API key
-                this.modules.storage.saveApiKey(apiKey);
-
                 // Switch to condensed view after notification
                 setTimeout(() => {
                     this.showCondensedApiKeyView();
@@ -1002,64 +1478,294 @@ class AIImageEditor {
     }
 
     /**
-     * Show the condensed API key view (when key is valid)
+     * Populate the provider select and generic provider fields from settings
      */
-    showCondensedApiKeyView() {
-        const condensedView = document.getElementById('apiKeyCondensed');
-        const expandedView = document.getElementById('apiKeyExpanded');
+    renderProviderSettings() {
+        const providerSelect = document.getElementById('imageProviderSelect');
+        if (!providerSelect) return;
 
-        if (condensedView && expandedView) {
-            condensedView.style.display = 'block';
-            expandedView.style.display = 'none';
-            console.log('🔒 [API KEY] Switched to condensed view');
+        const registry = this.modules.gemini.providers;
+        const activeId = registry.getActiveId();
+
+        providerSelect.innerHTML = registry.list()
+            .map(({ id, label }) => `<option value="${id}"${id === activeId ? ' selected' : ''}>${this.escapeHtml(label)}</option>`)
+            .join('');
+
+        const generic = registry.get('generic').config;
+        document.getElementById('genericProviderEndpoint').value = generic.endpoint || '';
+        document.getElementById('genericProviderModel').value = generic.model || '';
+        document.getElementById('genericProviderApiKey').value = generic.apiKey || '';
+
+        this.updateProviderFieldsVisibility(activeId);
+
+        const concurrencyInput = document.getElementById('requestConcurrencyInput');
+        if (concurrencyInput) {
+            concurrencyInput.value = this.modules.gemini.queue.concurrency;
         }
     }
 
     /**
-     * Show the expanded API key view (for editing)
+     * Toggle the fields that belong to the selected provider
+     * @param {string} providerId - Selected provider id
      */
-    showExpandedApiKeyView() {
-        const condensedView = document.getElementById('apiKeyCondensed');
-        const expandedView = document.getElementById('apiKeyExpanded');
-
-        if (condensedView && expandedView) {
-            condensedView.style.display = 'none';
-            expandedView.style.display = 'block';
-            console.log('🔓 [API KEY] Switched to expanded view');
-        }
+    updateProviderFieldsVisibility(providerId) {
+        const genericFields = document.getElementById('genericProviderFields');
+        const apiKeyGroup = document.getElementById('apiKeyInput')?.closest('.input-group');
+        const storageGroup = document.querySelector('.api-key-storage');
+        const condensedLabel = document.getElementById('apiKeyCondensedLabel');
+        const isGeneric = providerId === 'generic';
+
+        if (genericFields) genericFields.style.display = isGeneric ? 'flex' : 'none';
+        if (apiKeyGroup) apiKeyGroup.style.display = isGeneric ? 'none' : 'flex';
+        if (storageGroup) storageGroup.style.display = isGeneric ? 'none' : 'flex';
+        if (condensedLabel) condensedLabel.textContent = isGeneric ? 'Image Provider' : 'Gemini API Key';
     }
 
     /**
-     * Handle click on the "API Key Valid" badge to expand the section
+     * Handle switching the active image provider
      */
-    handleExpandApiKeySection() {
-        console.log('✏️ [API KEY] User clicked to edit API key');
-        this.showExpandedApiKeyView();
+    handleProviderChange() {
+        const providerId = document.getElementById('imageProviderSelect').value;
 
-        // Focus on the input field
-        const apiKeyInput = document.getElementById('apiKeyInput');
-        if (apiKeyInput) {
-            setTimeout(() => {
-                apiKeyInput.focus();
-                apiKeyInput.select();
-            }, 100);
+        this.modules.gemini.providers.setActive(providerId);
+        this.updateProviderFieldsVisibility(providerId);
+        this.state.apiKeyValid = false;
+        this.updateApiStatus('offline', 'API Key Required');
+        this.updateGenerateButtonState();
+
+        if (providerId === 'gemini' && document.getElementById('apiKeyInput').value.trim()) {
+            this.handleTestApiKey();
         }
     }
 
-    // Image Generation
-    async handleGenerateImage() {
-        const promptInput = document.getElementById('promptInput');
-        const userPrompt = promptInput.value.trim();
+    /**
+     * Save the generic provider configuration and test it
+     */
+    async handleSaveProviderSettings() {
+        const endpoint = document.getElementById('genericProviderEndpoint').value.trim();
 
-        if (!userPrompt) {
-            this.showError('Please enter a prompt');
+        if (!endpoint) {
+            this.showError('Please enter a provider endpoint');
             return;
         }
 
-        if (!this.state.apiKeyValid) {
-            this.showError('Please enter and validate your API key first');
-            return;
-        }
+        this.modules.gemini.providers.setActive('generic', {
+            endpoint,
+            model: document.getElementById('genericProviderModel').value.trim(),
+            apiKey: document.getElementById('genericProviderApiKey').value.trim()
+        });
+
+        await this.handleTestProvider();
+    }
+
+    /**
+     * Test a provider that does not use the Gemini API key
+     */
+    async handleTestProvider() {
+        this.updateApiStatus('testing', 'Testing Provider...');
+
+        const isValid = await this.modules.gemini.getProvider().testConnection();
+        this.state.apiKeyValid = isValid;
+
+        if (isValid) {
+            this.updateApiStatus('online', 'Valid');
+            this.showApiKeyInlineNotification();
+            setTimeout(() => {
+                this.showCondensedApiKeyView();
+            }, 2500);
+        } else {
+            this.updateApiStatus('offline', 'Provider Unreachable');
+            this.showExpandedApiKeyView();
+            this.showError('Image provider did not respond. Please check the endpoint and try again.');
+        }
+
+        this.updateGenerateButtonState();
+    }
+
+    /**
+     * Show the condensed API key view (when key is valid)
+     */
+    showCondensedApiKeyView() {
+        const condensedView = document.getElementById('apiKeyCondensed');
+        const expandedView = document.getElementById('apiKeyExpanded');
+
+        this.renderApiKeyLockState();
+
+        if (condensedView && expandedView) {
+            condensedView.style.display = 'block';
+            expandedView.style.display = 'none';
+            console.log('🔒 [API KEY] Switched to condensed view');
+        }
+    }
+
+    /**
+     * Reflect the vault state in the condensed view - locked keys show a passphrase field,
+     * unlocked encrypted keys get a lock button
+     */
+    renderApiKeyLockState() {
+        const storage = this.modules.storage;
+        const usesApiKey = this.modules.gemini.getProvider().usesApiKey;
+        const locked = usesApiKey && storage.isVaultLocked();
+        const mode = storage.getApiKeyMode();
+
+        const statusGroup = document.getElementById('apiStatusMinimal');
+        const indicator = document.getElementById('condensedStatusIndicator');
+        const statusText = document.getElementById('condensedStatusText');
+        const lockBtn = document.getElementById('lockApiKeyBtn');
+        const unlockRow = document.getElementById('apiKeyUnlockRow');
+
+        const labels = { local: 'Valid', vault: 'Valid · Encrypted', session: 'Valid · Session only' };
+
+        if (statusGroup) statusGroup.classList.toggle('locked', locked);
+        if (indicator) indicator.className = `status-indicator ${locked ? 'locked' : 'online'}`;
+        if (statusText) statusText.textContent = locked ? 'Locked' : (usesApiKey ? labels[mode] : 'Valid');
+        if (lockBtn) lockBtn.style.display = usesApiKey && mode === 'vault' && !locked ? 'flex' : 'none';
+        if (unlockRow) unlockRow.style.display = locked ? 'flex' : 'none';
+    }
+
+    /**
+     * Sync the key storage controls with the stored mode and settings
+     */
+    renderApiKeyStorageSettings() {
+        const modeSelect = document.getElementById('apiKeyModeSelect');
+        const autoLockInput = document.getElementById('vaultAutoLockInput');
+
+        if (modeSelect) modeSelect.value = this.modules.storage.getApiKeyMode();
+        if (autoLockInput) autoLockInput.value = this.modules.storage.vault.autoLockMinutes;
+
+        this.handleApiKeyModeChange();
+    }
+
+    /**
+     * Update the key storage help text and passphrase fields for the selected mode
+     */
+    handleApiKeyModeChange() {
+        const mode = document.getElementById('apiKeyModeSelect')?.value || 'local';
+        const vaultFields = document.getElementById('vaultFields');
+        const passphraseInput = document.getElementById('vaultPassphraseInput');
+        const helpText = document.getElementById('apiKeyStorageHelp');
+
+        const help = {
+            local: 'Your API key is stored locally and never shared',
+            vault: 'Encrypted in this browser (AES-GCM) - unlock it once per session with your passphrase',
+            session: 'Kept in memory only - you will need to enter it again after closing the page'
+        };
+
+        if (vaultFields) vaultFields.style.display = mode === 'vault' ? 'flex' : 'none';
+        if (helpText) helpText.textContent = help[mode];
+
+        if (passphraseInput) {
+            // An unlocked vault can re-encrypt a new key without asking for the passphrase again
+            passphraseInput.placeholder = this.modules.storage.vault.hasDerivedKey()
+                ? 'New passphrase (optional)'
+                : 'Passphrase (min. 8 characters)';
+        }
+    }
+
+    /**
+     * Persist the inactivity auto-lock timeout
+     */
+    handleVaultAutoLockChange() {
+        const input = document.getElementById('vaultAutoLockInput');
+        const minutes = Math.max(0, parseInt(input.value, 10) || 0);
+
+        input.value = minutes;
+        this.modules.storage.updateSetting('vaultAutoLockMinutes', minutes);
+        this.modules.storage.vault.setAutoLockMinutes(minutes);
+        console.log(`🔐 [API KEY] Auto-lock set to ${minutes} minutes`);
+    }
+
+    /**
+     * Unlock the encrypted API key with the passphrase from the condensed view
+     */
+    async handleUnlockApiKey() {
+        const input = document.getElementById('vaultUnlockInput');
+        const passphrase = input.value;
+
+        if (!passphrase) {
+            this.showError('Please enter your passphrase');
+            return;
+        }
+
+        try {
+            const apiKey = await this.modules.storage.unlockVault(passphrase);
+            input.value = '';
+            document.getElementById('apiKeyInput').value = apiKey;
+            this.renderApiKeyStorageSettings();
+            this.renderApiKeyLockState();
+            await this.handleTestApiKey();
+        } catch (error) {
+            console.error('❌ [API KEY] Failed to unlock API key:', error);
+            this.showError(error.name === 'VaultPassphraseError' ? 'Incorrect passphrase' : error.message);
+            input.select();
+        }
+    }
+
+    /**
+     * Called by the vault when it locks (manually or after inactivity)
+     * @param {string} reason - 'manual' or 'inactivity'
+     */
+    handleVaultLocked(reason) {
+        document.getElementById('apiKeyInput').value = '';
+        this.state.apiKeyValid = false;
+        this.updateApiStatus('offline', 'API Key Locked');
+        this.updateGenerateButtonState();
+        this.renderApiKeyStorageSettings();
+
+        if (this.modules.gemini.getProvider().usesApiKey) {
+            this.showCondensedApiKeyView();
+        }
+
+        if (reason === 'inactivity') {
+            this.modules.ui.showNotification('API key locked after inactivity', 'info');
+        }
+    }
+
+    /**
+     * Show the expanded API key view (for editing)
+     */
+    showExpandedApiKeyView() {
+        const condensedView = document.getElementById('apiKeyCondensed');
+        const expandedView = document.getElementById('apiKeyExpanded');
+
+        if (condensedView && expandedView) {
+            condensedView.style.display = 'none';
+            expandedView.style.display = 'block';
+            console.log('🔓 [API KEY] Switched to expanded view');
+        }
+    }
+
+    /**
+     * Handle click on the "API Key Valid" badge to expand the section
+     */
+    handleExpandApiKeySection() {
+        console.log('✏️ [API KEY] User clicked to edit API key');
+        this.showExpandedApiKeyView();
+
+        // Focus on the input field
+        const apiKeyInput = document.getElementById('apiKeyInput');
+        if (apiKeyInput) {
+            setTimeout(() => {
+                apiKeyInput.focus();
+                apiKeyInput.select();
+            }, 100);
+        }
+    }
+
+    // Image Generation
+    async handleGenerateImage() {
+        const promptInput = document.getElementById('promptInput');
+        const userPrompt = promptInput.value.trim();
+
+        if (!userPrompt) {
+            this.showError('Please enter a prompt');
+            return;
+        }
+
+        if (!this.state.apiKeyValid) {
+            this.showError('Please enter and validate your API key first');
+            return;
+        }
 
         // Enhance prompt with selected style preset
         const enhancedPrompt = this.modules.promptEnhancer.enhanceGenerationPrompt(userPrompt);
@@ -1080,23 +1786,41 @@ class AIImageEditor {
 
         this.state.isGenerating = true;
         this.updateGenerateButtonState();
-        this.showLoading('Generating Image with Gemini AI...', 'This may take 10-30 seconds');
+        this.showLoading('Generating Image with Gemini AI...', 'This may take 10-30 seconds', { cancellable: true });
 
         try {
-            const imageUrl = await this.modules.gemini.generateImage(enhancedPrompt, aspectRatio, resolution);
+            const candidateCount = this.modules.promptEnhancer.getSelectedCandidateCount();
+            const { candidates } = await this.modules.gemini.generateImageCandidates(enhancedPrompt, {
+                aspectRatio,
+                imageSize: resolution,
+                count: candidateCount,
+                onProgress: (update) => this.modules.ui.appendLoadingStream(update)
+            });
+
+            // Let the user choose when more than one candidate came back
+            let chosen = candidates[0];
+            if (candidates.length > 1) {
+                this.hideLoading();
+                chosen = await this.pickCandidate(candidates);
+                if (!chosen) {
+                    this.showStatus('Candidates discarded', 'info');
+                    return;
+                }
+            }
 
-            if (imageUrl) {
-                await this.loadImageToCanvas(imageUrl);
+            if (chosen) {
+                await this.loadImageToCanvas(chosen.url, { label: 'Generate Image', icon: 'fas fa-magic' });
 
                 // Save to gallery using the base64 data from API (not the Blob URL)
                 try {
-                    const imageDataForGallery = this.modules.gemini.getLastGeneratedImageData();
+                    const imageDataForGallery = chosen.dataUrl;
 
                     if (imageDataForGallery) {
                         console.log('📸 [AI EDITOR] Using stored base64 data for gallery');
                         const imageId = await this.modules.gallery.addImage(imageDataForGallery, enhancedPrompt, {
                             type: 'generated',
-                            model: 'gemini-2.5-flash-image'
+                            model: this.modules.gemini.model,
+                            recipe: this.buildGalleryRecipe(chosen.recipe, userPrompt, 'generate')
                         });
                         this.modules.gallery.setActiveImage(imageId);
                         this.renderGallery();
@@ -1106,6 +1830,9 @@ class AIImageEditor {
                     }
                 } catch (galleryError) {
                     console.warn('⚠️ [AI EDITOR] Failed to save to gallery:', galleryError);
+                    if (galleryError.name === 'GalleryQuotaError') {
+                        this.modules.ui.showNotification(galleryError.message, 'error', 6000);
+                    }
                     // Don't fail the whole operation if gallery save fails
                 }
 
@@ -1114,12 +1841,20 @@ class AIImageEditor {
                 throw new Error('No image data returned from API');
             }
         } catch (error) {
+            if (this.modules.gemini.isCancelled(error)) {
+                console.log('🛑 [AI EDITOR] Image generation cancelled');
+                this.showStatus('Image generation cancelled', 'info');
+                return;
+            }
+
             console.error('❌ [AI EDITOR] Image generation failed:', error);
 
             // Provide user-friendly error messages
             let errorMessage = 'Failed to generate image. ';
 
-            if (error.message.includes('401')) {
+            if (error.name === 'BudgetExceededError') {
+                errorMessage += error.message;
+            } else if (error.message.includes('401')) {
                 errorMessage += 'Invalid API key. Please check your Gemini API key.';
             } else if (error.message.includes('429')) {
                 errorMessage += 'Rate limit exceeded. Please wait a moment and try again.';
@@ -1139,7 +1874,12 @@ class AIImageEditor {
         }
     }
 
-    async loadImageToCanvas(imageUrl) {
+    /**
+     * Show an image on the canvas, creating the editor on first use
+     * @param {string} imageUrl - Image URL or data URL
+     * @param {object} historyOptions - { label, icon } for the History panel
+     */
+    async loadImageToCanvas(imageUrl, historyOptions = {}) {
         console.log('🚀 [MAIN DEBUG] loadImageToCanvas called with URL:', imageUrl?.substring(0, 100));
         console.log('🔍 [MAIN DEBUG] URL type:', typeof imageUrl);
         console.log('🔍 [MAIN DEBUG] URL length:', imageUrl?.length);
@@ -1150,28 +1890,11 @@ class AIImageEditor {
             console.log('🔧 [MAIN DEBUG] Checking if Konva editor exists:', !!this.modules.editor);
             
             // Initialize Konva editor if not already done
-            if (!this.modules.editor) {
-                console.log('🔧 [MAIN DEBUG] Initializing new KonvaEditor...');
-                this.modules.editor = new KonvaEditor(this);
-                console.log('🔧 [MAIN DEBUG] KonvaEditor created, calling init()...');
-                await this.modules.editor.init();
-                console.log('✅ [MAIN DEBUG] KonvaEditor initialized successfully');
-
-                // Initialize Layer Panel UI
-                console.log('🔧 [MAIN DEBUG] Initializing LayerPanelUI...');
-                this.modules.layerPanel = new LayerPanelUI(
-                    this.modules.editor.layerManager,
-                    'layerPanel',
-                    this.modules.editor
-                );
-                console.log('✅ [AI EDITOR] Layer Panel UI initialized');
-            } else {
-                console.log('✅ [MAIN DEBUG] KonvaEditor already exists, skipping initialization');
-            }
+            await this.ensureEditor();
 
             // Load image into canvas
             console.log('🖼️ [MAIN DEBUG] About to call editor.loadImage()...');
-            await this.modules.editor.loadImage(imageUrl);
+            await this.modules.editor.loadImage(imageUrl, historyOptions);
             console.log('✅ [MAIN DEBUG] editor.loadImage() completed successfully');
             
             this.state.currentImage = imageUrl;
@@ -1228,6 +1951,101 @@ class AIImageEditor {
         }
     }
 
+    /**
+     * Create the Konva editor and its Layers and History panels the first time they are needed
+     * @returns {Promise<KonvaEditor>} Editor
+     */
+    async ensureEditor() {
+        if (this.modules.editor) {
+            console.log('✅ [MAIN DEBUG] KonvaEditor already exists, skipping initialization');
+            return this.modules.editor;
+        }
+
+        console.log('🔧 [MAIN DEBUG] Initializing new KonvaEditor...');
+        this.modules.editor = new KonvaEditor(this);
+        console.log('🔧 [MAIN DEBUG] KonvaEditor created, calling init()...');
+        await this.modules.editor.init();
+        console.log('✅ [MAIN DEBUG] KonvaEditor initialized successfully');
+
+        // Generative expand panel follows the expand frame
+        this.modules.editor.onExpandChange = () => this.updateExpandPanel();
+
+        // Initialize Layer Panel UI
+        console.log('🔧 [MAIN DEBUG] Initializing LayerPanelUI...');
+        this.modules.layerPanel = new LayerPanelUI(
+            this.modules.editor.layerManager,
+            'layerPanel',
+            this.modules.editor
+        );
+        console.log('✅ [AI EDITOR] Layer Panel UI initialized');
+
+        // Initialize History Panel UI
+        this.modules.historyPanel = new HistoryPanelUI(
+            this.modules.editor.history,
+            'historyPanel',
+            this.modules.editor
+        );
+        console.log('✅ [AI EDITOR] History Panel UI initialized');
+
+        // Text options in the Drawing Tools panel
+        this.modules.textControls = new TextControlsUI(this.modules.editor.textTool);
+
+        // Rulers, grid, snapping and align/distribute controls
+        this.modules.guidesControls = new GuidesControlsUI(this.modules.editor);
+
+        // Numeric transform, clipboard, grouping and z-order controls for the selected objects
+        this.modules.transformPanel = new TransformPanelUI(this.modules.editor);
+
+        // Autosave every recorded edit (after the History panel, which also listens for changes)
+        this.modules.project.attach(this.modules.editor);
+
+        return this.modules.editor;
+    }
+
+    /**
+     * Show generated candidates and wait for the user to pick one
+     * Blob URLs of the candidates that are not picked are revoked
+     * @param {Array<{url: string, dataUrl: string}>} candidates - Generated candidates
+     * @returns {Promise<object|null>} The chosen candidate, or null if all were discarded
+     */
+    pickCandidate(candidates) {
+        const picker = document.getElementById('candidatePicker');
+        const grid = document.getElementById('candidatePickerGrid');
+        const closeBtn = document.getElementById('candidatePickerClose');
+
+        if (!picker || !grid) {
+            return Promise.resolve(candidates[0]);
+        }
+
+        return new Promise((resolve) => {
+            const finish = (chosen) => {
+                picker.style.display = 'none';
+                grid.innerHTML = '';
+                closeBtn?.removeEventListener('click', onClose);
+                candidates
+                    .filter(candidate => candidate !== chosen)
+                    .forEach(candidate => URL.revokeObjectURL(candidate.url));
+                resolve(chosen);
+            };
+            const onClose = () => finish(null);
+
+            grid.innerHTML = '';
+            candidates.forEach((candidate, index) => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'candidate-picker-item';
+                item.title = `Use candidate ${index + 1}`;
+                item.innerHTML = `<img src="${candidate.url}" alt="Candidate ${index + 1}"><span>#${index + 1}</span>`;
+                item.addEventListener('click', () => finish(candidate));
+                grid.appendChild(item);
+            });
+
+            closeBtn?.addEventListener('click', onClose);
+            picker.style.display = 'flex';
+            console.log(`🖼️ [AI EDITOR] Showing ${candidates.length} candidates`);
+        });
+    }
+
     // AI Prompt Enhancement
     async handleEnhancePrompt() {
         const promptInput = document.getElementById('promptInput');
@@ -1558,9 +2376,12 @@ class AIImageEditor {
             });
         }
 
+        // The edit result becomes a child of the image currently on the canvas
+        const parentId = this.modules.gallery.getActiveImageId();
+
         this.state.isGenerating = true;
         this.updateEditButtonState();
-        this.showLoading('Editing Image with AI...', 'This may take 10-30 seconds');
+        this.showLoading('Editing Image with AI...', 'This may take 10-30 seconds', { cancellable: true });
 
         try {
             // Get current canvas image as base64 (at high resolution)
@@ -1570,16 +2391,24 @@ class AIImageEditor {
                 throw new Error('Failed to extract image data from canvas');
             }
 
+            // With a selection only the selected area is edited (same frame as the image)
+            const mask = this.modules.editor.getSelectionMaskAsBase64();
+            if (mask) {
+                console.log('🎭 [AI EDITOR] Limiting the edit to the selection');
+            }
+
             // Call AI to edit the image with resolution and aspect ratio settings
             const editedImageUrl = await this.modules.gemini.editImage(baseImageData, enhancedEditPrompt, {
                 preserveOriginal: true,
                 aspectRatio: aspectRatio,
-                imageSize: resolution
+                imageSize: resolution,
+                parentImageId: parentId,
+                mask
             });
 
             if (editedImageUrl) {
                 // Load edited image to canvas (already a Blob URL from API)
-                await this.modules.editor.loadImage(editedImageUrl);
+                await this.modules.editor.loadImage(editedImageUrl, { label: 'AI Edit', icon: 'fas fa-magic' });
                 this.state.currentImage = editedImageUrl;
 
                 // Save edited image to gallery using the base64 data from API
@@ -1590,7 +2419,9 @@ class AIImageEditor {
                         console.log('📸 [AI EDITOR] Using stored base64 data for gallery (edited image)');
                         const imageId = await this.modules.gallery.addImage(imageDataForGallery, enhancedEditPrompt, {
                             type: 'edited',
-                            model: 'gemini-2.5-flash-image'
+                            model: this.modules.gemini.model,
+                            recipe: this.buildGalleryRecipe(this.modules.gemini.getLastRecipe(), userEditPrompt, 'edit'),
+                            parentId
                         });
                         this.modules.gallery.setActiveImage(imageId);
                         this.renderGallery();
@@ -1600,6 +2431,9 @@ class AIImageEditor {
                     }
                 } catch (galleryError) {
                     console.warn('⚠️ [AI EDITOR] Failed to save edited image to gallery:', galleryError);
+                    if (galleryError.name === 'GalleryQuotaError') {
+                        this.modules.ui.showNotification(galleryError.message, 'error', 6000);
+                    }
                     // Don't fail the whole operation if gallery save fails
                 }
 
@@ -1612,10 +2446,109 @@ class AIImageEditor {
                 throw new Error('No image data returned from API');
             }
         } catch (error) {
+            if (this.modules.gemini.isCancelled(error)) {
+                console.log('🛑 [AI EDITOR] Image edit cancelled');
+                this.showStatus('Image edit cancelled', 'info');
+                return;
+            }
+
             console.error('❌ [AI EDITOR] Image editing failed:', error);
 
             let errorMessage = 'Failed to edit image. ';
-            if (error.message.includes('401')) {
+            if (error.name === 'BudgetExceededError') {
+                errorMessage += error.message;
+            } else if (error.message.includes('401')) {
+                errorMessage += 'Invalid API key.';
+            } else if (error.message.includes('429')) {
+                errorMessage += 'Rate limit exceeded. Please wait and try again.';
+            } else {
+                errorMessage += 'Please try again.';
+            }
+
+            this.showError(errorMessage);
+        } finally {
+            this.state.isGenerating = false;
+            this.updateEditButtonState();
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Generative expand: the area between the expand frame and the image is generated by a masked edit,
+     * which composites the result back so the original pixels stay exactly as they were
+     */
+    async handleGenerativeExpand() {
+        const editor = this.modules.editor;
+        if (!editor || !editor.expandState.active) {
+            return;
+        }
+
+        if (!this.state.apiKeyValid) {
+            this.showError('Please enter and validate your API key first');
+            return;
+        }
+
+        let source;
+        try {
+            source = editor.getExpandSource();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const promptInput = document.getElementById('expandPromptInput');
+        const description = promptInput ? promptInput.value.trim() : '';
+        const prompt = `Extend the picture into the blurred area around it${description ? `, adding ${description}` : ''}. ` +
+            'Continue the scene naturally, matching its perspective, lighting, colors and style, with no visible seams, borders or frames.';
+
+        // The result becomes a child of the image currently on the canvas
+        const parentId = this.modules.gallery.getActiveImageId();
+
+        this.state.isGenerating = true;
+        this.updateEditButtonState();
+        this.showLoading('Expanding Image with AI...', 'This may take 10-30 seconds', { cancellable: true });
+
+        try {
+            console.log('🖼️ [AI EDITOR] Generative expand:', source.padding);
+
+            const expandedImageUrl = await this.modules.gemini.editImage(source.image, prompt, {
+                preserveOriginal: true,
+                parentImageId: parentId,
+                mask: source.mask,
+                maskAspectRatio: source.aspectRatio,
+                crop: source.crop
+            });
+
+            if (!expandedImageUrl) {
+                throw new Error('No image data returned from API');
+            }
+
+            await editor.applyExpand(expandedImageUrl);
+            this.state.currentImage = expandedImageUrl;
+
+            const imageDataForGallery = this.modules.gemini.getLastGeneratedImageData();
+            if (imageDataForGallery) {
+                await this.saveDerivedImageToGallery(imageDataForGallery, `Generative Expand${description ? `: ${description}` : ''}`, {
+                    type: 'expanded',
+                    model: this.modules.gemini.model
+                });
+            }
+
+            if (promptInput) promptInput.value = '';
+            this.showSuccess('Image expanded successfully!');
+        } catch (error) {
+            if (this.modules.gemini.isCancelled(error)) {
+                console.log('🛑 [AI EDITOR] Generative expand cancelled');
+                this.showStatus('Generative expand cancelled', 'info');
+                return;
+            }
+
+            console.error('❌ [AI EDITOR] Generative expand failed:', error);
+
+            let errorMessage = 'Failed to expand image. ';
+            if (error.name === 'BudgetExceededError') {
+                errorMessage += error.message;
+            } else if (error.message.includes('401')) {
                 errorMessage += 'Invalid API key.';
             } else if (error.message.includes('429')) {
                 errorMessage += 'Rate limit exceeded. Please wait and try again.';
@@ -1666,16 +2599,23 @@ class AIImageEditor {
                         // Editor exists - add image as a NEW LAYER
                         console.log('🖼️ [AI EDITOR] Adding uploaded image as new layer...');
 
-                        // Create new layer
-                        const newLayer = this.modules.editor.layerManager.addLayer(`Uploaded ${this.modules.editor.layerManager.getAllLayers().length + 1}`);
-                        if (!newLayer) {
+                        // Create new layer and load the image into it as one history step
+                        const { layerManager, history } = this.modules.editor;
+                        const imageObj = await this.modules.editor.loadImageElement(imageUrl);
+                        const added = history.group('Upload as Layer', () => {
+                            const newLayer = layerManager.addLayer(`Uploaded ${layerManager.getAllLayers().length + 1}`);
+                            if (!newLayer) return false;
+
+                            this.modules.editor.addImageToLayer(imageObj, newLayer.id);
+                            return true;
+                        }, 'fas fa-file-upload');
+
+                        if (!added) {
                             this.hideLoading();
-                            this.showError(`Maximum ${this.modules.editor.layerManager.maxLayers} layers reached`);
+                            this.showError('Layer memory limit reached. Merge or delete layers to add more.');
                             return;
                         }
 
-                        // Load image into the new layer
-                        await this.modules.editor.loadImageIntoLayer(imageUrl, newLayer.id);
                         console.log('✅ [AI EDITOR] Image added as new layer successfully');
 
                         // Reflect new image state in edit controls
@@ -1684,7 +2624,7 @@ class AIImageEditor {
                     } else {
                         // Editor doesn't exist - this is the FIRST IMAGE, initialize canvas
                         console.log('🖼️ [AI EDITOR] Loading first image to canvas...');
-                        await this.loadImageToCanvas(imageUrl);
+                        await this.loadImageToCanvas(imageUrl, { label: 'Upload Image', icon: 'fas fa-upload' });
 
                         // Reflect new image state in edit controls
                         this.updateEditButtonState();
@@ -1730,27 +2670,74 @@ class AIImageEditor {
         }
     }
 
-    handleDownloadImage() {
+    async handleDownloadImage() {
         if (!this.modules.editor || !this.state.currentImage) {
             this.showError('No image to download');
             return;
         }
 
         try {
-            const formatSelect = document.getElementById('exportFormat');
-            const qualitySlider = document.getElementById('exportQuality');
+            const exporter = this.modules.exporter;
+            const options = exporter.getOptions();
 
-            const format = formatSelect ? formatSelect.value : 'png';
-            const quality = qualitySlider ? parseFloat(qualitySlider.value) : 0.9;
+            this.showLoading('Exporting image...', options.maxBytes ? 'Searching for the best quality under the target size' : '');
+            const result = await exporter.exportImage(options);
+            this.hideLoading();
 
             const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            const filename = `ai-generated-image-${timestamp}`;
+            const suffix = options.preset.id === 'canvas' ? '' : `-${options.preset.id}`;
+            LayeredExporter.downloadBlob(result.blob, `ai-generated-image-${timestamp}${suffix}.${result.fileExtension}`);
+
+            const details = [`${result.width}×${result.height}`, `${Math.round(result.blob.size / 1024)} KB`];
+            if (result.quality !== null && result.quality < options.quality) {
+                details.push(`quality ${Math.round(result.quality * 100)}%`);
+            }
+            this.showSuccess(`Image downloaded as ${result.format.toUpperCase()} (${details.join(', ')})`);
 
-            this.modules.editor.download(filename, format, quality);
-            this.showSuccess(`Image downloaded as ${format.toUpperCase()}`);
+            if (options.maxBytes && result.blob.size > options.maxBytes) {
+                this.modules.ui.showNotification('Could not reach the target file size', 'warning', 4000);
+            }
         } catch (error) {
+            this.hideLoading();
             console.error('❌ [AI EDITOR] Failed to download image:', error);
-            this.showError('Failed to download image');
+            this.showError('Failed to download image: ' + error.message);
+        }
+    }
+
+    /**
+     * Export the current image at every size ticked in the batch list, as one ZIP
+     */
+    async handleBatchExport() {
+        if (!this.modules.editor || !this.state.currentImage) {
+            this.showError('No image to export');
+            return;
+        }
+
+        const exporter = this.modules.exporter;
+        const presetIds = exporter.getBatchPresetIds();
+        if (!presetIds.length) {
+            this.showError('Select at least one size to export');
+            return;
+        }
+
+        try {
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            const name = `ai-generated-image-${timestamp}`;
+
+            this.showLoading('Exporting sizes...', `0 of ${presetIds.length}`);
+            const zip = await exporter.createBatch(presetIds, {
+                name,
+                metadata: exporter.getOptions().metadata,
+                onProgress: (done, total) => this.modules.ui.updateLoadingMessage('Exporting sizes...', `${done} of ${total}`)
+            });
+            this.hideLoading();
+
+            LayeredExporter.downloadBlob(zip, `${name}-sizes.zip`);
+            this.showSuccess(`Exported ${presetIds.length} size${presetIds.length === 1 ? '' : 's'} as ZIP`);
+        } catch (error) {
+            this.hideLoading();
+            console.error('❌ [AI EDITOR] Batch export failed:', error);
+            this.showError('Batch export failed: ' + error.message);
         }
     }
 
@@ -1803,6 +2790,23 @@ class AIImageEditor {
         }
     }
 
+    /**
+     * Toggle upscale controls visibility
+     */
+    toggleUpscaleControls() {
+        const upscaleControls = document.getElementById('upscaleControls');
+        const upscaleToolBtn = document.getElementById('upscaleTool');
+
+        if (upscaleControls) {
+            const isVisible = upscaleControls.style.display !== 'none';
+            upscaleControls.style.display = isVisible ? 'none' : 'block';
+
+            if (upscaleToolBtn) {
+                upscaleToolBtn.classList.toggle('active', !isVisible);
+            }
+        }
+    }
+
     /**
      * Setup resize input synchronization
      */
@@ -1876,9 +2880,10 @@ class AIImageEditor {
         const lock = lockAspectRatio ? lockAspectRatio.checked : true;
 
         if (width > 0 && height > 0) {
-            this.modules.editor.resizeImage(width, height, lock);
-            this.modules.ui.showNotification(`Resized to ${width}x${height}`, 'success', 2000);
-            this.toggleResizeControls();
+            if (this.modules.editor.resizeImage(width, height, lock)) {
+                this.modules.ui.showNotification(`Resized to ${width}x${height}`, 'success', 2000);
+                this.toggleResizeControls();
+            }
         } else {
             this.modules.ui.showNotification('Invalid dimensions', 'error', 2000);
         }
@@ -1887,13 +2892,150 @@ class AIImageEditor {
     /**
      * Handle remove background button click
      */
-    async handleRemoveBackground() {
-        try {
-            // Check if editor exists and has a layer manager with an active layer
-            if (!this.modules.editor || !this.modules.editor.layerManager) {
-                this.modules.ui.showNotification('Please load an image first', 'error', 3000);
-                return;
-            }
+    /**
+     * Download the composition as a layered PSD
+     */
+    async handleExportPSD() {
+        if (!this.modules.editor) {
+            this.showError('No image to export');
+            return;
+        }
+
+        this.showLoading('Exporting PSD...', 'Rendering layers');
+        try {
+            const psd = await this.modules.layeredExport.createPSD();
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            LayeredExporter.downloadBlob(psd, `ai-generated-image-${timestamp}.psd`);
+            this.showSuccess('Layered PSD downloaded');
+        } catch (error) {
+            console.error('❌ [AI EDITOR] PSD export failed:', error);
+            this.showError(`PSD export failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Download the vector drawings as SVG
+     */
+    handleExportDrawingsSVG() {
+        if (!this.modules.editor) {
+            this.showError('No drawings to export');
+            return;
+        }
+
+        try {
+            const svg = this.modules.layeredExport.createDrawingsSVG();
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            LayeredExporter.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `drawings-${timestamp}.svg`);
+            this.showSuccess('Drawings downloaded as SVG');
+        } catch (error) {
+            console.error('❌ [AI EDITOR] SVG export failed:', error);
+            this.showError(`SVG export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the composition as a .aiedit project file
+     */
+    async handleSaveProject() {
+        if (!this.modules.editor) {
+            this.showError('Nothing to save yet - load an image first');
+            return;
+        }
+
+        this.showLoading('Saving Project...', 'Packing layers and drawings');
+        try {
+            const fileName = await this.modules.project.saveProject();
+            this.showSuccess(`Project saved as ${fileName}`);
+        } catch (error) {
+            console.error('❌ [PROJECT] Save failed:', error);
+            this.showError(`Failed to save project: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Open a .aiedit project file, replacing the current composition
+     * @param {File} file - Project file
+     */
+    async handleOpenProject(file) {
+        if (this.modules.project.hasUnsavedChanges() &&
+            !confirm('Opening a project replaces the current composition and its history.\n\nContinue without saving?')) {
+            return;
+        }
+
+        this.showLoading('Opening Project...', file.name);
+        try {
+            await this.ensureEditor();
+            const metadata = await this.modules.project.openProject(file);
+            this.handleProjectLoaded(metadata);
+            this.showSuccess(`Opened project "${metadata.name || file.name}"`);
+        } catch (error) {
+            console.error('❌ [PROJECT] Open failed:', error);
+            this.showError(`Failed to open project: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Offer to restore the autosave of a composition that was not saved to a project file
+     */
+    async handleProjectRecovery() {
+        const record = await this.modules.project.getAutosave();
+        if (!record) return;
+
+        const savedAt = new Date(record.savedAt).toLocaleString();
+        const layerCount = (record.project.layers || []).length;
+        if (!confirm(`The editor was closed with unsaved changes to "${record.name}" (${layerCount} layers, autosaved ${savedAt}).\n\nRestore them?\n\nChoose Cancel to discard them.`)) {
+            console.log('🗑️ [PROJECT] Autosave discarded');
+            await this.modules.project.discardAutosave();
+            return;
+        }
+
+        this.showLoading('Recovering Project...', `Autosaved ${savedAt}`);
+        try {
+            await this.ensureEditor();
+            const metadata = await this.modules.project.restoreAutosave(record);
+            this.handleProjectLoaded(metadata);
+            this.showSuccess('Unsaved changes restored');
+        } catch (error) {
+            console.error('❌ [PROJECT] Recovery failed:', error);
+            this.showError(`Failed to restore unsaved changes: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Update app state and studio panels after a project replaced the canvas
+     * @param {object} metadata - Project metadata
+     */
+    handleProjectLoaded(metadata) {
+        const editor = this.modules.editor;
+        this.state.currentImage = editor.hasContent() ? `project:${metadata.name}` : null;
+
+        this.updateToolsVisibility(editor.hasContent());
+        this.updateEditButtonState();
+
+        [this.modules.linkedinStudio, this.modules.faceBodyEditor, this.modules.textEditor].forEach(module => {
+            if (module) module.updateUIState();
+        });
+
+        if (this.modules.ui) {
+            this.modules.ui.refreshTooltips();
+        }
+    }
+
+    async handleRemoveBackground() {
+        try {
+            // Check if editor exists and has a layer manager with an active layer
+            if (!this.modules.editor || !this.modules.editor.layerManager) {
+                this.modules.ui.showNotification('Please load an image first', 'error', 3000);
+                return;
+            }
 
             const activeLayer = this.modules.editor.layerManager.getActiveLayer();
             if (!activeLayer) {
@@ -1907,6 +3049,11 @@ class AIImageEditor {
                 return;
             }
 
+            if (this.modules.editor.layerManager.isLocked(activeLayer.id)) {
+                this.modules.ui.showNotification(`Layer "${activeLayer.name}" is locked`, 'warning', 3000);
+                return;
+            }
+
             // Check if already processing
             if (this.modules.backgroundRemoval.getProcessingStatus()) {
                 this.modules.ui.showNotification('Background removal already in progress', 'warning', 3000);
@@ -1927,42 +3074,39 @@ class AIImageEditor {
     }
 
     /**
-     * Handle reset filters button click
+     * Handle upscale button click: upscale the active layer locally into a new layer
      */
-    handleResetFilters() {
-        if (!this.modules.editor) return;
-
-        // Reset editor filters
-        this.modules.editor.resetFilters();
-
-        // Reset UI controls
-        document.getElementById('filterBrightness').value = 1;
-        document.getElementById('filterBrightnessValue').textContent = '100%';
-
-        document.getElementById('filterContrast').value = 0;
-        document.getElementById('filterContrastValue').textContent = '0';
-
-        document.getElementById('filterBlur').value = 0;
-        document.getElementById('filterBlurValue').textContent = '0';
-
-        document.getElementById('filterSaturation').value = 0;
-        document.getElementById('filterSaturationValue').textContent = '0';
+    async handleUpscale() {
+        if (!this.modules.editor || !this.modules.editor.layerManager) {
+            this.modules.ui.showNotification('Please load an image first', 'warning', 3000);
+            return;
+        }
 
-        document.getElementById('filterHue').value = 0;
-        document.getElementById('filterHueValue').textContent = '0°';
+        if (this.modules.upscaler.getProcessingStatus()) {
+            this.modules.ui.showNotification('Upscaling already in progress', 'warning', 3000);
+            return;
+        }
 
-        document.getElementById('filterLuminance').value = 0;
-        document.getElementById('filterLuminanceValue').textContent = '0';
+        const factorSelect = document.getElementById('upscaleFactor');
+        const scale = factorSelect ? parseInt(factorSelect.value, 10) : 2;
 
-        document.getElementById('filterPixelate').value = 1;
-        document.getElementById('filterPixelateValue').textContent = '1';
+        try {
+            await this.modules.upscaler.upscaleActiveLayer(scale);
+            this.updateEditButtonState();
+        } catch (error) {
+            console.error('❌ [MAIN] Upscale error:', error);
+            // Error is already handled in UpscaleManager
+        }
+    }
 
-        document.getElementById('filterNoise').value = 0;
-        document.getElementById('filterNoiseValue').textContent = '0';
+    /**
+     * Handle reset filters button click
+     */
+    handleResetFilters() {
+        if (!this.modules.editor) return;
 
-        // Reset toggle buttons
-        const toggleButtons = document.querySelectorAll('.filter-toggle-btn');
-        toggleButtons.forEach(btn => btn.classList.remove('active'));
+        // Reset editor filters (the editor syncs the sliders and toggles back)
+        if (!this.modules.editor.resetFilters()) return;
 
         this.modules.ui.showNotification('All filters reset', 'success', 2000);
     }
@@ -2040,23 +3184,12 @@ class AIImageEditor {
     }
 
     // Utility Methods
-    showLoading(title, message) {
-        const overlay = document.getElementById('loadingOverlay');
-        const titleEl = document.getElementById('loadingTitle');
-        const messageEl = document.getElementById('loadingMessage');
-        
-        if (overlay && titleEl && messageEl) {
-            titleEl.textContent = title;
-            messageEl.textContent = message;
-            overlay.classList.add('active');
-        }
+    showLoading(title, message, options = {}) {
+        this.modules.ui.showLoading(title, message, options);
     }
 
     hideLoading() {
-        const overlay = document.getElementById('loadingOverlay');
-        if (overlay) {
-            overlay.classList.remove('active');
-        }
+        this.modules.ui.hideLoading();
     }
 
     showSuccess(message) {
@@ -2100,6 +3233,62 @@ class AIImageEditor {
     }
 
     // Gallery Methods
+    // Usage Dashboard
+    renderUsagePanel() {
+        const stats = this.modules.usage.getStats();
+        const formatCost = (cost) => `$${cost.toFixed(2)}`;
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+
+        setText('usageTodayRequests', stats.today.requests);
+        setText('usageTodayCost', `${formatCost(stats.today.cost)} · ${stats.today.images} images`);
+        setText('usageMonthRequests', stats.month.requests);
+        setText('usageMonthCost', `${formatCost(stats.month.cost)} · ${stats.month.images} images`);
+
+        const fill = document.getElementById('usageBudgetFill');
+        if (stats.monthlyBudget > 0) {
+            const percent = Math.min(100, (stats.month.cost / stats.monthlyBudget) * 100);
+            setText('usageBudgetText', `${formatCost(stats.month.cost)} of ${formatCost(stats.monthlyBudget)} monthly budget (${percent.toFixed(0)}%)`);
+            if (fill) {
+                fill.style.width = `${percent}%`;
+                fill.classList.toggle('warning', percent >= 80 && percent < 100);
+                fill.classList.toggle('exceeded', percent >= 100);
+            }
+        } else {
+            setText('usageBudgetText', 'No monthly budget set');
+            if (fill) {
+                fill.style.width = '0';
+                fill.classList.remove('warning', 'exceeded');
+            }
+        }
+
+        const breakdown = document.getElementById('usageBreakdown');
+        if (breakdown) {
+            breakdown.innerHTML = Object.entries(stats.month.byOperation)
+                .sort((a, b) => b[1] - a[1])
+                .map(([operation, count]) => `<span class="usage-breakdown-item">${this.escapeHtml(operation)}: ${count}</span>`)
+                .join('');
+        }
+    }
+
+    handleSaveUsageBudget() {
+        const input = document.getElementById('usageBudgetInput');
+        if (!input) return;
+
+        this.modules.usage.setMonthlyBudget(input.value);
+        this.renderUsagePanel();
+        this.showSuccess('Monthly budget saved');
+    }
+
+    handleClearUsageHistory() {
+        if (confirm('Clear all recorded usage history? Budget tracking for this month will restart from $0.')) {
+            this.modules.usage.clearHistory();
+            this.showSuccess('Usage history cleared');
+        }
+    }
+
     renderGallery() {
         const container = document.getElementById('galleryThumbnails');
         if (!container) {
@@ -2107,11 +3296,27 @@ class AIImageEditor {
             return;
         }
 
-        const images = this.modules.gallery.getAllImages();
+        const search = this.state.gallerySearch.trim();
+        const images = search
+            ? this.modules.gallery.queryImages({ search })
+            : this.modules.gallery.getAllImages();
         const activeId = this.modules.gallery.getActiveImageId();
 
         console.log('🖼️ [GALLERY] Rendering gallery with', images.length, 'images');
 
+        this.renderGalleryStorage();
+
+        if (images.length === 0 && search) {
+            container.innerHTML = `
+                <div class="gallery-empty">
+                    <i class="fas fa-search"></i>
+                    <p>No matches</p>
+                    <small>Nothing matches "${this.escapeHtml(search)}"</small>
+                </div>
+            `;
+            return;
+        }
+
         if (images.length === 0) {
             container.innerHTML = `
                 <div class="gallery-empty">
@@ -2124,8 +3329,8 @@ class AIImageEditor {
         }
 
         container.innerHTML = images.map(img => `
-            <div class="gallery-thumbnail ${img.id === activeId ? 'active' : ''}" data-image-id="${img.id}">
-                <img src="${img.dataUrl}" alt="Generated image">
+            <div class="gallery-thumbnail ${img.id === activeId ? 'active' : ''} ${img.favorite ? 'favorite' : ''}" data-image-id="${img.id}">
+                <img src="${img.thumbnailUrl}" alt="Generated image" loading="lazy">
                 <div class="gallery-thumbnail-overlay">
                     <div class="gallery-thumbnail-info">
                         <div class="gallery-thumbnail-prompt">${this.escapeHtml(img.prompt || 'No prompt')}</div>
@@ -2135,6 +3340,21 @@ class AIImageEditor {
                 <button class="gallery-thumbnail-delete" data-image-id="${img.id}">
                     <i class="fas fa-times"></i>
                 </button>
+                <div class="gallery-thumbnail-actions">
+                    <button class="gallery-thumbnail-action gallery-thumbnail-favorite" data-action="favorite" data-image-id="${img.id}" title="${img.favorite ? 'Unpin' : 'Pin (never evicted)'}">
+                        <i class="fas fa-star"></i>
+                    </button>
+                    <button class="gallery-thumbnail-action" data-action="lineage" data-image-id="${img.id}" title="Show lineage">
+                        <i class="fas fa-sitemap"></i>
+                    </button>
+                    ${img.recipe ? `
+                    <button class="gallery-thumbnail-action" data-action="regenerate" data-image-id="${img.id}" title="Regenerate with same recipe">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                    <button class="gallery-thumbnail-action" data-action="fork" data-image-id="${img.id}" title="Fork recipe">
+                        <i class="fas fa-code-branch"></i>
+                    </button>` : ''}
+                </div>
             </div>
         `).join('');
 
@@ -2144,12 +3364,29 @@ class AIImageEditor {
 
             // Load image on click
             thumb.addEventListener('click', (e) => {
-                if (!e.target.closest('.gallery-thumbnail-delete')) {
+                if (!e.target.closest('.gallery-thumbnail-delete, .gallery-thumbnail-action')) {
                     this.handleLoadGalleryImage(imageId);
                 }
             });
         });
 
+        // Add favorite, lineage and recipe action handlers
+        container.querySelectorAll('.gallery-thumbnail-action').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const imageId = btn.dataset.imageId;
+                if (btn.dataset.action === 'favorite') {
+                    this.handleToggleFavorite(imageId);
+                } else if (btn.dataset.action === 'lineage') {
+                    this.showLineage(imageId);
+                } else if (btn.dataset.action === 'regenerate') {
+                    this.handleRegenerateFromRecipe(imageId);
+                } else {
+                    this.handleForkRecipe(imageId);
+                }
+            });
+        });
+
         // Add delete handlers
         container.querySelectorAll('.gallery-thumbnail-delete').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -2172,7 +3409,12 @@ class AIImageEditor {
 
             console.log('📂 [GALLERY] Loading image from gallery:', imageId);
 
-            await this.loadImageToCanvas(image.dataUrl);
+            const imageUrl = await this.modules.gallery.getImageUrl(imageId);
+            if (!imageUrl) {
+                throw new Error('Image data missing from gallery storage');
+            }
+
+            await this.loadImageToCanvas(imageUrl, { label: 'Open from Gallery', icon: 'fas fa-images' });
             this.modules.gallery.setActiveImage(imageId);
             this.renderGallery();
 
@@ -2188,9 +3430,367 @@ class AIImageEditor {
         }
     }
 
-    handleDeleteGalleryImage(imageId) {
+    /**
+     * Save a result derived from the active gallery image as its child and make it active
+     * Gallery failures are logged but never fail the operation that produced the image
+     * @param {string} imageUrl - Blob URL or data URL of the result
+     * @param {string} prompt - Description shown in the gallery
+     * @param {object} metadata - Additional metadata (type, ...)
+     * @returns {Promise<string|null>} New image id or null if saving failed
+     */
+    async saveDerivedImageToGallery(imageUrl, prompt, metadata = {}) {
+        try {
+            const imageId = await this.modules.gallery.addImage(imageUrl, prompt, {
+                parentId: this.modules.gallery.getActiveImageId(),
+                ...metadata
+            });
+            this.modules.gallery.setActiveImage(imageId);
+            this.renderGallery();
+            return imageId;
+        } catch (galleryError) {
+            console.warn('⚠️ [AI EDITOR] Failed to save derived image to gallery:', galleryError);
+            if (galleryError.name === 'GalleryQuotaError') {
+                this.modules.ui.showNotification(galleryError.message, 'error', 6000);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Combine the API request recipe with the UI selections that produced it
+     * @param {object|null} recipe - Recipe from GeminiAPI
+     * @param {string} userPrompt - Prompt as typed by the user
+     * @param {string} kind - 'generate' or 'edit'
+     * @returns {object|null} Recipe to store with the gallery image
+     */
+    buildGalleryRecipe(recipe, userPrompt, kind) {
+        if (!recipe) return null;
+
+        return {
+            ...recipe,
+            userPrompt,
+            presets: this.modules.promptEnhancer.getRecipePresets(kind)
+        };
+    }
+
+    /**
+     * Re-run a gallery image's recipe with the same prompt, settings and seed
+     * @param {string} imageId - Gallery image id
+     */
+    async handleRegenerateFromRecipe(imageId) {
+        const image = this.modules.gallery.getImage(imageId);
+        if (!image || !image.recipe) {
+            this.showError('This image has no stored recipe');
+            return;
+        }
+
+        if (!this.state.apiKeyValid) {
+            this.showError('Please enter and validate your API key first');
+            return;
+        }
+
+        const recipe = image.recipe;
+        let parentImageData = null;
+
+        if (recipe.operation === 'edit') {
+            const parent = recipe.parentImageId ? this.modules.gallery.getImage(recipe.parentImageId) : null;
+            if (!parent) {
+                this.showError('The source image for this edit is no longer in the gallery');
+                return;
+            }
+            parentImageData = await this.modules.gallery.getImageDataUrl(parent.id);
+        }
+
+        this.state.isGenerating = true;
+        this.updateGenerateButtonState();
+        this.showLoading('Regenerating from recipe...', `Seed ${recipe.generationConfig?.seed ?? 'n/a'} · ${recipe.model}`, { cancellable: true });
+
+        try {
+            const imageUrl = await this.modules.gemini.replayRecipe(recipe, parentImageData);
+            await this.loadImageToCanvas(imageUrl, { label: 'Regenerate from Recipe', icon: 'fas fa-redo' });
+
+            try {
+                const imageDataForGallery = this.modules.gemini.getLastGeneratedImageData();
+                if (imageDataForGallery) {
+                    const newImageId = await this.modules.gallery.addImage(imageDataForGallery, image.prompt, {
+                        type: image.type,
+                        model: this.modules.gemini.model,
+                        recipe: { ...this.modules.gemini.getLastRecipe(), userPrompt: recipe.userPrompt, presets: recipe.presets },
+                        regeneratedFrom: imageId,
+                        parentId: image.parentId || null
+                    });
+                    this.modules.gallery.setActiveImage(newImageId);
+                    this.renderGallery();
+                }
+            } catch (galleryError) {
+                console.warn('⚠️ [AI EDITOR] Failed to save regenerated image to gallery:', galleryError);
+                if (galleryError.name === 'GalleryQuotaError') {
+                    this.modules.ui.showNotification(galleryError.message, 'error', 6000);
+                }
+            }
+
+            this.showSuccess('Image regenerated from recipe');
+        } catch (error) {
+            if (this.modules.gemini.isCancelled(error)) {
+                this.showStatus('Regeneration cancelled', 'info');
+                return;
+            }
+
+            console.error('❌ [AI EDITOR] Recipe replay failed:', error);
+            this.showError(`Failed to regenerate image. ${this.modules.gemini.formatError(error)}`);
+        } finally {
+            this.state.isGenerating = false;
+            this.updateGenerateButtonState();
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Load a gallery image's recipe into the prompt inputs and presets for tweaking
+     * @param {string} imageId - Gallery image id
+     */
+    async handleForkRecipe(imageId) {
+        const image = this.modules.gallery.getImage(imageId);
+        if (!image || !image.recipe) {
+            this.showError('This image has no stored recipe');
+            return;
+        }
+
+        const recipe = image.recipe;
+        const prompt = recipe.userPrompt || recipe.prompt || '';
+
+        this.modules.promptEnhancer.applyRecipe(recipe);
+
+        if (recipe.operation === 'edit') {
+            // Edits fork from the same source image
+            if (recipe.parentImageId && this.modules.gallery.getImage(recipe.parentImageId)) {
+                await this.handleLoadGalleryImage(recipe.parentImageId);
+                this.modules.promptEnhancer.applyRecipe(recipe);
+            }
+
+            const editPromptInput = document.getElementById('editPromptInput');
+            if (editPromptInput) {
+                editPromptInput.value = prompt;
+                editPromptInput.focus();
+            }
+            this.updateEditButtonState();
+        } else {
+            const promptInput = document.getElementById('promptInput');
+            if (promptInput) {
+                promptInput.value = prompt;
+                promptInput.focus();
+            }
+            this.updateGenerateButtonState();
+        }
+
+        console.log('🔁 [AI EDITOR] Forked recipe from', imageId);
+        this.showStatus('Recipe loaded - adjust the prompt or presets and run it again', 'info');
+    }
+
+    /**
+     * Human-readable label for the operation that produced a gallery image
+     * @param {object} image - Gallery entry
+     * @returns {string} Label
+     */
+    getLineageLabel(image) {
+        const labels = {
+            'generated': 'Generated',
+            'uploaded': 'Original upload',
+            'edited': 'AI edit',
+            'style-transfer': 'Style transfer',
+            'object-transfer': 'Object transfer',
+            'background-removed': 'Background removal',
+            'face-body-enhancement': 'Face & Body',
+            'linkedin-transformed': 'LinkedIn Studio',
+            'cropped': 'Crop'
+        };
+        return labels[image.type] || 'Image';
+    }
+
+    /**
+     * Open the lineage view for the tree containing an image
+     * @param {string} imageId - Gallery image id to select
+     */
+    showLineage(imageId) {
+        const overlay = document.getElementById('lineageView');
+        if (!overlay || !this.modules.gallery.getImage(imageId)) return;
+
+        this.state.lineageImageId = imageId;
+        this.renderLineage();
+
+        const compare = document.getElementById('lineageCompare');
+        if (compare) compare.style.display = 'none';
+
+        overlay.style.display = 'flex';
+    }
+
+    hideLineage() {
+        const overlay = document.getElementById('lineageView');
+        if (overlay) overlay.style.display = 'none';
+    }
+
+    /**
+     * Render the lineage tree around the selected image
+     */
+    renderLineage() {
+        const container = document.getElementById('lineageTree');
+        if (!container) return;
+
+        const gallery = this.modules.gallery;
+        const tree = gallery.getLineageTree(this.state.lineageImageId);
+        if (!tree) {
+            container.innerHTML = '<p class="help-text">This image is no longer in the gallery.</p>';
+            return;
+        }
+
+        const chainIds = new Set(gallery.getAncestry(this.state.lineageImageId).map(img => img.id));
+        const activeId = gallery.getActiveImageId();
+
+        const renderNode = ({ image, children }) => {
+            const classes = ['lineage-node'];
+            if (image.id === this.state.lineageImageId) classes.push('selected');
+            if (chainIds.has(image.id)) classes.push('in-chain');
+            if (image.id === activeId) classes.push('active');
+
+            return `
+                <li>
+                    <div class="${classes.join(' ')}" data-image-id="${image.id}">
+                        <img src="${image.thumbnailUrl}" alt="${this.escapeHtml(this.getLineageLabel(image))}">
+                        <div class="lineage-node-info">
+                            <span class="lineage-node-type">${this.escapeHtml(this.getLineageLabel(image))}</span>
+                            <span class="lineage-node-prompt">${this.escapeHtml(image.prompt || '')}</span>
+                            <small>${this.formatDate(image.date)}</small>
+                        </div>
+                        ${children.length > 1 ? `
+                        <button type="button" class="btn-icon lineage-compare-btn" data-parent-id="${image.id}" title="Compare the ${children.length} images derived from this one">
+                            <i class="fas fa-columns"></i>
+                        </button>` : ''}
+                    </div>
+                    ${children.length ? `<ul>${children.map(renderNode).join('')}</ul>` : ''}
+                </li>
+            `;
+        };
+
+        container.innerHTML = `<ul class="lineage-list">${renderNode(tree)}</ul>`;
+
+        container.querySelectorAll('.lineage-node').forEach(node => {
+            node.addEventListener('click', async (e) => {
+                if (e.target.closest('.lineage-compare-btn')) return;
+
+                // Jump to this branch: load it onto the canvas so new edits continue from here
+                this.state.lineageImageId = node.dataset.imageId;
+                await this.handleLoadGalleryImage(node.dataset.imageId);
+                this.renderLineage();
+            });
+        });
+
+        container.querySelectorAll('.lineage-compare-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.renderLineageCompare(btn.dataset.parentId);
+            });
+        });
+    }
+
+    /**
+     * Show the images derived from one parent side by side
+     * @param {string} parentId - Gallery image id of the parent
+     */
+    async renderLineageCompare(parentId) {
+        const container = document.getElementById('lineageCompare');
+        if (!container) return;
+
+        const parent = this.modules.gallery.getImage(parentId);
+        const siblings = this.modules.gallery.getChildren(parentId);
+        const imageUrls = await Promise.all(siblings.map(image => this.modules.gallery.getImageUrl(image.id)));
+
+        container.innerHTML = `
+            <div class="lineage-compare-header">
+                <span>Derived from: ${this.escapeHtml(parent ? this.getLineageLabel(parent) : 'Unknown')}</span>
+                <button type="button" class="btn-icon" id="lineageCompareClose" title="Close comparison">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="lineage-compare-grid">
+                ${siblings.map((image, index) => `
+                    <figure class="lineage-compare-item ${image.id === this.state.lineageImageId ? 'selected' : ''}">
+                        <img src="${imageUrls[index] || image.thumbnailUrl}" alt="${this.escapeHtml(this.getLineageLabel(image))}">
+                        <figcaption>
+                            <strong>${this.escapeHtml(this.getLineageLabel(image))}</strong>
+                            <span>${this.escapeHtml(image.prompt || '')}</span>
+                        </figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelector('#lineageCompareClose')?.addEventListener('click', () => {
+            container.style.display = 'none';
+        });
+        container.style.display = 'block';
+    }
+
+    /**
+     * Download the chain from the original to the selected image as a self-contained HTML report
+     */
+    async handleExportLineage() {
+        const chain = this.modules.gallery.getAncestry(this.state.lineageImageId);
+        if (chain.length === 0) {
+            this.showError('Nothing to export');
+            return;
+        }
+
+        const dataUrls = await Promise.all(chain.map(image => this.modules.gallery.getImageDataUrl(image.id)));
+
+        const steps = chain.map((image, index) => {
+            const recipe = image.recipe;
+            const details = [
+                ['Date', this.formatDate(image.date)],
+                ['Prompt', image.prompt],
+                ['Model', image.model || recipe?.model],
+                ['Preset', recipe?.presets?.presetName || image.preset],
+                ['Aspect ratio', recipe?.aspectRatio],
+                ['Resolution', recipe?.imageSize],
+                ['Seed', recipe?.generationConfig?.seed]
+            ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+            return `
+    <section>
+        <h2>${index + 1}. ${this.escapeHtml(this.getLineageLabel(image))}</h2>
+        <img src="${dataUrls[index] || ''}" alt="Step ${index + 1}">
+        <dl>${details.map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(String(value))}</dd>`).join('')}</dl>
+    </section>`;
+        }).join('');
+
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Image Lineage Report</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+        section { border-top: 1px solid #ddd; padding: 1.5rem 0; }
+        img { max-width: 100%; max-height: 480px; display: block; margin-bottom: 1rem; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+        dt { font-weight: 600; }
+        dd { margin: 0; white-space: pre-wrap; }
+    </style>
+</head>
+<body>
+    <h1>Image Lineage Report</h1>
+    <p>${chain.length} step(s) · exported ${this.escapeHtml(new Date().toLocaleString())}</p>${steps}
+</body>
+</html>`;
+
+        LayeredExporter.downloadBlob(new Blob([html], { type: 'text/html' }), `lineage-report-${Date.now()}.html`);
+
+        console.log('📄 [GALLERY] Exported lineage report with', chain.length, 'steps');
+        this.showSuccess('Lineage report exported');
+    }
+
+    async handleDeleteGalleryImage(imageId) {
         if (confirm('Are you sure you want to delete this image?')) {
-            const success = this.modules.gallery.deleteImage(imageId);
+            const success = await this.modules.gallery.deleteImage(imageId);
             if (success) {
                 this.renderGallery();
                 this.showSuccess('Image deleted from gallery');
@@ -2200,7 +3800,7 @@ class AIImageEditor {
         }
     }
 
-    handleClearGallery() {
+    async handleClearGallery() {
         const count = this.modules.gallery.getAllImages().length;
         if (count === 0) {
             this.showError('Gallery is already empty');
@@ -2208,12 +3808,466 @@ class AIImageEditor {
         }
 
         if (confirm(`Are you sure you want to delete all ${count} images from the gallery?`)) {
-            this.modules.gallery.clearGallery();
+            await this.modules.gallery.clearGallery();
             this.renderGallery();
             this.showSuccess('Gallery cleared');
         }
     }
 
+    async handleToggleFavorite(imageId) {
+        const favorite = await this.modules.gallery.toggleFavorite(imageId);
+        this.refreshGalleryViews();
+        this.showStatus(favorite ? 'Image pinned - it will never be evicted' : 'Image unpinned', 'info');
+    }
+
+    /**
+     * Re-render the strip and, if open, the grid view
+     */
+    refreshGalleryViews() {
+        this.renderGallery();
+        const grid = document.getElementById('galleryGridView');
+        if (grid && grid.style.display !== 'none') {
+            this.renderGalleryGrid();
+        }
+    }
+
+    /**
+     * Wire up the gallery grid view toolbar and bulk action bar
+     */
+    setupGalleryGridView() {
+        const query = this.state.galleryGridQuery;
+
+        document.getElementById('galleryGridBtn')?.addEventListener('click', () => this.showGalleryGrid());
+        document.getElementById('galleryGridClose')?.addEventListener('click', () => this.hideGalleryGrid());
+
+        document.getElementById('galleryGridSearch')?.addEventListener('input', (e) => {
+            query.search = e.target.value;
+            this.renderGalleryGrid();
+        });
+
+        const selects = { galleryGridSort: 'sort', galleryGridSource: 'source', galleryGridCollection: 'collection' };
+        Object.entries(selects).forEach(([id, key]) => {
+            document.getElementById(id)?.addEventListener('change', (e) => {
+                query[key] = e.target.value;
+                this.renderGalleryGrid();
+            });
+        });
+
+        document.getElementById('galleryGridFavorites')?.addEventListener('change', (e) => {
+            query.favoritesOnly = e.target.checked;
+            this.renderGalleryGrid();
+        });
+
+        document.getElementById('galleryNewCollectionBtn')?.addEventListener('click', () => {
+            const name = this.modules.gallery.createCollection(prompt('Collection name (e.g. a client):'));
+            if (name) {
+                query.collection = name;
+                this.renderGalleryGrid();
+            }
+        });
+
+        document.getElementById('galleryDeleteCollectionBtn')?.addEventListener('click', async () => {
+            if (!query.collection) return;
+            if (confirm(`Delete the collection "${query.collection}"? Its images stay in the gallery.`)) {
+                await this.modules.gallery.deleteCollection(query.collection);
+                query.collection = '';
+                this.renderGalleryGrid();
+            }
+        });
+
+        document.getElementById('galleryExportCollectionBtn')?.addEventListener('click', () => {
+            if (!query.collection) return;
+            const ids = this.modules.gallery.queryImages({ collection: query.collection }).map(img => img.id);
+            this.exportGalleryImages(ids, { name: `collection-${query.collection}`, collection: query.collection });
+        });
+
+        const importInput = document.getElementById('galleryImportInput');
+        document.getElementById('galleryImportBtn')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImportGalleryArchive(file);
+        });
+
+        document.querySelectorAll('.gallery-grid-bulkbar [data-bulk]').forEach(btn => {
+            btn.addEventListener('click', () => this.handleGalleryBulkAction(btn.dataset.bulk));
+        });
+    }
+
+    showGalleryGrid() {
+        const overlay = document.getElementById('galleryGridView');
+        if (!overlay) return;
+
+        this.state.gallerySelection.clear();
+        this.renderGalleryGrid();
+        overlay.style.display = 'flex';
+        document.getElementById('galleryGridSearch')?.focus();
+    }
+
+    hideGalleryGrid() {
+        const overlay = document.getElementById('galleryGridView');
+        if (overlay) overlay.style.display = 'none';
+        this.state.gallerySelection.clear();
+    }
+
+    /**
+     * Fill a select with options, keeping the current value when it still exists
+     * @param {HTMLSelectElement} select - Select element
+     * @param {string} allLabel - Label of the empty "all" option
+     * @param {Array<{value: string, label: string}>} options - Options
+     * @param {string} value - Value to select
+     */
+    populateGallerySelect(select, allLabel, options, value) {
+        if (!select) return;
+
+        select.innerHTML = `<option value="">${allLabel}</option>` + options
+            .map(option => `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>`)
+            .join('');
+        select.value = options.some(option => option.value === value) ? value : '';
+    }
+
+    /**
+     * Render the grid view for the current search, filters and sort
+     */
+    renderGalleryGrid() {
+        const container = document.getElementById('galleryGrid');
+        if (!container) return;
+
+        const gallery = this.modules.gallery;
+        const query = this.state.galleryGridQuery;
+        const selection = this.state.gallerySelection;
+
+        this.populateGallerySelect(
+            document.getElementById('galleryGridSource'), 'All studios',
+            gallery.getSources().map(source => ({ value: source, label: source })), query.source
+        );
+        this.populateGallerySelect(
+            document.getElementById('galleryGridCollection'), 'All images',
+            gallery.getCollections().map(({ name, count }) => ({ value: name, label: `${name} (${count})` })), query.collection
+        );
+        query.source = document.getElementById('galleryGridSource')?.value || '';
+        query.collection = document.getElementById('galleryGridCollection')?.value || '';
+
+        const sortSelect = document.getElementById('galleryGridSort');
+        if (sortSelect) sortSelect.value = query.sort;
+
+        ['galleryDeleteCollectionBtn', 'galleryExportCollectionBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.style.display = query.collection ? '' : 'none';
+        });
+        const uncollectBtn = document.querySelector('.gallery-grid-bulkbar [data-bulk="uncollect"]');
+        if (uncollectBtn) uncollectBtn.style.display = query.collection ? '' : 'none';
+
+        const images = gallery.queryImages(query);
+        this.state.galleryGridVisibleIds = images.map(img => img.id);
+
+        // Drop selections that no longer exist
+        Array.from(selection).forEach(id => { if (!gallery.getImage(id)) selection.delete(id); });
+
+        if (images.length === 0) {
+            container.innerHTML = `
+                <div class="gallery-empty">
+                    <i class="fas fa-images"></i>
+                    <p>No images match</p>
+                </div>
+            `;
+        } else {
+            container.innerHTML = images.map(img => `
+                <div class="gallery-grid-item ${selection.has(img.id) ? 'selected' : ''}" data-image-id="${img.id}" title="Click to select, double-click to open">
+                    <div class="gallery-grid-thumb">
+                        <img src="${img.thumbnailUrl}" alt="Gallery image" loading="lazy">
+                        <input type="checkbox" class="gallery-grid-check" ${selection.has(img.id) ? 'checked' : ''} tabindex="-1">
+                        <button type="button" class="gallery-grid-fav ${img.favorite ? 'active' : ''}" title="${img.favorite ? 'Unpin' : 'Pin (never evicted)'}">
+                            <i class="fas fa-star"></i>
+                        </button>
+                    </div>
+                    <div class="gallery-grid-info">
+                        <span class="gallery-grid-prompt">${this.escapeHtml(img.prompt || 'No prompt')}</span>
+                        <small>${this.escapeHtml(gallery.getSource(img))} · ${((img.size || 0) / (1024 * 1024)).toFixed(1)} MB · ${this.formatDate(img.date)}</small>
+                        <div class="gallery-grid-tags">
+                            ${(img.tags || []).map(tag => `<button type="button" class="gallery-grid-tag" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`).join('')}
+                            ${(img.collections || []).map(name => `<span class="gallery-grid-collection"><i class="fas fa-folder"></i> ${this.escapeHtml(name)}</span>`).join('')}
+                            <button type="button" class="gallery-grid-edit-tags" title="Edit tags"><i class="fas fa-tag"></i></button>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        container.querySelectorAll('.gallery-grid-item').forEach(item => {
+            const imageId = item.dataset.imageId;
+
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.gallery-grid-fav, .gallery-grid-tag, .gallery-grid-edit-tags')) return;
+                if (selection.has(imageId)) {
+                    selection.delete(imageId);
+                } else {
+                    selection.add(imageId);
+                }
+                item.classList.toggle('selected', selection.has(imageId));
+                item.querySelector('.gallery-grid-check').checked = selection.has(imageId);
+                this.updateGalleryBulkBar();
+            });
+
+            item.addEventListener('dblclick', async () => {
+                this.hideGalleryGrid();
+                await this.handleLoadGalleryImage(imageId);
+            });
+
+            item.querySelector('.gallery-grid-fav')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleToggleFavorite(imageId);
+            });
+
+            item.querySelector('.gallery-grid-edit-tags')?.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const image = gallery.getImage(imageId);
+                const tags = prompt('Tags (comma separated):', (image.tags || []).join(', '));
+                if (tags !== null) {
+                    await gallery.setTags(imageId, tags);
+                    this.renderGalleryGrid();
+                }
+            });
+
+            item.querySelectorAll('.gallery-grid-tag').forEach(tagBtn => {
+                tagBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    query.search = `#${tagBtn.dataset.tag}`;
+                    const searchInput = document.getElementById('galleryGridSearch');
+                    if (searchInput) searchInput.value = query.search;
+                    this.renderGalleryGrid();
+                });
+            });
+        });
+
+        this.updateGalleryBulkBar();
+    }
+
+    updateGalleryBulkBar() {
+        const count = this.state.gallerySelection.size;
+        const label = document.getElementById('galleryGridSelectedCount');
+        if (label) label.textContent = `${count} selected`;
+
+        document.querySelectorAll('.gallery-grid-bulkbar [data-requires-selection]').forEach(btn => {
+            btn.disabled = count === 0;
+        });
+    }
+
+    /**
+     * Run a bulk action on the images selected in the grid view
+     * @param {string} action - select-all, select-none, favorite, tag, collect, uncollect, export or delete
+     */
+    async handleGalleryBulkAction(action) {
+        const gallery = this.modules.gallery;
+        const selection = this.state.gallerySelection;
+        const ids = Array.from(selection);
+
+        switch (action) {
+            case 'select-all':
+                (this.state.galleryGridVisibleIds || []).forEach(id => selection.add(id));
+                break;
+
+            case 'select-none':
+                selection.clear();
+                break;
+
+            case 'favorite': {
+                // Pin all unless every selected image is already pinned
+                const pin = ids.some(id => !gallery.getImage(id)?.favorite);
+                await gallery.updateImages(ids, () => ({ favorite: pin }));
+                this.showStatus(`${ids.length} image(s) ${pin ? 'pinned' : 'unpinned'}`, 'info');
+                break;
+            }
+
+            case 'tag': {
+                const tags = prompt(`Add tags to ${ids.length} image(s) (comma separated):`);
+                if (!tags) return;
+                await gallery.addTags(ids, tags);
+                break;
+            }
+
+            case 'collect': {
+                const existing = gallery.getCollections().map(c => c.name).join(', ');
+                const name = prompt(`Add ${ids.length} image(s) to collection:${existing ? `\n(existing: ${existing})` : ''}`, this.state.galleryGridQuery.collection);
+                if (!name) return;
+                await gallery.addToCollection(ids, name);
+                this.showStatus(`Added ${ids.length} image(s) to "${name.trim()}"`, 'info');
+                break;
+            }
+
+            case 'uncollect': {
+                const name = this.state.galleryGridQuery.collection;
+                if (!name) return;
+                await gallery.removeFromCollection(ids, name);
+                break;
+            }
+
+            case 'export':
+                await this.exportGalleryImages(ids);
+                return;
+
+            case 'pdf': {
+                // Pages in gallery order
+                const visible = (this.state.galleryGridVisibleIds || []).filter(id => selection.has(id));
+                const ordered = [...visible, ...ids.filter(id => !visible.includes(id))];
+                const pages = [];
+                for (const id of ordered) {
+                    const blob = await gallery.getImageBlob(id);
+                    if (blob) pages.push({ source: blob, title: gallery.getImage(id)?.prompt || '' });
+                }
+                await this.exportImagesAsPDF(pages, { name: `gallery-${new Date().toISOString().slice(0, 10)}` });
+                return;
+            }
+
+            case 'delete': {
+                const pinned = ids.filter(id => gallery.getImage(id)?.favorite).length;
+                const warning = pinned > 0 ? `\n\n${pinned} of them are pinned favorites.` : '';
+                if (!confirm(`Delete ${ids.length} image(s) from the gallery?${warning}`)) return;
+
+                const deleted = await gallery.deleteImages(ids);
+                selection.clear();
+                this.showSuccess(`Deleted ${deleted} image(s)`);
+                break;
+            }
+
+            default:
+                return;
+        }
+
+        this.refreshGalleryViews();
+    }
+
+    /**
+     * Download gallery images as a ZIP with a manifest
+     * @param {string[]} ids - Image IDs
+     * @param {Object} options - { name, collection }
+     */
+    async exportGalleryImages(ids, options = {}) {
+        if (ids.length === 0) {
+            this.showError('No images to export');
+            return;
+        }
+
+        this.showLoading('Exporting Gallery...', `Packing ${ids.length} image(s) into a ZIP`);
+        try {
+            const count = await this.modules.galleryArchive.exportImages(ids, options);
+            this.showSuccess(`Exported ${count} image(s)`);
+        } catch (error) {
+            console.error('❌ [GALLERY] Export failed:', error);
+            this.showError(`Export failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Download images as a multi-page PDF, one image per page
+     * @param {Array<{source: Blob|string, title: string}>} pages - Images in page order
+     * @param {Object} options - { name, title }
+     */
+    async exportImagesAsPDF(pages, options = {}) {
+        if (pages.length === 0) {
+            this.showError('No images to export');
+            return;
+        }
+
+        this.showLoading('Exporting PDF...', `Adding ${pages.length} page(s)`);
+        try {
+            const pdf = await this.modules.layeredExport.createPDF(pages, {
+                title: options.title,
+                onProgress: (done, total) => this.modules.ui.updateLoadingMessage('Exporting PDF...', `Page ${done} of ${total}`)
+            });
+            const baseName = (options.name || 'export').replace(/[^\w.-]+/g, '-');
+            LayeredExporter.downloadBlob(pdf, `${baseName}.pdf`);
+            this.showSuccess(`Exported a ${pages.length}-page PDF`);
+        } catch (error) {
+            console.error('❌ [AI EDITOR] PDF export failed:', error);
+            this.showError(`PDF export failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Import a gallery ZIP exported from this editor
+     * @param {File} file - ZIP file
+     */
+    async handleImportGalleryArchive(file) {
+        this.showLoading('Importing Gallery...', 'Reading archive');
+        try {
+            const summary = await this.modules.galleryArchive.importArchive(file, (done, total) => {
+                this.modules.ui.updateLoadingMessage('Importing Gallery...', `${done} of ${total} images`);
+            });
+
+            this.refreshGalleryViews();
+
+            const parts = [`${summary.imported} imported`];
+            if (summary.duplicates) parts.push(`${summary.duplicates} already in gallery`);
+            if (summary.failed) parts.push(`${summary.failed} failed`);
+            const message = `Import complete: ${parts.join(', ')}`;
+
+            if (summary.failed) {
+                this.showError(message);
+            } else {
+                this.showSuccess(message);
+            }
+        } catch (error) {
+            console.error('❌ [GALLERY] Import failed:', error);
+            this.showError(`Import failed: ${error.message}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Ask the user before the gallery removes images to make room
+     * @param {Array} candidates - Gallery entries that would be deleted, oldest first
+     * @param {string} reason - 'quota' (browser storage full) or 'limit' (gallery past its soft limit)
+     * @returns {Promise<boolean>} True if the user agreed
+     */
+    async confirmGalleryEviction(candidates, reason) {
+        const totalMB = (candidates.reduce((sum, img) => sum + (img.size || 0), 0) / (1024 * 1024)).toFixed(1);
+        const oldest = candidates[0];
+        const newest = candidates[candidates.length - 1];
+        const range = candidates.length > 1
+            ? `from ${new Date(oldest.date).toLocaleDateString()} to ${new Date(newest.date).toLocaleDateString()}`
+            : `from ${new Date(oldest.date).toLocaleDateString()}`;
+
+        const intro = reason === 'quota'
+            ? 'Browser storage is full, so the new image cannot be saved.'
+            : `The gallery has more than ${this.modules.gallery.softLimit} images.`;
+
+        const confirmed = confirm(`${intro}\n\nDelete the ${candidates.length} oldest image(s) (${totalMB} MB, ${range}) to make room?\n\nChoose Cancel to keep them.`);
+        console.log(`🗄️ [GALLERY] Eviction of ${candidates.length} image(s) ${confirmed ? 'confirmed' : 'declined'} (${reason})`);
+        return confirmed;
+    }
+
+    /**
+     * Update the gallery storage meter from navigator.storage.estimate()
+     */
+    async renderGalleryStorage() {
+        const fill = document.getElementById('galleryStorageFill');
+        const text = document.getElementById('galleryStorageText');
+        if (!fill || !text) return;
+
+        const stats = this.modules.gallery.getStats();
+        const estimate = await this.modules.gallery.getStorageEstimate();
+        const formatSize = (bytes) => bytes >= 1024 ** 3
+            ? `${(bytes / 1024 ** 3).toFixed(1)} GB`
+            : `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+
+        if (!estimate || !estimate.quota) {
+            fill.style.width = '0%';
+            text.textContent = `${stats.count} images · ${stats.totalSizeMB} MB`;
+            return;
+        }
+
+        const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+        fill.style.width = `${percent}%`;
+        fill.classList.toggle('warning', percent >= 80);
+        text.textContent = `${stats.count} images · ${formatSize(estimate.usage)} of ${formatSize(estimate.quota)} used`;
+    }
+
     scrollGallery(direction) {
         const container = document.getElementById('galleryThumbnails');
         if (!container) return;
@@ -397,6 +397,9 @@ class ObjectTransferManager {
             return;
         }
 
+        // The result becomes a child of the image currently on the canvas
+        const parentId = this.app.modules.gallery ? this.app.modules.gallery.getActiveImageId() : null;
+
         try {
             // Disable transfer button and add loading state
             if (this.elements.transferBtn) {
@@ -440,7 +443,7 @@ class ObjectTransferManager {
 
             // Load onto canvas using the editor
             if (this.app.modules.editor) {
-                await this.app.modules.editor.loadImage(resultDataUrl);
+                await this.app.modules.editor.loadImage(resultDataUrl, { label: 'Object Transfer', icon: 'fas fa-exchange-alt' });
             } else {
                 // Create editor if it doesn't exist
                 await this.app.createKonvaEditor(resultDataUrl);
@@ -448,9 +451,15 @@ class ObjectTransferManager {
 
             // Step 5: Add to gallery
             if (this.app.modules.gallery) {
-                const prompt = `Object Transfer: ${this.transferDescription.substring(0, 50)}...`;
-                const metadata = { timestamp: Date.now() };
-                this.app.modules.gallery.addImage(resultDataUrl, prompt, metadata);
+                try {
+                    const prompt = `Object Transfer: ${this.transferDescription.substring(0, 50)}...`;
+                    const metadata = { type: 'object-transfer', timestamp: Date.now(), parentId };
+                    const imageId = await this.app.modules.gallery.addImage(resultDataUrl, prompt, metadata);
+                    this.app.modules.gallery.setActiveImage(imageId);
+                    this.app.renderGallery();
+                } catch (galleryError) {
+                    console.warn('⚠️ [OBJECT TRANSFER] Failed to save to gallery:', galleryError);
+                }
             }
 
             // Show success
@@ -0,0 +1,523 @@
+/**
+ * Project Manager Module
+ * Saves the whole composition as a native .aiedit project (a ZIP with project.json - layers, groups,
+ * masks, adjustment settings, drawings, guides, filters, crop and selection - plus the layer bitmaps as PNG files
+ * and uploaded fonts),
+ * opens such projects again and keeps an autosave in IndexedDB that is offered for recovery on reload
+ */
+
+class ProjectManager {
+    constructor(app) {
+        this.app = app;
+        this.format = 'ai-image-editor-project';
+        this.schemaVersion = 2;
+        this.extension = 'aiedit';
+        this.store = ProjectStore.isSupported() ? new ProjectStore() : null;
+
+        // Current project
+        this.projectName = null;
+        this.createdAt = null;
+
+        // Autosave: every recorded edit bumps the revision; a save or open marks it as saved
+        this.revision = 0;
+        this.savedRevision = 0;
+        this.autosaveTimer = null;
+        this.autosaving = null; // Promise of the autosave in progress
+        this.bitmapCache = new WeakMap(); // Image element -> Promise<Blob> (image elements never change)
+
+        console.log('📁 [PROJECT] Project Manager initialized');
+    }
+
+    /**
+     * Start autosaving an editor's changes
+     * Called once the editor and its History panel exist
+     * @param {KonvaEditor} editor - Editor instance
+     */
+    attach(editor) {
+        const notify = editor.history.onChange;
+        editor.history.onChange = () => {
+            if (notify) notify();
+            this.markChanged();
+        };
+
+        // Write pending changes right away when the tab is hidden (it may never come back)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.autosaveTimer) {
+                this.autosave();
+            }
+        });
+    }
+
+    /**
+     * Record that the composition changed and schedule an autosave
+     */
+    markChanged() {
+        this.revision++;
+
+        const settings = this.app.modules.storage.getSettings();
+        if (!this.store || !settings.autoSave) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), settings.autosaveDelaySeconds * 1000);
+    }
+
+    /**
+     * Check whether there are changes that were not saved to a project file
+     * @returns {boolean} True if unsaved
+     */
+    hasUnsavedChanges() {
+        return this.revision !== this.savedRevision;
+    }
+
+    // ==================== SAVE ====================
+
+    /**
+     * Serialize the editor into a project.json object and the files it refers to
+     * @returns {Promise<{project: object, files: Map<string, Blob>}>} Project and bitmaps by path
+     */
+    async buildProject() {
+        const editor = this.app.modules.editor;
+        if (!editor || !editor.stage) {
+            throw new Error('Nothing to save yet - load an image first');
+        }
+
+        const layerManager = editor.layerManager;
+        const files = new Map();
+        const layers = [];
+
+        for (const layer of layerManager.getAllLayers()) {
+            const images = [];
+            const nodes = layer.konvaLayer.getChildren(node => node.getClassName() === 'Image' && node.image());
+
+            for (const [index, node] of nodes.entries()) {
+                const file = `layers/${layer.id}/${index}.png`;
+                files.set(file, await this.encodeBitmap(node.image()));
+                images.push({
+                    file,
+                    main: node === editor.imageNode,
+                    attrs: this.pickAttrs(node, ProjectManager.imageAttrs)
+                });
+            }
+
+            let mask = null;
+            if (layer.mask) {
+                const { canvas, x, y, width, height, enabled } = layer.mask;
+                mask = { file: `layers/${layer.id}/mask.png`, x, y, width, height, enabled };
+                files.set(mask.file, await this.encodeBitmap(canvas));
+            }
+
+            layers.push({
+                id: layer.id,
+                name: layer.name,
+                type: layer.type,
+                visible: layer.visible,
+                locked: layer.locked,
+                opacity: layer.opacity,
+                blendMode: layer.blendMode,
+                groupId: layer.groupId,
+                images,
+                mask,
+                adjustment: layerManager.getAdjustment(layer.id)
+            });
+        }
+
+        // Uploaded fonts travel with the project, so its text looks the same when it is opened elsewhere
+        const fonts = [...editor.textTool.fonts.values()].map((font, index) => {
+            const file = `fonts/${index}-${font.fileName.replace(/[^\w.-]+/g, '-')}`;
+            files.set(file, font.blob);
+            return { family: font.family, fileName: font.fileName, file };
+        });
+
+        const now = new Date().toISOString();
+        const project = {
+            format: this.format,
+            schemaVersion: this.schemaVersion,
+            metadata: {
+                name: this.getProjectName(),
+                createdAt: this.createdAt || now,
+                modifiedAt: now,
+                generator: 'AI Image Editor'
+            },
+            view: { scale: editor.stage.scaleX(), x: editor.stage.x(), y: editor.stage.y() },
+            activeLayerId: layerManager.activeLayerId,
+            groups: layerManager.groups.map(group => ({ ...group })),
+            layers,
+            drawings: editor.getDrawingStates(),
+            guides: editor.guides.getGuides(),
+            fonts,
+            filters: { ...editor.filterState },
+            crop: editor.getCropState(),
+            selection: editor.selection ? JSON.parse(JSON.stringify(editor.selection)) : null
+        };
+
+        return { project, files };
+    }
+
+    /**
+     * Build the .aiedit file
+     * @returns {Promise<Blob>} ZIP with project.json and the layer bitmaps
+     */
+    async createArchive() {
+        const JSZip = await GalleryArchive.loadJSZip();
+        const { project, files } = await this.buildProject();
+
+        const zip = new JSZip();
+        zip.file('project.json', JSON.stringify(project, null, 2));
+        files.forEach((blob, path) => zip.file(path, blob));
+
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' }); // PNGs are already compressed
+    }
+
+    /**
+     * Save the composition as a .aiedit download
+     * The autosave is dropped afterwards - the file now holds everything
+     * @returns {Promise<string>} File name
+     */
+    async saveProject() {
+        const revision = this.revision;
+        const archive = await this.createArchive();
+        const fileName = `${this.getProjectName().replace(/[^\w.-]+/g, '-')}.${this.extension}`;
+
+        LayeredExporter.downloadBlob(archive, fileName);
+
+        this.createdAt = this.createdAt || new Date().toISOString();
+        await this.markSaved(revision);
+
+        console.log('⬇️ [PROJECT] Saved project', fileName, `(${(archive.size / (1024 * 1024)).toFixed(1)} MB)`);
+        return fileName;
+    }
+
+    /**
+     * Name used for the project file
+     * @returns {string} Project name
+     */
+    getProjectName() {
+        return this.projectName || `ai-project-${new Date().toISOString().slice(0, 10)}`;
+    }
+
+    // ==================== OPEN ====================
+
+    /**
+     * Open a .aiedit file, replacing the current composition
+     * @param {File|Blob} file - Project file
+     * @returns {Promise<object>} Project metadata
+     */
+    async openProject(file) {
+        const JSZip = await GalleryArchive.loadJSZip();
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file);
+        } catch (error) {
+            throw new Error('This file is not a project saved by this editor');
+        }
+
+        const projectFile = zip.file('project.json');
+        if (!projectFile) {
+            throw new Error('This file has no project.json - it was not saved by this editor');
+        }
+
+        const project = this.migrate(JSON.parse(await projectFile.async('string')));
+        await this.restoreProject(project, async (path) => {
+            const entry = zip.file(path);
+            if (!entry) {
+                throw new Error(`Missing file ${path}`);
+            }
+            return entry.async('blob');
+        });
+
+        this.projectName = project.metadata.name || (file.name || '').replace(/\.aiedit$/i, '') || null;
+        this.createdAt = project.metadata.createdAt || null;
+        await this.markSaved(this.revision);
+
+        console.log('✅ [PROJECT] Opened project', this.projectName);
+        return project.metadata;
+    }
+
+    /**
+     * Upgrade a project.json object to the current schema, one version at a time
+     * @param {object} project - Parsed project.json
+     * @returns {object} Project in the current schema
+     */
+    migrate(project) {
+        if (!project || project.format !== this.format) {
+            throw new Error('Unrecognized project format');
+        }
+
+        let version = project.schemaVersion || 1;
+        if (version > this.schemaVersion) {
+            throw new Error(`Project version ${version} is newer than this editor supports`);
+        }
+
+        let migrated = project;
+        while (version < this.schemaVersion) {
+            const migration = ProjectManager.migrations[version];
+            if (!migration) {
+                throw new Error(`Cannot upgrade project version ${version}`);
+            }
+
+            migrated = migration(migrated);
+            migrated.schemaVersion = ++version;
+            console.log(`🔼 [PROJECT] Migrated project to schema v${version}`);
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Decode a project's bitmaps and load it into the editor
+     * @param {object} project - Project in the current schema
+     * @param {Function} readFile - (path) => Promise<Blob>
+     * @returns {Promise<void>}
+     */
+    async restoreProject(project, readFile) {
+        const editor = this.app.modules.editor;
+        let mainImage = null;
+        const layers = [];
+
+        for (const entry of project.layers || []) {
+            const nodes = [];
+            for (const image of entry.images || []) {
+                const bitmap = await this.decodeBitmap(await readFile(image.file));
+                const node = new Konva.Image({ ...image.attrs, image: bitmap });
+                if (image.main) mainImage = node;
+                nodes.push(node);
+            }
+
+            let mask = null;
+            if (entry.mask) {
+                const bitmap = await this.decodeBitmap(await readFile(entry.mask.file));
+                const canvas = document.createElement('canvas');
+                canvas.width = bitmap.naturalWidth || bitmap.width;
+                canvas.height = bitmap.naturalHeight || bitmap.height;
+                canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+                const { file: _file, ...frame } = entry.mask;
+                mask = { ...frame, canvas };
+            }
+
+            const { images: _images, ...props } = entry;
+            layers.push({ ...props, nodes, mask });
+        }
+
+        // Fonts first, so text is measured with them
+        for (const font of project.fonts || []) {
+            if (editor.textTool.fonts.has(font.family)) continue;
+            try {
+                await editor.textTool.addFontFile(await readFile(font.file), font.family, font.fileName);
+            } catch (error) {
+                console.warn(`⚠️ [PROJECT] Font "${font.family}" could not be loaded:`, error);
+            }
+        }
+
+        editor.restoreScene({
+            layers,
+            groups: project.groups || [],
+            activeLayerId: project.activeLayerId,
+            mainImage,
+            drawings: project.drawings || [],
+            guides: project.guides || [],
+            filters: project.filters || {},
+            selection: project.selection || null,
+            crop: project.crop || null,
+            view: project.view || null
+        });
+    }
+
+    // ==================== AUTOSAVE ====================
+
+    /**
+     * Write the composition to IndexedDB (runs after edits, debounced)
+     * @returns {Promise<void>}
+     */
+    async autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        // One at a time - an edit made meanwhile schedules the next one
+        while (this.autosaving) {
+            await this.autosaving;
+        }
+        if (!this.store || !this.hasUnsavedChanges()) return;
+
+        const revision = this.revision;
+        this.autosaving = (async () => {
+            try {
+                const { project, files } = await this.buildProject();
+
+                // Saved to a file while this was being built
+                if (this.savedRevision >= revision) return;
+
+                await this.store.putAutosave({
+                    id: 'current',
+                    name: project.metadata.name,
+                    savedAt: Date.now(),
+                    project,
+                    files: Object.fromEntries(files)
+                });
+                console.log('💾 [PROJECT] Autosaved', project.layers.length, 'layers');
+            } catch (error) {
+                console.error('❌ [PROJECT] Autosave failed:', error);
+            } finally {
+                this.autosaving = null;
+            }
+        })();
+
+        return this.autosaving;
+    }
+
+    /**
+     * Get the autosave left by a previous session, if any
+     * @returns {Promise<object|null>} Autosave record
+     */
+    async getAutosave() {
+        if (!this.store) return null;
+
+        try {
+            return await this.store.getAutosave();
+        } catch (error) {
+            console.error('❌ [PROJECT] Failed to read autosave:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load an autosave into the editor
+     * It is kept until the project is saved, since its changes are still not in any file
+     * @param {object} record - Autosave record
+     * @returns {Promise<object>} Project metadata
+     */
+    async restoreAutosave(record) {
+        const project = this.migrate(record.project);
+        await this.restoreProject(project, async (path) => {
+            const blob = record.files[path];
+            if (!blob) {
+                throw new Error(`Missing file ${path}`);
+            }
+            return blob;
+        });
+
+        this.projectName = project.metadata.name || null;
+        this.createdAt = project.metadata.createdAt || null;
+
+        // The restore cleared the history, which counted as a change
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        console.log('♻️ [PROJECT] Recovered autosave from', new Date(record.savedAt).toLocaleString());
+        return project.metadata;
+    }
+
+    /**
+     * Mark everything up to a revision as saved and drop the autosave
+     * @param {number} revision - Revision that was saved
+     * @returns {Promise<void>}
+     */
+    async markSaved(revision) {
+        this.savedRevision = Math.max(this.savedRevision, revision);
+        if (!this.hasUnsavedChanges()) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+
+        await this.discardAutosave();
+    }
+
+    /**
+     * Delete the autosave
+     * @returns {Promise<void>}
+     */
+    async discardAutosave() {
+        if (!this.store) return;
+
+        try {
+            await this.store.deleteAutosave();
+        } catch (error) {
+            console.error('❌ [PROJECT] Failed to delete autosave:', error);
+        }
+    }
+
+    // ==================== BITMAPS ====================
+
+    /**
+     * Encode a bitmap as PNG
+     * Image elements are cached, so unchanged layers are not re-encoded by every autosave
+     * (canvases can be drawn on, so they are always encoded)
+     * @param {CanvasImageSource} source - Image element or canvas
+     * @returns {Promise<Blob>} PNG Blob
+     */
+    encodeBitmap(source) {
+        const cacheable = !(source instanceof HTMLCanvasElement);
+        if (cacheable && this.bitmapCache.has(source)) {
+            return this.bitmapCache.get(source);
+        }
+
+        let canvas = source;
+        if (cacheable) {
+            canvas = document.createElement('canvas');
+            canvas.width = source.naturalWidth || source.width;
+            canvas.height = source.naturalHeight || source.height;
+            canvas.getContext('2d').drawImage(source, 0, 0);
+        }
+
+        const blob = new Promise((resolve, reject) => {
+            canvas.toBlob(result => {
+                if (result) {
+                    resolve(result);
+                } else {
+                    reject(new Error('Failed to encode a layer bitmap'));
+                }
+            }, 'image/png');
+        });
+
+        if (cacheable) {
+            this.bitmapCache.set(source, blob);
+        }
+        return blob;
+    }
+
+    /**
+     * Decode a PNG Blob into an image element
+     * @param {Blob} blob - PNG data
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    async decodeBitmap(blob) {
+        const image = await this.app.modules.editor.loadImageElement(URL.createObjectURL(blob));
+        // Saving it again can reuse the original file
+        this.bitmapCache.set(image, Promise.resolve(blob));
+        return image;
+    }
+
+    /**
+     * Read node attributes
+     * @param {Konva.Node} node - Node
+     * @param {string[]} names - Attribute names (each has a Konva getter)
+     * @returns {object} Attributes
+     */
+    pickAttrs(node, names) {
+        const attrs = {};
+        names.forEach(name => {
+            attrs[name] = node[name]();
+        });
+        return attrs;
+    }
+}
+
+// Attributes saved for image nodes
+ProjectManager.imageAttrs = [
+    'id', 'name', 'x', 'y', 'width', 'height', 'rotation', 'scaleX', 'scaleY',
+    'skewX', 'skewY', 'offsetX', 'offsetY', 'opacity', 'visible', 'draggable'
+];
+
+// Schema upgrades: migrations[n] turns a version n project.json into version n + 1
+ProjectManager.migrations = {
+    // v2: text drawings store their full typography and uploaded fonts are saved under fonts/
+    // v1 text only had text, size and color, so it gets the Konva defaults it was drawn with
+    1: (project) => ({
+        ...project,
+        fonts: [],
+        drawings: (project.drawings || []).map(state => state.className === 'Text'
+            ? { fontFamily: 'Arial', fontStyle: 'normal', letterSpacing: 0, lineHeight: 1, align: 'left', wrap: 'none', ...state }
+            : state)
+    })
+};
@@ -0,0 +1,65 @@
+/**
+ * Project Store - IndexedDB persistence for project autosaves
+ * Each record holds a project.json object and its layer bitmaps as Blobs, so an unsaved
+ * composition can be recovered after a crash or reload
+ */
+
+class ProjectStore {
+    constructor(dbName = 'ai-editor-projects', version = 1) {
+        this.database = new IdbDatabase(dbName, version, (db) => {
+            if (!db.objectStoreNames.contains('autosaves')) {
+                db.createObjectStore('autosaves', { keyPath: 'id' });
+            }
+        }, 'Project');
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return IdbDatabase.isSupported();
+    }
+
+    /**
+     * Run work inside a transaction on the autosaves store and resolve when it commits
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (store) => value
+     * @returns {Promise<any>} Value produced by work (IDBRequest results are unwrapped)
+     */
+    transaction(mode, work) {
+        return this.database.transaction(['autosaves'], mode, ({ autosaves }) => work(autosaves));
+    }
+
+    /**
+     * Store an autosave, replacing the previous one with the same id
+     * @param {object} record - { id, name, savedAt, project, files } where files maps paths to Blobs
+     * @returns {Promise<void>}
+     */
+    putAutosave(record) {
+        return this.transaction('readwrite', (store) => {
+            store.put(record);
+        });
+    }
+
+    /**
+     * Get an autosave
+     * @param {string} id - Autosave id
+     * @returns {Promise<object|null>} Record
+     */
+    async getAutosave(id = 'current') {
+        const record = await this.transaction('readonly', (store) => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * Delete an autosave
+     * @param {string} id - Autosave id
+     * @returns {Promise<void>}
+     */
+    deleteAutosave(id = 'current') {
+        return this.transaction('readwrite', (store) => {
+            store.delete(id);
+        });
+    }
+}
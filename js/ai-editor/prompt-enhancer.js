@@ -23,7 +23,10 @@ class PromptEnhancerManager {
 
             // Resolution buttons
             resolutionButtons: [],
-            resolutionContainer: null
+            resolutionContainer: null,
+
+            // Candidate count buttons
+            candidateButtons: []
         };
 
         // State
@@ -31,6 +34,7 @@ class PromptEnhancerManager {
         this.selectedEditPreset = null;
         this.selectedAspectRatio = 'auto'; // Default to auto (use source image ratio)
         this.selectedResolution = '2K'; // Default to 2K for better quality (Nano Banana Pro supports 1K, 2K, 4K)
+        this.selectedCandidateCount = 1; // Number of images to generate per prompt
         
         // Preset definitions
         this.generationPresets = {
@@ -155,6 +159,9 @@ class PromptEnhancerManager {
         // Cache all resolution buttons (in footer)
         this.elements.resolutionButtons = document.querySelectorAll('.resolution-footer-btn');
 
+        // Cache all candidate count buttons (in footer)
+        this.elements.candidateButtons = document.querySelectorAll('.candidate-footer-btn');
+
         console.log('📦 [PROMPT ENHANCER] Cached elements:', {
             generationPresets: this.elements.generationPresets.length,
             editPresets: this.elements.editPresets.length,
@@ -186,6 +193,11 @@ class PromptEnhancerManager {
         this.elements.resolutionButtons.forEach(btn => {
             btn.addEventListener('click', (e) => this.handleResolutionClick(e));
         });
+
+        // Candidate count buttons
+        this.elements.candidateButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => this.handleCandidateCountClick(e));
+        });
     }
     
     /**
@@ -278,6 +290,20 @@ class PromptEnhancerManager {
         console.log('✅ [PROMPT ENHANCER] Selected resolution:', resolution);
     }
 
+    /**
+     * Handle candidate count button click
+     */
+    handleCandidateCountClick(event) {
+        const button = event.currentTarget;
+        const count = parseInt(button.dataset.count, 10) || 1;
+
+        this.elements.candidateButtons.forEach(btn => btn.classList.remove('active'));
+
+        this.selectedCandidateCount = count;
+        button.classList.add('active');
+        console.log('✅ [PROMPT ENHANCER] Selected candidate count:', count);
+    }
+
     /**
      * Enhance a generation prompt with the selected preset
      * Note: Aspect ratio is NOT added to the prompt - it's passed as a separate API parameter
@@ -407,6 +433,14 @@ class PromptEnhancerManager {
         return this.selectedResolution;
     }
 
+    /**
+     * Get the number of candidates to generate per prompt
+     * @returns {number} Candidate count
+     */
+    getSelectedCandidateCount() {
+        return this.selectedCandidateCount;
+    }
+
     /**
      * Reset all preset selections
      */
@@ -441,5 +475,56 @@ class PromptEnhancerManager {
 
         console.log('🔄 [PROMPT ENHANCER] All presets reset');
     }
+
+    /**
+     * Describe the active preset selections for a generation recipe
+     * @param {string} kind - 'generate' or 'edit'
+     * @returns {object} { preset, presetName, modifier, aspectRatio, resolution }
+     */
+    getRecipePresets(kind = 'generate') {
+        const presetKey = kind === 'edit' ? this.selectedEditPreset : this.selectedGenerationPreset;
+        const preset = kind === 'edit' ? this.getSelectedEditPreset() : this.getSelectedGenerationPreset();
+
+        return {
+            preset: preset ? presetKey : null,
+            presetName: preset ? preset.name : null,
+            modifier: preset ? preset.modifier : null,
+            aspectRatio: this.selectedAspectRatio,
+            resolution: this.selectedResolution
+        };
+    }
+
+    /**
+     * Restore preset, aspect ratio and resolution selections from a stored recipe
+     * @param {object} recipe - Recipe stored with a gallery image
+     */
+    applyRecipe(recipe) {
+        const presets = recipe.presets || {};
+        const isEdit = recipe.operation === 'edit';
+        const presetMap = isEdit ? this.editPresets : this.generationPresets;
+        const presetKey = presetMap[presets.preset] ? presets.preset : null;
+        const presetButtons = isEdit ? this.elements.editPresets : this.elements.generationPresets;
+
+        if (isEdit) {
+            this.selectedEditPreset = presetKey;
+        } else {
+            this.selectedGenerationPreset = presetKey;
+        }
+        presetButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.preset === presetKey));
+
+        const aspectRatio = presets.aspectRatio || recipe.aspectRatio || 'auto';
+        if (Array.from(this.elements.aspectRatioButtons).some(btn => btn.dataset.ratio === aspectRatio)) {
+            this.selectedAspectRatio = aspectRatio;
+            this.elements.aspectRatioButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.ratio === aspectRatio));
+        }
+
+        const resolution = presets.resolution || recipe.imageSize;
+        if (resolution && Array.from(this.elements.resolutionButtons).some(btn => btn.dataset.resolution === resolution)) {
+            this.selectedResolution = resolution;
+            this.elements.resolutionButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.resolution === resolution));
+        }
+
+        console.log('🔁 [PROMPT ENHANCER] Applied recipe presets:', { preset: presetKey, aspectRatio: this.selectedAspectRatio, resolution: this.selectedResolution });
+    }
 }
 
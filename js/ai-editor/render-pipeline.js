@@ -0,0 +1,89 @@
+/**
+ * Render Pipeline
+ * Main-thread side of render-worker.js. Layers are handed over as their source bitmaps plus the
+ * transform, opacity and composite operation Konva draws each one with (see
+ * LayerManager._describeLayer), so drawing, blending and scaling for merges and thumbnails all
+ * happen in the worker and the editor keeps responding on large images.
+ * Browsers without OffscreenCanvas keep the synchronous paths in LayerManager.
+ */
+
+class RenderPipeline {
+    constructor() {
+        this.worker = new WorkerClient(RenderPipeline.workerUrl, { name: 'render worker' });
+
+        console.log('🧵 [RENDER] Render pipeline initialized');
+    }
+
+    /**
+     * Turn item sources into bitmaps that can be handed to the worker
+     * Every createImageBitmap call starts before the first await, so all sources are captured as
+     * they are right now (one bitmap per source, even if several items draw it)
+     * @param {object[]} items - Items with a `source` (CanvasImageSource)
+     * @returns {Promise<{items: object[], transfer: ImageBitmap[]}>} Items with a `bitmap` instead
+     */
+    static async toBitmaps(items) {
+        const pending = new Map();
+        items.forEach(({ source }) => {
+            if (!pending.has(source)) pending.set(source, createImageBitmap(source));
+        });
+
+        const bitmaps = new Map();
+        await Promise.all([...pending].map(async ([source, bitmap]) => bitmaps.set(source, await bitmap)));
+
+        return {
+            items: items.map(({ source, ...item }) => ({ ...item, bitmap: bitmaps.get(source) })),
+            transfer: [...bitmaps.values()]
+        };
+    }
+
+    /**
+     * Draw and blend layers into one bitmap, bottom first
+     * @param {Array<{items: object[], blendMode: string}>} layers - Layers (blendMode is a canvas
+     *   globalCompositeOperation, items come from LayerManager._describeLayer)
+     * @param {number} width - Result width
+     * @param {number} height - Result height
+     * @returns {Promise<ImageBitmap>} Composited bitmap, ready to be used as a Konva image
+     */
+    async composite(layers, width, height) {
+        const { items, transfer } = await RenderPipeline.toBitmaps(layers.flatMap(layer => layer.items));
+
+        let offset = 0;
+        const { bitmap } = await this.worker.request('composite', {
+            width,
+            height,
+            layers: layers.map(({ items: layerItems, blendMode }) => {
+                offset += layerItems.length;
+                return { items: items.slice(offset - layerItems.length, offset), blendMode };
+            })
+        }, transfer);
+
+        return bitmap;
+    }
+
+    /**
+     * Draw a layer at thumbnail size and encode it
+     * @param {object[]} items - Layer items (transforms already scaled to the thumbnail)
+     * @param {number} width - Thumbnail width
+     * @param {number} height - Thumbnail height
+     * @param {string} mimeType - Image type
+     * @param {number} quality - Encoder quality
+     * @returns {Promise<string>} Data URL
+     */
+    async thumbnail(items, width, height, mimeType = 'image/jpeg', quality = 0.6) {
+        const { items: bitmapItems, transfer } = await RenderPipeline.toBitmaps(items);
+        const { dataUrl } = await this.worker.request('thumbnail', { items: bitmapItems, width, height, mimeType, quality }, transfer);
+        return dataUrl;
+    }
+
+    /**
+     * @returns {boolean} True if the browser can run the worker (OffscreenCanvas with a 2D context)
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined' &&
+            'convertToBlob' in OffscreenCanvas.prototype;
+    }
+}
+
+RenderPipeline.workerUrl = 'js/ai-editor/render-worker.js';
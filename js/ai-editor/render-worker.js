@@ -0,0 +1,98 @@
+/**
+ * Render Worker
+ * Canvas work that does not need Konva, done on OffscreenCanvas off the main thread so the editor
+ * keeps responding: drawing layers from their source bitmaps and blending them (merge, flatten),
+ * and drawing, scaling and encoding layer thumbnails.
+ *
+ * A layer arrives as items, each a bitmap drawn the way Konva would draw its node:
+ *   { bitmap, transform: [a, b, c, d, e, f], alpha, operation, crop: {x, y, width, height}|null, width, height }
+ *
+ * Messages in:  { type: 'composite', id, width, height, layers: [{ items, blendMode }] } (bottom first)
+ *               { type: 'thumbnail', id, items, width, height, mimeType, quality }
+ * Messages out: { type: 'result', id, bitmap } for composite, { type: 'result', id, dataUrl } for thumbnail
+ *               { type: 'error', id, message }
+ */
+
+/**
+ * Draw a layer's items onto a canvas context, bottom first
+ * @param {OffscreenCanvasRenderingContext2D} ctx - Target
+ * @param {object[]} items - Layer items
+ */
+function drawItems(ctx, items) {
+    items.forEach(({ bitmap, transform, alpha, operation, crop, width, height }) => {
+        ctx.save();
+        ctx.setTransform(...transform);
+        ctx.globalAlpha = alpha;
+        ctx.globalCompositeOperation = operation;
+        if (crop) {
+            ctx.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+        } else {
+            ctx.drawImage(bitmap, 0, 0, width, height);
+        }
+        ctx.restore();
+    });
+}
+
+/**
+ * Release the bitmaps of a request (one bitmap can back several items)
+ * @param {object[]} items - Items
+ */
+function closeBitmaps(items) {
+    new Set(items.map(item => item.bitmap)).forEach(bitmap => bitmap.close());
+}
+
+/**
+ * Draw each layer on its own canvas, then blend the layers onto one canvas, bottom first
+ * @param {object} request - Composite message
+ * @returns {ImageBitmap} Result
+ */
+function composite({ width, height, layers }) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const layerCanvas = new OffscreenCanvas(width, height);
+    const layerCtx = layerCanvas.getContext('2d');
+
+    layers.forEach(({ items, blendMode }) => {
+        layerCtx.clearRect(0, 0, width, height);
+        drawItems(layerCtx, items);
+
+        ctx.globalCompositeOperation = blendMode;
+        ctx.drawImage(layerCanvas, 0, 0);
+    });
+
+    closeBitmaps(layers.flatMap(layer => layer.items));
+    return canvas.transferToImageBitmap();
+}
+
+/**
+ * Draw a layer at thumbnail size and encode it as a data URL
+ * @param {object} request - Thumbnail message
+ * @returns {Promise<string>} Data URL
+ */
+async function thumbnail({ items, width, height, mimeType, quality }) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    drawItems(ctx, items);
+    closeBitmaps(items);
+
+    const blob = await canvas.convertToBlob({ type: mimeType, quality });
+    return new FileReaderSync().readAsDataURL(blob);
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'composite') {
+            const bitmap = composite(message);
+            postMessage({ type: 'result', id: message.id, bitmap }, [bitmap]);
+        } else if (message.type === 'thumbnail') {
+            postMessage({ type: 'result', id: message.id, dataUrl: await thumbnail(message) });
+        } else {
+            throw new Error(`Unknown render job: ${message.type}`);
+        }
+    } catch (error) {
+        postMessage({ type: 'error', id: message.id, message: error.message || String(error) });
+    }
+};
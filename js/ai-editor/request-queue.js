@@ -0,0 +1,136 @@
+/**
+ * Request Queue - Runs API jobs with a concurrency limit
+ * Every job gets its own AbortController so queued and in-flight work can be cancelled
+ */
+
+class RequestQueue {
+    /**
+     * @param {object} options - Queue options { concurrency, onChange }
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.onChange = options.onChange || null;
+        this.pending = [];
+        this.running = new Set();
+        this.nextId = 1;
+
+        console.log(`🚦 [QUEUE] Request queue initialized (concurrency: ${this.concurrency})`);
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {Function} task - async (signal) => result
+     * @param {string} label - Job label for logging
+     * @returns {Promise<any>} Resolves with the task result
+     */
+    add(task, label = 'request') {
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.nextId++,
+                label,
+                task,
+                resolve,
+                reject,
+                controller: new AbortController()
+            };
+
+            this.pending.push(job);
+            console.log(`🚦 [QUEUE] Queued #${job.id} (${label}) - ${this.pending.length} waiting, ${this.running.size} running`);
+
+            this.notify();
+            this.drain();
+        });
+    }
+
+    /**
+     * Start queued jobs while there are free slots
+     */
+    drain() {
+        while (this.running.size < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.run(job);
+        }
+    }
+
+    /**
+     * Run a single job
+     * @param {object} job - Queue job
+     */
+    async run(job) {
+        this.running.add(job);
+        this.notify();
+
+        try {
+            job.resolve(await job.task(job.controller.signal));
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            this.running.delete(job);
+            this.notify();
+            this.drain();
+        }
+    }
+
+    /**
+     * Cancel every queued and running job
+     * @param {string} reason - Cancellation reason
+     * @returns {number} Number of cancelled jobs
+     */
+    cancelAll(reason = 'Request cancelled') {
+        const waiting = this.pending.splice(0);
+        waiting.forEach(job => job.reject(RequestQueue.createAbortError(reason)));
+        this.running.forEach(job => job.controller.abort());
+
+        const count = waiting.length + this.running.size;
+        if (count > 0) {
+            console.log(`🛑 [QUEUE] Cancelled ${count} job(s)`);
+        }
+
+        this.notify();
+        return count;
+    }
+
+    /**
+     * Change the concurrency limit
+     * @param {number} concurrency - Max jobs running at once
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+        console.log(`🚦 [QUEUE] Concurrency set to ${this.concurrency}`);
+        this.drain();
+    }
+
+    /**
+     * Number of queued and running jobs
+     * @returns {number} Job count
+     */
+    get size() {
+        return this.pending.length + this.running.size;
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange({ waiting: this.pending.length, running: this.running.size });
+        }
+    }
+
+    /**
+     * Create an error matching the one fetch throws when aborted
+     * @param {string} message - Error message
+     * @returns {Error} AbortError
+     */
+    static createAbortError(message = 'Request cancelled') {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Check whether an error came from cancellation
+     * @param {Error} error - Error to check
+     * @returns {boolean} True if the job was cancelled
+     */
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+}
@@ -0,0 +1,754 @@
+/**
+ * Snap Guides - rulers, grid, guide lines and snapping on the canvas
+ * Moving or resizing nodes snaps their edges and centers to the image, to other nodes, to guide lines
+ * and (optionally) to the grid, and shows what they snapped to as smart guides. Guide lines are kept in
+ * layer coordinates; the rulers and the grid count image pixels from the top-left of the main image
+ */
+
+class SnapGuides {
+    /**
+     * @param {KonvaEditor} editor - Editor owning the stage
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.options = {}; // showRulers, showGrid, gridSize, snapToObjects, snapToGrid (from the settings)
+        this.layer = null; // Overlay layer: grid, guide lines and smart guides (excluded from exports)
+        this.gridShape = null;
+        this.smartGuides = null; // Group with the smart guides shown while snapping
+        this.guideLines = []; // Guide lines (Konva.Line with an 'orientation' attr)
+        this.rulers = null; // { top, left, corner } elements over the canvas
+        this.drag = null; // Drag in progress: { lead, nodes, offset, size, targets, delta }
+        this.transformTargets = null; // Snap targets while a transformer handle is dragged
+        this.renderFrame = null; // Pending requestAnimationFrame id
+    }
+
+    /**
+     * Hook the guides into the stage (called once the stage and transformer exist)
+     */
+    attach() {
+        const { stage, transformer } = this.editor;
+        const settings = this.editor.app.modules.storage.getSettings();
+        SnapGuides.settingKeys.forEach(key => {
+            this.options[key] = settings[key];
+        });
+
+        this.layer = new Konva.Layer({ name: 'guidesLayer' });
+        this.gridShape = new Konva.Shape({
+            listening: false,
+            sceneFunc: (context) => this.drawGrid(context)
+        });
+        this.smartGuides = new Konva.Group({ listening: false });
+        this.layer.add(this.gridShape, this.smartGuides);
+        stage.add(this.layer);
+
+        this.createRulers();
+
+        // Snap dragged nodes (drag events bubble to the stage)
+        stage.on('dragstart.guides', (e) => this.handleDragStart(e));
+        stage.on('dragmove.guides', (e) => this.handleDragMove(e));
+        stage.on('dragend.guides', () => this.handleDragEnd());
+
+        // Snap the transformer handles
+        transformer.on('transformstart.guides', () => {
+            this.transformTargets = this.getSnapTargets(transformer.nodes());
+        });
+        transformer.on('transform.guides', () => this.scheduleRender());
+        transformer.on('transformend.guides', () => {
+            this.transformTargets = null;
+            this.showSmartGuides([]);
+        });
+        transformer.anchorDragBoundFunc((oldPos, newPos, evt) => this.snapAnchor(newPos, evt));
+
+        // Rulers and grid follow zoom, pan and canvas resizes
+        stage.on(SnapGuides.viewEvents, () => this.scheduleRender());
+
+        this.render();
+        console.log('📐 [GUIDES] Rulers, grid and snapping ready');
+    }
+
+    /**
+     * Change an option and remember it in the settings
+     * @param {string} name - One of SnapGuides.settingKeys
+     * @param {*} value - New value
+     */
+    setOption(name, value) {
+        if (!SnapGuides.settingKeys.includes(name)) return;
+
+        this.options[name] = value;
+        this.editor.app.modules.storage.updateSetting(name, value);
+        this.render();
+    }
+
+    /**
+     * Whether a node is a guide line
+     * @param {Konva.Node} node - Node
+     * @returns {boolean} True for guide lines
+     */
+    isGuide(node) {
+        return this.guideLines.includes(node);
+    }
+
+    /**
+     * Let guide lines be dragged, or let clicks through to the drawing and selection tools
+     * @param {boolean} interactive - Whether guide lines react to the pointer
+     */
+    setInteractive(interactive) {
+        this.guideLines.forEach(line => line.listening(interactive));
+    }
+
+    // ==================== GEOMETRY ====================
+
+    /**
+     * Bounding box of a node in layer coordinates
+     * @param {Konva.Node} node - Node
+     * @returns {object} { x, y, width, height }
+     */
+    getRect(node) {
+        return node.getClientRect({ relativeTo: this.editor.stage, skipShadow: true });
+    }
+
+    /**
+     * Part of the layers shown in the canvas, in layer coordinates
+     * @returns {object} { x, y, width, height }
+     */
+    getViewRect() {
+        const stage = this.editor.stage;
+        const scale = stage.scaleX();
+        return {
+            x: -stage.x() / scale,
+            y: -stage.y() / scale,
+            width: stage.width() / scale,
+            height: stage.height() / scale
+        };
+    }
+
+    /**
+     * Origin and resolution the rulers and grid measure in: the main image's top-left corner and its
+     * pixels, or layer units when there is no image
+     * @returns {object} { x, y, scale } where scale is image pixels per layer unit
+     */
+    getDocumentFrame() {
+        const node = this.editor.imageNode;
+        if (!node || !node.getStage()) {
+            return { x: 0, y: 0, scale: 1 };
+        }
+
+        const rect = this.getRect(node);
+        const image = node.image();
+        const displayedWidth = node.width() * Math.abs(node.scaleX());
+        const scale = image && displayedWidth ? (image.naturalWidth || image.width) / displayedWidth : 1;
+        return { x: rect.x, y: rect.y, scale };
+    }
+
+    /**
+     * Convert a pointer event position to layer coordinates
+     * @param {MouseEvent} evt - Pointer event
+     * @returns {object} { x, y }
+     */
+    clientToLayer(evt) {
+        const stage = this.editor.stage;
+        const bounds = stage.container().getBoundingClientRect();
+        return {
+            x: (evt.clientX - bounds.left - stage.x()) / stage.scaleX(),
+            y: (evt.clientY - bounds.top - stage.y()) / stage.scaleY()
+        };
+    }
+
+    // ==================== SNAPPING ====================
+
+    /**
+     * Nodes other nodes snap to: what is shown on the image layers and the drawing layer
+     * @returns {Konva.Node[]} Nodes
+     */
+    getSnapNodes() {
+        const { layerManager, drawingLayer, transformer } = this.editor;
+        const konvaLayers = layerManager.getAllLayers()
+            .filter(layer => !layer.adjustment && layerManager.isVisible(layer.id))
+            .map(layer => layer.konvaLayer);
+
+        return [...konvaLayers, drawingLayer].flatMap(konvaLayer => konvaLayer.getChildren(node => {
+            return node !== transformer && node.isVisible() &&
+                !node.hasName('layerMask') && !node.hasName('adjustmentResult');
+        }));
+    }
+
+    /**
+     * Lines the given nodes can snap to
+     * @param {Konva.Node[]} exclude - Nodes being moved (they do not snap to themselves)
+     * @returns {object} { vertical, horizontal } lists of { value, start, end } (start/end are null for
+     *   guide lines, which cross the whole canvas)
+     */
+    getSnapTargets(exclude) {
+        const targets = { vertical: [], horizontal: [] };
+        const isExcluded = (node) => exclude.some(other => {
+            return other === node || other.isAncestorOf(node) || node.isAncestorOf(other);
+        });
+        const addRect = (rect) => {
+            [rect.x, rect.x + rect.width / 2, rect.x + rect.width].forEach(value => {
+                targets.vertical.push({ value, start: rect.y, end: rect.y + rect.height });
+            });
+            [rect.y, rect.y + rect.height / 2, rect.y + rect.height].forEach(value => {
+                targets.horizontal.push({ value, start: rect.x, end: rect.x + rect.width });
+            });
+        };
+
+        if (this.options.snapToObjects) {
+            // The image's edges and center, or the visible canvas while the image itself moves
+            const image = this.editor.imageNode;
+            addRect(image && image.getStage() && !isExcluded(image) ? this.getRect(image) : this.getViewRect());
+
+            this.getSnapNodes()
+                .filter(node => !isExcluded(node))
+                .forEach(node => addRect(this.getRect(node)));
+        }
+
+        this.guideLines.forEach(line => {
+            if (line.getAttr('orientation') === 'vertical') {
+                targets.vertical.push({ value: line.x(), start: null, end: null });
+            } else {
+                targets.horizontal.push({ value: line.y(), start: null, end: null });
+            }
+        });
+
+        return targets;
+    }
+
+    /**
+     * Whether a pointer event should snap (Ctrl/Cmd moves freely)
+     * @param {Event} [evt] - Pointer event
+     * @returns {boolean} True to snap
+     */
+    isSnapping(evt) {
+        if (evt && (evt.ctrlKey || evt.metaKey)) return false;
+        return Boolean(this.options.snapToObjects || this.options.snapToGrid || this.guideLines.length);
+    }
+
+    /**
+     * Find the closest target within snapping distance of any of the given positions
+     * @param {number[]} positions - Positions along the axis (edges and center)
+     * @param {object[]} targets - Targets along the same axis
+     * @param {string} axis - 'x' or 'y'
+     * @param {number[]} [gridPositions] - Positions that snap to the grid (the edges by default)
+     * @returns {object|null} { offset, value, grid } or null when nothing is close enough
+     */
+    findSnap(positions, targets, axis, gridPositions = [positions[0], positions[positions.length - 1]]) {
+        const threshold = SnapGuides.snapDistance / this.editor.stage.scaleX();
+        let best = null;
+        const consider = (position, value, grid) => {
+            const offset = value - position;
+            if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                best = { offset, value, grid };
+            }
+        };
+
+        positions.forEach(position => targets.forEach(target => consider(position, target.value, false)));
+
+        if (this.options.snapToGrid) {
+            const frame = this.getDocumentFrame();
+            const step = this.options.gridSize / frame.scale;
+            gridPositions.forEach(position => {
+                consider(position, frame[axis] + Math.round((position - frame[axis]) / step) * step, true);
+            });
+        }
+
+        return best;
+    }
+
+    /**
+     * Smart guides for a snap: every target on the snapped line, drawn from it to the moved box
+     * @param {object|null} snap - Result of findSnap
+     * @param {object[]} targets - Targets along the snapped axis
+     * @param {number} start - Start of the moved box across the line
+     * @param {number} end - End of the moved box across the line
+     * @param {string} orientation - 'vertical' or 'horizontal'
+     * @returns {object[]} { orientation, value, start, end }
+     */
+    getSnapLines(snap, targets, start, end, orientation) {
+        if (!snap || snap.grid) return [];
+
+        return targets
+            .filter(target => target.start !== null && Math.abs(target.value - snap.value) < 0.5)
+            .map(target => ({
+                orientation,
+                value: snap.value,
+                start: Math.min(start, target.start),
+                end: Math.max(end, target.end)
+            }));
+    }
+
+    /**
+     * Snap a box
+     * @param {object} box - Box in layer coordinates
+     * @param {object} targets - Result of getSnapTargets
+     * @returns {object} { delta: { x, y }, lines } where lines are the smart guides to show
+     */
+    snapBox(box, targets) {
+        const x = this.findSnap([box.x, box.x + box.width / 2, box.x + box.width], targets.vertical, 'x');
+        const y = this.findSnap([box.y, box.y + box.height / 2, box.y + box.height], targets.horizontal, 'y');
+        const delta = { x: x ? x.offset : 0, y: y ? y.offset : 0 };
+
+        return {
+            delta,
+            lines: [
+                ...this.getSnapLines(x, targets.vertical, box.y + delta.y, box.y + delta.y + box.height, 'vertical'),
+                ...this.getSnapLines(y, targets.horizontal, box.x + delta.x, box.x + delta.x + box.width, 'horizontal')
+            ]
+        };
+    }
+
+    handleDragStart(e) {
+        const node = e.target;
+        if (this.drag || !this.editor.isHistoryTracked(node) || this.isGuide(node)) return;
+
+        // Selected nodes move together (the transformer drags the others along)
+        const nodes = this.editor.getDraggedNodes(node);
+        const leadRect = this.getRect(node);
+        const box = SnapGuides.unionRect(nodes.map(other => this.getRect(other)));
+
+        this.drag = {
+            lead: node,
+            nodes,
+            offset: { x: box.x - leadRect.x, y: box.y - leadRect.y },
+            size: { width: box.width, height: box.height },
+            targets: this.getSnapTargets(nodes),
+            delta: { x: 0, y: 0 }
+        };
+    }
+
+    /**
+     * Snap the dragged nodes. Konva places every dragged node under the pointer on each move, so the
+     * node that was grabbed works out the snap for the whole selection and the others follow its offset
+     * @param {object} e - Konva dragmove event
+     */
+    handleDragMove(e) {
+        const drag = this.drag;
+        if (!drag || !drag.nodes.includes(e.target)) return;
+
+        if (e.target !== drag.lead) {
+            this.editor.translateNode(e.target, drag.delta.x, drag.delta.y);
+            return;
+        }
+
+        let lines = [];
+        drag.delta = { x: 0, y: 0 };
+        if (this.isSnapping(e.evt)) {
+            const leadRect = this.getRect(drag.lead);
+            const snap = this.snapBox({
+                x: leadRect.x + drag.offset.x,
+                y: leadRect.y + drag.offset.y,
+                ...drag.size
+            }, drag.targets);
+
+            drag.delta = snap.delta;
+            lines = snap.lines;
+            this.editor.translateNode(drag.lead, snap.delta.x, snap.delta.y);
+        }
+
+        this.showSmartGuides(lines);
+        this.scheduleRender();
+    }
+
+    handleDragEnd() {
+        if (!this.drag) return;
+
+        this.drag = null;
+        this.showSmartGuides([]);
+        this.scheduleRender();
+    }
+
+    /**
+     * Snap a transformer handle (anchorDragBoundFunc)
+     * @param {object} position - Handle position asked for, in absolute coordinates
+     * @param {Event} [evt] - Pointer event
+     * @returns {object} Handle position to use
+     */
+    snapAnchor(position, evt) {
+        const transformer = this.editor.transformer;
+        if (!this.transformTargets || transformer.getActiveAnchor() === 'rotater' || !this.isSnapping(evt)) {
+            return position;
+        }
+
+        const stage = this.editor.stage;
+        const scale = stage.scaleX();
+        const point = { x: (position.x - stage.x()) / scale, y: (position.y - stage.y()) / scale };
+        const x = this.findSnap([point.x], this.transformTargets.vertical, 'x');
+        const y = this.findSnap([point.y], this.transformTargets.horizontal, 'y');
+
+        this.showSmartGuides([
+            ...this.getSnapLines(x, this.transformTargets.vertical, point.y, point.y, 'vertical'),
+            ...this.getSnapLines(y, this.transformTargets.horizontal, point.x, point.x, 'horizontal')
+        ]);
+
+        return {
+            x: position.x + (x ? x.offset * scale : 0),
+            y: position.y + (y ? y.offset * scale : 0)
+        };
+    }
+
+    /**
+     * Show smart guides (replacing the ones shown)
+     * @param {object[]} lines - { orientation, value, start, end } in layer coordinates
+     */
+    showSmartGuides(lines) {
+        this.smartGuides.destroyChildren();
+        lines.forEach(({ orientation, value, start, end }) => {
+            this.smartGuides.add(new Konva.Line({
+                points: orientation === 'vertical' ? [value, start, value, end] : [start, value, end, value],
+                stroke: SnapGuides.smartGuideColor,
+                strokeWidth: 1,
+                strokeScaleEnabled: false
+            }));
+        });
+        this.layer.batchDraw();
+    }
+
+    // ==================== GUIDE LINES ====================
+
+    /**
+     * Add a guide line
+     * @param {string} orientation - 'vertical' or 'horizontal'
+     * @param {number} position - X of a vertical guide or Y of a horizontal one, in layer coordinates
+     * @returns {Konva.Line} Guide line
+     */
+    addGuide(orientation, position) {
+        const stage = this.editor.stage;
+        const vertical = orientation === 'vertical';
+        const extent = SnapGuides.guideExtent;
+
+        const line = new Konva.Line({
+            name: 'guideLine',
+            orientation,
+            x: vertical ? position : 0,
+            y: vertical ? 0 : position,
+            points: vertical ? [0, -extent, 0, extent] : [-extent, 0, extent, 0],
+            stroke: SnapGuides.guideColor,
+            strokeWidth: 1,
+            strokeScaleEnabled: false,
+            hitStrokeWidth: 7,
+            draggable: true,
+            listening: !this.editor.drawingState.activeTool,
+            // Guides only move across their own direction
+            dragBoundFunc: (pos) => vertical ? { x: pos.x, y: stage.y() } : { x: stage.x(), y: pos.y }
+        });
+
+        line.on('mouseenter', () => {
+            stage.container().style.cursor = vertical ? 'ew-resize' : 'ns-resize';
+        });
+        line.on('mouseleave', () => {
+            stage.container().style.cursor = '';
+        });
+        line.on('dragend', () => {
+            const pointer = stage.getPointerPosition();
+            if (pointer && this.isOverRuler(pointer, orientation)) {
+                this.removeGuide(line);
+            }
+        });
+        line.on('dblclick dbltap', () => this.removeGuide(line));
+
+        this.guideLines.push(line);
+        this.layer.add(line);
+        this.smartGuides.moveToTop();
+        this.layer.batchDraw();
+        return line;
+    }
+
+    /**
+     * Remove a guide line
+     * @param {Konva.Line} line - Guide line
+     */
+    removeGuide(line) {
+        this.guideLines = this.guideLines.filter(other => other !== line);
+        line.destroy();
+        this.editor.stage.container().style.cursor = '';
+        this.layer.batchDraw();
+    }
+
+    clearGuides() {
+        this.guideLines.slice().forEach(line => this.removeGuide(line));
+    }
+
+    /**
+     * Guide lines as plain data (saved with projects)
+     * @returns {object[]} { orientation, position }
+     */
+    getGuides() {
+        return this.guideLines.map(line => {
+            const orientation = line.getAttr('orientation');
+            return { orientation, position: orientation === 'vertical' ? line.x() : line.y() };
+        });
+    }
+
+    /**
+     * Replace the guide lines
+     * @param {object[]} guides - { orientation, position }
+     */
+    setGuides(guides) {
+        this.clearGuides();
+        guides.forEach(guide => this.addGuide(guide.orientation, guide.position));
+    }
+
+    /**
+     * Whether a canvas position is on the ruler a guide was pulled from (dropping it there removes it)
+     * @param {object} pointer - Position relative to the canvas container
+     * @param {string} orientation - Guide orientation
+     * @returns {boolean} True over the ruler
+     */
+    isOverRuler(pointer, orientation) {
+        const position = orientation === 'vertical' ? pointer.x : pointer.y;
+        return position < SnapGuides.rulerSize;
+    }
+
+    /**
+     * Pull a new guide out of a ruler: the top ruler gives horizontal guides, the left one vertical guides
+     * @param {MouseEvent} evt - mousedown on the ruler
+     * @param {string} orientation - Guide orientation
+     */
+    startGuideFromRuler(evt, orientation) {
+        evt.preventDefault();
+        const axis = orientation === 'vertical' ? 'x' : 'y';
+        const line = this.addGuide(orientation, this.clientToLayer(evt)[axis]);
+
+        const onMove = (event) => {
+            line.setAttr(axis, this.clientToLayer(event)[axis]);
+            this.layer.batchDraw();
+        };
+        const onUp = (event) => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+
+            const bounds = this.editor.stage.container().getBoundingClientRect();
+            const pointer = { x: event.clientX - bounds.left, y: event.clientY - bounds.top };
+            if (this.isOverRuler(pointer, orientation)) {
+                this.removeGuide(line);
+            }
+        };
+
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    // ==================== RULERS AND GRID ====================
+
+    createRulers() {
+        const container = this.editor.stage.container();
+        const top = document.createElement('canvas');
+        const left = document.createElement('canvas');
+        const corner = document.createElement('div');
+
+        top.className = 'canvas-ruler canvas-ruler-top';
+        left.className = 'canvas-ruler canvas-ruler-left';
+        corner.className = 'canvas-ruler-corner';
+        top.title = 'Drag down to add a horizontal guide';
+        left.title = 'Drag right to add a vertical guide';
+
+        top.addEventListener('mousedown', (e) => this.startGuideFromRuler(e, 'horizontal'));
+        left.addEventListener('mousedown', (e) => this.startGuideFromRuler(e, 'vertical'));
+
+        container.append(top, left, corner);
+        this.rulers = { top, left, corner };
+    }
+
+    /**
+     * Redraw the rulers and grid on the next animation frame
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        if (!this.editor.stage) return;
+
+        this.renderRulers();
+        this.gridShape.visible(Boolean(this.options.showGrid));
+        this.layer.batchDraw();
+    }
+
+    renderRulers() {
+        const { top, left, corner } = this.rulers;
+        const visible = Boolean(this.options.showRulers);
+        [top, left, corner].forEach(element => {
+            element.style.display = visible ? '' : 'none';
+        });
+        if (!visible) return;
+
+        const stage = this.editor.stage;
+        const frame = this.getDocumentFrame();
+        this.drawRuler(top, stage.width(), 'x', frame);
+        this.drawRuler(left, stage.height(), 'y', frame);
+    }
+
+    /**
+     * Draw a ruler in image pixels
+     * @param {HTMLCanvasElement} canvas - Ruler canvas
+     * @param {number} length - Ruler length in screen pixels
+     * @param {string} axis - 'x' for the top ruler, 'y' for the left one
+     * @param {object} frame - Result of getDocumentFrame
+     */
+    drawRuler(canvas, length, axis, frame) {
+        const size = SnapGuides.rulerSize;
+        const ratio = window.devicePixelRatio || 1;
+        const width = axis === 'x' ? length : size;
+        const height = axis === 'x' ? size : length;
+
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        }
+
+        const styles = getComputedStyle(canvas);
+        const background = styles.getPropertyValue('--bg-secondary').trim() || '#1a1a1a';
+        const color = styles.getPropertyValue('--text-secondary').trim() || '#b0b0b0';
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        const stage = this.editor.stage;
+        const scale = stage.scaleX();
+        const offset = axis === 'x' ? stage.x() : stage.y();
+        const pixelsPerUnit = scale / frame.scale; // Screen pixels per image pixel
+        const toScreen = (value) => offset + (frame[axis] + value / frame.scale) * scale;
+
+        // Labelled ticks at least minRulerSpacing apart, with four unlabelled ticks between them
+        const step = SnapGuides.niceStep(SnapGuides.minRulerSpacing / pixelsPerUnit);
+        const minor = step / 5;
+        const first = Math.floor(((-offset / scale) - frame[axis]) * frame.scale / minor);
+        const last = Math.ceil((((length - offset) / scale) - frame[axis]) * frame.scale / minor);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.font = '9px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.beginPath();
+
+        for (let index = first; index <= last; index++) {
+            const value = index * minor;
+            const position = Math.round(toScreen(value)) + 0.5;
+            const major = index % 5 === 0;
+            const tick = major ? size : size * 0.3;
+
+            if (axis === 'x') {
+                ctx.moveTo(position, size);
+                ctx.lineTo(position, size - tick);
+                if (major) ctx.fillText(String(Math.round(value)), position + 2, 1);
+            } else {
+                ctx.moveTo(size, position);
+                ctx.lineTo(size - tick, position);
+                if (major) {
+                    ctx.save();
+                    ctx.translate(1, position - 2);
+                    ctx.rotate(-Math.PI / 2);
+                    ctx.fillText(String(Math.round(value)), 0, 0);
+                    ctx.restore();
+                }
+            }
+        }
+
+        // Edge against the canvas
+        if (axis === 'x') {
+            ctx.moveTo(0, size - 0.5);
+            ctx.lineTo(width, size - 0.5);
+        } else {
+            ctx.moveTo(size - 0.5, 0);
+            ctx.lineTo(size - 0.5, height);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Draw the grid over the visible part of the canvas (sceneFunc of the grid shape)
+     * @param {Konva.Context} context - Layer context, in layer coordinates
+     */
+    drawGrid(context) {
+        const scale = this.editor.stage.scaleX();
+        const frame = this.getDocumentFrame();
+        const step = this.options.gridSize / frame.scale;
+
+        // Too dense to be of any use at this zoom
+        if (!(step * scale >= SnapGuides.minGridSpacing)) return;
+
+        const view = this.getViewRect();
+        const startX = frame.x + Math.ceil((view.x - frame.x) / step) * step;
+        const startY = frame.y + Math.ceil((view.y - frame.y) / step) * step;
+
+        context.beginPath();
+        for (let x = startX; x <= view.x + view.width; x += step) {
+            context.moveTo(x, view.y);
+            context.lineTo(x, view.y + view.height);
+        }
+        for (let y = startY; y <= view.y + view.height; y += step) {
+            context.moveTo(view.x, y);
+            context.lineTo(view.x + view.width, y);
+        }
+        context.setAttr('lineWidth', 1 / scale);
+        context.setAttr('strokeStyle', SnapGuides.gridColor);
+        context.stroke();
+    }
+
+    /**
+     * Remove the rulers (the stage takes the layer with it)
+     */
+    destroy() {
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        if (this.rulers) {
+            Object.values(this.rulers).forEach(element => element.remove());
+            this.rulers = null;
+        }
+        this.guideLines = [];
+        this.drag = null;
+    }
+
+    /**
+     * Smallest box containing all the given boxes
+     * @param {object[]} rects - Boxes ({ x, y, width, height })
+     * @returns {object} Box
+     */
+    static unionRect(rects) {
+        const left = Math.min(...rects.map(rect => rect.x));
+        const top = Math.min(...rects.map(rect => rect.y));
+        return {
+            x: left,
+            y: top,
+            width: Math.max(...rects.map(rect => rect.x + rect.width)) - left,
+            height: Math.max(...rects.map(rect => rect.y + rect.height)) - top
+        };
+    }
+
+    /**
+     * Round a ruler step up to 1, 2 or 5 times a power of ten (never below 1 image pixel)
+     * @param {number} step - Smallest step
+     * @returns {number} Step
+     */
+    static niceStep(step) {
+        const power = Math.pow(10, Math.floor(Math.log10(step)));
+        const nice = [1, 2, 5, 10].map(factor => factor * power).find(value => value >= step);
+        return Math.max(1, nice);
+    }
+}
+
+// Settings (see StorageManager.getDefaultSettings) the guides read and change
+SnapGuides.settingKeys = ['showRulers', 'showGrid', 'gridSize', 'snapToObjects', 'snapToGrid'];
+
+SnapGuides.viewEvents = ['xChange', 'yChange', 'scaleXChange', 'scaleYChange', 'widthChange', 'heightChange']
+    .map(event => `${event}.guides`).join(' ');
+
+SnapGuides.snapDistance = 6; // Screen pixels
+SnapGuides.rulerSize = 20; // Screen pixels
+SnapGuides.minRulerSpacing = 50; // Screen pixels between labelled ruler ticks
+SnapGuides.minGridSpacing = 4; // Screen pixels between grid lines
+SnapGuides.guideExtent = 100000; // Half length of a guide line, in layer units
+SnapGuides.guideColor = '#00d4ff';
+SnapGuides.smartGuideColor = '#ff3d8b';
+SnapGuides.gridColor = 'rgba(255, 255, 255, 0.18)';
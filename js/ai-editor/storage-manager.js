@@ -1,6 +1,7 @@
 /**
  * Storage Manager - Handles local storage for API keys and settings
- * Provides secure storage with encryption for sensitive data
+ * The API key is obfuscated by default, or encrypted with a passphrase via KeyVault.
+ * Image provider tokens are session-only: kept in memory and never written to localStorage
  */
 
 class StorageManager {
@@ -8,39 +9,84 @@ class StorageManager {
         this.storageKey = 'ai-image-editor';
         this.apiKeyKey = 'gemini-api-key';
         this.settingsKey = 'editor-settings';
+        this.apiKeyModeKey = 'api-key-mode';
+        this.vaultKey = 'api-key-vault';
+
+        // Holds the decrypted (vault) or session-only API key in memory
+        this.vault = new KeyVault({ autoLockMinutes: this.getSettings().vaultAutoLockMinutes });
+
+        // Provider id -> bearer token, for this session only
+        this.providerTokens = {};
+        this.purgeStoredProviderTokens();
         
         console.log('💾 [STORAGE] Storage Manager initialized');
     }
 
     /**
-     * Save API key to local storage with basic obfuscation
+     * Get how the API key is stored
+     * 'local' - obfuscated in localStorage, 'vault' - encrypted with a passphrase,
+     * 'session' - kept in memory only and forgotten when the page closes
+     * @returns {string} Key storage mode
+     */
+    getApiKeyMode() {
+        const mode = localStorage.getItem(`${this.storageKey}-${this.apiKeyModeKey}`);
+        return ['vault', 'session'].includes(mode) ? mode : 'local';
+    }
+
+    /**
+     * Save API key using the chosen storage mode
      * @param {string} apiKey - The API key to save
+     * @param {object} options - Optional { mode, passphrase } - mode defaults to the current mode;
+     *   vault mode needs a passphrase unless the vault is already unlocked
+     * @returns {Promise<boolean>} True when saved
      */
-    saveApiKey(apiKey) {
+    async saveApiKey(apiKey, options = {}) {
+        const { mode = this.getApiKeyMode(), passphrase = null } = options;
+
+        if (!apiKey || typeof apiKey !== 'string') {
+            throw new Error('Invalid API key provided');
+        }
+
         try {
-            if (!apiKey || typeof apiKey !== 'string') {
-                throw new Error('Invalid API key provided');
+            if (mode === 'vault') {
+                const payload = await this.vault.seal(apiKey, passphrase || null);
+                localStorage.setItem(`${this.storageKey}-${this.vaultKey}`, JSON.stringify(payload));
+                localStorage.removeItem(`${this.storageKey}-${this.apiKeyKey}`);
+            } else if (mode === 'session') {
+                this.vault.hold(apiKey);
+                localStorage.removeItem(`${this.storageKey}-${this.apiKeyKey}`);
+                localStorage.removeItem(`${this.storageKey}-${this.vaultKey}`);
+            } else {
+                // Basic obfuscation (not encryption, just to avoid plain text in storage)
+                const obfuscated = this.obfuscateString(apiKey);
+
+                localStorage.setItem(`${this.storageKey}-${this.apiKeyKey}`, obfuscated);
+                localStorage.removeItem(`${this.storageKey}-${this.vaultKey}`);
+                this.vault.clear();
             }
 
-            // Basic obfuscation (not encryption, just to avoid plain text in storage)
-            const obfuscated = this.obfuscateString(apiKey);
-            
-            localStorage.setItem(`${this.storageKey}-${this.apiKeyKey}`, obfuscated);
-            
-            console.log('💾 [STORAGE] API key saved successfully');
+            localStorage.setItem(`${this.storageKey}-${this.apiKeyModeKey}`, mode);
+
+            console.log(`💾 [STORAGE] API key saved successfully (${mode})`);
             return true;
         } catch (error) {
             console.error('❌ [STORAGE] Failed to save API key:', error);
-            throw new Error('Failed to save API key');
+            // Passphrase and crypto support problems are worth showing as-is
+            throw mode === 'vault' ? error : new Error('Failed to save API key');
         }
     }
 
     /**
-     * Retrieve API key from local storage
+     * Retrieve API key
+     * In vault and session modes this is the key held in memory, so it is null while the vault is locked
      * @returns {string|null} The API key or null if not found
      */
     getApiKey() {
         try {
+            if (this.getApiKeyMode() !== 'local') {
+                return this.vault.getSecret();
+            }
+
             const obfuscated = localStorage.getItem(`${this.storageKey}-${this.apiKeyKey}`);
             
             if (!obfuscated) {
@@ -59,11 +105,13 @@ class StorageManager {
     }
 
     /**
-     * Remove API key from local storage
+     * Remove API key from storage and memory
      */
     removeApiKey() {
         try {
             localStorage.removeItem(`${this.storageKey}-${this.apiKeyKey}`);
+            localStorage.removeItem(`${this.storageKey}-${this.vaultKey}`);
+            this.vault.clear();
             console.log('💾 [STORAGE] API key removed successfully');
             return true;
         } catch (error) {
@@ -74,13 +122,61 @@ class StorageManager {
 
     /**
      * Check if API key exists in storage
+     * An encrypted vault counts even while locked
      * @returns {boolean} True if API key exists
      */
     hasApiKey() {
+        const mode = this.getApiKeyMode();
+
+        if (mode === 'vault') {
+            return this.hasVault();
+        }
+        if (mode === 'session') {
+            return this.vault.isUnlocked();
+        }
+
         const key = localStorage.getItem(`${this.storageKey}-${this.apiKeyKey}`);
         return key !== null && key.length > 0;
     }
 
+    /**
+     * Check if an encrypted vault is stored
+     * @returns {boolean} True if a vault payload exists
+     */
+    hasVault() {
+        return !!localStorage.getItem(`${this.storageKey}-${this.vaultKey}`);
+    }
+
+    /**
+     * Check if the API key is in an encrypted vault that has not been unlocked this session
+     * @returns {boolean} True if locked
+     */
+    isVaultLocked() {
+        return this.getApiKeyMode() === 'vault' && this.hasVault() && !this.vault.isUnlocked();
+    }
+
+    /**
+     * Decrypt the vault with the passphrase and keep the key in memory
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<string>} The API key
+     */
+    async unlockVault(passphrase) {
+        const stored = localStorage.getItem(`${this.storageKey}-${this.vaultKey}`);
+        if (!stored) {
+            throw new Error('No encrypted API key found');
+        }
+
+        return this.vault.unlock(JSON.parse(stored), passphrase);
+    }
+
+    /**
+     * Lock the vault, forgetting the decrypted key
+     * @param {string} reason - 'manual' or 'inactivity'
+     */
+    lockVault(reason = 'manual') {
+        this.vault.lock(reason);
+    }
+
     /**
      * Save editor settings
      * @param {object} settings - Settings object to save
@@ -133,11 +229,27 @@ class StorageManager {
             canvasWidth: 800,
             canvasHeight: 600,
             imageQuality: 0.9,
-            autoSave: true,
+            autoSave: true, // Autosave the composition to IndexedDB for crash recovery
+            autosaveDelaySeconds: 2,
+            showRulers: false,
             showGrid: false,
+            snapToObjects: true, // Snap to the image, other objects and guide lines with smart guides
             snapToGrid: false,
-            gridSize: 20,
+            gridSize: 20, // Image pixels
             theme: 'dark',
+            requestConcurrency: 2,
+            monthlyBudget: 0,
+            vaultAutoLockMinutes: 15,
+            historySteps: 100,
+            historyMemoryMB: 256,
+            layerMemoryMB: 512,
+            imageProvider: {
+                active: 'gemini',
+                providers: {
+                    gemini: {},
+                    generic: {}
+                }
+            },
             shortcuts: {
                 undo: 'ctrl+z',
                 redo: 'ctrl+y',
@@ -166,6 +278,57 @@ class StorageManager {
         }
     }
 
+    /**
+     * Get image provider settings
+     * @returns {object} Provider settings { active, providers }
+     */
+    getProviderSettings() {
+        const defaults = this.getDefaultSettings().imageProvider;
+        const stored = this.getSettings().imageProvider || {};
+        const providers = { ...defaults.providers, ...(stored.providers || {}) };
+
+        // Tokens entered this session
+        Object.keys(this.providerTokens).forEach(id => {
+            providers[id] = { ...(providers[id] || {}), apiKey: this.providerTokens[id] };
+        });
+
+        return {
+            active: stored.active || defaults.active,
+            providers
+        };
+    }
+
+    /**
+     * Save image provider settings
+     * Tokens (apiKey) are kept in memory for this session; everything else goes to localStorage
+     * @param {object} providerSettings - Provider settings { active, providers }
+     */
+    saveProviderSettings(providerSettings) {
+        const providers = {};
+        Object.entries(providerSettings.providers || {}).forEach(([id, { apiKey, ...config }]) => {
+            if (apiKey) {
+                this.providerTokens[id] = apiKey;
+            } else {
+                delete this.providerTokens[id];
+            }
+            providers[id] = config;
+        });
+
+        return this.updateSetting('imageProvider', { ...providerSettings, providers });
+    }
+
+    /**
+     * Move provider tokens saved in localStorage by earlier versions into memory
+     */
+    purgeStoredProviderTokens() {
+        const stored = this.getSettings().imageProvider;
+        const providers = stored?.providers || {};
+        if (!Object.values(providers).some(config => config && config.apiKey)) return;
+
+        this.saveProviderSettings(stored);
+        console.log('💾 [STORAGE] Removed stored provider tokens from localStorage (they are now session-only)');
+    }
+
     /**
      * Clear all stored data
      */
@@ -173,12 +336,15 @@ class StorageManager {
         try {
             const keys = [
                 `${this.storageKey}-${this.apiKeyKey}`,
+                `${this.storageKey}-${this.apiKeyModeKey}`,
+                `${this.storageKey}-${this.vaultKey}`,
                 `${this.storageKey}-${this.settingsKey}`
             ];
 
             keys.forEach(key => {
                 localStorage.removeItem(key);
             });
+            this.vault.clear();
 
             console.log('💾 [STORAGE] All data cleared successfully');
             return true;
@@ -194,7 +360,8 @@ class StorageManager {
      */
     getStorageInfo() {
         try {
-            const apiKeySize = this.getItemSize(`${this.storageKey}-${this.apiKeyKey}`);
+            const apiKeySize = this.getItemSize(`${this.storageKey}-${this.apiKeyKey}`) +
+                this.getItemSize(`${this.storageKey}-${this.vaultKey}`);
             const settingsSize = this.getItemSize(`${this.storageKey}-${this.settingsKey}`);
             
             return {
@@ -264,8 +431,18 @@ class StorageManager {
      */
     exportData() {
         try {
+            const settings = this.getSettings();
+
+            // Never export provider credentials
+            const providers = settings.imageProvider?.providers || {};
+            Object.keys(providers).forEach(id => {
+                if (providers[id].apiKey) {
+                    providers[id] = { ...providers[id], apiKey: '' };
+                }
+            });
+
             return {
-                settings: this.getSettings(),
+                settings,
                 hasApiKey: this.hasApiKey(),
                 exportDate: new Date().toISOString()
             };
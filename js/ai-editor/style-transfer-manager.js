@@ -398,6 +398,9 @@ class StyleTransferManager {
             return;
         }
 
+        // The styled image becomes a child of the image currently on the canvas
+        const parentId = this.app.modules.gallery ? this.app.modules.gallery.getActiveImageId() : null;
+
         try {
             // Disable transfer button and show loading state
             if (this.elements.transferBtn) {
@@ -427,7 +430,7 @@ class StyleTransferManager {
             console.log('🖼️ [STYLE TRANSFER] Loading result onto canvas...');
 
             if (this.app.modules.editor) {
-                await this.app.modules.editor.loadImage(resultDataUrl);
+                await this.app.modules.editor.loadImage(resultDataUrl, { label: 'Style Transfer', icon: 'fas fa-palette' });
             } else {
                 await this.app.createKonvaEditor(resultDataUrl);
             }
@@ -437,7 +440,8 @@ class StyleTransferManager {
                 dataUrl: resultDataUrl,
                 prompt: `Style Transfer: ${this.styleDescription.substring(0, 50)}...`,
                 timestamp: Date.now(),
-                targetElement: this.targetElement || 'entire image'
+                targetElement: this.targetElement || 'entire image',
+                parentId
             };
 
             // Show save to gallery icon instead of auto-saving
@@ -522,7 +526,8 @@ class StyleTransferManager {
                     {
                         type: 'style-transfer',
                         targetElement: this.pendingGalleryImage.targetElement,
-                        timestamp: this.pendingGalleryImage.timestamp
+                        timestamp: this.pendingGalleryImage.timestamp,
+                        parentId: this.pendingGalleryImage.parentId
                     }
                 );
 
@@ -0,0 +1,241 @@
+/**
+ * TextControlsUI - Text options in the Drawing Tools panel
+ * Shows the style for new text (or of the selected text) and sends every change to the TextTool,
+ * which applies it to the selected text as an undoable step
+ */
+
+class TextControlsUI {
+    /**
+     * @param {TextTool} textTool - Text tool of the editor
+     */
+    constructor(textTool) {
+        this.textTool = textTool;
+        this.container = document.getElementById('textOptionsGroup');
+
+        if (!this.container) {
+            console.error('Text options container not found: textOptionsGroup');
+            return;
+        }
+
+        this.textTool.onSelectionChange = (style) => this.handleSelectionChange(style);
+        this.textTool.onFontsChange = () => this.renderFontOptions();
+
+        this.renderFontOptions();
+        this.bindEvents();
+        this.render(this.textTool.style);
+    }
+
+    /**
+     * Get a control inside the panel
+     * @param {string} id - Element id
+     * @returns {HTMLElement|null} Element
+     */
+    get(id) {
+        return document.getElementById(id);
+    }
+
+    bindEvents() {
+        const set = (name, value) => this.textTool.setOption(name, value);
+        const on = (id, event, handler) => {
+            const element = this.get(id);
+            if (element) element.addEventListener(event, () => handler(element));
+        };
+
+        on('textFontFamily', 'change', el => set('fontFamily', el.value));
+        on('textFontWeight', 'change', el => set('fontWeight', el.value));
+        on('textItalic', 'click', el => {
+            el.classList.toggle('active');
+            set('italic', el.classList.contains('active'));
+        });
+
+        this.container.querySelectorAll('.text-align-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setActiveAlign(button.dataset.align);
+                set('align', button.dataset.align);
+            });
+        });
+
+        on('textLetterSpacing', 'input', el => {
+            this.setLabel('textLetterSpacingValue', `${el.value}px`);
+            set('letterSpacing', parseFloat(el.value));
+        });
+        on('textLineHeight', 'input', el => {
+            this.setLabel('textLineHeightValue', parseFloat(el.value).toFixed(2));
+            set('lineHeight', parseFloat(el.value));
+        });
+        on('textWrap', 'change', el => set('wrap', el.value));
+
+        on('textFillColor', 'input', el => set('fill', el.value));
+        on('textFillType', 'change', el => {
+            this.updateGradientVisibility(el.value);
+            set('fillType', el.value);
+        });
+        on('textGradientColor', 'input', el => set('gradientColor', el.value));
+
+        on('textStrokeColor', 'input', el => set('strokeColor', el.value));
+        on('textStrokeWidth', 'input', el => {
+            this.setLabel('textStrokeWidthValue', `${el.value}px`);
+            set('strokeWidth', parseFloat(el.value));
+        });
+
+        on('textShadow', 'change', el => set('shadow', el.checked));
+        on('textShadowColor', 'input', el => set('shadowColor', el.value));
+        on('textShadowBlur', 'input', el => {
+            this.setLabel('textShadowBlurValue', `${el.value}px`);
+            set('shadowBlur', parseFloat(el.value));
+        });
+
+        on('textPath', 'change', el => set('path', el.value));
+
+        // Font upload
+        on('textFontUploadBtn', 'click', () => {
+            const input = this.get('textFontUpload');
+            if (input) input.click();
+        });
+        on('textFontUpload', 'change', async (input) => {
+            const file = input.files && input.files[0];
+            input.value = '';
+            if (!file) return;
+
+            try {
+                const family = await this.textTool.addFontFile(file);
+                this.get('textFontFamily').value = family;
+                await this.textTool.setOption('fontFamily', family);
+                this.notify(`Font "${family}" added`, 'success');
+            } catch (error) {
+                console.error('❌ [TEXT] Font upload failed:', error);
+                this.notify(error.message || 'Could not load this font', 'error');
+            }
+        });
+    }
+
+    /**
+     * Fill the font family dropdown (system, web and uploaded fonts)
+     */
+    renderFontOptions() {
+        const select = this.get('textFontFamily');
+        if (!select) return;
+
+        const current = select.value || this.textTool.style.fontFamily;
+        select.innerHTML = '';
+
+        this.textTool.getFontFamilies().forEach(({ group, families }) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group;
+            families.forEach(family => {
+                const option = document.createElement('option');
+                option.value = family;
+                option.textContent = family;
+                option.style.fontFamily = `"${family}"`;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+
+        this.selectFont(current);
+    }
+
+    /**
+     * Select a font family, adding it when it is not in the list (text from a project using a font
+     * that was not uploaded in this session)
+     * @param {string} family - Font family
+     */
+    selectFont(family) {
+        const select = this.get('textFontFamily');
+        if (!select || !family) return;
+
+        if (![...select.options].some(option => option.value === family)) {
+            const option = document.createElement('option');
+            option.value = family;
+            option.textContent = family;
+            select.appendChild(option);
+        }
+        select.value = family;
+    }
+
+    /**
+     * Show the options while the text tool is active or text is selected
+     * @param {object|null} style - Style of the selected text, or null when no text is selected
+     */
+    handleSelectionChange(style) {
+        const toolActive = this.textTool.editor.drawingState.activeTool === 'text';
+        this.setVisible(Boolean(style) || toolActive);
+        if (style) {
+            this.render(style);
+        }
+    }
+
+    /**
+     * Show or hide the text options (and the font size slider next to them)
+     * @param {boolean} visible - Whether to show them
+     */
+    setVisible(visible) {
+        this.container.style.display = visible ? 'flex' : 'none';
+        const fontSizeGroup = this.get('fontSizeGroup');
+        if (fontSizeGroup) fontSizeGroup.style.display = visible ? 'flex' : 'none';
+    }
+
+    /**
+     * Put a style into the controls
+     * @param {object} style - Style (see TextTool.defaultStyle)
+     */
+    render(style) {
+        const setValue = (id, value) => {
+            const element = this.get(id);
+            if (element) element.value = value;
+        };
+
+        this.selectFont(style.fontFamily);
+        setValue('textFontWeight', style.fontWeight);
+        const italic = this.get('textItalic');
+        if (italic) italic.classList.toggle('active', style.italic);
+        this.setActiveAlign(style.align);
+
+        setValue('fontSize', style.fontSize);
+        this.setLabel('fontSizeValue', `${Math.round(style.fontSize)}px`);
+        setValue('textLetterSpacing', style.letterSpacing);
+        this.setLabel('textLetterSpacingValue', `${style.letterSpacing}px`);
+        setValue('textLineHeight', style.lineHeight);
+        this.setLabel('textLineHeightValue', Number(style.lineHeight).toFixed(2));
+        setValue('textWrap', style.wrap);
+
+        setValue('textFillColor', style.fill);
+        setValue('textFillType', style.fillType);
+        setValue('textGradientColor', style.gradientColor);
+        this.updateGradientVisibility(style.fillType);
+
+        setValue('textStrokeColor', style.strokeColor);
+        setValue('textStrokeWidth', style.strokeWidth);
+        this.setLabel('textStrokeWidthValue', `${style.strokeWidth}px`);
+
+        const shadow = this.get('textShadow');
+        if (shadow) shadow.checked = style.shadow;
+        setValue('textShadowColor', style.shadowColor);
+        setValue('textShadowBlur', style.shadowBlur);
+        this.setLabel('textShadowBlurValue', `${style.shadowBlur}px`);
+
+        // Paths drawn by hand elsewhere have no preset to show
+        setValue('textPath', TextTool.pathPresets[style.path] ? style.path : 'none');
+    }
+
+    setActiveAlign(align) {
+        this.container.querySelectorAll('.text-align-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.align === align);
+        });
+    }
+
+    updateGradientVisibility(fillType) {
+        const gradientColor = this.get('textGradientColor');
+        if (gradientColor) gradientColor.style.display = fillType === 'solid' ? 'none' : '';
+    }
+
+    setLabel(id, text) {
+        const label = this.get(id);
+        if (label) label.textContent = text;
+    }
+
+    notify(message, type) {
+        const ui = this.textTool.editor.app && this.textTool.editor.app.modules.ui;
+        if (ui) ui.showNotification(message, type, 3000);
+    }
+}
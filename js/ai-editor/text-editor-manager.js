@@ -146,7 +146,7 @@
         }
 
         if (edited) {
-          await editor.loadImage(edited);
+          await editor.loadImage(edited, { label: 'Text Edit', icon: 'fas fa-font' });
           this.setBusy(false, 'Text edit applied.');
         } else {
           this.setBusy(false, 'No edited image returned.');
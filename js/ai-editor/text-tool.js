@@ -0,0 +1,773 @@
+/**
+ * Text Tool - text drawings with fonts, typography, text boxes, text on a path and on-canvas editing
+ * Text lives on the drawing layer as a Konva.Text (a Konva.TextPath when it follows a path). Every
+ * style is a node attribute, so shapeToState/stateToShape carry it into history, projects and exports
+ */
+
+class TextTool {
+    /**
+     * @param {KonvaEditor} editor - Editor owning the drawing layer
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.style = { ...TextTool.defaultStyle }; // Style for new text (and the last selected text)
+        this.fonts = new Map(); // Uploaded fonts by family: { family, blob, fileName }
+        this.webFontLoads = new Map(); // Web font family -> Promise of its stylesheet
+        this.editing = null; // Inline edit in progress: { node, textarea, before, isNew }
+        this.draft = null; // Text box being dragged out: { start, rect }
+        this.measureNode = null; // Scratch Konva.Text used to measure text on a path
+
+        // UI callbacks
+        this.onSelectionChange = null; // (style|null) => void
+        this.onFontsChange = null; // () => void
+    }
+
+    /**
+     * Hook the tool into the stage (called once the stage and transformer exist)
+     */
+    attach() {
+        const { stage, transformer } = this.editor;
+        this.defaultAnchors = transformer.enabledAnchors();
+
+        // Double-click text to edit it in place, with or without the text tool
+        stage.on('dblclick dbltap', (e) => {
+            if (this.isTextNode(e.target)) {
+                this.startEditing(e.target);
+            }
+        });
+
+        // Runs after the editor's own click handlers have updated the transformer
+        stage.on('click tap', () => this.syncSelection());
+
+        // Side handles of a text box change its width (the text reflows) instead of stretching it
+        transformer.on('transform', () => {
+            const anchor = transformer.getActiveAnchor();
+            if (anchor !== 'middle-left' && anchor !== 'middle-right') return;
+
+            transformer.nodes().filter(node => node.getClassName() === 'Text').forEach(node => {
+                node.setAttrs({
+                    width: Math.max(TextTool.minBoxWidth, node.width() * node.scaleX()),
+                    scaleX: 1,
+                    wrap: node.wrap() === 'none' ? 'word' : node.wrap()
+                });
+            });
+        });
+    }
+
+    /**
+     * Whether a node is a text drawing
+     * @param {Konva.Node} node - Node
+     * @returns {boolean} True for Text and TextPath nodes on the drawing layer
+     */
+    isTextNode(node) {
+        if (!node || !node.getClassName) return false;
+        const className = node.getClassName();
+        return (className === 'Text' || className === 'TextPath') && node.getLayer() === this.editor.drawingLayer;
+    }
+
+    /**
+     * Text drawings selected with the transformer
+     * @returns {Konva.Shape[]} Selected text nodes
+     */
+    getSelectedTextNodes() {
+        return this.editor.transformer.nodes().filter(node => this.isTextNode(node));
+    }
+
+    /**
+     * Update the transformer handles and the text controls for the current selection
+     * Selecting text also makes its style the style for new text
+     */
+    syncSelection() {
+        const transformer = this.editor.transformer;
+        const nodes = this.getSelectedTextNodes();
+        const onlyTextBoxes = nodes.length > 0 && nodes.length === transformer.nodes().length &&
+            nodes.every(node => node.getClassName() === 'Text');
+
+        transformer.enabledAnchors(onlyTextBoxes ? TextTool.textAnchors : this.defaultAnchors);
+
+        if (nodes.length) {
+            this.style = this.nodeToStyle(nodes[0]);
+        }
+        if (this.onSelectionChange) {
+            this.onSelectionChange(nodes.length ? this.style : null);
+        }
+    }
+
+    // ==================== CREATING ====================
+
+    /**
+     * Stage listeners while the text tool is active: click for a single line of text, drag for a
+     * text box that wraps at its width, click existing text to edit it
+     * (removed with the other tool listeners by KonvaEditor.removeDrawingListeners)
+     */
+    setupListeners() {
+        const editor = this.editor;
+        const stage = editor.stage;
+
+        stage.on('mousedown touchstart', (e) => {
+            if (this.editing) return; // The textarea losing focus finishes the edit
+
+            if (this.isTextNode(e.target)) {
+                this.startEditing(e.target);
+                return;
+            }
+            if (e.target !== stage && e.target !== editor.layer && e.target !== editor.imageNode) return;
+
+            const start = stage.getRelativePointerPosition();
+            const rect = new Konva.Rect({
+                x: start.x,
+                y: start.y,
+                width: 0,
+                height: 0,
+                stroke: '#00d4ff',
+                strokeWidth: 1 / stage.scaleX(),
+                dash: [4 / stage.scaleX(), 4 / stage.scaleX()],
+                listening: false
+            });
+            editor.drawingLayer.add(rect);
+            this.draft = { start, rect };
+        });
+
+        stage.on('mousemove touchmove', () => {
+            if (!this.draft) return;
+
+            const { start, rect } = this.draft;
+            const pos = stage.getRelativePointerPosition();
+            rect.setAttrs({
+                x: Math.min(start.x, pos.x),
+                y: Math.min(start.y, pos.y),
+                width: Math.abs(pos.x - start.x),
+                height: Math.abs(pos.y - start.y)
+            });
+            editor.drawingLayer.batchDraw();
+        });
+
+        stage.on('mouseup touchend', () => {
+            if (!this.draft) return;
+
+            const { start, rect } = this.draft;
+            const box = rect.width() >= TextTool.minBoxWidth ? { x: rect.x(), y: rect.y(), width: rect.width() } : null;
+            rect.destroy();
+            this.draft = null;
+
+            this.createText(box || start, box ? box.width : null);
+        });
+    }
+
+    /**
+     * Cancel a text box being dragged out (when the tool is switched off mid-drag)
+     */
+    cancelDraft() {
+        if (this.draft) {
+            this.draft.rect.destroy();
+            this.draft = null;
+            this.editor.drawingLayer.batchDraw();
+        }
+    }
+
+    /**
+     * Add new text in the current style and start editing it
+     * It becomes a history step once the edit is finished with some text
+     * @param {object} position - Top-left corner in layer coordinates { x, y }
+     * @param {number|null} width - Text box width, or null for text that grows with its content
+     * @returns {Konva.Shape} Text node
+     */
+    createText(position, width = null) {
+        const onPath = this.style.path !== 'none';
+        const config = {
+            x: position.x,
+            y: position.y,
+            text: '',
+            draggable: true,
+            ...this.styleToAttrs(this.style)
+        };
+
+        const node = onPath
+            ? new Konva.TextPath({ ...config, data: '', pathPreset: this.style.path })
+            : new Konva.Text({ ...config, width: width || undefined, wrap: width ? 'word' : 'none' });
+
+        this.prepareNode(node);
+        this.editor.drawingLayer.add(node);
+        this.startEditing(node, true);
+        return node;
+    }
+
+    // ==================== INLINE EDITING ====================
+
+    /**
+     * Edit text in a textarea laid over the canvas
+     * Enter adds a line, Ctrl/Cmd+Enter or clicking elsewhere finishes, Escape cancels
+     * @param {Konva.Shape} node - Text node
+     * @param {boolean} isNew - True for text that was just created
+     */
+    startEditing(node, isNew = false) {
+        if (this.editing) {
+            this.finishEditing();
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'text-edit-overlay';
+        textarea.value = node.text();
+        textarea.spellcheck = false;
+        textarea.setAttribute('aria-label', 'Edit text');
+        if (node.getClassName() === 'TextPath' || node.getAttr('width') === undefined) {
+            textarea.setAttribute('wrap', 'off');
+        }
+
+        this.editing = { node, textarea, before: node.text(), isNew };
+        this.positionEditor(textarea, node);
+        document.body.appendChild(textarea);
+        this.autosizeEditor(textarea);
+
+        this.editor.transformer.nodes([]);
+        node.hide();
+        this.editor.drawingLayer.batchDraw();
+
+        textarea.addEventListener('input', () => this.autosizeEditor(textarea));
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.finishEditing(false);
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.finishEditing();
+            }
+        });
+
+        // Focus after the mouse event that started the edit has finished moving focus
+        setTimeout(() => {
+            if (!this.editing || this.editing.textarea !== textarea) return;
+            textarea.focus();
+            textarea.select();
+            textarea.addEventListener('blur', () => this.finishEditing());
+        }, 0);
+
+        console.log('✏️ [TEXT] Editing text');
+    }
+
+    /**
+     * Match the textarea to the node's font, size, rotation and position on screen
+     * @param {HTMLTextAreaElement} textarea - Editor textarea
+     * @param {Konva.Shape} node - Text node
+     */
+    positionEditor(textarea, node) {
+        const box = this.editor.stage.container().getBoundingClientRect();
+        const position = node.absolutePosition();
+        const scale = node.getAbsoluteScale();
+        const style = this.nodeToStyle(node);
+        const isBox = node.getClassName() === 'Text' && node.getAttr('width') !== undefined;
+
+        Object.assign(textarea.style, {
+            left: `${box.left + position.x}px`,
+            top: `${box.top + position.y}px`,
+            width: isBox ? `${node.width() * scale.x}px` : '',
+            fontFamily: node.fontFamily(),
+            fontSize: `${node.fontSize() * scale.y}px`,
+            fontWeight: style.fontWeight,
+            fontStyle: style.italic ? 'italic' : 'normal',
+            lineHeight: node.getClassName() === 'Text' ? node.lineHeight() : 'normal',
+            letterSpacing: `${node.letterSpacing() * scale.x}px`,
+            textAlign: node.align() === 'justify' ? 'left' : node.align(),
+            color: style.fill,
+            transform: `rotate(${node.getAbsoluteRotation()}deg)`
+        });
+    }
+
+    /**
+     * Grow the textarea with its content
+     * @param {HTMLTextAreaElement} textarea - Editor textarea
+     */
+    autosizeEditor(textarea) {
+        textarea.style.height = 'auto';
+        textarea.style.height = `${textarea.scrollHeight}px`;
+
+        if (textarea.getAttribute('wrap') === 'off') {
+            textarea.style.width = '0';
+            textarea.style.width = `${textarea.scrollWidth + parseFloat(textarea.style.fontSize)}px`;
+        }
+    }
+
+    /**
+     * Close the inline editor
+     * @param {boolean} commit - Keep the typed text (false restores the text from before the edit)
+     */
+    finishEditing(commit = true) {
+        if (!this.editing) return;
+
+        const { node, textarea, before, isNew } = this.editing;
+        this.editing = null;
+
+        const text = commit ? textarea.value : before;
+        textarea.remove();
+        node.show();
+
+        const history = this.editor.history;
+        if (isNew) {
+            if (!text.trim()) {
+                node.destroy();
+                this.editor.drawingLayer.batchDraw();
+                return;
+            }
+            node.text(text);
+            history.push(HistoryManager.nodeCommand('Text', node, { icon: 'fas fa-font' }));
+        } else if (text !== before) {
+            node.text(text);
+            history.push(HistoryManager.attrsCommand('Edit Text', node, { text: before }, { text }, { icon: 'fas fa-i-cursor' }));
+        }
+
+        this.editor.transformer.nodes([node]);
+        this.editor.drawingLayer.batchDraw();
+        this.syncSelection();
+    }
+
+    // ==================== STYLE ====================
+
+    /**
+     * Change a style option: for new text, and for the selected text as one undoable step
+     * (consecutive changes to the same option, like a slider drag, merge into one step)
+     * @param {string} name - Option name (a key of TextTool.defaultStyle)
+     * @param {any} value - New value
+     * @returns {Promise<void>}
+     */
+    async setOption(name, value) {
+        if (!(name in this.style)) return;
+        this.style[name] = value;
+
+        if (name === 'path') {
+            this.setPath(value);
+            return;
+        }
+        if (name === 'fontFamily' || name === 'fontWeight' || name === 'italic') {
+            await this.loadFont(this.style.fontFamily, this.style.fontWeight, this.style.italic);
+        }
+
+        const nodes = this.getSelectedTextNodes();
+        if (!nodes.length) return;
+
+        const label = TextTool.optionLabels[name] || 'Text Style';
+        const changeNode = (node) => {
+            const style = { ...this.nodeToStyle(node), [name]: value };
+            const after = this.attrsForOption(node, name, style);
+            const before = {};
+            Object.keys(after).forEach(key => {
+                before[key] = node.getAttr(key);
+            });
+
+            node.setAttrs(after);
+            return HistoryManager.attrsCommand(label, node, before, after, {
+                icon: 'fas fa-font',
+                mergeKey: nodes.length === 1 ? `text-${name}-${node._id}` : undefined
+            });
+        };
+
+        if (nodes.length === 1) {
+            this.editor.history.push(changeNode(nodes[0]));
+        } else {
+            this.editor.history.group(label, () => {
+                nodes.forEach(node => this.editor.history.push(changeNode(node)));
+            }, 'fas fa-font');
+        }
+
+        this.editor.transformer.forceUpdate();
+        this.editor.drawingLayer.batchDraw();
+    }
+
+    /**
+     * Node attributes that change with one style option
+     * @param {Konva.Shape} node - Text node
+     * @param {string} name - Option name
+     * @param {object} style - Node style with the option already changed
+     * @returns {object} Attributes
+     */
+    attrsForOption(node, name, style) {
+        if (name === 'wrap') {
+            // Wrapping needs a box; text without one gets a box as wide as it is now
+            if (node.getClassName() !== 'Text') return {};
+            return style.wrap === 'none'
+                ? { wrap: 'none', width: undefined }
+                : { wrap: style.wrap, width: node.width() };
+        }
+
+        const attrs = this.styleToAttrs(style);
+        const picked = {};
+        (TextTool.optionAttrs[name] || []).forEach(key => {
+            picked[key] = attrs[key];
+        });
+        return picked;
+    }
+
+    /**
+     * Konva attributes for a style
+     * @param {object} style - Style (see TextTool.defaultStyle)
+     * @returns {object} Attributes
+     */
+    styleToAttrs(style) {
+        const fontStyle = [style.italic ? 'italic' : '', style.fontWeight === '400' ? '' : style.fontWeight]
+            .filter(Boolean).join(' ') || 'normal';
+
+        return {
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+            fontStyle,
+            letterSpacing: style.letterSpacing,
+            lineHeight: style.lineHeight,
+            align: style.align,
+            fill: style.fill,
+            fillPriority: style.fillType === 'solid' ? 'color' : 'linear-gradient',
+            fillLinearGradientColorStops: [0, style.fill, 1, style.gradientColor],
+            gradientDirection: style.fillType === 'solid' ? undefined : style.fillType,
+            stroke: style.strokeColor,
+            strokeWidth: style.strokeWidth,
+            strokeEnabled: style.strokeWidth > 0,
+            fillAfterStrokeEnabled: true,
+            shadowEnabled: style.shadow,
+            shadowColor: style.shadowColor,
+            shadowBlur: style.shadowBlur,
+            shadowOffsetX: style.shadowOffset,
+            shadowOffsetY: style.shadowOffset,
+            shadowOpacity: TextTool.shadowOpacity
+        };
+    }
+
+    /**
+     * Read the style of a text node (the inverse of styleToAttrs)
+     * @param {Konva.Shape} node - Text node
+     * @returns {object} Style
+     */
+    nodeToStyle(node) {
+        const defaults = TextTool.defaultStyle;
+        const fontStyle = node.fontStyle() || 'normal';
+        const weight = (fontStyle.match(/\b(\d{3}|bold)\b/) || [])[1];
+        const stops = node.fillLinearGradientColorStops() || [];
+        const isPath = node.getClassName() === 'TextPath';
+
+        return {
+            fontFamily: node.fontFamily(),
+            fontSize: node.fontSize(),
+            fontWeight: weight === 'bold' ? '700' : weight || '400',
+            italic: fontStyle.includes('italic'),
+            letterSpacing: node.letterSpacing(),
+            lineHeight: isPath ? this.style.lineHeight : node.lineHeight(),
+            align: node.align() || 'left',
+            wrap: isPath ? 'none' : node.wrap(),
+            fill: node.fill() || stops[1] || defaults.fill,
+            fillType: node.fillPriority() === 'linear-gradient' ? node.getAttr('gradientDirection') || 'vertical' : 'solid',
+            gradientColor: stops[3] || defaults.gradientColor,
+            strokeColor: node.stroke() || defaults.strokeColor,
+            strokeWidth: node.strokeEnabled() && node.stroke() ? node.strokeWidth() : 0,
+            shadow: node.shadowEnabled() && !!node.shadowColor(),
+            shadowColor: node.shadowColor() || defaults.shadowColor,
+            shadowBlur: node.shadowBlur(),
+            shadowOffset: node.shadowOffsetX(),
+            path: isPath ? node.getAttr('pathPreset') || 'custom' : 'none'
+        };
+    }
+
+    /**
+     * Keep a text node's gradient (and path, for text on a path) fitted to its text as it changes
+     * Called for every text node created or restored
+     * @param {Konva.Shape} node - Node
+     * @returns {Konva.Shape} The node
+     */
+    prepareNode(node) {
+        if (node.getClassName() !== 'Text' && node.getClassName() !== 'TextPath') return node;
+
+        node.off('.textTool');
+        node.on(TextTool.layoutEvents, () => this.updateLayout(node));
+        this.updateLayout(node);
+        return node;
+    }
+
+    /**
+     * Fit the path preset to the text length and the gradient to the text's bounds
+     * @param {Konva.Shape} node - Text node
+     */
+    updateLayout(node) {
+        const preset = node.getAttr('pathPreset');
+        if (node.getClassName() === 'TextPath' && TextTool.pathPresets[preset]) {
+            const data = TextTool.pathPresets[preset](Math.max(this.measureText(node), TextTool.minBoxWidth));
+            if (data !== node.data()) {
+                node.data(data);
+            }
+        }
+
+        if (node.fillPriority() === 'linear-gradient') {
+            const rect = node.getSelfRect();
+            const horizontal = node.getAttr('gradientDirection') === 'horizontal';
+            node.fillLinearGradientStartPoint({ x: rect.x, y: rect.y });
+            node.fillLinearGradientEndPoint(horizontal
+                ? { x: rect.x + rect.width, y: rect.y }
+                : { x: rect.x, y: rect.y + rect.height });
+        }
+    }
+
+    /**
+     * Width of a node's text on one line, with its font and letter spacing
+     * @param {Konva.Shape} node - Text node
+     * @returns {number} Width in layer units
+     */
+    measureText(node) {
+        if (!this.measureNode) {
+            this.measureNode = new Konva.Text();
+        }
+        this.measureNode.setAttrs({
+            text: node.text().replace(/\n/g, ' '),
+            fontFamily: node.fontFamily(),
+            fontSize: node.fontSize(),
+            fontStyle: node.fontStyle(),
+            letterSpacing: node.letterSpacing()
+        });
+        return this.measureNode.width();
+    }
+
+    /**
+     * Put the selected text on a path preset, or back on a straight line
+     * Switching between Konva.Text and Konva.TextPath replaces the node, as one undoable step
+     * @param {string} preset - Key of TextTool.pathPresets, or 'none'
+     */
+    setPath(preset) {
+        const nodes = this.getSelectedTextNodes();
+        if (!nodes.length) return;
+
+        const history = this.editor.history;
+        const replacements = [];
+
+        history.group('Text Path', () => {
+            nodes.forEach(node => {
+                const isPath = node.getClassName() === 'TextPath';
+
+                if (preset !== 'none' && isPath) {
+                    const before = { pathPreset: node.getAttr('pathPreset'), data: node.data() };
+                    node.setAttr('pathPreset', preset);
+                    history.push(HistoryManager.attrsCommand('Text Path', node, before, {
+                        pathPreset: preset,
+                        data: node.data()
+                    }, { icon: 'fas fa-bezier-curve' }));
+                    replacements.push(node);
+                    return;
+                }
+                if (preset === 'none' && !isPath) {
+                    replacements.push(node);
+                    return;
+                }
+
+                const { id: _id, width: _width, wrap: _wrap, data: _data, pathPreset: _preset, lineHeight: _lineHeight, ...state } =
+                    this.editor.shapeToState(node);
+                const replacement = this.editor.stateToShape(preset === 'none'
+                    ? { ...state, className: 'Text', wrap: 'none', lineHeight: this.style.lineHeight }
+                    : { ...state, className: 'TextPath', data: '', pathPreset: preset });
+
+                const parent = node.getParent();
+                const index = node.zIndex();
+                history.push(HistoryManager.nodeCommand('Text Path', node, { added: false }));
+                node.remove();
+                parent.add(replacement);
+                replacement.zIndex(index);
+                history.push(HistoryManager.nodeCommand('Text Path', replacement));
+                replacements.push(replacement);
+            });
+        }, 'fas fa-bezier-curve');
+
+        this.editor.transformer.nodes(replacements);
+        this.editor.drawingLayer.batchDraw();
+        this.syncSelection();
+    }
+
+    // ==================== FONTS ====================
+
+    /**
+     * Font families to offer, grouped
+     * @returns {object[]} { group, families }
+     */
+    getFontFamilies() {
+        return [
+            { group: 'System', families: TextTool.systemFonts },
+            { group: 'Web Fonts', families: Object.keys(TextTool.webFonts) },
+            { group: 'Uploaded', families: [...this.fonts.keys()] }
+        ].filter(entry => entry.families.length);
+    }
+
+    /**
+     * Make sure a font face is available before text is measured with it
+     * Web fonts load their stylesheet from Google Fonts the first time they are used
+     * @param {string} family - Font family
+     * @param {string} weight - CSS font weight
+     * @param {boolean} italic - Italic face
+     * @returns {Promise<void>}
+     */
+    async loadFont(family, weight = '400', italic = false) {
+        const spec = TextTool.webFonts[family];
+        if (spec && !this.webFontLoads.has(family)) {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = `https://fonts.googleapis.com/css2?family=${spec.replace(/ /g, '+')}&display=swap`;
+            this.webFontLoads.set(family, new Promise((resolve, reject) => {
+                link.onload = resolve;
+                link.onerror = () => reject(new Error(`Could not load the ${family} font`));
+            }));
+            document.head.appendChild(link);
+        }
+
+        try {
+            await this.webFontLoads.get(family);
+            await document.fonts.load(`${italic ? 'italic ' : ''}${weight} 32px "${family}"`);
+        } catch (error) {
+            console.warn('⚠️ [TEXT] Font not loaded, using a fallback:', error.message || error);
+        }
+    }
+
+    /**
+     * Add a font from a TTF/OTF/WOFF/WOFF2 file
+     * @param {File|Blob} file - Font file
+     * @param {string} [family] - Family name (defaults to the file name)
+     * @param {string} [fileName] - File name, for blobs without one
+     * @returns {Promise<string>} Family name
+     */
+    async addFontFile(file, family = null, fileName = file.name) {
+        if (!fileName) {
+            throw new Error('Font file has no name');
+        }
+        if (!/\.(ttf|otf|woff2?)$/i.test(fileName)) {
+            throw new Error('Unsupported font file - use TTF, OTF, WOFF or WOFF2');
+        }
+
+        const name = family || fileName.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim();
+        const face = new FontFace(name, await file.arrayBuffer());
+        await face.load();
+        document.fonts.add(face);
+
+        this.fonts.set(name, { family: name, blob: file, fileName });
+        if (this.onFontsChange) this.onFontsChange();
+
+        console.log('🔤 [TEXT] Font added:', name);
+        return name;
+    }
+
+    /**
+     * Load the fonts used by every text drawing and re-measure them (after a project is opened)
+     * @returns {Promise<void>}
+     */
+    async refreshFonts() {
+        const nodes = this.editor.drawingLayer.find(node => this.isTextNode(node));
+        await Promise.all(nodes.map(node => {
+            const style = this.nodeToStyle(node);
+            return this.loadFont(style.fontFamily, style.fontWeight, style.italic);
+        }));
+
+        nodes.forEach(node => {
+            // Konva measures text when its attributes change; measure again now that the font is here
+            node._setTextData();
+            this.updateLayout(node);
+        });
+        this.editor.drawingLayer.batchDraw();
+    }
+}
+
+// Style for new text
+TextTool.defaultStyle = {
+    fontFamily: 'Arial',
+    fontSize: 32,
+    fontWeight: '400',
+    italic: false,
+    letterSpacing: 0,
+    lineHeight: 1.2,
+    align: 'left',
+    wrap: 'word',
+    fill: '#ffffff',
+    fillType: 'solid', // 'solid', 'vertical' or 'horizontal' gradient
+    gradientColor: '#00d4ff',
+    strokeColor: '#000000',
+    strokeWidth: 0,
+    shadow: false,
+    shadowColor: '#000000',
+    shadowBlur: 8,
+    shadowOffset: 3,
+    path: 'none'
+};
+
+// Node attributes each style option changes
+TextTool.optionAttrs = {
+    fontFamily: ['fontFamily'],
+    fontSize: ['fontSize'],
+    fontWeight: ['fontStyle'],
+    italic: ['fontStyle'],
+    letterSpacing: ['letterSpacing'],
+    lineHeight: ['lineHeight'],
+    align: ['align'],
+    fill: ['fill', 'fillLinearGradientColorStops'],
+    fillType: ['fillPriority', 'gradientDirection'],
+    gradientColor: ['fillLinearGradientColorStops'],
+    strokeColor: ['stroke'],
+    strokeWidth: ['strokeWidth', 'strokeEnabled', 'fillAfterStrokeEnabled'],
+    shadow: ['shadowEnabled', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'shadowOpacity'],
+    shadowColor: ['shadowColor'],
+    shadowBlur: ['shadowBlur'],
+    shadowOffset: ['shadowOffsetX', 'shadowOffsetY']
+};
+
+TextTool.optionLabels = {
+    fontFamily: 'Font',
+    fontSize: 'Font Size',
+    fontWeight: 'Font Weight',
+    italic: 'Italic',
+    letterSpacing: 'Letter Spacing',
+    lineHeight: 'Line Spacing',
+    align: 'Text Align',
+    wrap: 'Text Wrap',
+    fill: 'Text Color',
+    fillType: 'Text Fill',
+    gradientColor: 'Text Gradient',
+    strokeColor: 'Text Outline',
+    strokeWidth: 'Text Outline',
+    shadow: 'Text Shadow',
+    shadowColor: 'Text Shadow',
+    shadowBlur: 'Text Shadow',
+    shadowOffset: 'Text Shadow'
+};
+
+// Path presets: text length -> SVG path data, starting at the left end
+TextTool.pathPresets = {
+    arc: (length) => {
+        const width = length * 0.9;
+        return `M 0 ${width * 0.3} Q ${width / 2} ${-width * 0.3} ${width} ${width * 0.3}`;
+    },
+    'arc-down': (length) => {
+        const width = length * 0.9;
+        return `M 0 0 Q ${width / 2} ${width * 0.6} ${width} 0`;
+    },
+    wave: (length) => {
+        const amplitude = length * 0.08;
+        return `M 0 ${amplitude} Q ${length / 4} ${-amplitude} ${length / 2} ${amplitude} T ${length} ${amplitude}`;
+    },
+    circle: (length) => {
+        // A little longer than the text, so its ends do not meet
+        const radius = (length * 1.1) / (2 * Math.PI);
+        return `M 0 ${radius} A ${radius} ${radius} 0 1 1 ${radius * 2} ${radius} A ${radius} ${radius} 0 1 1 0 ${radius}`;
+    }
+};
+
+TextTool.systemFonts = [
+    'Arial', 'Helvetica', 'Verdana', 'Trebuchet MS', 'Georgia', 'Times New Roman', 'Courier New', 'Impact'
+];
+
+// Google Fonts families (css2 API spec with the weights and styles to load)
+TextTool.webFonts = {
+    'Inter': 'Inter:wght@100..900',
+    'Montserrat': 'Montserrat:ital,wght@0,100..900;1,100..900',
+    'Poppins': 'Poppins:ital,wght@0,300;0,400;0,600;0,700;0,800;1,400;1,700',
+    'Oswald': 'Oswald:wght@200..700',
+    'Bebas Neue': 'Bebas Neue',
+    'Playfair Display': 'Playfair Display:ital,wght@0,400..900;1,400..900',
+    'Roboto Slab': 'Roboto Slab:wght@100..900',
+    'Lobster': 'Lobster',
+    'Pacifico': 'Pacifico'
+};
+
+TextTool.layoutEvents = [
+    'text', 'fontFamily', 'fontSize', 'fontStyle', 'letterSpacing', 'lineHeight', 'width', 'wrap',
+    'fillPriority', 'gradientDirection', 'pathPreset'
+].map(attr => `${attr}Change.textTool`).join(' ');
+
+TextTool.textAnchors = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'middle-left', 'middle-right'];
+TextTool.minBoxWidth = 20;
+TextTool.shadowOpacity = 0.6;
@@ -0,0 +1,151 @@
+/**
+ * TransformPanelUI - Object section of the tools panel
+ * Numeric position, size, rotation and skew of the selected nodes, plus copy/paste/duplicate,
+ * group/ungroup and stacking order buttons. With several nodes selected, fields they share show the
+ * value and the others are left empty; typing a value sets it on all of them
+ */
+
+class TransformPanelUI {
+    /**
+     * @param {KonvaEditor} editor - Editor
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.container = document.getElementById('objectTools');
+        this.updateFrame = null;
+
+        if (!this.container) {
+            console.error('Object tools container not found: objectTools');
+            return;
+        }
+
+        this.fields = [...this.container.querySelectorAll('[data-transform]')];
+        this.hint = document.getElementById('objectToolsHint');
+
+        this.bindEvents();
+        this.attachToEditor();
+        this.update();
+    }
+
+    bindEvents() {
+        this.fields.forEach(input => {
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!this.editor.setSelectionTransform(input.dataset.transform, value)) {
+                    this.update();
+                }
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') input.blur();
+            });
+        });
+
+        this.container.querySelectorAll('[data-object-action]').forEach(button => {
+            button.addEventListener('click', () => this.runAction(button.dataset.objectAction));
+        });
+    }
+
+    /**
+     * Refresh the fields whenever the selection or the selected nodes change
+     */
+    attachToEditor() {
+        const { stage, transformer, history } = this.editor;
+        const schedule = () => this.scheduleUpdate();
+
+        this.editor.onSelectionChange = schedule;
+        stage.on('dragmove.transformPanel dragend.transformPanel', schedule);
+        transformer.on('transform.transformPanel transformend.transformPanel', schedule);
+
+        // Undo/redo and every recorded change (keeps the History panel's callback)
+        const notify = history.onChange;
+        history.onChange = () => {
+            if (notify) notify();
+            schedule();
+        };
+    }
+
+    scheduleUpdate() {
+        if (this.updateFrame) return;
+
+        this.updateFrame = requestAnimationFrame(() => {
+            this.updateFrame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Show the selection's values (empty when they differ between the selected nodes)
+     */
+    update() {
+        const nodes = this.editor.getSelectedNodes();
+        const transforms = nodes.map(node => this.editor.getNodeTransform(node));
+
+        this.fields.forEach(input => {
+            input.disabled = nodes.length === 0;
+            if (document.activeElement === input) return;
+
+            const values = transforms.map(transform => TransformPanelUI.round(transform[input.dataset.transform]));
+            const shared = values.length > 0 && values.every(value => value === values[0]);
+            input.value = shared ? values[0] : '';
+            input.placeholder = values.length > 1 && !shared ? 'Mixed' : '';
+        });
+
+        this.container.querySelectorAll('[data-object-action]').forEach(button => {
+            const action = button.dataset.objectAction;
+            button.disabled = action === 'paste' ? !this.editor.clipboard : nodes.length === 0;
+        });
+
+        if (this.hint) {
+            this.hint.textContent = nodes.length
+                ? `${nodes.length} object${nodes.length === 1 ? '' : 's'} selected`
+                : 'Click an object, Shift+click to add more, or drag a box on an empty part of the canvas';
+        }
+    }
+
+    /**
+     * Run a button action
+     * @param {string} action - copy, paste, duplicate, delete, group, ungroup, forward, backward, front or back
+     */
+    runAction(action) {
+        const editor = this.editor;
+
+        switch (action) {
+            case 'copy':
+                editor.copySelection();
+                break;
+            case 'paste':
+                if (!editor.pasteClipboard()) this.notify('Nothing could be pasted - the layer is locked');
+                break;
+            case 'duplicate':
+                editor.duplicateSelection();
+                break;
+            case 'delete':
+                editor.deleteSelection();
+                break;
+            case 'group':
+                if (!editor.groupSelection()) this.notify('Select two or more drawings to group (images stay on their layers)');
+                break;
+            case 'ungroup':
+                if (!editor.ungroupSelection()) this.notify('Select a group to ungroup');
+                break;
+            default:
+                editor.arrangeSelection(action);
+        }
+
+        this.update();
+    }
+
+    notify(message) {
+        const ui = this.editor.app && this.editor.app.modules.ui;
+        if (ui) ui.showNotification(message, 'info', 3000);
+    }
+
+    /**
+     * Round a value for display (one decimal)
+     * @param {number} value - Value
+     * @returns {number} Rounded value
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
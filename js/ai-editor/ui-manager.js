@@ -9,6 +9,7 @@ class UIManager {
         this.notifications = [];
         this.animationQueue = [];
         this.isAnimating = false;
+        this.loadingCancellable = false;
         
         this.init();
         console.log('🎨 [UI] UI Manager initialized');
@@ -21,6 +22,17 @@ class UIManager {
         this.initializeAnimations();
         this.setupTooltips();
         this.setupCollapsibleCategories();
+        this.setupLoadingCancel();
+    }
+
+    /**
+     * Setup the Cancel button on the loading overlay
+     */
+    setupLoadingCancel() {
+        const cancelBtn = document.getElementById('loadingCancelBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.handleLoadingCancel());
+        }
     }
 
     /**
@@ -88,11 +100,50 @@ class UIManager {
             
             switch (e.key.toLowerCase()) {
                 case 'g':
-                    if (isCtrl) {
+                    if (isCtrl && e.shiftKey) {
+                        e.preventDefault();
+                        this.triggerUngroup();
+                    } else if (isCtrl && e.altKey) {
+                        e.preventDefault();
+                        this.triggerGroup();
+                    } else if (isCtrl) {
                         e.preventDefault();
                         this.triggerImageGeneration();
                     }
                     break;
+
+                // Clipboard shortcuts only take over while canvas objects are involved
+                case 'c':
+                    if (isCtrl && this.triggerCopy()) {
+                        e.preventDefault();
+                    }
+                    break;
+
+                case 'v':
+                    if (isCtrl && this.triggerPaste()) {
+                        e.preventDefault();
+                    }
+                    break;
+
+                case 'd':
+                    if (isCtrl && this.triggerDuplicate()) {
+                        e.preventDefault();
+                    }
+                    break;
+
+                case ']':
+                case '}':
+                    if (isCtrl && this.triggerArrange(e.shiftKey ? 'front' : 'forward')) {
+                        e.preventDefault();
+                    }
+                    break;
+
+                case '[':
+                case '{':
+                    if (isCtrl && this.triggerArrange(e.shiftKey ? 'back' : 'backward')) {
+                        e.preventDefault();
+                    }
+                    break;
                     
                 case 'z':
                     if (isCtrl && !e.shiftKey) {
@@ -122,6 +173,13 @@ class UIManager {
                     }
                     break;
                     
+                case 'o':
+                    if (isCtrl) {
+                        e.preventDefault();
+                        this.triggerOpen();
+                    }
+                    break;
+                    
                 case 'e':
                     if (isCtrl) {
                         e.preventDefault();
@@ -437,45 +495,109 @@ class UIManager {
 
     triggerUndo() {
         if (this.app.modules.editor) {
-            // If a drawing tool is active, undo drawing actions
-            if (this.app.modules.editor.drawingState.activeTool) {
-                this.app.modules.editor.undoDrawing();
-            } else {
-                // Otherwise, undo canvas actions
-                this.app.modules.editor.undo();
-            }
+            // Drawings, layers, filters and AI edits share one history
+            this.app.modules.editor.undo();
         }
     }
 
     triggerRedo() {
         if (this.app.modules.editor) {
-            // If a drawing tool is active, redo drawing actions
-            if (this.app.modules.editor.drawingState.activeTool) {
-                this.app.modules.editor.redoDrawing();
-            } else {
-                // Otherwise, redo canvas actions
-                this.app.modules.editor.redo();
-            }
+            this.app.modules.editor.redo();
         }
     }
 
     triggerSave() {
         if (this.app.modules.editor) {
-            this.app.modules.editor.save();
+            this.app.handleSaveProject();
         }
     }
 
+    triggerOpen() {
+        document.getElementById('openProjectInput')?.click();
+    }
+
     triggerExport() {
         if (this.app.modules.editor) {
             this.app.modules.editor.export();
         }
     }
 
+    /**
+     * Copy the selected canvas objects (text selected on the page is left to the browser)
+     * @returns {boolean} True if handled
+     */
+    triggerCopy() {
+        const editor = this.app.modules.editor;
+        if (!editor || !editor.getSelectedNodes().length) return false;
+        if (window.getSelection().toString()) return false;
+
+        const count = editor.copySelection();
+        this.showNotification(`Copied ${count} object${count === 1 ? '' : 's'}`, 'info', 1500);
+        return true;
+    }
+
+    /**
+     * Paste the copied canvas objects
+     * @returns {boolean} True if handled
+     */
+    triggerPaste() {
+        const editor = this.app.modules.editor;
+        if (!editor || !editor.clipboard) return false;
+
+        if (!editor.pasteClipboard()) {
+            this.showNotification('Nothing could be pasted - the layer is locked', 'info', 3000);
+        }
+        return true;
+    }
+
+    /**
+     * Duplicate the selected canvas objects
+     * @returns {boolean} True if handled
+     */
+    triggerDuplicate() {
+        const editor = this.app.modules.editor;
+        if (!editor || !editor.getSelectedNodes().length) return false;
+
+        editor.duplicateSelection();
+        return true;
+    }
+
+    triggerGroup() {
+        const editor = this.app.modules.editor;
+        if (editor && !editor.groupSelection()) {
+            this.showNotification('Select two or more drawings to group (images stay on their layers)', 'info', 3000);
+        }
+    }
+
+    triggerUngroup() {
+        const editor = this.app.modules.editor;
+        if (editor && !editor.ungroupSelection()) {
+            this.showNotification('Select a group to ungroup', 'info', 3000);
+        }
+    }
+
+    /**
+     * Change the stacking order of the selected canvas objects
+     * @param {string} direction - 'forward', 'backward', 'front' or 'back'
+     * @returns {boolean} True if handled
+     */
+    triggerArrange(direction) {
+        const editor = this.app.modules.editor;
+        if (!editor || !editor.getSelectedNodes().length) return false;
+
+        editor.arrangeSelection(direction);
+        return true;
+    }
+
     handleEscape() {
         // Close any open modals or overlays
         const overlay = document.getElementById('loadingOverlay');
         if (overlay && overlay.classList.contains('active')) {
-            overlay.classList.remove('active');
+            if (this.loadingCancellable) {
+                this.handleLoadingCancel();
+            } else {
+                overlay.classList.remove('active');
+            }
         }
     }
 
@@ -624,8 +746,9 @@ class UIManager {
      * Show loading overlay
      * @param {string} title - Loading title
      * @param {string} message - Loading message
+     * @param {object} options - Optional settings { cancellable } - shows a Cancel button while API requests are queued
      */
-    showLoading(title = 'Processing...', message = 'Please wait') {
+    showLoading(title = 'Processing...', message = 'Please wait', options = {}) {
         const overlay = document.getElementById('loadingOverlay');
         const titleElement = document.getElementById('loadingTitle');
         const messageElement = document.getElementById('loadingMessage');
@@ -633,7 +756,10 @@ class UIManager {
         if (overlay) {
             if (titleElement) titleElement.textContent = title;
             if (messageElement) messageElement.textContent = message;
-            overlay.style.display = 'flex';
+            this.loadingCancellable = !!options.cancellable;
+            this.updateLoadingCancel();
+            this.clearLoadingStream();
+            overlay.classList.add('active');
             console.log('⏳ [UI] Loading overlay shown');
         }
     }
@@ -644,11 +770,75 @@ class UIManager {
     hideLoading() {
         const overlay = document.getElementById('loadingOverlay');
         if (overlay) {
-            overlay.style.display = 'none';
+            overlay.classList.remove('active');
+            this.loadingCancellable = false;
+            this.updateLoadingCancel();
             console.log('✅ [UI] Loading overlay hidden');
         }
     }
 
+    /**
+     * Show the overlay Cancel button while a cancellable operation has queued requests
+     * @param {object} queueState - Optional queue state { waiting, running }
+     */
+    updateLoadingCancel(queueState = null) {
+        const cancelBtn = document.getElementById('loadingCancelBtn');
+        if (!cancelBtn) return;
+
+        const queueSize = queueState
+            ? queueState.waiting + queueState.running
+            : this.app.modules.gemini?.queue.size || 0;
+
+        cancelBtn.style.display = this.loadingCancellable && queueSize > 0 ? 'inline-flex' : 'none';
+
+        const messageElement = document.getElementById('loadingQueue');
+        if (messageElement) {
+            messageElement.textContent = this.loadingCancellable && queueState && queueState.waiting > 0
+                ? `${queueState.running} running, ${queueState.waiting} queued`
+                : '';
+        }
+    }
+
+    /**
+     * Show streamed progress from the API on the loading overlay
+     * @param {object} update - { candidate, type: 'status'|'text'|'thought', text }
+     */
+    appendLoadingStream(update) {
+        if (update.type === 'status') {
+            const messageElement = document.getElementById('loadingMessage');
+            if (messageElement) messageElement.textContent = update.text;
+            return;
+        }
+
+        const streamElement = document.getElementById('loadingStream');
+        if (!streamElement) return;
+
+        const prefix = update.candidate !== null && update.candidate !== undefined ? `#${update.candidate + 1} ` : '';
+        streamElement.style.display = 'block';
+        streamElement.textContent += `${prefix}${update.type === 'thought' ? '💭 ' : ''}${update.text.trim()}\n`;
+        streamElement.scrollTop = streamElement.scrollHeight;
+    }
+
+    /**
+     * Clear streamed progress from the loading overlay
+     */
+    clearLoadingStream() {
+        const streamElement = document.getElementById('loadingStream');
+        if (streamElement) {
+            streamElement.textContent = '';
+            streamElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Cancel every pending API request from the loading overlay
+     */
+    handleLoadingCancel() {
+        const cancelled = this.app.modules.gemini?.cancelAll() || 0;
+        console.log(`🛑 [UI] User cancelled ${cancelled} request(s)`);
+        this.updateLoadingMessage('Cancelling...', 'Stopping pending requests');
+    }
+
     /**
      * Update loading overlay message
      * @param {string} title - New title
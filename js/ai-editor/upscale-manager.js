@@ -0,0 +1,162 @@
+/**
+ * Upscale Manager
+ * Local 2x/4x super-resolution without an API call: an ESRGAN model runs with TensorFlow.js in a Web
+ * Worker (upscale-worker.js), tile by tile, and the result is added as a new layer above the source layer
+ */
+
+class UpscaleManager {
+    constructor(app) {
+        this.app = app;
+        this.worker = new WorkerClient(UpscaleManager.workerUrl, { name: 'upscaling worker' });
+        this.isProcessing = false;
+
+        console.log('🔍 [UPSCALE] Upscale Manager initialized');
+    }
+
+    /**
+     * Upscale pixels in the worker
+     * @param {ImageData} imageData - Source pixels (its buffer is handed over to the worker)
+     * @param {number} scale - 2 or 4
+     * @param {function} onProgress - Called with { stage: 'model'|'tiles', done, total }
+     * @returns {Promise<ImageData>} Upscaled pixels
+     */
+    async upscalePixels(imageData, scale, onProgress = null) {
+        const pixels = imageData.data.buffer;
+
+        const result = await this.worker.request('upscale', {
+            // Resolved here: inside the worker a relative URL would be relative to the worker script
+            modelUrl: new URL(UpscaleManager.models[scale], document.baseURI).href,
+            scale,
+            width: imageData.width,
+            height: imageData.height,
+            pixels,
+            tileSize: UpscaleManager.tileSize,
+            tilePadding: UpscaleManager.tilePadding
+        }, [pixels], onProgress);
+
+        return new ImageData(new Uint8ClampedArray(result.pixels), result.width, result.height);
+    }
+
+    /**
+     * Upscale the image on the active layer into a new layer above it
+     * The new layer covers the source exactly, with scale times as many pixels
+     * @param {number} scale - 2 or 4
+     * @returns {Promise<void>}
+     */
+    async upscaleActiveLayer(scale) {
+        if (this.isProcessing) {
+            throw new Error('Upscaling is already in progress');
+        }
+
+        try {
+            const editor = this.app.modules.editor;
+            if (!editor || !editor.layerManager) {
+                throw new Error('No image loaded. Please load an image first.');
+            }
+
+            const { layerManager, history } = editor;
+            const activeLayer = layerManager.getActiveLayer();
+            if (!activeLayer) {
+                throw new Error('No active layer found. Please select a layer first.');
+            }
+
+            const imageNode = activeLayer.konvaLayer.findOne('Image');
+            if (!imageNode) {
+                throw new Error('No image found in the active layer.');
+            }
+
+            if (!UpscaleManager.models[scale]) {
+                throw new Error(`${scale}x upscaling is not available`);
+            }
+
+            const width = imageNode.width();
+            const height = imageNode.height();
+            if (Math.max(width, height) * scale > UpscaleManager.maxOutputSize) {
+                throw new Error(`${width}×${height}px upscaled ${scale}x would exceed ${UpscaleManager.maxOutputSize}px - try 2x or crop first`);
+            }
+
+            this.isProcessing = true;
+            const title = `Upscaling ${scale}x...`;
+            this.app.modules.ui.showLoading(title, 'Starting the upscaler on this device');
+
+            console.log(`🔍 [UPSCALE] Upscaling "${activeLayer.name}" ${width}x${height} by ${scale}x`);
+            const started = performance.now();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(imageNode.image(), 0, 0, width, height);
+
+            const result = await this.upscalePixels(ctx.getImageData(0, 0, width, height), scale, ({ stage, done, total }) => {
+                this.app.modules.ui.updateLoadingMessage(title, stage === 'model'
+                    ? 'Loading the upscaling model (first use only)'
+                    : `Tile ${done} of ${total} (${Math.round(done / total * 100)}%)`);
+            });
+
+            this.app.modules.ui.updateLoadingMessage('Applying Result...', 'Adding the upscaled image as a new layer');
+
+            canvas.width = result.width;
+            canvas.height = result.height;
+            canvas.getContext('2d').putImageData(result, 0, 0);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            const imageObj = await editor.loadImageElement(URL.createObjectURL(blob));
+
+            const label = `Upscale ${scale}x`;
+            const added = history.group(label, () => {
+                const newLayer = layerManager.addLayer(`${activeLayer.name} ${scale}x`);
+                if (!newLayer) return false;
+
+                editor.addImageToLayer(imageObj, newLayer.id, { label });
+
+                // Same place and on-canvas size as the source
+                const attrs = editor.getTransformAttrs(imageNode);
+                editor.imageNode.setAttrs({ ...attrs, scaleX: attrs.scaleX / scale, scaleY: attrs.scaleY / scale });
+                newLayer.konvaLayer.batchDraw();
+                layerManager.updateLayerThumbnail(newLayer.id);
+                return true;
+            }, 'fas fa-up-right-and-down-left-from-center');
+
+            if (!added) {
+                throw new Error('Layer memory limit reached. Merge or delete layers to add more.');
+            }
+
+            const seconds = ((performance.now() - started) / 1000).toFixed(1);
+            console.log(`✅ [UPSCALE] Upscaled to ${result.width}x${result.height} in ${seconds}s`);
+
+            this.app.modules.ui.hideLoading();
+            this.app.modules.ui.showStatus(`Upscaled to ${result.width}×${result.height} in ${seconds}s`, 'success');
+
+        } catch (error) {
+            console.error('❌ [UPSCALE] Error:', error);
+
+            this.app.modules.ui.hideLoading();
+            this.app.modules.ui.showStatus(`Upscaling failed: ${error.message}`, 'error');
+
+            throw error;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Get processing status
+     * @returns {boolean}
+     */
+    getProcessingStatus() {
+        return this.isProcessing;
+    }
+}
+
+UpscaleManager.workerUrl = 'js/ai-editor/upscale-worker.js';
+
+// ESRGAN super-resolution models (TensorFlow.js layers models, RGB 0-255 NHWC in, scale times larger out),
+// pinned like the other CDN libraries
+UpscaleManager.models = {
+    2: 'https://cdn.jsdelivr.net/npm/@upscalerjs/esrgan-slim@1.0.0/models/x2/model.json',
+    4: 'https://cdn.jsdelivr.net/npm/@upscalerjs/esrgan-slim@1.0.0/models/x4/model.json'
+};
+
+UpscaleManager.tileSize = 128; // Source pixels per tile side
+UpscaleManager.tilePadding = 8; // Context pixels around each tile, cropped from the result
+UpscaleManager.maxOutputSize = 8192; // Pixels along the longer side of the result
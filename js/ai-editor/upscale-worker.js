@@ -0,0 +1,168 @@
+/**
+ * Upscale Worker
+ * Runs a super-resolution model with TensorFlow.js (WASM backend, on the CPU) off the main thread.
+ * The image is processed in tiles that overlap by a padding, so large images never need one huge
+ * tensor and tile seams get the context around them; every finished tile reports progress.
+ *
+ * Messages in:  { type: 'upscale', id, modelUrl, scale, width, height, pixels, tileSize, tilePadding }
+ *               where pixels is the RGBA ArrayBuffer of the source image
+ * Messages out: { type: 'progress', id, stage: 'model'|'tiles', done, total }
+ *               { type: 'result', id, width, height, pixels }
+ *               { type: 'error', id, message }
+ */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/tf-backend-wasm.min.js'
+);
+
+// Threads are used when the page is cross-origin isolated, which a static site usually is not
+tf.wasm.setWasmPaths('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/');
+
+const models = new Map(); // Model URL -> Promise of its LayersModel
+
+/**
+ * Load a model once and reuse it for later requests
+ * @param {string} modelUrl - Absolute URL of the model.json
+ * @param {number} id - Request id (for progress)
+ * @returns {Promise<tf.LayersModel>} Model
+ */
+function getModel(modelUrl, id) {
+    if (!models.has(modelUrl)) {
+        postMessage({ type: 'progress', id, stage: 'model', done: 0, total: 1 });
+
+        const model = tf.setBackend('wasm')
+            .then(() => tf.loadLayersModel(modelUrl))
+            .catch(error => {
+                models.delete(modelUrl);
+                throw new Error(`Could not download or open the upscaling model ${modelUrl} - check your connection and try again (${error.message})`);
+            });
+        models.set(modelUrl, model);
+    }
+
+    return models.get(modelUrl);
+}
+
+/**
+ * Upscale an RGBA image tile by tile; the model sees RGB in 0-255 (NHWC), alpha is scaled bilinearly
+ * @param {object} request - Upscale message
+ */
+async function upscale({ id, modelUrl, scale, width, height, pixels, tileSize, tilePadding }) {
+    const model = await getModel(modelUrl, id);
+    const source = new Uint8ClampedArray(pixels);
+    const outputWidth = width * scale;
+    const outputHeight = height * scale;
+    const output = new Uint8ClampedArray(outputWidth * outputHeight * 4);
+
+    // Every tile has the same input size (edge pixels repeat past the border)
+    const inputSize = tileSize + tilePadding * 2;
+    const input = new Float32Array(inputSize * inputSize * 3);
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const total = columns * rows;
+    let done = 0;
+
+    postMessage({ type: 'progress', id, stage: 'tiles', done, total });
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const tileX = column * tileSize;
+            const tileY = row * tileSize;
+            const tileWidth = Math.min(tileSize, width - tileX);
+            const tileHeight = Math.min(tileSize, height - tileY);
+
+            for (let y = 0; y < inputSize; y++) {
+                const sourceY = Math.min(height - 1, Math.max(0, tileY - tilePadding + y));
+                for (let x = 0; x < inputSize; x++) {
+                    const sourceX = Math.min(width - 1, Math.max(0, tileX - tilePadding + x));
+                    const s = (sourceY * width + sourceX) * 4;
+                    const i = (y * inputSize + x) * 3;
+                    input[i] = source[s];
+                    input[i + 1] = source[s + 1];
+                    input[i + 2] = source[s + 2];
+                }
+            }
+
+            const result = tf.tidy(() => model.predict(tf.tensor4d(input, [1, inputSize, inputSize, 3])));
+            const resultSize = result.shape[2];
+            const data = await result.data();
+            result.dispose();
+            if (resultSize !== inputSize * scale) {
+                throw new Error(`The model upscales ${resultSize / inputSize}x, not ${scale}x`);
+            }
+
+            // Copy the tile without its padding
+            const skip = tilePadding * scale;
+            for (let y = 0; y < tileHeight * scale; y++) {
+                const outputRow = (tileY * scale + y) * outputWidth + tileX * scale;
+                const resultRow = (y + skip) * resultSize + skip;
+                for (let x = 0; x < tileWidth * scale; x++) {
+                    const o = (outputRow + x) * 4;
+                    const r = (resultRow + x) * 3;
+                    output[o] = data[r];
+                    output[o + 1] = data[r + 1];
+                    output[o + 2] = data[r + 2];
+                    output[o + 3] = 255;
+                }
+            }
+
+            done++;
+            postMessage({ type: 'progress', id, stage: 'tiles', done, total });
+        }
+    }
+
+    upscaleAlpha(source, width, height, output, scale);
+
+    postMessage({ type: 'result', id, width: outputWidth, height: outputHeight, pixels: output.buffer }, [output.buffer]);
+}
+
+/**
+ * Bilinear upscale of the alpha channel into the output (skipped for fully opaque images)
+ * @param {Uint8ClampedArray} source - Source RGBA
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Uint8ClampedArray} output - Output RGBA (alpha is written)
+ * @param {number} scale - Scale factor
+ */
+function upscaleAlpha(source, width, height, output, scale) {
+    let opaque = true;
+    for (let i = 3; i < source.length; i += 4) {
+        if (source[i] !== 255) {
+            opaque = false;
+            break;
+        }
+    }
+    if (opaque) return;
+
+    const alpha = (x, y) => source[(y * width + x) * 4 + 3];
+    const outputWidth = width * scale;
+
+    for (let y = 0; y < height * scale; y++) {
+        const sourceY = Math.min(height - 1, Math.max(0, (y + 0.5) / scale - 0.5));
+        const y0 = Math.floor(sourceY);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fy = sourceY - y0;
+
+        for (let x = 0; x < outputWidth; x++) {
+            const sourceX = Math.min(width - 1, Math.max(0, (x + 0.5) / scale - 0.5));
+            const x0 = Math.floor(sourceX);
+            const x1 = Math.min(width - 1, x0 + 1);
+            const fx = sourceX - x0;
+
+            const top = alpha(x0, y0) * (1 - fx) + alpha(x1, y0) * fx;
+            const bottom = alpha(x0, y1) * (1 - fx) + alpha(x1, y1) * fx;
+            output[(y * outputWidth + x) * 4 + 3] = top * (1 - fy) + bottom * fy;
+        }
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type !== 'upscale') return;
+
+    try {
+        await upscale(message);
+    } catch (error) {
+        postMessage({ type: 'error', id: message.id, message: error.message || String(error) });
+    }
+};
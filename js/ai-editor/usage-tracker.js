@@ -0,0 +1,224 @@
+/**
+ * Usage Tracker Module
+ * Records every API request (operation, model, resolution, token usage) in localStorage,
+ * estimates cost and enforces an optional monthly budget cap
+ */
+
+class UsageTracker {
+    constructor(app) {
+        this.app = app;
+        this.storageKey = 'ai-editor-usage';
+        this.retentionDays = 400; // Keep a bit more than a year of history
+        this.records = [];
+
+        // Estimated USD prices - override with the 'usagePricing' setting
+        this.defaultPricing = {
+            inputPerMillionTokens: 2.0,
+            textOutputPerMillionTokens: 12.0,
+            imageOutput: {
+                '1K': 0.134,
+                '2K': 0.134,
+                '4K': 0.24
+            }
+        };
+
+        this.loadRecords();
+        console.log('📈 [USAGE] Usage Tracker initialized with', this.records.length, 'records');
+    }
+
+    /**
+     * Load usage records from localStorage
+     */
+    loadRecords() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            this.records = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('❌ [USAGE] Failed to load usage records:', error);
+            this.records = [];
+        }
+    }
+
+    /**
+     * Save usage records to localStorage, dropping records past retention
+     */
+    saveRecords() {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        this.records = this.records.filter(record => record.timestamp >= cutoff);
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            console.error('❌ [USAGE] Failed to save usage records:', error);
+        }
+    }
+
+    /**
+     * Record a finished request
+     * @param {object} entry - { operation, model, requestBody, response, error }
+     * @returns {object} The stored record
+     */
+    recordRequest({ operation, model, requestBody = {}, response = null, error = null }) {
+        const imageConfig = requestBody.generationConfig?.imageConfig || {};
+        const usage = response?.usageMetadata || {};
+        const outputImages = this.countOutputImages(response);
+
+        const record = {
+            timestamp: Date.now(),
+            operation,
+            model,
+            resolution: outputImages > 0 ? (imageConfig.imageSize || '1K') : null,
+            aspectRatio: imageConfig.aspectRatio || null,
+            outputImages,
+            promptTokens: usage.promptTokenCount || 0,
+            outputTokens: usage.candidatesTokenCount || 0,
+            thoughtsTokens: usage.thoughtsTokenCount || 0,
+            totalTokens: usage.totalTokenCount || 0,
+            success: !error
+        };
+        record.estimatedCost = this.estimateCost(record);
+
+        this.records.push(record);
+        this.saveRecords();
+
+        if (this.app.renderUsagePanel) {
+            this.app.renderUsagePanel();
+        }
+
+        console.log(`📈 [USAGE] Recorded ${operation} (${record.totalTokens} tokens, ~$${record.estimatedCost.toFixed(4)})`);
+        return record;
+    }
+
+    /**
+     * Count image parts in a response
+     * Interim images from the model's thinking are skipped - they are billed as thought tokens
+     * @param {object} response - API response
+     * @returns {number} Number of images
+     */
+    countOutputImages(response) {
+        if (!response?.candidates) return 0;
+
+        return response.candidates.reduce((count, candidate) => {
+            const parts = candidate.content?.parts || [];
+            return count + parts.filter(part => (part.inlineData || part.inline_data) && !part.thought).length;
+        }, 0);
+    }
+
+    /**
+     * Get pricing table merged with user overrides
+     * @returns {object} Pricing table
+     */
+    getPricing() {
+        const overrides = this.app.modules.storage.getSettings().usagePricing || {};
+        return {
+            ...this.defaultPricing,
+            ...overrides,
+            imageOutput: { ...this.defaultPricing.imageOutput, ...(overrides.imageOutput || {}) }
+        };
+    }
+
+    /**
+     * Estimate the cost of a single request in USD
+     * @param {object} record - Usage record
+     * @returns {number} Estimated cost
+     */
+    estimateCost(record) {
+        if (!record.success) return 0;
+
+        const pricing = this.getPricing();
+        const inputCost = (record.promptTokens / 1e6) * pricing.inputPerMillionTokens;
+
+        if (record.outputImages > 0) {
+            const imagePrice = pricing.imageOutput[record.resolution] ?? pricing.imageOutput['1K'];
+            return inputCost + record.outputImages * imagePrice;
+        }
+
+        const textTokens = record.outputTokens + record.thoughtsTokens;
+        return inputCost + (textTokens / 1e6) * pricing.textOutputPerMillionTokens;
+    }
+
+    /**
+     * Summarize records since a point in time
+     * @param {number} since - Timestamp
+     * @returns {object} { requests, images, tokens, cost, byOperation }
+     */
+    summarize(since) {
+        const summary = { requests: 0, failed: 0, images: 0, tokens: 0, cost: 0, byOperation: {} };
+
+        this.records.filter(record => record.timestamp >= since).forEach(record => {
+            summary.requests++;
+            if (!record.success) summary.failed++;
+            summary.images += record.outputImages;
+            summary.tokens += record.totalTokens;
+            summary.cost += record.estimatedCost;
+            summary.byOperation[record.operation] = (summary.byOperation[record.operation] || 0) + 1;
+        });
+
+        return summary;
+    }
+
+    /**
+     * Get usage statistics for today and the current month
+     * @returns {object} Usage statistics
+     */
+    getStats() {
+        const now = new Date();
+        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+        const budget = this.getMonthlyBudget();
+        const month = this.summarize(startOfMonth);
+        const lastRecord = this.records[this.records.length - 1];
+
+        return {
+            today: this.summarize(startOfDay),
+            month,
+            lastRequest: lastRecord ? new Date(lastRecord.timestamp).toISOString() : null,
+            monthlyBudget: budget,
+            budgetRemaining: budget > 0 ? Math.max(0, budget - month.cost) : null
+        };
+    }
+
+    /**
+     * Get the configured monthly budget in USD (0 = no cap)
+     * @returns {number} Monthly budget
+     */
+    getMonthlyBudget() {
+        return Number(this.app.modules.storage.getSettings().monthlyBudget) || 0;
+    }
+
+    /**
+     * Set the monthly budget cap
+     * @param {number} amount - Budget in USD (0 disables the cap)
+     */
+    setMonthlyBudget(amount) {
+        const budget = Math.max(0, parseFloat(amount) || 0);
+        this.app.modules.storage.updateSetting('monthlyBudget', budget);
+        console.log(`📈 [USAGE] Monthly budget set to $${budget.toFixed(2)}`);
+    }
+
+    /**
+     * Throw if the monthly budget cap has been reached
+     */
+    assertWithinBudget() {
+        const { monthlyBudget, month } = this.getStats();
+
+        if (monthlyBudget > 0 && month.cost >= monthlyBudget) {
+            const error = new Error(`Monthly budget of $${monthlyBudget.toFixed(2)} reached ($${month.cost.toFixed(2)} spent). Raise the budget in the Usage panel to continue.`);
+            error.name = 'BudgetExceededError';
+            throw error;
+        }
+    }
+
+    /**
+     * Clear all usage history
+     */
+    clearHistory() {
+        this.records = [];
+        this.saveRecords();
+        console.log('🗑️ [USAGE] Usage history cleared');
+
+        if (this.app.renderUsagePanel) {
+            this.app.renderUsagePanel();
+        }
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Worker Client
+ * Request/response plumbing shared by the editor's Web Workers (upscaling, batch processing,
+ * rendering). Each request gets an id; the worker answers with messages carrying that id:
+ * { type: 'progress', id, ... } any number of times, then { type: 'result', id, ... } or
+ * { type: 'error', id, message }. The worker is started on the first request.
+ */
+
+class WorkerClient {
+    /**
+     * @param {string} url - Worker script URL
+     * @param {object} options - { type: 'classic'|'module', name } (name is used in error messages)
+     */
+    constructor(url, options = {}) {
+        this.url = url;
+        this.type = options.type || 'classic';
+        this.name = options.name || 'worker';
+        this.worker = null;
+        this.requests = new Map(); // Request id -> { resolve, reject, onProgress }
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Start the worker the first time it is needed
+     * @returns {Worker} Worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.url, { type: this.type });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+
+            // The worker script itself failed (e.g. a library could not be loaded from the CDN)
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.terminate(new Error(event.message || `The ${this.name} failed to start`));
+            };
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * Route a worker message to the request it belongs to
+     * @param {object} message - { type, id, ... }
+     */
+    handleMessage(message) {
+        const request = this.requests.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message);
+            return;
+        }
+
+        this.requests.delete(message.id);
+        if (message.type === 'result') {
+            request.resolve(message);
+        } else {
+            request.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * Send a job to the worker
+     * @param {string} type - Job type
+     * @param {object} payload - Job fields (the id is added here)
+     * @param {Transferable[]} transfer - Objects handed over to the worker
+     * @param {function} onProgress - Called with each progress message
+     * @returns {Promise<object>} Result message
+     */
+    request(type, payload = {}, transfer = [], onProgress = null) {
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject, onProgress });
+            this.getWorker().postMessage({ ...payload, type, id }, transfer);
+        });
+    }
+
+    /**
+     * Stop the worker and fail the requests it was handling; the next request starts a new one
+     * @param {Error} error - Error for the open requests
+     */
+    terminate(error = new Error(`The ${this.name} was stopped`)) {
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
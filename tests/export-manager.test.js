@@ -0,0 +1,41 @@
+/**
+ * Export Manager tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadScripts } = require('./load-scripts');
+
+test('a target size export stays within the target once metadata is embedded', async () => {
+    const context = loadScripts(['export-manager.js'], { Blob, TextEncoder });
+    const ExportManager = vm.runInContext('ExportManager', context);
+    const exporter = Object.assign(Object.create(ExportManager.prototype), {
+        mimeTypes: { jpeg: 'image/jpeg' },
+        extensions: { jpeg: 'jpg' },
+        supportedFormats: new Set(['jpeg']),
+        resizeForPreset: (canvas) => canvas,
+        getPrompt: () => 'A lighthouse on a cliff at dusk, '.repeat(100)
+    });
+
+    // Stand-in for the browser encoder: a JPEG that grows with the quality
+    exporter.encode = async (canvas, format, quality) => {
+        const bytes = new Uint8Array(Math.round(quality * 100000));
+        bytes.set([0xFF, 0xD8]);
+        return new Blob([bytes], { type: 'image/jpeg' });
+    };
+
+    const maxBytes = 50000;
+    const result = await exporter.exportImage({
+        preset: { id: 'web' },
+        format: 'jpeg',
+        quality: 0.9,
+        dpi: 72,
+        maxBytes
+    }, { width: 100, height: 100 });
+
+    const bytes = new Uint8Array(await result.blob.arrayBuffer());
+    assert.ok(result.blob.size <= maxBytes, `${result.blob.size} bytes is over the ${maxBytes} byte target`);
+    assert.ok(new TextDecoder().decode(bytes).includes('A lighthouse on a cliff'), 'metadata was not embedded');
+});
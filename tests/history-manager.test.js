@@ -0,0 +1,125 @@
+/**
+ * History Manager tests
+ * Run with: node --test tests/
+ * The editor scripts are plain browser globals, so they are loaded into a VM context
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadScripts } = require('./load-scripts');
+
+/**
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('overlapping recordBitmapChange calls record two undo steps', async () => {
+    const context = loadScripts(['history-manager.js', 'konva-editor.js']);
+    const HistoryManager = vm.runInContext('HistoryManager', context);
+    const KonvaEditor = vm.runInContext('KonvaEditor', context);
+
+    // Stand-in for the PNG delta encoding: the first snapshot takes longer than the second
+    const applied = [];
+    const delays = [30, 5];
+    HistoryManager.bitmapCommand = async (label) => {
+        await wait(delays.shift());
+        return {
+            label,
+            bytes: 100,
+            undo: () => applied.push(`undo ${label}`),
+            redo: () => applied.push(`redo ${label}`)
+        };
+    };
+
+    const editor = { history: new HistoryManager(), getImageAttrs: () => ({}) };
+    const node = { image: () => null };
+
+    const first = KonvaEditor.prototype.recordBitmapChange.call(editor, 'Brush', node, null, {});
+    const second = KonvaEditor.prototype.recordBitmapChange.call(editor, 'Eraser', node, null, {});
+    await Promise.all([first, second]);
+
+    assert.strictEqual(editor.history.undoStack.length, 2);
+    assert.strictEqual(editor.history.undoStack.map(entry => entry.label).join(), 'Brush,Eraser');
+    assert.strictEqual(editor.history.getTotalBytes(), 200);
+
+    await editor.history.undo();
+    assert.deepStrictEqual(applied, ['undo Eraser']);
+    assert.strictEqual(editor.history.undoStack.length, 1);
+});
+
+test('an undo pressed while a bitmap step is pending waits for it', async () => {
+    const context = loadScripts(['history-manager.js']);
+    const HistoryManager = vm.runInContext('HistoryManager', context);
+    const history = new HistoryManager();
+    const applied = [];
+
+    const pending = wait(10).then(() => ({ label: 'Crop', undo: () => applied.push('undo Crop'), redo() {} }));
+    history.pushPending(pending, 'Crop');
+    await history.undo();
+
+    assert.deepStrictEqual(applied, ['undo Crop']);
+    assert.strictEqual(history.redoStack.length, 1);
+});
+
+test('a bitmap step whose snapshot fails is removed', async () => {
+    const context = loadScripts(['history-manager.js']);
+    const HistoryManager = vm.runInContext('HistoryManager', context);
+    const history = new HistoryManager();
+
+    await assert.rejects(history.pushPending(Promise.reject(new Error('encode failed')), 'Crop'), /encode failed/);
+    assert.strictEqual(history.undoStack.length, 0);
+});
+
+test('an edit made while loadImage encodes its snapshot is recorded as its own step', async () => {
+    const context = loadScripts(['history-manager.js', 'konva-editor.js']);
+    context.document = { getElementById: () => null, querySelectorAll: () => [] };
+    const HistoryManager = vm.runInContext('HistoryManager', context);
+    const KonvaEditor = vm.runInContext('KonvaEditor', context);
+
+    const applied = [];
+    let encoded;
+    HistoryManager.bitmapCommand = (label) => new Promise(resolve => {
+        encoded = () => resolve({
+            label,
+            bytes: 100,
+            undo: () => applied.push(`undo ${label}`),
+            redo: () => applied.push(`redo ${label}`)
+        });
+    });
+
+    const layer = { batchDraw() {} };
+    const imageNode = { image: () => null, setAttrs() {}, getStage: () => ({}), getLayer: () => layer };
+    const editor = Object.assign(Object.create(KonvaEditor.prototype), {
+        history: new HistoryManager(),
+        stage: {},
+        layerManager: { getActiveLayer: () => ({ konvaLayer: layer }), updateActiveLayerThumbnail() {} },
+        drawingState: { activeTool: null },
+        cropState: { active: false },
+        expandState: { active: false },
+        imageNode,
+        loadImageElement: async () => ({ width: 10, height: 10 }),
+        getLockedImageLayer: () => null,
+        hasActiveFilters: () => false,
+        getImageAttrs: () => ({}),
+        calculateImageScale: () => 1,
+        centerImage() {},
+        updateStatusBar() {}
+    });
+
+    const loading = editor.loadImage('image.png', { label: 'AI Edit' });
+    await wait(5);
+
+    // A move while the snapshot is still being encoded
+    editor.history.push({ label: 'Move', undo: () => applied.push('undo Move'), redo() {} });
+    encoded();
+    await loading;
+
+    assert.strictEqual(editor.history.undoStack.map(entry => entry.label).join(), 'AI Edit,Move');
+    assert.strictEqual(editor.history.getTotalBytes(), 100);
+
+    await editor.history.undo();
+    await editor.history.undo();
+    assert.strictEqual(applied.join(), 'undo Move,undo AI Edit');
+});
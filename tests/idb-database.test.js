@@ -0,0 +1,53 @@
+/**
+ * IndexedDB Database tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadScripts } = require('./load-scripts');
+
+/**
+ * Stand-in for window.indexedDB that answers each open on the next tick
+ * @returns {object} { indexedDB, requests }
+ */
+function createFakeIndexedDB() {
+    const requests = [];
+    const indexedDB = {
+        open() {
+            const db = { closed: false, close() { this.closed = true; } };
+            const request = { result: db };
+            requests.push(request);
+            setTimeout(() => request.onsuccess(), 0);
+            return request;
+        }
+    };
+    return { indexedDB, requests };
+}
+
+test('opens made while the database is opening share one request', async () => {
+    const { indexedDB, requests } = createFakeIndexedDB();
+    const context = loadScripts(['idb-database.js'], { indexedDB });
+    const IdbDatabase = vm.runInContext('IdbDatabase', context);
+    const database = new IdbDatabase('test', 1, () => {});
+
+    const [first, second] = await Promise.all([database.open(), database.open()]);
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(first, second);
+});
+
+test('a version change in another tab closes the handle and the next use reopens', async () => {
+    const { indexedDB, requests } = createFakeIndexedDB();
+    const context = loadScripts(['idb-database.js'], { indexedDB });
+    const IdbDatabase = vm.runInContext('IdbDatabase', context);
+    const database = new IdbDatabase('test', 1, () => {});
+
+    const db = await database.open();
+    db.onversionchange();
+
+    assert.ok(db.closed);
+    assert.notStrictEqual(await database.open(), db);
+    assert.strictEqual(requests.length, 2);
+});
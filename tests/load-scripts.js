@@ -0,0 +1,25 @@
+/**
+ * Test helper: load editor scripts into a VM context
+ * The editor scripts are plain browser globals, so each test file gets a fresh context holding them
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Load editor scripts into a fresh context
+ * @param {string[]} files - Script names in js/ai-editor/
+ * @param {object} globals - Extra globals the scripts need (e.g. Blob)
+ * @returns {vm.Context} Context holding the scripts' globals
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console: { log() {}, warn() {}, error() {} }, setTimeout, ...globals });
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'ai-editor', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadScripts };
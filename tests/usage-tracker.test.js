@@ -0,0 +1,31 @@
+/**
+ * Usage Tracker tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadScripts } = require('./load-scripts');
+
+test('images from the model\'s thinking are not counted as output images', () => {
+    const context = loadScripts(['usage-tracker.js']);
+    const UsageTracker = vm.runInContext('UsageTracker', context);
+    const image = { mimeType: 'image/png', data: 'AAAA' };
+
+    const count = UsageTracker.prototype.countOutputImages({
+        candidates: [{
+            content: {
+                parts: [
+                    { text: 'Sketching the layout', thought: true },
+                    { inlineData: image, thought: true },
+                    { inline_data: image, thought: true },
+                    { text: 'Here is the edited image' },
+                    { inlineData: image }
+                ]
+            }
+        }]
+    });
+
+    assert.strictEqual(count, 1);
+});